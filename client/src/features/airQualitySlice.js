@@ -4,9 +4,10 @@ import axios from 'axios';
 // Async thunks for API calls
 export const fetchAirQualityData = createAsyncThunk(
   'airQuality/fetchData',
-  async (location, { rejectWithValue }) => {
+  async (location, { getState, rejectWithValue }) => {
     try {
-      const response = await axios.get(`/api/air-quality?lat=${location.lat}&lon=${location.lon}`);
+      const { airQualityIndex } = getState().airQuality;
+      const response = await axios.get(`/api/air-quality?lat=${location.lat}&lon=${location.lon}&index=${airQualityIndex}`);
       return response.data;
     } catch (error) {
       const errorMessage = error.response?.data?.message || 
@@ -66,6 +67,16 @@ export const fetchOpenAQData = createAsyncThunk(
   }
 );
 
+// Index chosen in Settings (US EPA AQI until one is saved)
+const loadAirQualityIndex = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem('airQualitySettings'));
+    return saved?.display?.airQualityIndex || 'epa';
+  } catch (error) {
+    return 'epa';
+  }
+};
+
 const initialState = {
   currentData: null,
   tempoData: null,
@@ -74,6 +85,7 @@ const initialState = {
   loading: false,
   error: null,
   lastUpdated: null,
+  airQualityIndex: loadAirQualityIndex(),
   location: {
     lat: 40.7128,
     lon: -74.0060,
@@ -88,6 +100,9 @@ const airQualitySlice = createSlice({
     setLocation: (state, action) => {
       state.location = action.payload;
     },
+    setAirQualityIndex: (state, action) => {
+      state.airQualityIndex = action.payload;
+    },
     clearError: (state) => {
       state.error = null;
     },
@@ -154,5 +169,5 @@ const airQualitySlice = createSlice({
   }
 });
 
-export const { setLocation, clearError, updateCurrentData } = airQualitySlice.actions;
+export const { setLocation, setAirQualityIndex, clearError, updateCurrentData } = airQualitySlice.actions;
 export default airQualitySlice.reducer;
\ No newline at end of file
@@ -48,10 +48,30 @@ export const fetchComprehensiveForecast = createAsyncThunk(
   }
 );
 
+export const fetchVerification = createAsyncThunk(
+  'forecast/fetchVerification',
+  async (params, { rejectWithValue }) => {
+    try {
+      const { lat, lng, days = 7, method } = params;
+      const methodQuery = method ? `&method=${method}` : '';
+      const response = await axios.get(`/api/forecast/verification?lat=${lat}&lng=${lng}&days=${days}${methodQuery}`);
+      return response.data;
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 
+                          error.response?.statusText || 
+                          error.message || 
+                          'Failed to fetch forecast verification';
+      return rejectWithValue(errorMessage);
+    }
+  }
+);
+
 const initialState = {
   forecastData: null,
   comprehensiveForecast: null,
   weatherData: null,
+  verification: null,
+  verificationError: null,
   loading: false,
   error: null,
   lastUpdated: null,
@@ -119,6 +139,17 @@ const forecastSlice = createSlice({
       .addCase(fetchComprehensiveForecast.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      // Fetch forecast verification; it does not block the forecast itself
+      .addCase(fetchVerification.pending, (state) => {
+        state.verificationError = null;
+      })
+      .addCase(fetchVerification.fulfilled, (state, action) => {
+        state.verification = action.payload.data;
+      })
+      .addCase(fetchVerification.rejected, (state, action) => {
+        state.verification = null;
+        state.verificationError = action.payload;
       });
   }
 });
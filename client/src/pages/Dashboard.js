@@ -28,7 +28,8 @@ const Dashboard = () => {
     openaqData,
     loading, 
     error, 
-    location 
+    location,
+    airQualityIndex
   } = useSelector(state => state.airQuality);
   
   const { comprehensiveForecast } = useSelector(state => state.forecast);
@@ -58,7 +59,7 @@ const Dashboard = () => {
       lon: location.lon,
       hours: 24
     }));
-  }, [dispatch, location.lat, location.lon]);
+  }, [dispatch, location.lat, location.lon, airQualityIndex]);
 
   useEffect(() => {
     // Initialize socket connection
@@ -95,81 +96,59 @@ const Dashboard = () => {
     return 'Hazardous';
   };
 
-  // Calculate AQI for individual pollutants using EPA formula
-    const calculatePollutantAQI = (concentration, pollutant) => {
-      const breakpoints = {
-        'PM2.5': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 12.0 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 12.1, concHigh: 35.4 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 150.4 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 150.5, concHigh: 250.4 },
-          { aqiLow: 301, aqiHigh: 400, concLow: 250.5, concHigh: 350.4 },
-          { aqiLow: 401, aqiHigh: 500, concLow: 350.5, concHigh: 500.4 }
-        ],
-        'PM10': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 154 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 155, concHigh: 254 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 255, concHigh: 354 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 355, concHigh: 424 },
-          { aqiLow: 301, aqiHigh: 400, concLow: 425, concHigh: 504 },
-          { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
-        ],
-        'O3': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 70 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 71, concHigh: 85 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 86, concHigh: 105 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 106, concHigh: 200 }
-        ],
-        'NO2': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 53 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 54, concHigh: 100 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 101, concHigh: 360 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 361, concHigh: 649 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 650, concHigh: 1249 },
-          { aqiLow: 301, aqiHigh: 400, concLow: 1250, concHigh: 1649 },
-          { aqiLow: 401, aqiHigh: 500, concLow: 1650, concHigh: 2049 }
-        ],
-        'SO2': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 35 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 36, concHigh: 75 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 76, concHigh: 185 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 186, concHigh: 304 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 305, concHigh: 604 }
-        ],
-        'CO': [
-          { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 4.4 },
-          { aqiLow: 51, aqiHigh: 100, concLow: 4.5, concHigh: 9.4 },
-          { aqiLow: 101, aqiHigh: 150, concLow: 9.5, concHigh: 12.4 },
-          { aqiLow: 151, aqiHigh: 200, concLow: 12.5, concHigh: 15.4 },
-          { aqiLow: 201, aqiHigh: 300, concLow: 15.5, concHigh: 30.4 },
-          { aqiLow: 301, aqiHigh: 400, concLow: 30.5, concHigh: 40.4 },
-          { aqiLow: 401, aqiHigh: 500, concLow: 40.5, concHigh: 50.4 }
-        ]
-      };
+  // Pollutant AQIs come from the server's shared AQI engine; pollutants
+  // without breakpoints (HCHO, columns) have none
+  const getPollutantAQI = (data) => (Number.isFinite(data.aqi) ? data.aqi : null);
 
-    const pollutantBreakpoints = breakpoints[pollutant];
-    if (!pollutantBreakpoints) return 0;
+  const getOverallAQI = (pollutants) => {
+    const values = Object.values(pollutants || {}).map(getPollutantAQI).filter(aqi => aqi !== null);
+    return values.length > 0 ? Math.max(...values) : 0;
+  };
 
-    // Find the appropriate breakpoint range
-    for (const bp of pollutantBreakpoints) {
-      if (concentration >= bp.concLow && concentration <= bp.concHigh) {
-        // Calculate AQI using EPA formula: AQI = ((I_high - I_low) / (C_high - C_low)) * (C - C_low) + I_low
-        const aqi = Math.round(
-          ((bp.aqiHigh - bp.aqiLow) / (bp.concHigh - bp.concLow)) * 
-          (concentration - bp.concLow) + bp.aqiLow
-        );
-        return Math.min(aqi, 500); // Cap at 500
-      }
-    }
-  
-    
+  // Ground values fused from several observations list what went into them
+  const describeFusion = (fusion) => fusion.observations
+    .map(observation => (observation.included
+      ? `${observation.source} ${observation.name || observation.station} (${observation.distance} km): ${observation.concentration} ${observation.unit}, weight ${Math.round(observation.weight * 100)}%`
+      : `${observation.source} ${observation.name || observation.station}: left out (${observation.reason})`))
+    .join('\n');
 
-    // If concentration is above the highest breakpoint, return 500
-    return 500;
-  };
+  // TEMPO columns (molecules/cm², DU) are not surface concentrations and have no AQI
+  const isColumnUnit = (unit) => unit === 'molecules/cm²' || unit === 'DU';
+
+  const formatTempoValue = (data) => (
+    isColumnUnit(data.unit) && data.concentration >= 1e6
+      ? data.concentration.toExponential(2)
+      : data.concentration
+  );
+
+  // The index chosen in Settings, drawn with its own scale and colors
+  const IndexBadge = ({ index }) => (
+    <div
+      className="px-6 py-4 rounded-lg text-gray-900"
+      style={{ backgroundColor: index.category ? index.category.color : '#F3F4F6' }}
+    >
+      <div className="text-4xl font-bold">{index.value !== null ? index.value : '–'}</div>
+      <div className="text-sm font-medium">
+        {index.category ? index.category.name : `Needs ${index.missing.join(', ') || 'more pollutants'}`}
+      </div>
+      <div className="text-xs mt-1">{index.name}</div>
+    </div>
+  );
+
+  const IndexScale = ({ index }) => (
+    <div className="mt-4 flex rounded overflow-hidden text-xs">
+      {index.scale.map(step => (
+        <div
+          key={step.key}
+          title={step.name}
+          className={`flex-1 text-center py-1 ${index.category && index.category.key === step.key ? 'font-bold ring-2 ring-gray-900' : ''}`}
+          style={{ backgroundColor: step.color }}
+        >
+          {step.key.length <= 3 ? step.key : step.name}
+        </div>
+      ))}
+    </div>
+  );
 
   const StatCard = ({ title, value, unit, icon: Icon, color = 'text-blue-600', bgColor = 'bg-blue-100' }) => (
     <div className="bg-white rounded-lg shadow p-6">
@@ -275,18 +254,25 @@ const Dashboard = () => {
             <div className="bg-white rounded-lg shadow p-6">
               <h2 className="text-xl font-semibold text-gray-900 mb-4">Current Air Quality Index</h2>
               {currentData ? (
-                <div className="flex items-center justify-between">
-                  <div className={`px-6 py-4 rounded-lg ${getAQIColor(currentData.aqi || 0)}`}>
-                    <div className="text-4xl font-bold">{currentData.aqi || 0}</div>
-                    <div className="text-sm font-medium">{getAQILevel(currentData.aqi || 0)}</div>
-                  </div>
-                  <div className="text-right">
-                    <p className="text-sm text-gray-600">Last updated</p>
-                    <p className="text-sm font-medium">
-                      {new Date(currentData.timestamp).toLocaleTimeString()}
-                    </p>
+                <>
+                  <div className="flex items-center justify-between">
+                    {currentData.index ? (
+                      <IndexBadge index={currentData.index} />
+                    ) : (
+                      <div className={`px-6 py-4 rounded-lg ${getAQIColor(currentData.aqi || 0)}`}>
+                        <div className="text-4xl font-bold">{currentData.aqi || 0}</div>
+                        <div className="text-sm font-medium">{getAQILevel(currentData.aqi || 0)}</div>
+                      </div>
+                    )}
+                    <div className="text-right">
+                      <p className="text-sm text-gray-600">Last updated</p>
+                      <p className="text-sm font-medium">
+                        {new Date(currentData.timestamp).toLocaleTimeString()}
+                      </p>
+                    </div>
                   </div>
-                </div>
+                  {currentData.index && <IndexScale index={currentData.index} />}
+                </>
               ) : (
                 <div className="text-center py-8 text-gray-500">
                   {loading ? 'Loading...' : 'No data available'}
@@ -341,12 +327,7 @@ const Dashboard = () => {
                 
                 {/* Calculate overall AQI */}
                 {(() => {
-                  const pollutantAQIs = [];
-                  Object.entries(currentData.pollutants).forEach(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
-                    pollutantAQIs.push(pollutantAQI);
-                  });
-                  const overallAQI = Math.max(...pollutantAQIs);
+                  const overallAQI = getOverallAQI(currentData.pollutants);
                   
                   return (
                     <div className="mb-6 p-4 bg-gradient-to-r from-blue-50 to-green-50 rounded-lg border-l-4 border-blue-400">
@@ -366,18 +347,23 @@ const Dashboard = () => {
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {Object.entries(currentData.pollutants).map(([pollutant, data]) => {
-                    // Calculate AQI for each pollutant
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
+                    const pollutantAQI = getPollutantAQI(data);
                     return (
                       <div key={pollutant} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
                         <span className="font-medium text-gray-700">{pollutant}</span>
                         <div className="text-right">
-                          <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getAQIColor(pollutantAQI)}`}>
-                            AQI {pollutantAQI}
+                          <div className={`px-3 py-1 rounded-full text-sm font-semibold ${pollutantAQI !== null ? getAQIColor(pollutantAQI) : 'text-gray-600 bg-gray-100'}`}>
+                            {pollutantAQI !== null ? `AQI ${pollutantAQI}` : 'No AQI'}
                           </div>
                           <div className="text-xs text-gray-500 mt-1">
                             {data.concentration} {data.unit}
+                            {data.average && ` · ${data.average.hours}-hour mean ${data.average.concentration} ${data.average.unit}`}
                           </div>
+                          {data.fusion && data.fusion.contributors > 1 && (
+                            <div className="text-xs text-gray-400 mt-1 cursor-help" title={describeFusion(data.fusion)}>
+                              Weighted from {data.fusion.contributors} observations
+                            </div>
+                          )}
                         </div>
                       </div>
                     );
@@ -401,12 +387,7 @@ const Dashboard = () => {
                 
                 {/* Calculate overall AQI for TEMPO data */}
                 {(() => {
-                  const tempoAQIs = [];
-                  Object.entries(tempoData.pollutants).forEach(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
-                    tempoAQIs.push(pollutantAQI);
-                  });
-                  const overallTempoAQI = Math.max(...tempoAQIs);
+                  const overallTempoAQI = getOverallAQI(tempoData.pollutants);
                   
                   return (
                     <div className="mb-6 p-4 bg-gradient-to-r from-purple-50 to-blue-50 rounded-lg border-l-4 border-purple-400">
@@ -426,17 +407,28 @@ const Dashboard = () => {
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {Object.entries(tempoData.pollutants).map(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
+                    const pollutantAQI = getPollutantAQI(data);
                     return (
                       <div key={pollutant} className="flex justify-between items-center p-3 bg-blue-50 rounded-lg">
                         <span className="font-medium text-gray-700">{pollutant}</span>
                         <div className="text-right">
-                          <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getAQIColor(pollutantAQI)}`}>
-                            AQI {pollutantAQI}
-                          </div>
+                          {pollutantAQI !== null ? (
+                            <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getAQIColor(pollutantAQI)}`}>
+                              AQI {pollutantAQI}
+                            </div>
+                          ) : (
+                            <div className="px-3 py-1 rounded-full text-sm font-semibold text-gray-600 bg-gray-100">
+                              {data.columnType === 'tropospheric' ? 'Tropospheric column' : 'Total column'}
+                            </div>
+                          )}
                           <div className="text-xs text-gray-500 mt-1">
-                            {data.concentration} {data.unit}
+                            {formatTempoValue(data)} {data.unit}
                           </div>
+                          {data.surfaceEstimate && data.column && (
+                            <div className="text-xs text-gray-400">
+                              est. from column {data.column.value.toExponential(2)} {data.column.unit}
+                            </div>
+                          )}
                         </div>
                       </div>
                     );
@@ -445,6 +437,20 @@ const Dashboard = () => {
                 <div className="mt-4 text-sm text-gray-600">
                   <p>Data Quality: {tempoData.dataQuality.confidence}</p>
                   <p>Resolution: {tempoData.dataQuality.resolution}</p>
+                  {tempoData.observationStatus && tempoData.observationStatus.state !== 'observed' && (
+                    <p className="text-amber-700">{tempoData.observationStatus.message}</p>
+                  )}
+                  {tempoData.derived?.ozoneRegime?.available && (
+                    <p>Ozone regime: {tempoData.derived.ozoneRegime.regime} (HCHO/NO2 {tempoData.derived.ozoneRegime.ratio})</p>
+                  )}
+                  {tempoData.observationStatus?.lastValidObservation && (
+                    <p>Last valid observation: {new Date(tempoData.observationStatus.lastValidObservation).toLocaleString()}</p>
+                  )}
+                  {tempoData.dataQuality.screening && Object.entries(tempoData.dataQuality.screening).map(([pollutant, summary]) => (
+                    <p key={pollutant}>
+                      {pollutant} pixels passing screening: {summary.pixelsPassed}/{summary.pixelsExamined}
+                    </p>
+                  ))}
                 </div>
               </div>
             )}
@@ -456,12 +462,7 @@ const Dashboard = () => {
                 
                 {/* Calculate overall AQI for OpenAQ data */}
                 {(() => {
-                  const openaqAQIs = [];
-                  Object.entries(openaqData.pollutants).forEach(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
-                    openaqAQIs.push(pollutantAQI);
-                  });
-                  const overallOpenAQAQI = Math.max(...openaqAQIs);
+                  const overallOpenAQAQI = getOverallAQI(openaqData.pollutants);
                   
                   return (
                     <div className="mb-6 p-4 bg-gradient-to-r from-green-50 to-blue-50 rounded-lg border-l-4 border-green-400">
@@ -481,13 +482,13 @@ const Dashboard = () => {
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                   {Object.entries(openaqData.pollutants).map(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
+                    const pollutantAQI = getPollutantAQI(data);
                     return (
                       <div key={pollutant} className="flex justify-between items-center p-3 bg-green-50 rounded-lg">
                         <span className="font-medium text-gray-700">{pollutant}</span>
                         <div className="text-right">
-                          <div className={`px-3 py-1 rounded-full text-sm font-semibold ${getAQIColor(pollutantAQI)}`}>
-                            AQI {pollutantAQI}
+                          <div className={`px-3 py-1 rounded-full text-sm font-semibold ${pollutantAQI !== null ? getAQIColor(pollutantAQI) : 'text-gray-600 bg-gray-100'}`}>
+                            {pollutantAQI !== null ? `AQI ${pollutantAQI}` : 'No AQI'}
                           </div>
                           <div className="text-xs text-gray-500 mt-1">
                             {data.concentration} {data.unit}
@@ -512,21 +513,8 @@ const Dashboard = () => {
                 
                 {/* Overall AQI Comparison */}
                 {(() => {
-                  const tempoAQIs = [];
-                  const openaqAQIs = [];
-                  
-                  Object.entries(tempoData.pollutants || {}).forEach(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
-                    tempoAQIs.push(pollutantAQI);
-                  });
-                  
-                  Object.entries(openaqData.pollutants || {}).forEach(([pollutant, data]) => {
-                    const pollutantAQI = data.aqi || calculatePollutantAQI(data.concentration, pollutant);
-                    openaqAQIs.push(pollutantAQI);
-                  });
-                  
-                  const overallTempoAQI = Math.max(...tempoAQIs);
-                  const overallOpenAQAQI = Math.max(...openaqAQIs);
+                  const overallTempoAQI = getOverallAQI(tempoData.pollutants);
+                  const overallOpenAQAQI = getOverallAQI(openaqData.pollutants);
                   const difference = Math.abs(overallTempoAQI - overallOpenAQAQI);
                   
                   return (
@@ -568,8 +556,8 @@ const Dashboard = () => {
                     
                     if (!tempoPollutantData && !openaqPollutantData) return null;
                     
-                    const tempoAQI = tempoPollutantData ? (tempoPollutantData.aqi || calculatePollutantAQI(tempoPollutantData.concentration, pollutant)) : null;
-                    const openaqAQI = openaqPollutantData ? (openaqPollutantData.aqi || calculatePollutantAQI(openaqPollutantData.concentration, pollutant)) : null;
+                    const tempoAQI = tempoPollutantData ? getPollutantAQI(tempoPollutantData) : null;
+                    const openaqAQI = openaqPollutantData ? getPollutantAQI(openaqPollutantData) : null;
                     
                     return (
                       <div key={pollutant} className="p-3 bg-gray-50 rounded-lg">
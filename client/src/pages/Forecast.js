@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { BarChart3, TrendingUp, Clock, RefreshCw, Filter, Download } from 'lucide-react';
-import { fetchComprehensiveForecast } from '../features/forecastSlice';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+import { fetchComprehensiveForecast, fetchVerification } from '../features/forecastSlice';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
 
 const Forecast = () => {
   const dispatch = useDispatch();
-  const { comprehensiveForecast, loading, error } = useSelector(state => state.forecast);
+  const { comprehensiveForecast, verification, verificationError, loading, error } = useSelector(state => state.forecast);
   const [selectedHours, setSelectedHours] = useState(24);
   const [selectedPollutant, setSelectedPollutant] = useState('PM2.5');
 
@@ -21,22 +25,45 @@ const Forecast = () => {
     fetchForecastData();
   }, [fetchForecastData]);
 
+  // Score the method behind the predictions shown for the selected pollutant
+  const displayedMethod = comprehensiveForecast?.pollutants?.[selectedPollutant]?.[0]?.method;
+
+  useEffect(() => {
+    if (!displayedMethod) return;
+    dispatch(fetchVerification({ lat: 40.7128, lng: -74.0060, method: displayedMethod }));
+  }, [dispatch, displayedMethod]);
+
   const getAQIColor = (aqi) => {
     if (aqi <= 50) return 'text-green-600 bg-green-100';
     if (aqi <= 100) return 'text-yellow-600 bg-yellow-100';
     if (aqi <= 150) return 'text-orange-600 bg-orange-100';
     if (aqi <= 200) return 'text-red-600 bg-red-100';
-    return 'text-purple-600 bg-purple-100';
+    if (aqi <= 300) return 'text-purple-600 bg-purple-100';
+    return 'text-red-800 bg-red-200';
   };
 
-  const getAQILevel = (aqi) => {
-    if (aqi <= 50) return 'Good';
-    if (aqi <= 100) return 'Moderate';
-    if (aqi <= 150) return 'Unhealthy for Sensitive';
-    if (aqi <= 200) return 'Unhealthy';
-    return 'Very Unhealthy';
+  // Forecast hours carry the category name from the server's AQI engine
+  const getAQILevel = (prediction) => prediction.category || prediction.level;
+
+  // Model behind the selected pollutant's forecast
+  const getModelLabel = () => {
+    const model = comprehensiveForecast?.models?.[selectedPollutant];
+    if (!model) return 'Statistical';
+    return model.trained ? `Ridge regression (${model.samples} samples)` : 'Statistical (model not trained yet)';
   };
 
+  const formatScore = (value, digits = 2) => (value === null || value === undefined ? '—' : Number(value).toFixed(digits));
+
+  // Errors of the verified forecasts by lead time, in the pollutant's unit
+  const getVerificationChart = (scores) => ({
+    labels: scores.byLead.map(lead => `+${lead.leadHours}h`),
+    datasets: [
+      { label: 'MAE', data: scores.byLead.map(lead => lead.mae), borderColor: '#2563eb', backgroundColor: '#2563eb' },
+      { label: 'RMSE', data: scores.byLead.map(lead => lead.rmse), borderColor: '#9333ea', backgroundColor: '#9333ea' },
+      { label: 'Bias', data: scores.byLead.map(lead => lead.bias), borderColor: '#f97316', backgroundColor: '#f97316' }
+    ]
+  });
+
   const getTrendIcon = (trend) => {
     switch (trend) {
       case 'improving': return <TrendingUp className="w-4 h-4 text-green-600" />;
@@ -123,6 +150,7 @@ const Forecast = () => {
                 <option value="NO2">NO2</option>
                 <option value="O3">O3</option>
                 <option value="SO2">SO2</option>
+                <option value="CO">CO</option>
               </select>
             </div>
           </div>
@@ -221,7 +249,7 @@ const Forecast = () => {
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getAQIColor(prediction.aqi)}`}>
-                              {getAQILevel(prediction.aqi)}
+                              {getAQILevel(prediction)}
                             </span>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -305,7 +333,7 @@ const Forecast = () => {
               <div className="space-y-3 text-sm text-gray-600">
                 <div className="flex justify-between">
                   <span>Model:</span>
-                  <span className="font-medium">Statistical ML</span>
+                  <span className="font-medium">{getModelLabel()}</span>
                 </div>
                 <div className="flex justify-between">
                   <span>Data Sources:</span>
@@ -315,11 +343,49 @@ const Forecast = () => {
                   <span>Update Frequency:</span>
                   <span className="font-medium">15 min</span>
                 </div>
-                <div className="flex justify-between">
-                  <span>Accuracy:</span>
-                  <span className="font-medium text-green-600">85%+</span>
-                </div>
               </div>
+
+              <h3 className="text-sm font-semibold text-gray-900 mt-6 mb-3">
+                {selectedPollutant} verification ({displayedMethod || 'no forecast'}, last 7 days)
+              </h3>
+              {(() => {
+                const scores = verification?.pollutants?.[selectedPollutant];
+                if (!scores || scores.overall.count === 0) {
+                  return (
+                    <p className="text-sm text-gray-500">
+                      {verificationError || 'No verified forecasts yet. Forecasts are scored once their hours have been observed.'}
+                    </p>
+                  );
+                }
+
+                return (
+                  <div className="space-y-3 text-sm text-gray-600">
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="flex justify-between"><span>MAE:</span><span className="font-medium">{formatScore(scores.overall.mae)} {scores.unit}</span></div>
+                      <div className="flex justify-between"><span>RMSE:</span><span className="font-medium">{formatScore(scores.overall.rmse)} {scores.unit}</span></div>
+                      <div className="flex justify-between"><span>Bias:</span><span className="font-medium">{formatScore(scores.overall.bias)} {scores.unit}</span></div>
+                      <div className="flex justify-between"><span>Correlation:</span><span className="font-medium">{formatScore(scores.overall.correlation)}</span></div>
+                      <div className="flex justify-between">
+                        <span>Category hits:</span>
+                        <span className="font-medium">
+                          {scores.overall.categoryHitRate === null ? '—' : `${Math.round(scores.overall.categoryHitRate * 100)}%`}
+                        </span>
+                      </div>
+                      <div className="flex justify-between"><span>Pairs:</span><span className="font-medium">{scores.overall.count}</span></div>
+                    </div>
+                    <div className="h-48">
+                      <Line
+                        data={getVerificationChart(scores)}
+                        options={{
+                          maintainAspectRatio: false,
+                          plugins: { legend: { position: 'bottom' } },
+                          scales: { y: { title: { display: true, text: scores.unit } } }
+                        }}
+                      />
+                    </div>
+                  </div>
+                );
+              })()}
             </div>
           </div>
         </div>
@@ -39,19 +39,19 @@ const MapView = () => {
                 <div className="space-y-2">
                   <div className="flex justify-between">
                     <span className="text-green-700">PM₂₅:</span>
-                    <span className="font-semibold text-green-900">15.2 μg/m³</span>
+                    <span className="font-semibold text-green-900">15.2 µg/m³</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-green-700">PM₁₀:</span>
-                    <span className="font-semibold text-green-900">28.5 μg/m³</span>
+                    <span className="font-semibold text-green-900">28.5 µg/m³</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-green-700">O₃:</span>
-                    <span className="font-semibold text-green-900">45.8 μg/m³</span>
+                    <span className="font-semibold text-green-900">23.4 ppb</span>
                   </div>
                   <div className="flex justify-between">
                     <span className="text-green-700">NO₂:</span>
-                    <span className="font-semibold text-green-900">12.3 μg/m³</span>
+                    <span className="font-semibold text-green-900">6.5 ppb</span>
                   </div>
                 </div>
                 <div className="mt-3 pt-3 border-t border-green-200">
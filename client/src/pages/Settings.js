@@ -1,7 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { MapPin, Bell, Database, Cloud, Settings, Save, RefreshCw, Download, Upload, Eye } from 'lucide-react';
-import { setLocation } from '../features/airQualitySlice';
+import { setLocation, setAirQualityIndex } from '../features/airQualitySlice';
+
+// Indices the server can report (GET /api/air-quality/indices)
+const AIR_QUALITY_INDICES = [
+  { id: 'epa', name: 'US EPA AQI (United States)' },
+  { id: 'aqhi', name: 'AQHI (Canada)' },
+  { id: 'caqi', name: 'CAQI (Europe)' },
+  { id: 'daqi', name: 'DAQI (United Kingdom)' },
+  { id: 'naqi', name: 'NAQI (India)' }
+];
 
 const SettingsPage = () => {
   const dispatch = useDispatch();
@@ -32,6 +41,7 @@ const SettingsPage = () => {
       theme: 'light',
       units: 'metric',
       language: 'en',
+      airQualityIndex: 'epa',
       showAdvanced: false
     }
   });
@@ -66,6 +76,7 @@ const SettingsPage = () => {
       
       // Update Redux store
       dispatch(setLocation(settings.location));
+      dispatch(setAirQualityIndex(settings.display.airQualityIndex || 'epa'));
       
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -104,6 +115,7 @@ const SettingsPage = () => {
         theme: 'light',
         units: 'metric',
         language: 'en',
+        airQualityIndex: 'epa',
         showAdvanced: false
       }
     };
@@ -430,6 +442,21 @@ const SettingsPage = () => {
                   </select>
                 </div>
                 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Air Quality Index
+                  </label>
+                  <select
+                    value={settings.display.airQualityIndex || 'epa'}
+                    onChange={(e) => handleSettingChange('display', 'airQualityIndex', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {AIR_QUALITY_INDICES.map(index => (
+                      <option key={index.id} value={index.id}>{index.name}</option>
+                    ))}
+                  </select>
+                </div>
+                
                 <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
                   <span className="font-medium text-gray-700">Show Advanced Options</span>
                   <input
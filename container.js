@@ -0,0 +1,141 @@
+const CacheService = require('./services/CacheService');
+const StorageService = require('./services/StorageService');
+const AirQualityService = require('./services/AirQualityService');
+const TempoDataService = require('./services/TempoDataService');
+const WeatherService = require('./services/WeatherService');
+const ForecastService = require('./services/ForecastService');
+const OpenAQService = require('./services/OpenAQService');
+const AirNowService = require('./services/AirNowService');
+const LowCostSensorService = require('./services/LowCostSensorService');
+const NotificationService = require('./services/NotificationService');
+const VerificationService = require('./services/VerificationService');
+
+class Container {
+  constructor() {
+    this.factories = new Map();
+    this.instances = new Map();
+    this.resolving = new Set();
+  }
+
+  /**
+   * Register how a service is built. The factory runs once, on first use.
+   * @param {string} name - Service name
+   * @param {Function} factory - Called with the container, returns the instance
+   * @returns {Container} This container
+   */
+  register(name, factory) {
+    this.factories.set(name, factory);
+    this.instances.delete(name);
+    return this;
+  }
+
+  /**
+   * Provide a ready-made instance, e.g. a fake in tests
+   * @param {string} name - Service name
+   * @param {*} instance - Service instance
+   * @returns {Container} This container
+   */
+  set(name, instance) {
+    this.instances.set(name, instance);
+    return this;
+  }
+
+  /**
+   * Check whether a service is registered or set
+   * @param {string} name - Service name
+   * @returns {boolean} True when available
+   */
+  has(name) {
+    return this.instances.has(name) || this.factories.has(name);
+  }
+
+  /**
+   * Get the single instance of a service, building it on first use
+   * @param {string} name - Service name
+   * @returns {*} Service instance
+   */
+  get(name) {
+    if (this.instances.has(name)) return this.instances.get(name);
+
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Service "${name}" is not registered`);
+    }
+    if (this.resolving.has(name)) {
+      throw new Error(`Circular dependency while building "${name}"`);
+    }
+
+    this.resolving.add(name);
+    try {
+      const instance = factory(this);
+      this.instances.set(name, instance);
+      return instance;
+    } finally {
+      this.resolving.delete(name);
+    }
+  }
+}
+
+/**
+ * Build the container used by the server. Services share one cache, and
+ * anything in `overrides` replaces the registered service of that name.
+ * @param {Object} options - Container options
+ * @param {Object} options.io - Socket.IO server (needed for notifications)
+ * @param {Object} options.overrides - Instances keyed by service name
+ * @returns {Container} Container
+ */
+function createContainer(options = {}) {
+  const container = new Container();
+
+  container
+    .register('io', () => options.io || null)
+    .register('cache', () => CacheService.getDefault())
+    .register('storageService', () => new StorageService())
+    .register('weatherService', c => new WeatherService({ cache: c.get('cache') }))
+    .register('airNowService', c => new AirNowService({
+      cache: c.get('cache'),
+      weatherService: c.get('weatherService')
+    }))
+    .register('airQualityService', c => new AirQualityService({
+      cache: c.get('cache'),
+      storageService: c.get('storageService'),
+      weatherService: c.get('weatherService'),
+      airNowService: c.get('airNowService'),
+      openAQService: c.get('openAQService'),
+      lowCostSensorService: c.get('lowCostSensorService')
+    }))
+    .register('openAQService', c => new OpenAQService({
+      cache: c.get('cache'),
+      weatherService: c.get('weatherService')
+    }))
+    .register('lowCostSensorService', c => new LowCostSensorService({
+      cache: c.get('cache'),
+      weatherService: c.get('weatherService'),
+      storageService: c.get('storageService')
+    }))
+    .register('tempoDataService', c => new TempoDataService({
+      cache: c.get('cache'),
+      weatherService: c.get('weatherService')
+    }))
+    .register('forecastService', c => new ForecastService({
+      cache: c.get('cache'),
+      storageService: c.get('storageService'),
+      verificationService: c.get('verificationService')
+    }))
+    .register('verificationService', c => new VerificationService({
+      storageService: c.get('storageService')
+    }))
+    .register('notificationService', c => {
+      const service = new NotificationService(c.get('io'));
+      service.setStorageService(c.get('storageService'));
+      return service;
+    });
+
+  Object.entries(options.overrides || {}).forEach(([name, instance]) => {
+    container.set(name, instance);
+  });
+
+  return container;
+}
+
+module.exports = { Container, createContainer };
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const predictionSchema = new mongoose.Schema({
+  validAt: { type: Date, required: true },
+  leadHours: { type: Number, required: true },
+  value: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * One issued forecast series for a pollutant at a location
+ */
+const forecastSchema = new mongoose.Schema({
+  pollutant: { type: String, required: true },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lng, lat]
+  },
+  issuedAt: { type: Date, required: true },
+  method: { type: String, default: null },
+  unit: { type: String, default: null },
+  predictions: { type: [predictionSchema], default: [] }
+}, {
+  timestamps: { createdAt: 'storedAt', updatedAt: false }
+});
+
+forecastSchema.index({ location: '2dsphere' });
+// Ensemble members are issued alongside the blend, so the method is part of the key
+forecastSchema.index(
+  { pollutant: 1, method: 1, 'location.coordinates': 1, issuedAt: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('Forecast', forecastSchema);
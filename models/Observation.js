@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * A single measured value at a location and time. `pollutant` also holds
+ * meteorological parameters (temperature, windSpeed, ...) for weather rows.
+ */
+const observationSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  pollutant: { type: String, required: true },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lng, lat]
+  },
+  timestamp: { type: Date, required: true },
+  value: { type: Number, required: true },
+  unit: { type: String, default: null },
+  quality: { type: String, default: null },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, {
+  timestamps: { createdAt: 'storedAt', updatedAt: false }
+});
+
+observationSchema.index({ location: '2dsphere' });
+observationSchema.index(
+  { source: 1, pollutant: 1, 'location.coordinates': 1, timestamp: 1 },
+  { unique: true }
+);
+observationSchema.index({ pollutant: 1, timestamp: -1 });
+
+module.exports = mongoose.model('Observation', observationSchema);
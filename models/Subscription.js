@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user's location-based notification subscription
+ */
+const subscriptionSchema = new mongoose.Schema({
+  userId: { type: String, required: true, unique: true },
+  location: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true } // [lng, lat]
+  },
+  radiusKm: { type: Number, default: 25 },
+  preferences: { type: mongoose.Schema.Types.Mixed, default: {} },
+  subscribedAt: { type: Date, default: Date.now },
+  lastNotification: { type: Date, default: null }
+});
+
+subscriptionSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,297 +1,397 @@
 const express = require('express');
-const router = express.Router();
-const AirQualityService = require('../services/AirQualityService');
+const aqiEngine = require('../services/aqi');
+const airQualityIndices = require('../services/aqi/indices');
 
-const airQualityService = new AirQualityService();
+// Longest observation window /stations serves
+const MAX_STATION_HOURS = 48;
 
 /**
- * GET /api/air-quality
- * Get current air quality data (root route)
+ * Create the air quality router
+ * @param {Container} container - Service container
+ * @returns {express.Router} Router
  */
-router.get('/', async (req, res) => {
-  try {
-    const { lat, lon, radius = 25 } = req.query;
-    
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+function createAirQualityRoutes(container) {
+  const router = express.Router();
+  const airQualityService = container.get('airQualityService');
+  const airNowService = container.get('airNowService');
+
+  /**
+   * GET /api/air-quality
+   * Get current air quality data (root route). `index` picks the air quality
+   * index reported in `data.index` (epa, aqhi, caqi, daqi or naqi).
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const { lat, lon, radius = 25, index } = req.query;
+
+      if (!lat || !lon) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const indexError = validateIndex(index);
+      if (indexError) {
+        return res.status(400).json(indexError);
+      }
+
+      const data = await airQualityService.getRealTimeAirQuality(
+        parseFloat(lat), 
+        parseFloat(lon)
+      );
+
+      res.json({
+        success: true,
+        data: withIndex(data, index),
+        parameters: {
+          lat: parseFloat(lat),
+          lon: parseFloat(lon),
+          radius: parseInt(radius),
+          index: index || airQualityIndices.DEFAULT_INDEX
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching air quality data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch air quality data',
+        message: error.message 
       });
     }
+  });
 
-    const data = await airQualityService.getRealTimeAirQuality(
-      parseFloat(lat), 
-      parseFloat(lon)
-    );
-    
-    res.json({
-      success: true,
-      data,
-      parameters: {
-        lat: parseFloat(lat),
-        lon: parseFloat(lon),
-        radius: parseInt(radius)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching air quality data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch air quality data',
-      message: error.message 
-    });
-  }
-});
+  /**
+   * GET /api/air-quality/current
+   * Get current ground-based air quality data. `aqiMethods` tells per pollutant
+   * whether its AQI is a NowCast, a 1-hour value or an instantaneous reading.
+   * `index` picks the air quality index reported in `data.index`.
+   */
+  router.get('/current', async (req, res) => {
+    try {
+      const { lat, lng, radius = 25, standard, index } = req.query;
 
-/**
- * GET /api/air-quality/current
- * Get current ground-based air quality data
- */
-router.get('/current', async (req, res) => {
-  try {
-    const { lat, lng, radius = 25 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const standardError = validateStandard(standard) || validateIndex(index);
+      if (standardError) {
+        return res.status(400).json(standardError);
+      }
+
+      const data = await airQualityService.getRealTimeAirQuality(
+        parseFloat(lat), 
+        parseFloat(lng),
+        { standard }
+      );
+
+      res.json({
+        success: true,
+        data: withIndex(data, index),
+        aqiMethods: Object.fromEntries(
+          Object.entries(data.pollutants || {}).map(([pollutant, reading]) => [pollutant, reading.aqiMethod || null])
+        ),
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radius: parseInt(radius),
+          standard: data.aqiStandard,
+          index: index || airQualityIndices.DEFAULT_INDEX
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching current air quality data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch current air quality data',
+        message: error.message
       });
     }
+  });
 
-    const data = await airQualityService.getRealTimeAirQuality(
-      parseFloat(lat), 
-      parseFloat(lng)
-    );
-    
-    res.json({
-      success: true,
-      data,
-      parameters: {
+  /**
+   * GET /api/air-quality/stations
+   * Get the AirNow monitoring sites near a location, nearest first, each with
+   * its AQS ID, coordinates, agency and per-parameter hourly observations
+   * over the last `hours` hours
+   */
+  router.get('/stations', async (req, res) => {
+    try {
+      const { lat, lng, radius = 50, hours = 12 } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const hourCount = parseInt(hours);
+      if (!Number.isInteger(hourCount) || hourCount < 1 || hourCount > MAX_STATION_HOURS) {
+        return res.status(400).json({
+          error: 'Invalid hours',
+          message: `hours must be between 1 and ${MAX_STATION_HOURS}`
+        });
+      }
+
+      // Unconfigured rather than failed: there is nothing to retry
+      if (!airNowService.apiKey) {
+        return res.status(503).json({
+          error: 'Station data unavailable',
+          message: 'The AirNow API key is not configured (set EPA_API_KEY)'
+        });
+      }
+
+      const data = await airNowService.getSites({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        radius: parseInt(radius)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching current air quality data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch current air quality data',
-      message: error.message
-    });
-  }
-});
+        radius: parseInt(radius),
+        hours: hourCount
+      });
 
-/**
- * GET /api/air-quality/stations
- * Get air quality monitoring stations near a location
- */
-router.get('/stations', async (req, res) => {
-  try {
-    const { lat, lng, radius = 50 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      res.json({
+        success: true,
+        stations: data.sites,
+        sources: ['EPA AirNow'],
+        window: data.window,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radius: parseInt(radius),
+          hours: hourCount
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching air quality stations:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch air quality stations',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/air-quality/aqi
+   * Get AQI information and health recommendations
+   */
+  router.get('/aqi', async (req, res) => {
+    try {
+      const { lat, lng, standard, index } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const standardError = validateStandard(standard) || validateIndex(index);
+      if (standardError) {
+        return res.status(400).json(standardError);
+      }
+
+      const data = await airQualityService.getRealTimeAirQuality(
+        parseFloat(lat), 
+        parseFloat(lng),
+        { standard }
+      );
+
+      // Without an indexable pollutant the AQI is unknown, not good
+      const aqi = data.aqi ?? null;
+      const category = aqiEngine.getCategory(aqi);
+      const aqiInfo = {
+        value: aqi,
+        level: data.overallQuality || 'unknown',
+        category: category
+          ? {
+            name: category.name,
+            color: category.color,
+            healthMessage: category.healthMessage
+          }
+          : null,
+        dominantPollutant: data.dominantPollutant || null,
+        healthRecommendations: getHealthRecommendations(aqi),
+        sensitiveGroups: getSensitiveGroupsInfo(aqi),
+        pollutants: data.pollutants || {},
+        index: withIndex(data, index).index
+      };
+
+      res.json({
+        success: true,
+        data: aqiInfo,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          standard: data.aqiStandard,
+          index: index || airQualityIndices.DEFAULT_INDEX
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching AQI information:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch AQI information',
+        message: error.message
       });
     }
+  });
 
-    const data = await airQualityService.fetchGroundBasedData({
-      lat: parseFloat(lat),
-      lng: parseFloat(lng),
-      radius: parseInt(radius)
+  /**
+   * GET /api/air-quality/aqi/scale
+   * Get the AQI categories and breakpoints every source is indexed with.
+   * `standard` selects a version, `date` the version in force at that time.
+   */
+  router.get('/aqi/scale', (req, res) => {
+    const { standard, date } = req.query;
+
+    const standardError = validateStandard(standard);
+    if (standardError) {
+      return res.status(400).json(standardError);
+    }
+    if (date && isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'date must be an ISO 8601 timestamp'
+      });
+    }
+
+    const version = aqiEngine.resolveStandardVersion({ standard, date });
+    const breakpoints = {};
+    aqiEngine.getSupportedPollutants({ standard: version.id }).forEach(pollutant => {
+      const standard = aqiEngine.getStandard(pollutant, { standard: version.id });
+      breakpoints[pollutant] = {
+        unit: standard.unit,
+        averaging: aqiEngine.getAveragingRequirement(pollutant),
+        truncateDecimals: standard.decimals,
+        tables: standard.tables
+      };
     });
-    
+
     res.json({
       success: true,
-      stations: data.stations || [],
-      sources: data.sources || [],
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        radius: parseInt(radius)
+      data: {
+        standard: {
+          id: version.id,
+          name: version.name,
+          effectiveFrom: version.effectiveFrom
+        },
+        standards: aqiEngine.getStandardVersions(),
+        categories: aqiEngine.CATEGORIES,
+        breakpoints
       },
       timestamp: new Date().toISOString()
     });
-  } catch (error) {
-    console.error('Error fetching air quality stations:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch air quality stations',
-      message: error.message
-    });
-  }
-});
-
-/**
- * GET /api/air-quality/aqi
- * Get AQI information and health recommendations
- */
-router.get('/aqi', async (req, res) => {
-  try {
-    const { lat, lng } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
-      });
-    }
+  });
 
-    const data = await airQualityService.getRealTimeAirQuality(
-      parseFloat(lat), 
-      parseFloat(lng)
-    );
-    
-    const aqiInfo = {
-      value: data.aqi || 0,
-      level: data.overallQuality || 'unknown',
-      healthRecommendations: getHealthRecommendations(data.aqi || 0),
-      sensitiveGroups: getSensitiveGroupsInfo(data.aqi || 0),
-      pollutants: data.pollutants || {}
-    };
-    
+  /**
+   * GET /api/air-quality/indices
+   * List the supported air quality indices with their scales and colors
+   */
+  router.get('/indices', (req, res) => {
     res.json({
       success: true,
-      data: aqiInfo,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng)
+      data: {
+        default: airQualityIndices.DEFAULT_INDEX,
+        indices: airQualityIndices.listIndices()
       },
       timestamp: new Date().toISOString()
     });
-  } catch (error) {
-    console.error('Error fetching AQI information:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch AQI information',
-      message: error.message
-    });
-  }
-});
+  });
 
-/**
- * GET /api/air-quality/trends
- * Get air quality trends for a location
- */
-router.get('/trends', async (req, res) => {
-  try {
-    const { lat, lng, days = 7 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+  /**
+   * GET /api/air-quality/trends
+   * Get air quality trends for a location
+   */
+  router.get('/trends', async (req, res) => {
+    try {
+      const { lat, lng, days = 7 } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      // For demo purposes, generate mock trend data
+      const trends = generateMockTrends(parseInt(days));
+
+      res.json({
+        success: true,
+        data: trends,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: parseInt(days)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching air quality trends:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch air quality trends',
+        message: error.message
       });
     }
+  });
 
-    // For demo purposes, generate mock trend data
-    const trends = generateMockTrends(parseInt(days));
-    
-    res.json({
-      success: true,
-      data: trends,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        days: parseInt(days)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching air quality trends:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch air quality trends',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/air-quality/alerts
+   * Get active air quality alerts for a location
+   */
+  router.get('/alerts', async (req, res) => {
+    try {
+      const { lat, lng } = req.query;
 
-/**
- * GET /api/air-quality/alerts
- * Get active air quality alerts for a location
- */
-router.get('/alerts', async (req, res) => {
-  try {
-    const { lat, lng } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const data = await airQualityService.getRealTimeAirQuality(
+        parseFloat(lat), 
+        parseFloat(lng)
+      );
+
+      const alerts = generateAlerts(data);
+
+      res.json({
+        success: true,
+        data: alerts,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching air quality alerts:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch air quality alerts',
+        message: error.message
       });
     }
+  });
 
-    const data = await airQualityService.getRealTimeAirQuality(
-      parseFloat(lat), 
-      parseFloat(lng)
-    );
-    
-    const alerts = generateAlerts(data);
-    
-    res.json({
-      success: true,
-      data: alerts,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching air quality alerts:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch air quality alerts',
-      message: error.message
-    });
-  }
-});
+  return router;
+}
 
 /**
  * Get health recommendations based on AQI
- * @param {number} aqi - AQI value
- * @returns {Array} Health recommendations
+ * @param {number|null} aqi - AQI value
+ * @returns {Array} Health recommendations; none when the AQI is unknown
  */
 function getHealthRecommendations(aqi) {
-  if (aqi <= 50) {
-    return [
-      'Air quality is good. Enjoy outdoor activities.',
-      'No health impacts expected for the general population.'
-    ];
-  } else if (aqi <= 100) {
-    return [
-      'Air quality is acceptable for most people.',
-      'Sensitive individuals may experience minor symptoms.',
-      'Consider reducing prolonged outdoor exertion if you are sensitive.'
-    ];
-  } else if (aqi <= 150) {
-    return [
-      'Sensitive groups should reduce prolonged outdoor exertion.',
-      'Children and elderly should limit outdoor activities.',
-      'People with heart or lung disease should avoid outdoor activities.'
-    ];
-  } else if (aqi <= 200) {
-    return [
-      'Everyone should avoid prolonged outdoor exertion.',
-      'Sensitive groups should avoid outdoor activities.',
-      'Consider using air purifiers indoors.',
-      'Keep windows closed and use air conditioning if available.'
-    ];
-  } else if (aqi <= 300) {
-    return [
-      'Avoid all outdoor activities.',
-      'Stay indoors with windows closed.',
-      'Use air purifiers and masks if going outside.',
-      'Consider evacuating if possible.'
-    ];
-  } else {
-    return [
-      'EMERGENCY CONDITIONS: Avoid all outdoor activities.',
-      'Stay indoors with windows closed.',
-      'Use air purifiers and masks if going outside.',
-      'Consider evacuating the area if possible.',
-      'Follow emergency instructions from local authorities.'
-    ];
-  }
+  const category = aqiEngine.getCategory(aqi);
+  return category ? category.recommendations : [];
 }
 
 /**
  * Get sensitive groups information
- * @param {number} aqi - AQI value
- * @returns {Object} Sensitive groups information
+ * @param {number|null} aqi - AQI value
+ * @returns {Object} Sensitive groups information; the risk level is 'unknown'
+ *   without an AQI
  */
 function getSensitiveGroupsInfo(aqi) {
   const groups = [
@@ -303,6 +403,10 @@ function getSensitiveGroupsInfo(aqi) {
     'Pregnant women'
   ];
 
+  if (aqi === null) {
+    return { groups, riskLevel: 'unknown', recommendations: [] };
+  }
+
   let riskLevel = 'low';
   if (aqi > 100) riskLevel = 'moderate';
   if (aqi > 150) riskLevel = 'high';
@@ -355,7 +459,7 @@ function generateMockTrends(days) {
       trends.pollutants[pollutant].push({
         date: date.toISOString().split('T')[0],
         concentration: Math.round(aqi * 0.3 + Math.random() * 10),
-        unit: pollutant.includes('PM') ? 'μg/m³' : 'ppb'
+        unit: pollutant.includes('PM') ? 'µg/m³' : 'ppb'
       });
     });
   }
@@ -405,12 +509,48 @@ function generateAlerts(data) {
  * @returns {string} AQI level
  */
 function getAQILevel(aqi) {
-  if (aqi <= 50) return 'Good';
-  if (aqi <= 100) return 'Moderate';
-  if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
-  if (aqi <= 200) return 'Unhealthy';
-  if (aqi <= 300) return 'Very Unhealthy';
-  return 'Hazardous';
+  return aqiEngine.getCategory(aqi).name;
+}
+
+/**
+ * Check a requested AQI standard version
+ * @param {string} standard - Version id from the query, if any
+ * @returns {Object|null} Error response body, or null when valid or absent
+ */
+function validateStandard(standard) {
+  if (!standard || aqiEngine.findStandardVersion(standard)) return null;
+
+  return {
+    error: 'Unknown AQI standard',
+    message: `standard must be one of: ${aqiEngine.getStandardVersions().map(v => v.id).join(', ')}`
+  };
+}
+
+/**
+ * Check a requested air quality index
+ * @param {string} index - Index id from the query, if any
+ * @returns {Object|null} Error response body, or null when valid or absent
+ */
+function validateIndex(index) {
+  if (!index || airQualityIndices.getIndex(index)) return null;
+
+  return {
+    error: 'Unknown air quality index',
+    message: `index must be one of: ${airQualityIndices.listIndices().map(i => i.id).join(', ')}`
+  };
+}
+
+/**
+ * Add the requested air quality index to current data
+ * @param {Object} data - Result of AirQualityService.getRealTimeAirQuality
+ * @param {string} index - Index id (defaults to the US EPA AQI)
+ * @returns {Object} Data with an `index` block
+ */
+function withIndex(data, index) {
+  return {
+    ...data,
+    index: airQualityIndices.calculateIndex(index, data.pollutants, { standard: data.aqiStandard })
+  };
 }
 
-module.exports = router;
+module.exports = createAirQualityRoutes;
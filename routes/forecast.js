@@ -1,313 +1,463 @@
 const express = require('express');
-const router = express.Router();
-const ForecastService = require('../services/ForecastService');
-const TempoDataService = require('../services/TempoDataService');
-const AirQualityService = require('../services/AirQualityService');
-const WeatherService = require('../services/WeatherService');
+const { FORECAST_POLLUTANTS, FORECAST_METHODS, PREDICTION_METHODS } = require('../services/ForecastService');
 
-const forecastService = new ForecastService();
-const tempoService = new TempoDataService();
-const airQualityService = new AirQualityService();
-const weatherService = new WeatherService();
-
-// Initialize forecast service
-forecastService.initializeModels();
+// Longest period /verification looks back over
+const MAX_VERIFICATION_DAYS = 90;
 
 /**
- * GET /api/forecast
- * Get air quality forecast (root route)
+ * Create the forecast router
+ * @param {Container} container - Service container
+ * @returns {express.Router} Router
  */
-router.get('/', async (req, res) => {
-  try {
-    const { lat, lon, hours = 24 } = req.query;
-    
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
-      });
-    }
+function createForecastRoutes(container) {
+  const router = express.Router();
+  const forecastService = container.get('forecastService');
+  const tempoService = container.get('tempoDataService');
+  const airQualityService = container.get('airQualityService');
+  const weatherService = container.get('weatherService');
+  const verificationService = container.get('verificationService');
 
-    const data = await forecastService.generateForecasts({
-      lat: parseFloat(lat), 
-      lng: parseFloat(lon),
-      hours: parseInt(hours)
-    });
-    
-    res.json({
-      success: true,
-      data,
-      parameters: {
-        lat: parseFloat(lat),
-        lon: parseFloat(lon),
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching forecast data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch forecast data',
-      message: error.message 
-    });
-  }
-});
+  /**
+   * GET /api/forecast
+   * Get air quality forecast (root route)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const { lat, lon, hours = 24, method = 'model' } = req.query;
 
-/**
- * GET /api/forecast/comprehensive
- * Get comprehensive air quality forecast
- */
-router.get('/comprehensive', async (req, res) => {
-  try {
-    const { lat, lng, hours = 24 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lon) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + FORECAST_METHODS.join(', ')
+        });
+      }
+
+      const data = await forecastService.generateForecasts({
+        lat: parseFloat(lat), 
+        lng: parseFloat(lon),
+        hours: parseInt(hours),
+        method
+      });
+
+      res.json({
+        success: true,
+        data,
+        parameters: {
+          lat: parseFloat(lat),
+          lon: parseFloat(lon),
+          hours: parseInt(hours),
+          method
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching forecast data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch forecast data',
+        message: error.message 
       });
     }
+  });
 
-    // Fetch data from all sources in parallel
-    const [tempoData, groundData, weatherData] = await Promise.allSettled([
-      tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
-      airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
-      weatherService.fetchWeatherData({
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        days: Math.ceil(parseInt(hours) / 24)
-      })
-    ]);
-
-    // Generate comprehensive forecast
-    const forecast = await forecastService.generateForecasts({
-      lat: parseFloat(lat),
-      lng: parseFloat(lng),
-      hours: parseInt(hours),
-      tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
-      groundData: groundData.status === 'fulfilled' ? groundData.value : null,
-      weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
-    });
-    
-    res.json({
-      success: true,
-      data: forecast,
-      parameters: {
+  /**
+   * GET /api/forecast/comprehensive
+   * Get comprehensive air quality forecast
+   */
+  router.get('/comprehensive', async (req, res) => {
+    try {
+      const { lat, lng, hours = 24, method = 'model' } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + FORECAST_METHODS.join(', ')
+        });
+      }
+
+      // Fetch data from all sources in parallel
+      const [tempoData, groundData, weatherData] = await Promise.allSettled([
+        tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
+        airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
+        weatherService.fetchWeatherData({
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: Math.ceil(parseInt(hours) / 24)
+        })
+      ]);
+
+      if (tempoData.status === 'fulfilled' && groundData.status === 'fulfilled') {
+        tempoService.recordGroundCollocation(tempoData.value, groundData.value);
+      }
+
+      // Generate comprehensive forecast
+      const forecast = await forecastService.generateForecasts({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating comprehensive forecast:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate comprehensive forecast',
-      message: error.message
-    });
-  }
-});
-
-/**
- * GET /api/forecast/pollutant
- * Get forecast for specific pollutant
- */
-router.get('/pollutant', async (req, res) => {
-  try {
-    const { lat, lng, pollutant, hours = 24 } = req.query;
-    
-    if (!lat || !lng || !pollutant) {
-      return res.status(400).json({ 
-        error: 'Latitude, longitude, and pollutant are required' 
+        hours: parseInt(hours),
+        method,
+        tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
+        groundData: groundData.status === 'fulfilled' ? groundData.value : null,
+        weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
       });
-    }
 
-    const validPollutants = ['NO2', 'O3', 'SO2', 'HCHO', 'PM2.5', 'PM10'];
-    if (!validPollutants.includes(pollutant)) {
-      return res.status(400).json({ 
-        error: 'Invalid pollutant. Must be one of: ' + validPollutants.join(', ')
+      res.json({
+        success: true,
+        data: forecast,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          hours: parseInt(hours),
+          method
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error generating comprehensive forecast:', error);
+      res.status(500).json({ 
+        error: 'Failed to generate comprehensive forecast',
+        message: error.message
       });
     }
+  });
 
-    // Fetch data from all sources
-    const [tempoData, groundData, weatherData] = await Promise.allSettled([
-      tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
-      airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
-      weatherService.fetchWeatherData({
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        days: Math.ceil(parseInt(hours) / 24)
-      })
-    ]);
-
-    // Generate forecast
-    const forecast = await forecastService.generateForecasts({
-      lat: parseFloat(lat),
-      lng: parseFloat(lng),
-      hours: parseInt(hours),
-      tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
-      groundData: groundData.status === 'fulfilled' ? groundData.value : null,
-      weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
-    });
-
-    // Extract specific pollutant forecast
-    const pollutantForecast = {
-      pollutant,
-      forecast: forecast.pollutants[pollutant] || [],
-      confidence: forecast.confidence[pollutant] || [],
-      alerts: forecast.alerts.filter(alert => 
-        alert.type === 'pollutant-warning' && alert.pollutant === pollutant
-      ),
-      recommendations: forecast.recommendations.filter(rec => 
-        rec.pollutant === pollutant
-      )
-    };
-    
-    res.json({
-      success: true,
-      data: pollutantForecast,
-      parameters: {
+  /**
+   * GET /api/forecast/pollutant
+   * Get forecast for specific pollutant
+   */
+  router.get('/pollutant', async (req, res) => {
+    try {
+      const { lat, lng, pollutant, hours = 24, method = 'model' } = req.query;
+
+      if (!lat || !lng || !pollutant) {
+        return res.status(400).json({ 
+          error: 'Latitude, longitude, and pollutant are required' 
+        });
+      }
+
+      if (!FORECAST_POLLUTANTS.includes(pollutant)) {
+        return res.status(400).json({ 
+          error: 'Invalid pollutant. Must be one of: ' + FORECAST_POLLUTANTS.join(', ')
+        });
+      }
+
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + FORECAST_METHODS.join(', ')
+        });
+      }
+
+      // Fetch data from all sources
+      const [tempoData, groundData, weatherData] = await Promise.allSettled([
+        tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
+        airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
+        weatherService.fetchWeatherData({
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: Math.ceil(parseInt(hours) / 24)
+        })
+      ]);
+
+      if (tempoData.status === 'fulfilled' && groundData.status === 'fulfilled') {
+        tempoService.recordGroundCollocation(tempoData.value, groundData.value);
+      }
+
+      // Generate forecast
+      const forecast = await forecastService.generateForecasts({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
+        hours: parseInt(hours),
+        method,
+        tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
+        groundData: groundData.status === 'fulfilled' ? groundData.value : null,
+        weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
+      });
+
+      // Extract specific pollutant forecast
+      const pollutantForecast = {
         pollutant,
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating pollutant forecast:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate pollutant forecast',
-      message: error.message
-    });
-  }
-});
+        forecast: forecast.pollutants[pollutant] || [],
+        confidence: forecast.confidence[pollutant] || [],
+        alerts: forecast.alerts.filter(alert => 
+          alert.type === 'pollutant-warning' && alert.pollutant === pollutant
+        ),
+        recommendations: forecast.recommendations.filter(rec => 
+          rec.pollutant === pollutant
+        )
+      };
 
-/**
- * GET /api/forecast/aqi
- * Get AQI forecast
- */
-router.get('/aqi', async (req, res) => {
-  try {
-    const { lat, lng, hours = 24 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      res.json({
+        success: true,
+        data: pollutantForecast,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          pollutant,
+          hours: parseInt(hours),
+          method
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error generating pollutant forecast:', error);
+      res.status(500).json({ 
+        error: 'Failed to generate pollutant forecast',
+        message: error.message
       });
     }
+  });
 
-    // Fetch data from all sources
-    const [tempoData, groundData, weatherData] = await Promise.allSettled([
-      tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
-      airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
-      weatherService.fetchWeatherData({
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        days: Math.ceil(parseInt(hours) / 24)
-      })
-    ]);
-
-    // Generate forecast
-    const forecast = await forecastService.generateForecasts({
-      lat: parseFloat(lat),
-      lng: parseFloat(lng),
-      hours: parseInt(hours),
-      tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
-      groundData: groundData.status === 'fulfilled' ? groundData.value : null,
-      weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
-    });
-
-    // Extract AQI forecast
-    const aqiForecast = {
-      forecast: forecast.aqi || [],
-      alerts: forecast.alerts.filter(alert => 
-        alert.type === 'high-aqi' || alert.type === 'aqi-warning' || 
-        alert.type === 'aqi-critical' || alert.type === 'aqi-emergency'
-      ),
-      recommendations: forecast.recommendations || [],
-      summary: generateAQISummary(forecast.aqi || [])
-    };
-    
-    res.json({
-      success: true,
-      data: aqiForecast,
-      parameters: {
+  /**
+   * GET /api/forecast/aqi
+   * Get AQI forecast
+   */
+  router.get('/aqi', async (req, res) => {
+    try {
+      const { lat, lng, hours = 24, method = 'model' } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + FORECAST_METHODS.join(', ')
+        });
+      }
+
+      // Fetch data from all sources
+      const [tempoData, groundData, weatherData] = await Promise.allSettled([
+        tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
+        airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
+        weatherService.fetchWeatherData({
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: Math.ceil(parseInt(hours) / 24)
+        })
+      ]);
+
+      if (tempoData.status === 'fulfilled' && groundData.status === 'fulfilled') {
+        tempoService.recordGroundCollocation(tempoData.value, groundData.value);
+      }
+
+      // Generate forecast
+      const forecast = await forecastService.generateForecasts({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating AQI forecast:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate AQI forecast',
-      message: error.message
-    });
-  }
-});
+        hours: parseInt(hours),
+        method,
+        tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
+        groundData: groundData.status === 'fulfilled' ? groundData.value : null,
+        weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
+      });
 
-/**
- * GET /api/forecast/alerts
- * Get forecast-based alerts
- */
-router.get('/alerts', async (req, res) => {
-  try {
-    const { lat, lng, hours = 24 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      // Extract AQI forecast
+      const aqiForecast = {
+        forecast: forecast.aqi || [],
+        alerts: forecast.alerts.filter(alert => 
+          alert.type === 'high-aqi' || alert.type === 'aqi-warning' || 
+          alert.type === 'aqi-critical' || alert.type === 'aqi-emergency'
+        ),
+        recommendations: forecast.recommendations || [],
+        summary: generateAQISummary(forecast.aqi || [])
+      };
+
+      res.json({
+        success: true,
+        data: aqiForecast,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          hours: parseInt(hours),
+          method
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error generating AQI forecast:', error);
+      res.status(500).json({ 
+        error: 'Failed to generate AQI forecast',
+        message: error.message
       });
     }
+  });
 
-    // Fetch data from all sources
-    const [tempoData, groundData, weatherData] = await Promise.allSettled([
-      tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
-      airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
-      weatherService.fetchWeatherData({
+  /**
+   * GET /api/forecast/alerts
+   * Get forecast-based alerts
+   */
+  router.get('/alerts', async (req, res) => {
+    try {
+      const { lat, lng, hours = 24, method = 'model' } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      if (!FORECAST_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + FORECAST_METHODS.join(', ')
+        });
+      }
+
+      // Fetch data from all sources
+      const [tempoData, groundData, weatherData] = await Promise.allSettled([
+        tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng)),
+        airQualityService.getRealTimeAirQuality(parseFloat(lat), parseFloat(lng)),
+        weatherService.fetchWeatherData({
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: Math.ceil(parseInt(hours) / 24)
+        })
+      ]);
+
+      if (tempoData.status === 'fulfilled' && groundData.status === 'fulfilled') {
+        tempoService.recordGroundCollocation(tempoData.value, groundData.value);
+      }
+
+      // Generate forecast
+      const forecast = await forecastService.generateForecasts({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        days: Math.ceil(parseInt(hours) / 24)
-      })
-    ]);
-
-    // Generate forecast
-    const forecast = await forecastService.generateForecasts({
-      lat: parseFloat(lat),
-      lng: parseFloat(lng),
-      hours: parseInt(hours),
-      tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
-      groundData: groundData.status === 'fulfilled' ? groundData.value : null,
-      weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
-    });
-
-    // Categorize alerts
-    const alerts = {
-      critical: forecast.alerts.filter(alert => alert.severity === 'critical' || alert.severity === 'emergency'),
-      warning: forecast.alerts.filter(alert => alert.severity === 'warning'),
-      info: forecast.alerts.filter(alert => alert.severity === 'info'),
-      total: forecast.alerts.length,
-      summary: generateAlertSummary(forecast.alerts)
-    };
-    
-    res.json({
-      success: true,
-      data: alerts,
-      parameters: {
+        hours: parseInt(hours),
+        method,
+        tempoData: tempoData.status === 'fulfilled' ? tempoData.value : null,
+        groundData: groundData.status === 'fulfilled' ? groundData.value : null,
+        weatherData: weatherData.status === 'fulfilled' ? weatherData.value : null
+      });
+
+      // Categorize alerts
+      const alerts = {
+        critical: forecast.alerts.filter(alert => alert.severity === 'critical' || alert.severity === 'emergency'),
+        warning: forecast.alerts.filter(alert => alert.severity === 'warning'),
+        info: forecast.alerts.filter(alert => alert.severity === 'info'),
+        total: forecast.alerts.length,
+        summary: generateAlertSummary(forecast.alerts)
+      };
+
+      res.json({
+        success: true,
+        data: alerts,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          hours: parseInt(hours),
+          method
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error generating forecast alerts:', error);
+      res.status(500).json({ 
+        error: 'Failed to generate forecast alerts',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/forecast/verification
+   * Score the forecasts issued near a location over the last `days` days
+   * against the observations that arrived since: bias, MAE, RMSE,
+   * correlation and AQI-category hit rate per pollutant, overall, per lead
+   * time and per forecast location
+   * Query parameters:
+   * - lat, lng: location
+   * - radius: search radius in kilometers (optional, default: 25)
+   * - days: days of issued forecasts (optional, default: 7, at most 90)
+   * - pollutant: a single pollutant (optional, default: all)
+   * - method: forecasts of a single prediction method, e.g. the `method` of
+   *   the predictions shown (optional, default: all)
+   */
+  router.get('/verification', async (req, res) => {
+    try {
+      const { lat, lng, radius = 25, days = 7, pollutant, method } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      if (pollutant && !FORECAST_POLLUTANTS.includes(pollutant)) {
+        return res.status(400).json({ 
+          error: 'Invalid pollutant. Must be one of: ' + FORECAST_POLLUTANTS.join(', ')
+        });
+      }
+
+      if (method && !PREDICTION_METHODS.includes(method)) {
+        return res.status(400).json({
+          error: 'Invalid method. Must be one of: ' + PREDICTION_METHODS.join(', ')
+        });
+      }
+
+      const dayCount = parseInt(days);
+      if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_VERIFICATION_DAYS) {
+        return res.status(400).json({
+          error: 'Invalid days',
+          message: `days must be between 1 and ${MAX_VERIFICATION_DAYS}`
+        });
+      }
+
+      const end = new Date();
+      const start = new Date(end.getTime() - dayCount * 24 * 60 * 60 * 1000);
+      const data = await verificationService.verify({
         lat: parseFloat(lat),
         lng: parseFloat(lng),
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating forecast alerts:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate forecast alerts',
-      message: error.message
-    });
-  }
-});
+        radiusKm: parseFloat(radius),
+        start,
+        end,
+        pollutants: pollutant ? [pollutant] : FORECAST_POLLUTANTS,
+        method
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...data,
+          window: { start: start.toISOString(), end: end.toISOString() }
+        },
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radius: parseFloat(radius),
+          days: dayCount,
+          pollutant: pollutant || null,
+          method: method || null
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.statusCode === 503) {
+        return res.status(503).json({
+          error: 'Forecast verification unavailable',
+          message: error.message
+        });
+      }
+
+      console.error('Error verifying forecasts:', error);
+      res.status(500).json({ 
+        error: 'Failed to verify forecasts',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
 
 /**
  * Generate AQI summary
@@ -392,4 +542,4 @@ function generateAlertSummary(alerts) {
   return summary;
 }
 
-module.exports = router;
+module.exports = createForecastRoutes;
@@ -1,277 +1,240 @@
 const express = require('express');
-const router = express.Router();
-const NotificationService = require('../services/NotificationService');
-
-// This will be injected by the main server
-let notificationService = null;
 
 /**
- * Set notification service instance
- * @param {NotificationService} service - Notification service instance
+ * Create the notification router
+ * @param {Container} container - Service container
+ * @returns {express.Router} Router
  */
-function setNotificationService(service) {
-  notificationService = service;
-}
+function createNotificationRoutes(container) {
+  const router = express.Router();
+  const notificationService = container.get('notificationService');
 
-/**
- * POST /api/notifications/subscribe
- * Subscribe to location-based notifications
- */
-router.post('/subscribe', async (req, res) => {
-  try {
-    const { userId, location, preferences } = req.body;
-    
-    if (!userId || !location || !location.lat || !location.lng) {
-      return res.status(400).json({ 
-        error: 'User ID and location (lat, lng) are required' 
-      });
-    }
+  /**
+   * POST /api/notifications/subscribe
+   * Subscribe to location-based notifications
+   */
+  router.post('/subscribe', async (req, res) => {
+    try {
+      const { userId, location, preferences } = req.body;
 
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
-      });
-    }
+      if (!userId || !location || !location.lat || !location.lng) {
+        return res.status(400).json({ 
+          error: 'User ID and location (lat, lng) are required' 
+        });
+      }
 
-    notificationService.subscribeToLocation(userId, location, preferences);
-    
-    res.json({
-      success: true,
-      message: 'Successfully subscribed to notifications',
-      data: {
-        userId,
-        location,
-        preferences: preferences || {}
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error subscribing to notifications:', error);
-    res.status(500).json({ 
-      error: 'Failed to subscribe to notifications',
-      message: error.message
-    });
-  }
-});
+      notificationService.subscribeToLocation(userId, location, preferences);
 
-/**
- * DELETE /api/notifications/unsubscribe
- * Unsubscribe from notifications
- */
-router.delete('/unsubscribe', async (req, res) => {
-  try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'User ID is required' 
+      res.json({
+        success: true,
+        message: 'Successfully subscribed to notifications',
+        data: {
+          userId,
+          location,
+          preferences: preferences || {}
+        },
+        timestamp: new Date().toISOString()
       });
-    }
-
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
+    } catch (error) {
+      console.error('Error subscribing to notifications:', error);
+      res.status(500).json({ 
+        error: 'Failed to subscribe to notifications',
+        message: error.message
       });
     }
+  });
 
-    notificationService.unsubscribeFromLocation(userId);
-    
-    res.json({
-      success: true,
-      message: 'Successfully unsubscribed from notifications',
-      data: { userId },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error unsubscribing from notifications:', error);
-    res.status(500).json({ 
-      error: 'Failed to unsubscribe from notifications',
-      message: error.message
-    });
-  }
-});
+  /**
+   * DELETE /api/notifications/unsubscribe
+   * Unsubscribe from notifications
+   */
+  router.delete('/unsubscribe', async (req, res) => {
+    try {
+      const { userId } = req.body;
 
-/**
- * PUT /api/notifications/preferences
- * Update notification preferences
- */
-router.put('/preferences', async (req, res) => {
-  try {
-    const { userId, preferences } = req.body;
-    
-    if (!userId || !preferences) {
-      return res.status(400).json({ 
-        error: 'User ID and preferences are required' 
-      });
-    }
+      if (!userId) {
+        return res.status(400).json({ 
+          error: 'User ID is required' 
+        });
+      }
 
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
+      notificationService.unsubscribeFromLocation(userId);
+
+      res.json({
+        success: true,
+        message: 'Successfully unsubscribed from notifications',
+        data: { userId },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error unsubscribing from notifications:', error);
+      res.status(500).json({ 
+        error: 'Failed to unsubscribe from notifications',
+        message: error.message
       });
     }
+  });
 
-    notificationService.updatePreferences(userId, preferences);
-    
-    res.json({
-      success: true,
-      message: 'Successfully updated notification preferences',
-      data: {
-        userId,
-        preferences
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error updating notification preferences:', error);
-    res.status(500).json({ 
-      error: 'Failed to update notification preferences',
-      message: error.message
-    });
-  }
-});
+  /**
+   * PUT /api/notifications/preferences
+   * Update notification preferences
+   */
+  router.put('/preferences', async (req, res) => {
+    try {
+      const { userId, preferences } = req.body;
 
-/**
- * GET /api/notifications/history
- * Get notification history for user
- */
-router.get('/history', async (req, res) => {
-  try {
-    const { userId, limit = 50 } = req.query;
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'User ID is required' 
-      });
-    }
+      if (!userId || !preferences) {
+        return res.status(400).json({ 
+          error: 'User ID and preferences are required' 
+        });
+      }
 
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
+      notificationService.updatePreferences(userId, preferences);
+
+      res.json({
+        success: true,
+        message: 'Successfully updated notification preferences',
+        data: {
+          userId,
+          preferences
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      res.status(500).json({ 
+        error: 'Failed to update notification preferences',
+        message: error.message
       });
     }
+  });
 
-    const history = notificationService.getNotificationHistory(userId, parseInt(limit));
-    
-    res.json({
-      success: true,
-      data: history,
-      parameters: {
-        userId,
-        limit: parseInt(limit)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching notification history:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch notification history',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/notifications/history
+   * Get notification history for user
+   */
+  router.get('/history', async (req, res) => {
+    try {
+      const { userId, limit = 50 } = req.query;
 
-/**
- * GET /api/notifications/stats
- * Get notification statistics
- */
-router.get('/stats', async (req, res) => {
-  try {
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
+      if (!userId) {
+        return res.status(400).json({ 
+          error: 'User ID is required' 
+        });
+      }
+
+      const history = notificationService.getNotificationHistory(userId, parseInt(limit));
+
+      res.json({
+        success: true,
+        data: history,
+        parameters: {
+          userId,
+          limit: parseInt(limit)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching notification history:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch notification history',
+        message: error.message
       });
     }
+  });
 
-    const stats = notificationService.getNotificationStats();
-    
-    res.json({
-      success: true,
-      data: stats,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching notification stats:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch notification statistics',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/notifications/stats
+   * Get notification statistics
+   */
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = notificationService.getNotificationStats();
 
-/**
- * POST /api/notifications/test
- * Send test notification
- */
-router.post('/test', async (req, res) => {
-  try {
-    const { userId } = req.body;
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'User ID is required' 
+      res.json({
+        success: true,
+        data: stats,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching notification stats:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch notification statistics',
+        message: error.message
       });
     }
+  });
+
+  /**
+   * POST /api/notifications/test
+   * Send test notification
+   */
+  router.post('/test', async (req, res) => {
+    try {
+      const { userId } = req.body;
 
-    if (!notificationService) {
-      return res.status(500).json({ 
-        error: 'Notification service not initialized' 
+      if (!userId) {
+        return res.status(400).json({ 
+          error: 'User ID is required' 
+        });
+      }
+
+      await notificationService.testNotification(userId);
+
+      res.json({
+        success: true,
+        message: 'Test notification sent successfully',
+        data: { userId },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error sending test notification:', error);
+      res.status(500).json({ 
+        error: 'Failed to send test notification',
+        message: error.message
       });
     }
+  });
 
-    await notificationService.testNotification(userId);
-    
-    res.json({
-      success: true,
-      message: 'Test notification sent successfully',
-      data: { userId },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error sending test notification:', error);
-    res.status(500).json({ 
-      error: 'Failed to send test notification',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/notifications/alerts
+   * Get active alerts for a location
+   */
+  router.get('/alerts', async (req, res) => {
+    try {
+      const { lat, lng, radius = 25 } = req.query;
 
-/**
- * GET /api/notifications/alerts
- * Get active alerts for a location
- */
-router.get('/alerts', async (req, res) => {
-  try {
-    const { lat, lng, radius = 25 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      // This would typically fetch alerts from a database
+      // For now, we'll return mock data
+      const alerts = generateMockAlerts(parseFloat(lat), parseFloat(lng), parseInt(radius));
+
+      res.json({
+        success: true,
+        data: alerts,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          radius: parseInt(radius)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch alerts',
+        message: error.message
       });
     }
+  });
 
-    // This would typically fetch alerts from a database
-    // For now, we'll return mock data
-    const alerts = generateMockAlerts(parseFloat(lat), parseFloat(lng), parseInt(radius));
-    
-    res.json({
-      success: true,
-      data: alerts,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        radius: parseInt(radius)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching alerts:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch alerts',
-      message: error.message
-    });
-  }
-});
+  return router;
+}
 
 /**
  * Generate mock alerts for demonstration
@@ -327,4 +290,4 @@ function generateMockAlerts(lat, lng, radius) {
   return alerts;
 }
 
-module.exports = { router, setNotificationService };
+module.exports = createNotificationRoutes;
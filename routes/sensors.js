@@ -0,0 +1,160 @@
+const express = require('express');
+
+/**
+ * Create the low-cost sensor router
+ * @param {Container} container - Service container
+ * @returns {express.Router} Router
+ */
+function createSensorRoutes(container) {
+  const router = express.Router();
+  const lowCostSensorService = container.get('lowCostSensorService');
+
+  /**
+   * GET /api/sensors
+   * Get the low-cost PM2.5 sensors near a location, nearest first, with the
+   * EPA-corrected concentration, raw channel values and quality flags
+   * Query parameters:
+   * - lat: latitude
+   * - lng: longitude
+   * - radius: search radius in kilometers (optional, default: 10)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const { lat, lng, radius = 10 } = req.query;
+
+      if (!lat || !lng) {
+        return res.status(400).json({
+          error: 'Latitude and longitude are required'
+        });
+      }
+
+      const latitude = parseFloat(lat);
+      const longitude = parseFloat(lng);
+      const searchRadius = parseFloat(radius);
+
+      if (isNaN(latitude) || isNaN(longitude) || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+        return res.status(400).json({
+          error: 'Invalid coordinates',
+          message: 'lat must be between -90 and 90 and lng between -180 and 180'
+        });
+      }
+
+      if (isNaN(searchRadius) || searchRadius < 0.1 || searchRadius > 50) {
+        return res.status(400).json({
+          error: 'Invalid radius',
+          message: 'radius must be between 0.1 and 50 kilometers'
+        });
+      }
+
+      const data = await lowCostSensorService.getReadings({
+        lat: latitude,
+        lng: longitude,
+        radius: searchRadius
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...data,
+          summary: summarize(data.sensors)
+        },
+        parameters: { lat: latitude, lng: longitude, radius: searchRadius },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching low-cost sensor data:', error);
+      res.status(500).json({
+        error: 'Failed to fetch low-cost sensor data',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * POST /api/sensors/upload
+   * Upload channel A/B PM2.5 readings as JSON (an array, { readings: [...] }
+   * or a PurpleAir { fields, data } response) or as CSV with a header row.
+   * Readings need a position, a time and at least one channel; humidity is
+   * optional when weather is available for the sensor. Partners send the
+   * LOW_COST_SENSOR_UPLOAD_TOKEN as `Authorization: Bearer <token>`, with at
+   * most MAX_UPLOAD_ROWS readings per upload.
+   */
+  router.post('/upload', authorizeUpload, express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    try {
+      const format = typeof req.body === 'string' ? 'csv' : 'json';
+      const result = await lowCostSensorService.ingestUpload(req.body, format);
+
+      if (result.accepted === 0) {
+        return res.status(400).json({
+          error: 'No valid readings',
+          message: 'Each reading needs latitude, longitude, a timestamp no later than now and a channel A or B PM2.5 value',
+          rejected: result.rejected,
+          rejections: result.rejections
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result,
+        parameters: { format },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.statusCode === 413) {
+        return res.status(413).json({
+          error: 'Upload too large',
+          message: error.message
+        });
+      }
+
+      console.error('Error ingesting low-cost sensor upload:', error);
+      res.status(500).json({
+        error: 'Failed to ingest low-cost sensor data',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * Refuse uploads without the partner token
+   * @param {express.Request} req - Request
+   * @param {express.Response} res - Response
+   * @param {Function} next - Next handler
+   */
+  function authorizeUpload(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const access = lowCostSensorService.authorizeUpload(scheme === 'Bearer' ? token : undefined);
+
+    if (access === 'disabled') {
+      return res.status(403).json({
+        error: 'Uploads are disabled',
+        message: 'Set LOW_COST_SENSOR_UPLOAD_TOKEN to accept sensor uploads'
+      });
+    }
+    if (access !== 'ok') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Send the partner upload token as Authorization: Bearer <token>'
+      });
+    }
+    next();
+  }
+
+  return router;
+}
+
+/**
+ * Count sensors by outcome
+ * @param {Array} sensors - Corrected readings
+ * @returns {Object} { total, valid, channelDisagreement, uncorrected }
+ */
+function summarize(sensors) {
+  return {
+    total: sensors.length,
+    valid: sensors.filter(sensor => sensor.valid).length,
+    channelDisagreement: sensors.filter(sensor => sensor.flags.includes('channel-disagreement')).length,
+    uncorrected: sensors.filter(sensor => sensor.flags.includes('uncorrected')).length
+  };
+}
+
+module.exports = createSensorRoutes;
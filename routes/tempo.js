@@ -1,184 +1,492 @@
 const express = require('express');
-const router = express.Router();
-const TempoDataService = require('../services/TempoDataService');
-const AirQualityService = require('../services/AirQualityService');
-
-const tempoService = new TempoDataService();
-const airQualityService = new AirQualityService();
 
 /**
- * GET /api/tempo
- * Get current TEMPO data for a location (root route)
+ * Create the TEMPO router
+ * @param {Container} container - Service container
+ * @returns {express.Router} Router
  */
-router.get('/', async (req, res) => {
-  try {
-    const { lat, lon } = req.query;
-    
-    if (!lat || !lon) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+function createTempoRoutes(container) {
+  const router = express.Router();
+  const tempoService = container.get('tempoDataService');
+
+  /**
+   * GET /api/tempo
+   * Get current TEMPO data for a location (root route)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const { lat, lon } = req.query;
+
+      if (!lat || !lon) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const data = await tempoService.getRealTimeData(
+        parseFloat(lat), 
+        parseFloat(lon)
+      );
+
+      res.json({
+        success: true,
+        data,
+        parameters: {
+          lat: parseFloat(lat),
+          lon: parseFloat(lon)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching TEMPO data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch TEMPO data',
+        message: error.message 
       });
     }
+  });
 
-    const data = await tempoService.getRealTimeData(
-      parseFloat(lat), 
-      parseFloat(lon)
-    );
-    
-    res.json({
-      success: true,
-      data,
-      parameters: {
-        lat: parseFloat(lat),
-        lon: parseFloat(lon)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching TEMPO data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TEMPO data',
-      message: error.message 
-    });
-  }
-});
+  /**
+   * GET /api/tempo/current
+   * Get current TEMPO data for a location
+   */
+  router.get('/current', async (req, res) => {
+    try {
+      const { lat, lng } = req.query;
 
-/**
- * GET /api/tempo/current
- * Get current TEMPO data for a location
- */
-router.get('/current', async (req, res) => {
-  try {
-    const { lat, lng } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const data = await tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng));
+
+      res.json({
+        success: true,
+        data,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching current TEMPO data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch current TEMPO data',
+        message: error.message
       });
     }
+  });
 
-    const data = await tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng));
-    
-    res.json({
-      success: true,
-      data,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching current TEMPO data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch current TEMPO data',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/tempo/historical
+   * Get an hourly TEMPO time series for a point from stored scans
+   * Query parameters:
+   * - lat, lng: location
+   * - days: number of days to look back (default 7)
+   * - pollutant: NO2, HCHO or O3 (optional, defaults to all)
+   * - aggregate: daily (optional) adds daily mean, max and valid hour count
+   */
+  router.get('/historical', async (req, res) => {
+    try {
+      const { lat, lng, days = 7, pollutant, aggregate } = req.query;
 
-/**
- * GET /api/tempo/historical
- * Get historical TEMPO data for trend analysis
- */
-router.get('/historical', async (req, res) => {
-  try {
-    const { lat, lng, days = 7 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      const dayCount = parseInt(days);
+      const maxDays = tempoService.observationStore.retentionDays;
+      if (isNaN(dayCount) || dayCount < 1 || dayCount > maxDays) {
+        return res.status(400).json({ 
+          error: `Days must be between 1 and ${maxDays}` 
+        });
+      }
+
+      const validPollutants = ['NO2', 'HCHO', 'O3'];
+      if (pollutant && !validPollutants.includes(pollutant)) {
+        return res.status(400).json({ 
+          error: 'Invalid pollutant. Must be one of: ' + validPollutants.join(', ')
+        });
+      }
+
+      if (aggregate && aggregate !== 'daily') {
+        return res.status(400).json({ 
+          error: 'Invalid aggregate. Must be: daily' 
+        });
+      }
+
+      const data = await tempoService.getHistoricalData(
+        parseFloat(lat), 
+        parseFloat(lng), 
+        dayCount,
+        {
+          pollutants: pollutant ? [pollutant] : undefined,
+          aggregate
+        }
+      );
+
+      res.json({
+        success: true,
+        data,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          days: dayCount,
+          pollutant: pollutant || null,
+          aggregate: aggregate || null
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching historical TEMPO data:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch historical TEMPO data',
+        message: error.message
       });
     }
+  });
 
-    const data = await tempoService.getHistoricalData(
-      parseFloat(lat), 
-      parseFloat(lng), 
-      parseInt(days)
-    );
-    
-    res.json({
-      success: true,
-      data,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        days: parseInt(days)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching historical TEMPO data:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch historical TEMPO data',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/tempo/forecast
+   * Get TEMPO-based air quality forecast
+   */
+  router.get('/forecast', async (req, res) => {
+    try {
+      const { lat, lng, hours = 24 } = req.query;
 
-/**
- * GET /api/tempo/forecast
- * Get TEMPO-based air quality forecast
- */
-router.get('/forecast', async (req, res) => {
-  try {
-    const { lat, lng, hours = 24 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ 
-        error: 'Latitude and longitude are required' 
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude are required' 
+        });
+      }
+
+      // Get current TEMPO data
+      const currentData = await tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng));
+
+      // Get historical data for trend analysis
+      const historicalData = await tempoService.getHistoricalData(
+        parseFloat(lat), 
+        parseFloat(lng), 
+        3
+      );
+
+      // Simple forecast based on current data and trends
+      const forecast = generateSimpleForecast(currentData, historicalData, parseInt(hours));
+
+      res.json({
+        success: true,
+        data: forecast,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng),
+          hours: parseInt(hours)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error generating TEMPO forecast:', error);
+      res.status(500).json({ 
+        error: 'Failed to generate TEMPO forecast',
+        message: error.message
       });
     }
+  });
 
-    // Get current TEMPO data
-    const currentData = await tempoService.getRealTimeData(parseFloat(lat), parseFloat(lng));
-    
-    // Get historical data for trend analysis
-    const historicalData = await tempoService.getHistoricalData(
-      parseFloat(lat), 
-      parseFloat(lng), 
-      3
-    );
-
-    // Simple forecast based on current data and trends
-    const forecast = generateSimpleForecast(currentData, historicalData, parseInt(hours));
-    
-    res.json({
-      success: true,
-      data: forecast,
-      parameters: {
-        lat: parseFloat(lat),
-        lng: parseFloat(lng),
-        hours: parseInt(hours)
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating TEMPO forecast:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate TEMPO forecast',
-      message: error.message
-    });
-  }
-});
+  /**
+   * GET /api/tempo/grid
+   * Get regridded TEMPO columns for a bounding box
+   * Query parameters:
+   * - bbox: minLng,minLat,maxLng,maxLat
+   * - pollutant: NO2, HCHO or O3
+   * - time: ISO timestamp of the scan hour (optional, defaults to latest)
+   * - resolution: cell size in degrees, 0.02-0.25 (optional)
+   * - format: array (default) or geojson
+   */
+  router.get('/grid', async (req, res) => {
+    try {
+      const { bbox, pollutant, time, resolution, format = 'array' } = req.query;
+
+      if (!bbox || !pollutant) {
+        return res.status(400).json({ 
+          error: 'Bounding box and pollutant are required' 
+        });
+      }
+
+      const boundingBox = parseBoundingBox(bbox);
+      if (!boundingBox) {
+        return res.status(400).json({ 
+          error: 'Invalid bbox: expected minLng,minLat,maxLng,maxLat' 
+        });
+      }
+
+      const validPollutants = ['NO2', 'HCHO', 'O3'];
+      if (!validPollutants.includes(pollutant)) {
+        return res.status(400).json({ 
+          error: 'Invalid pollutant. Must be one of: ' + validPollutants.join(', ')
+        });
+      }
+
+      if (time && isNaN(Date.parse(time))) {
+        return res.status(400).json({ 
+          error: 'Invalid time: expected an ISO 8601 timestamp' 
+        });
+      }
+
+      if (!['array', 'geojson'].includes(format)) {
+        return res.status(400).json({ 
+          error: 'Invalid format. Must be one of: array, geojson' 
+        });
+      }
+
+      let grid;
+      try {
+        grid = await tempoService.getGrid({
+          pollutant,
+          bbox: boundingBox,
+          time,
+          resolution: resolution ? parseFloat(resolution) : undefined
+        });
+      } catch (error) {
+        // Oversized bounding boxes are a client error; anything else is ours
+        if (error.statusCode !== 400) throw error;
+        return res.status(400).json({ 
+          error: error.message 
+        });
+      }
+
+      if (!grid) {
+        return res.status(404).json({ 
+          error: 'No TEMPO scan available for the requested hour' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: format === 'geojson' ? tempoService.regridService.toGeoJSON(grid) : grid,
+        parameters: {
+          bbox: boundingBox,
+          pollutant,
+          time: time || null,
+          resolution: grid.resolution,
+          format
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching TEMPO grid:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch TEMPO grid',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/tempo/ozone-regime
+   * Get the ozone sensitivity regime from the HCHO/NO2 column ratio (FNR)
+   * Query parameters:
+   * - lat, lng: point query
+   * - bbox: grid query over minLng,minLat,maxLng,maxLat (instead of lat/lng)
+   * - time: ISO timestamp of the scan hour for grid queries (optional, defaults to latest)
+   * - resolution: cell size in degrees for grid queries (optional)
+   */
+  router.get('/ozone-regime', async (req, res) => {
+    try {
+      const { lat, lng, bbox, time, resolution } = req.query;
+
+      if (bbox) {
+        const boundingBox = parseBoundingBox(bbox);
+        if (!boundingBox) {
+          return res.status(400).json({ 
+            error: 'Invalid bbox: expected minLng,minLat,maxLng,maxLat' 
+          });
+        }
+
+        if (time && isNaN(Date.parse(time))) {
+          return res.status(400).json({ 
+            error: 'Invalid time: expected an ISO 8601 timestamp' 
+          });
+        }
+
+        let grid;
+        try {
+          grid = await tempoService.getOzoneRegimeGrid({
+            bbox: boundingBox,
+            time,
+            resolution: resolution ? parseFloat(resolution) : undefined
+          });
+        } catch (error) {
+          // Oversized bounding boxes are a client error; anything else is ours
+          if (error.statusCode !== 400) throw error;
+          return res.status(400).json({ 
+            error: error.message 
+          });
+        }
+
+        if (!grid) {
+          return res.status(404).json({ 
+            error: 'No co-located HCHO and NO2 scans available for the requested hour' 
+          });
+        }
+
+        return res.json({
+          success: true,
+          data: grid,
+          parameters: {
+            bbox: boundingBox,
+            time: time || null,
+            resolution: grid.resolution
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!lat || !lng) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude, or a bbox, are required' 
+        });
+      }
+
+      const data = await tempoService.getOzoneRegime(parseFloat(lat), parseFloat(lng));
+
+      res.json({
+        success: true,
+        data,
+        parameters: {
+          lat: parseFloat(lat),
+          lng: parseFloat(lng)
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching ozone regime:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch ozone regime',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/tempo/scans
+   * List ingested TEMPO scans, newest first
+   * Query parameters:
+   * - lat, lng: only scans covering this point (optional)
+   * - bbox: only scans overlapping minLng,minLat,maxLng,maxLat (optional)
+   * - pollutant: NO2, HCHO or O3 (optional, defaults to all)
+   * - start, end: ISO timestamps bounding the scan start (optional, defaults to the last 24 hours)
+   */
+  router.get('/scans', async (req, res) => {
+    try {
+      const { lat, lng, bbox, pollutant, start, end } = req.query;
+
+      if ((lat && !lng) || (!lat && lng)) {
+        return res.status(400).json({ 
+          error: 'Latitude and longitude must be given together' 
+        });
+      }
+
+      let boundingBox;
+      if (bbox) {
+        boundingBox = parseBoundingBox(bbox);
+        if (!boundingBox) {
+          return res.status(400).json({ 
+            error: 'Invalid bbox: expected minLng,minLat,maxLng,maxLat' 
+          });
+        }
+      }
+
+      const validPollutants = ['NO2', 'HCHO', 'O3'];
+      if (pollutant && !validPollutants.includes(pollutant)) {
+        return res.status(400).json({ 
+          error: 'Invalid pollutant. Must be one of: ' + validPollutants.join(', ')
+        });
+      }
+
+      if ((start && isNaN(Date.parse(start))) || (end && isNaN(Date.parse(end)))) {
+        return res.status(400).json({ 
+          error: 'Invalid start or end: expected an ISO 8601 timestamp' 
+        });
+      }
+
+      const endTime = end ? new Date(end) : new Date();
+      const startTime = start ? new Date(start) : new Date(endTime.getTime() - 24 * 60 * 60 * 1000);
+
+      const scans = tempoService.getScans({
+        lat: lat ? parseFloat(lat) : undefined,
+        lng: lng ? parseFloat(lng) : undefined,
+        bbox: boundingBox,
+        pollutants: pollutant ? [pollutant] : undefined,
+        start: startTime,
+        end: endTime
+      });
+
+      res.json({
+        success: true,
+        data: {
+          scans,
+          count: scans.length
+        },
+        parameters: {
+          lat: lat ? parseFloat(lat) : null,
+          lng: lng ? parseFloat(lng) : null,
+          bbox: boundingBox || null,
+          pollutant: pollutant || null,
+          start: startTime.toISOString(),
+          end: endTime.toISOString()
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error listing TEMPO scans:', error);
+      res.status(500).json({ 
+        error: 'Failed to list TEMPO scans',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/tempo/coverage
+   * Get TEMPO data coverage information
+   */
+  router.get('/coverage', async (req, res) => {
+    try {
+      const coverageInfo = tempoService.getCoverageInfo();
+
+      res.json({
+        success: true,
+        data: coverageInfo,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error fetching TEMPO coverage info:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch TEMPO coverage information',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
 
 /**
- * GET /api/tempo/coverage
- * Get TEMPO data coverage information
+ * Parse a minLng,minLat,maxLng,maxLat bounding box
+ * @param {string} value - Raw bbox query parameter
+ * @returns {Object|null} { minLng, minLat, maxLng, maxLat } or null if invalid
  */
-router.get('/coverage', async (req, res) => {
-  try {
-    const coverageInfo = tempoService.getCoverageInfo();
-    
-    res.json({
-      success: true,
-      data: coverageInfo,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error fetching TEMPO coverage info:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch TEMPO coverage information',
-      message: error.message
-    });
-  }
-});
+function parseBoundingBox(value) {
+  const parts = String(value).split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(part => isNaN(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  if (minLat < -90 || maxLat > 90 || minLng < -180 || maxLng > 180) return null;
+
+  return { minLng, minLat, maxLng, maxLat };
+}
 
 /**
  * Generate simple forecast based on current and historical data
@@ -219,4 +527,4 @@ function generateSimpleForecast(currentData, historicalData, hours) {
   return forecast;
 }
 
-module.exports = router;
+module.exports = createTempoRoutes;
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Replay forecast methods over stored observations and write a comparison
+ * report as <out>.json and <out>.csv.
+ *
+ *   npm run backtest -- --start 2024-06-01 --end 2024-06-08 \
+ *     --locations "40.7128,-74.006;34.0522,-118.2437" \
+ *     --methods persistence,climatology,statistical,ridge --out backtest
+ *
+ * Options: --start, --end (issue hours, UTC; default the last 7 days),
+ * --locations (default TRACKED_LOCATIONS), --methods, --pollutants,
+ * --hours (horizon, default 24), --step (hours between issues, default 1),
+ * --warmup (days of history before start, default 30), --out (default backtest).
+ * Needs MONGODB_URI and nothing else: no external API is called.
+ */
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+require('dotenv').config();
+
+const StorageService = require('../services/StorageService');
+const BacktestService = require('../services/BacktestService');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const end = args.end ? moment.utc(args.end) : moment.utc().startOf('hour').subtract(1, 'day');
+  const start = args.start ? moment.utc(args.start) : end.clone().subtract(7, 'days');
+  const locations = parseLocations(args.locations || process.env.TRACKED_LOCATIONS || '');
+
+  if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+    throw new Error('--start and --end must be dates with start before end');
+  }
+  if (locations.length === 0) {
+    throw new Error('No locations: pass --locations "lat,lng;lat,lng" or set TRACKED_LOCATIONS');
+  }
+
+  const storageService = new StorageService();
+  if (!(await storageService.connect())) {
+    throw new Error('Backtesting needs stored observations (MONGODB_URI)');
+  }
+
+  try {
+    const backtestService = new BacktestService({ storageService });
+    const report = await backtestService.run({
+      start: start.toDate(),
+      end: end.toDate(),
+      locations,
+      methods: args.methods ? args.methods.split(',') : undefined,
+      pollutants: args.pollutants ? args.pollutants.split(',') : undefined,
+      hours: args.hours ? parseInt(args.hours) : undefined,
+      stepHours: args.step ? parseInt(args.step) : undefined,
+      warmupDays: args.warmup ? parseInt(args.warmup) : undefined
+    });
+
+    const out = path.resolve(args.out || 'backtest');
+    fs.writeFileSync(`${out}.json`, JSON.stringify(report, null, 2));
+    fs.writeFileSync(`${out}.csv`, backtestService.toCSV(report));
+
+    console.log(`Issued ${report.issued} forecast runs; report written to ${out}.json and ${out}.csv`);
+    Object.entries(report.ranking).forEach(([pollutant, ranked]) => {
+      const scored = ranked.filter(entry => entry.count > 0);
+      if (scored.length === 0) return;
+      console.log(`${pollutant}: ${scored.map(entry => `${entry.method} (MAE ${entry.mae})`).join(' < ')}`);
+    });
+  } finally {
+    await storageService.disconnect();
+  }
+}
+
+/**
+ * Parse --name value pairs
+ * @param {Array<string>} argv - Arguments
+ * @returns {Object} Values keyed by name
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+/**
+ * Parse "lat,lng;lat,lng"
+ * @param {string} value - Location list
+ * @returns {Array<Object>} [{ lat, lng }]
+ */
+function parseLocations(value) {
+  return value.split(';')
+    .map(entry => entry.split(',').map(part => parseFloat(part)))
+    .filter(([lat, lng]) => !isNaN(lat) && !isNaN(lng))
+    .map(([lat, lng]) => ({ lat, lng }));
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exitCode = 1;
+});
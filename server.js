@@ -8,17 +8,14 @@ const socketIo = require('socket.io');
 const cron = require('node-cron');
 require('dotenv').config();
 
-const airQualityRoutes = require('./routes/airQuality');
-const tempoRoutes = require('./routes/tempo');
-const weatherRoutes = require('./routes/weather');
-const forecastRoutes = require('./routes/forecast');
-const openaqRoutes = require('./routes/openaq');
-const { router: notificationRoutes, setNotificationService } = require('./routes/notifications');
-const AirQualityService = require('./services/AirQualityService');
-const TempoDataService = require('./services/TempoDataService');
-const WeatherService = require('./services/WeatherService');
-const ForecastService = require('./services/ForecastService');
-const NotificationService = require('./services/NotificationService');
+const { createContainer } = require('./container');
+const createAirQualityRoutes = require('./routes/airQuality');
+const createTempoRoutes = require('./routes/tempo');
+const createWeatherRoutes = require('./routes/weather');
+const createForecastRoutes = require('./routes/forecast');
+const createOpenAQRoutes = require('./routes/openaq');
+const createSensorRoutes = require('./routes/sensors');
+const createNotificationRoutes = require('./routes/notifications');
 
 const app = express();
 
@@ -33,6 +30,15 @@ const io = socketIo(server, {
   }
 });
 
+// One instance of each service, shared by routes, the scheduler and Socket.IO
+const container = createContainer({ io });
+const airQualityService = container.get('airQualityService');
+const tempoDataService = container.get('tempoDataService');
+const weatherService = container.get('weatherService');
+const forecastService = container.get('forecastService');
+const notificationService = container.get('notificationService');
+const storageService = container.get('storageService');
+
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -54,12 +60,13 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
-app.use('/api/air-quality', airQualityRoutes);
-app.use('/api/tempo', tempoRoutes);
-app.use('/api/weather', weatherRoutes);
-app.use('/api/forecast', forecastRoutes);
-app.use('/api/openaq', openaqRoutes);
-app.use('/api/notifications', notificationRoutes);
+app.use('/api/air-quality', createAirQualityRoutes(container));
+app.use('/api/tempo', createTempoRoutes(container));
+app.use('/api/weather', createWeatherRoutes(container));
+app.use('/api/forecast', createForecastRoutes(container));
+app.use('/api/openaq', createOpenAQRoutes(container));
+app.use('/api/sensors', createSensorRoutes(container));
+app.use('/api/notifications', createNotificationRoutes(container));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -69,20 +76,99 @@ app.get('/api/health', (req, res) => {
     services: {
       tempo: 'operational',
       weather: 'operational',
-      forecast: 'operational'
-    }
+      forecast: 'operational',
+      storage: storageService.isConnected() ? 'operational' : 'disabled'
+    },
+    cache: container.get('cache').getStats()
   });
 });
 
-// Initialize services
-const airQualityService = new AirQualityService();
-const tempoDataService = new TempoDataService();
-const weatherService = new WeatherService();
-const forecastService = new ForecastService();
-const notificationService = new NotificationService(io);
+// Initialize forecast models once for every consumer
+forecastService.initializeModels()
+  .catch(error => console.error('Error initializing forecast models:', error.message));
+
+storageService.connect()
+  .then(() => notificationService.restoreSubscriptions())
+  .then(count => {
+    if (count > 0) console.log(`Restored ${count} notification subscriptions`);
+  })
+  .catch(error => console.error('Error restoring subscriptions:', error.message))
+  .then(() => trainForecastModels());
+
+/**
+ * Locations refreshed by the scheduled job: every subscription plus any
+ * listed in TRACKED_LOCATIONS ("lat,lng;lat,lng")
+ * @returns {Array<Object>} Unique { lat, lng } locations
+ */
+function getTrackedLocations() {
+  const locations = new Map();
+
+  (process.env.TRACKED_LOCATIONS || '').split(';').forEach(entry => {
+    const [lat, lng] = entry.split(',').map(part => parseFloat(part));
+    if (!isNaN(lat) && !isNaN(lng)) locations.set(`${lat},${lng}`, { lat, lng });
+  });
+
+  for (const subscription of notificationService.subscribers.values()) {
+    const { lat, lng } = subscription.location;
+    locations.set(`${lat},${lng}`, { lat: parseFloat(lat), lng: parseFloat(lng) });
+  }
+
+  return Array.from(locations.values());
+}
+
+/**
+ * Fetch all sources for a location, store them and generate its forecast
+ * @param {Object} location - { lat, lng }
+ * @returns {Promise<Object>} Forecast for the location
+ */
+async function updateLocation(location) {
+  const { lat, lng } = location;
+  const [tempoData, groundData, weatherData] = await Promise.allSettled([
+    tempoDataService.getRealTimeData(lat, lng),
+    airQualityService.getRealTimeAirQuality(lat, lng),
+    weatherService.fetchWeatherData({ lat, lng, days: 1 })
+  ]);
+
+  const tempo = tempoData.status === 'fulfilled' ? tempoData.value : null;
+  const ground = groundData.status === 'fulfilled' ? groundData.value : null;
+  const weather = weatherData.status === 'fulfilled' ? weatherData.value : null;
+
+  const forecast = await forecastService.generateForecasts({
+    lat,
+    lng,
+    hours: 24,
+    tempoData: tempo,
+    groundData: ground,
+    weatherData: weather
+  });
+
+  try {
+    await storageService.saveTempoData(tempo, lat, lng);
+    await storageService.saveGroundData(ground, lat, lng);
+    await storageService.saveWeatherData(weather, lat, lng);
+  } catch (error) {
+    console.error(`Error storing data for ${lat},${lng}:`, error.message);
+  }
+
+  return forecast;
+}
 
-// Set notification service for routes
-setNotificationService(notificationService);
+/**
+ * Retrain the forecast regressors on the stored history of every tracked
+ * location
+ * @returns {Promise<void>}
+ */
+async function trainForecastModels() {
+  try {
+    const summary = await forecastService.trainFromHistory(getTrackedLocations());
+    if (summary) {
+      const trained = Object.keys(summary).filter(pollutant => summary[pollutant].trained);
+      console.log(`Forecast models trained for: ${trained.join(', ') || 'none (not enough history)'}`);
+    }
+  } catch (error) {
+    console.error('Error training forecast models:', error.message);
+  }
+}
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
@@ -98,16 +184,27 @@ io.on('connection', (socket) => {
   });
 });
 
-// Scheduled tasks for data updates
+// Scheduled tasks for data updates. A run that outlasts the interval makes
+// the next one skip rather than run alongside it.
+let updateRunning = false;
 cron.schedule('*/15 * * * *', async () => {
+  if (updateRunning) {
+    console.log('Previous scheduled update still running; skipping this one');
+    return;
+  }
+
+  updateRunning = true;
   console.log('Running scheduled air quality update...');
   try {
     await airQualityService.updateAirQualityData();
-    await tempoDataService.updateTempoData();
+    await tempoDataService.updateTempoData(getTrackedLocations());
     await weatherService.updateWeatherData();
     
-    // Generate new forecasts
-    const forecasts = await forecastService.generateForecasts();
+    // Fetch, store and forecast every tracked location
+    const forecasts = [];
+    for (const location of getTrackedLocations()) {
+      forecasts.push(await updateLocation(location));
+    }
     
     // Send real-time updates to connected clients
     io.emit('air-quality-update', forecasts);
@@ -118,9 +215,14 @@ cron.schedule('*/15 * * * *', async () => {
     console.log('Scheduled update completed successfully');
   } catch (error) {
     console.error('Error in scheduled update:', error);
+  } finally {
+    updateRunning = false;
   }
 });
 
+// Retrain the forecast models nightly on the day's new observations
+cron.schedule('30 2 * * *', () => trainForecastModels());
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -143,4 +245,4 @@ server.listen(PORT, () => {
   console.log(`📡 WebSocket server ready for real-time updates`);
 });
 
-module.exports = { app, server, io };
+module.exports = { app, server, io, container };
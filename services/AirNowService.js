@@ -0,0 +1,216 @@
+const axios = require('axios');
+const moment = require('moment');
+const CacheService = require('./CacheService');
+const aqiEngine = require('./aqi');
+const units = require('./units');
+const { distanceKm, boundingBox } = require('./geo');
+
+// AirNow parameter names as requested and as reported
+const REQUEST_PARAMETERS = ['OZONE', 'PM25', 'PM10', 'CO', 'NO2', 'SO2'];
+const PARAMETER_NAMES = {
+  OZONE: 'O3',
+  'PM2.5': 'PM2.5',
+  PM25: 'PM2.5',
+  PM10: 'PM10',
+  CO: 'CO',
+  NO2: 'NO2',
+  SO2: 'SO2'
+};
+
+// AirNow marks missing values with -999
+const MISSING_VALUE = -999;
+
+class AirNowService {
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   * @param {WeatherService} options.weatherService - Temperature and pressure for unit conversion (optional)
+   * @param {string} options.apiKey - AirNow API key (defaults to EPA_API_KEY)
+   */
+  constructor(options = {}) {
+    this.baseURL = 'https://www.airnowapi.org';
+    this.timeout = 15000;
+    this.apiKey = options.apiKey || process.env.EPA_API_KEY || null;
+    this.cache = options.cache || CacheService.getDefault();
+    this.weatherService = options.weatherService || null;
+  }
+
+  /**
+   * Get the AirNow monitoring sites near a location with their recent
+   * hourly observations
+   * @param {Object} params - Query parameters
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} params.radius - Search radius in km (default 25)
+   * @param {number} params.hours - Hours of observations to keep (default 12)
+   * @returns {Promise<Object>} { sites, window: { start, end }, fetchedAt }, sites nearest first
+   */
+  async getSites(params) {
+    const radius = params.radius || 25;
+    const hours = params.hours || 12;
+    const cacheKey = `${params.lat.toFixed(4)}_${params.lng.toFixed(4)}_${radius}_${hours}`;
+
+    return this.cache.wrap('airnow', cacheKey, () => this.loadSites({ ...params, radius, hours }));
+  }
+
+  /**
+   * Fetch and group AirNow observations without the cache
+   * @param {Object} params - { lat, lng, radius, hours }
+   * @returns {Promise<Object>} See getSites
+   */
+  async loadSites(params) {
+    if (!this.apiKey) {
+      throw new Error('AirNow API key is not configured (EPA_API_KEY)');
+    }
+
+    const end = moment.utc().startOf('hour');
+    const start = end.clone().subtract(params.hours - 1, 'hours');
+
+    const [records, conditions] = await Promise.all([
+      this.fetchObservations(params, start, end),
+      this.getConditions(params)
+    ]);
+
+    return {
+      sites: this.processObservations(records, params, conditions),
+      window: { start: start.toISOString(), end: end.toISOString() },
+      fetchedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Query the AirNow observations-by-monitoring-site endpoint
+   * @param {Object} params - { lat, lng, radius }
+   * @param {moment.Moment} start - First hour (UTC)
+   * @param {moment.Moment} end - Last hour (UTC)
+   * @returns {Promise<Array>} Raw AirNow records
+   */
+  async fetchObservations(params, start, end) {
+    const response = await axios.get(`${this.baseURL}/aq/data/`, {
+      params: {
+        startDate: start.format('YYYY-MM-DDTHH'),
+        endDate: end.format('YYYY-MM-DDTHH'),
+        parameters: REQUEST_PARAMETERS.join(','),
+        BBOX: boundingBox(params.lat, params.lng, params.radius).join(','),
+        dataType: 'B',
+        format: 'application/json',
+        verbose: 1,
+        monitorType: 0,
+        includerawconcentrations: 1,
+        API_KEY: this.apiKey
+      },
+      timeout: this.timeout
+    });
+
+    if (!Array.isArray(response.data)) {
+      throw new Error('Unexpected response from AirNow API');
+    }
+    return response.data;
+  }
+
+  /**
+   * Get the air temperature and pressure used to convert µg/m³ and ppb
+   * @param {Object} params - { lat, lng }
+   * @returns {Promise<Object>} { temperature, pressure, source }
+   */
+  async getConditions(params) {
+    if (!this.weatherService) return units.conditionsFromWeather(null);
+
+    try {
+      return units.conditionsFromWeather(await this.weatherService.fetchWeatherData(params));
+    } catch (error) {
+      return units.conditionsFromWeather(null);
+    }
+  }
+
+  /**
+   * Group AirNow records by monitoring site. Each site keeps its AQS ID,
+   * coordinates and agency, and one hourly series per parameter in the
+   * parameter's canonical unit. `concentration` is the hourly mean; for PM
+   * and O3 `indexedConcentration` is the NowCast AirNow indexed.
+   * @param {Array} records - Raw AirNow records (verbose, dataType B)
+   * @param {Object} params - { lat, lng, radius }
+   * @param {Object} conditions - { temperature, pressure, source } for unit conversion
+   * @returns {Array} Sites within the radius, nearest first
+   */
+  processObservations(records, params, conditions = units.conditionsFromWeather(null)) {
+    const sites = new Map();
+
+    records.forEach(record => {
+      const pollutant = PARAMETER_NAMES[String(record.Parameter || '').toUpperCase()];
+      if (!pollutant) return;
+
+      const id = record.FullAQSCode || record.IntlAQSCode || `${record.Latitude},${record.Longitude}`;
+      if (!sites.has(id)) {
+        sites.set(id, {
+          aqsId: record.FullAQSCode || null,
+          intlAqsId: record.IntlAQSCode || null,
+          name: record.SiteName || null,
+          agency: record.AgencyName || null,
+          coordinates: { lat: record.Latitude, lng: record.Longitude },
+          distance: Math.round(distanceKm(params.lat, params.lng, record.Latitude, record.Longitude) * 10) / 10,
+          parameters: {}
+        });
+      }
+
+      const observation = this.toObservation(pollutant, record, conditions);
+      if (!observation) return;
+
+      const site = sites.get(id);
+      if (!site.parameters[pollutant]) {
+        site.parameters[pollutant] = { unit: observation.unit, observations: [] };
+      }
+      site.parameters[pollutant].observations.push(observation);
+    });
+
+    return Array.from(sites.values())
+      .filter(site => site.distance <= params.radius)
+      .map(site => {
+        Object.values(site.parameters).forEach(parameter => {
+          parameter.observations.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+          parameter.latest = parameter.observations[parameter.observations.length - 1];
+        });
+        return site;
+      })
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Turn one AirNow record into an hourly observation
+   * @param {string} pollutant - Canonical pollutant name
+   * @param {Object} record - Raw AirNow record
+   * @param {Object} conditions - { temperature, pressure, source } for unit conversion
+   * @returns {Object|null} Observation, or null when the hour has no value
+   */
+  toObservation(pollutant, record, conditions) {
+    const raw = isValue(record.RawConcentration) ? record.RawConcentration : null;
+    const indexed = isValue(record.Value) ? record.Value : null;
+    const value = raw ?? indexed;
+    if (value === null) return null;
+
+    const reading = units.normalizeMeasurement(pollutant, value, record.Unit, conditions);
+    const indexedReading = indexed !== null && raw !== null
+      ? units.normalizeMeasurement(pollutant, indexed, record.Unit, conditions)
+      : null;
+    const aqi = isValue(record.AQI) ? record.AQI : null;
+
+    return {
+      timestamp: moment.utc(record.UTC, 'YYYY-MM-DDTHH:mm').toISOString(),
+      ...reading,
+      indexedConcentration: indexedReading ? indexedReading.concentration : null,
+      aqi,
+      quality: aqi !== null ? aqiEngine.getCategory(aqi).key : 'unknown'
+    };
+  }
+}
+
+/**
+ * Check that an AirNow field holds a value
+ * @param {*} value - Field value
+ * @returns {boolean} True for finite numbers other than the missing marker
+ */
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value !== MISSING_VALUE;
+}
+
+module.exports = AirNowService;
@@ -1,12 +1,34 @@
-const axios = require('axios');
 const moment = require('moment');
+const CacheService = require('./CacheService');
+const AirNowService = require('./AirNowService');
+const OpenAQService = require('./OpenAQService');
+const aqiEngine = require('./aqi');
+const units = require('./units');
+const fusion = require('./fusion');
 
 class AirQualityService {
-  constructor() {
-    this.epaApiKey = process.env.EPA_API_KEY;
-    this.openAQApiKey = process.env.OPENAQ_API_KEY;
-    this.cache = new Map();
-    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   * @param {StorageService} options.storageService - Stored hourly observations for NowCast (optional)
+   * @param {WeatherService} options.weatherService - Temperature and pressure for the default source clients' unit conversion (optional)
+   * @param {AirNowService} options.airNowService - AirNow monitoring sites (defaults to one sharing the cache)
+   * @param {OpenAQService} options.openAQService - OpenAQ v3 client (defaults to one sharing the cache)
+   * @param {LowCostSensorService} options.lowCostSensorService - Corrected low-cost PM2.5 sensors (optional)
+   */
+  constructor(options = {}) {
+    this.cache = options.cache || CacheService.getDefault();
+    this.storageService = options.storageService || null;
+    this.weatherService = options.weatherService || null;
+    this.airNowService = options.airNowService || new AirNowService({
+      cache: this.cache,
+      weatherService: this.weatherService
+    });
+    this.openAQService = options.openAQService || new OpenAQService({
+      cache: this.cache,
+      weatherService: this.weatherService
+    });
+    this.lowCostSensorService = options.lowCostSensorService || null;
   }
 
   /**
@@ -18,35 +40,10 @@ class AirQualityService {
    * @returns {Promise<Object>} Ground-based air quality data
    */
   async fetchGroundBasedData(params) {
-    const cacheKey = `ground-${params.lat}-${params.lng}-${params.radius}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
-      }
-    }
+    const cacheKey = `${params.lat}-${params.lng}-${params.radius}`;
 
     try {
-      // Fetch from multiple sources in parallel
-      const [epaData, openAQData] = await Promise.allSettled([
-        this.fetchEPAData(params),
-        this.fetchOpenAQData(params)
-      ]);
-
-      const processedData = this.processGroundBasedData({
-        epa: epaData.status === 'fulfilled' ? epaData.value : null,
-        openAQ: openAQData.status === 'fulfilled' ? openAQData.value : null
-      });
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: processedData,
-        timestamp: Date.now()
-      });
-
-      return processedData;
+      return await this.cache.wrap('airQuality', cacheKey, () => this.loadGroundBasedData(params));
     } catch (error) {
       console.error('Error fetching ground-based air quality data:', error.message);
       // Return mock data when external APIs fail
@@ -55,64 +52,85 @@ class AirQualityService {
   }
 
   /**
-   * Fetch data from EPA AirNow API
+   * Fetch and combine ground-based data without the cache
    * @param {Object} params - Query parameters
-   * @returns {Promise<Object>} EPA data
+   * @returns {Promise<Object>} Ground-based air quality data
+   */
+  async loadGroundBasedData(params) {
+    // Fetch from multiple sources in parallel
+    const [epaData, openAQData, lowCostData] = await Promise.allSettled([
+      this.fetchEPAData(params),
+      this.fetchOpenAQData(params),
+      this.fetchLowCostData(params)
+    ]);
+
+    return this.processGroundBasedData({
+      epa: epaData.status === 'fulfilled' ? epaData.value : null,
+      openAQ: openAQData.status === 'fulfilled' ? openAQData.value : null,
+      lowCost: lowCostData.status === 'fulfilled' ? lowCostData.value : null
+    });
+  }
+
+  /**
+   * Fetch the AirNow monitoring sites around a location
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object|null>} Result of AirNowService.getSites, or null on failure
    */
   async fetchEPAData(params) {
     try {
-      const response = await axios.get('https://www.airnowapi.org/aq/observation/latLong/current/', {
-        params: {
-          latitude: params.lat,
-          longitude: params.lng,
-          distance: params.radius || 25,
-          format: 'application/json',
-          API_KEY: this.epaApiKey
-        },
-        timeout: 15000
+      return await this.airNowService.getSites({
+        lat: params.lat,
+        lng: params.lng,
+        radius: params.radius || 25
       });
-
-      return response.data;
     } catch (error) {
-      console.error('EPA API error:', error.message);
+      console.error('EPA AirNow error:', error.message);
       return null;
     }
   }
 
   /**
-   * Fetch data from OpenAQ API v3
+   * Fetch the nearest OpenAQ sensors' latest and hourly values
    * @param {Object} params - Query parameters
-   * @returns {Promise<Object>} OpenAQ data
+   * @returns {Promise<Object|null>} Result of OpenAQService.getAirQualityData, or null on failure
    */
   async fetchOpenAQData(params) {
     try {
-      const apiKey = process.env.OPENAQ_API_KEY || 'd282fb1ee29051fcbbd629dc2ed71a7b477ababcda6e52d84434c9eeefa47f42';
-      
-      const response = await axios.get('https://api.openaq.org/v3/measurements', {
-        params: {
-          coordinates: `${params.lat},${params.lng}`,
-          radius: (params.radius || 25) * 1000, // Convert to meters
-          limit: 100,
-          page: 1,
-          sort: 'desc',
-          orderBy: 'datetime'
-        },
-        headers: {
-          'X-API-Key': apiKey
-        },
-        timeout: 15000
-      });
+      return await this.openAQService.getAirQualityData({ lat: params.lat, lon: params.lng }, params.radius || 25);
+    } catch (error) {
+      console.error('OpenAQ error:', error.message);
+      return null;
+    }
+  }
 
-      return response.data;
+  /**
+   * Fetch corrected low-cost sensor readings around a location
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object|null>} Result of LowCostSensorService.getReadings, or null
+   *   without the service or on failure
+   */
+  async fetchLowCostData(params) {
+    if (!this.lowCostSensorService) return null;
+
+    try {
+      return await this.lowCostSensorService.getReadings({
+        lat: params.lat,
+        lng: params.lng,
+        radius: Math.min(params.radius || 25, 10)
+      });
     } catch (error) {
-      console.error('OpenAQ API v3 error:', error.message);
+      console.error('Low-cost sensor error:', error.message);
       return null;
     }
   }
 
   /**
-   * Process and merge ground-based data from multiple sources
-   * @param {Object} rawData - Raw data from multiple sources
+   * Merge ground-based data from multiple sources. Every source has already
+   * converted its values to canonical units. All current observations are
+   * kept and fused per pollutant (see fusion.fuseObservations); each fused
+   * reading lists its observations with their weights in `fusion`.
+   * @param {Object} rawData - { epa, openAQ, lowCost } from AirNowService,
+   *   OpenAQService and LowCostSensorService
    * @returns {Object} Processed and merged data
    */
   processGroundBasedData(rawData) {
@@ -123,233 +141,324 @@ class AirQualityService {
       aqi: null,
       stations: []
     };
+    const observations = [];
 
-    // Process EPA data
-    if (rawData.epa && Array.isArray(rawData.epa)) {
-      rawData.epa.forEach(station => {
-        processed.sources.push('EPA AirNow');
+    // Process EPA AirNow sites: the latest hour of every parameter
+    if (rawData.epa && Array.isArray(rawData.epa.sites) && rawData.epa.sites.length > 0) {
+      processed.sources.push('EPA AirNow');
+
+      rawData.epa.sites.forEach(site => {
         processed.stations.push({
-          id: station.ReportingArea,
-          name: station.ReportingArea,
-          distance: station.distance || 0,
-          coordinates: {
-            lat: station.Latitude,
-            lng: station.Longitude
-          }
+          id: site.aqsId || site.intlAqsId,
+          aqsId: site.aqsId,
+          name: site.name,
+          agency: site.agency,
+          distance: site.distance,
+          coordinates: site.coordinates,
+          parameters: Object.keys(site.parameters),
+          source: 'EPA AirNow'
         });
 
-        // Process pollutants
-        if (station.ParameterName) {
-          const pollutant = station.ParameterName.toLowerCase();
-          processed.pollutants[pollutant] = {
-            concentration: station.Value,
-            unit: station.Unit,
-            quality: this.getAQILevel(station.AQI),
-            aqi: station.AQI,
-            source: 'EPA'
-          };
-        }
-
-        // Set overall AQI
-        if (station.AQI && (!processed.aqi || station.AQI > processed.aqi)) {
-          processed.aqi = station.AQI;
-        }
+        Object.entries(site.parameters).forEach(([pollutant, parameter]) => {
+          observations.push({
+            pollutant,
+            ...parameter.latest,
+            source: 'EPA',
+            provider: site.agency,
+            tier: 'regulatory',
+            station: site.aqsId || site.intlAqsId,
+            name: site.name,
+            coordinates: site.coordinates,
+            distance: site.distance
+          });
+        });
       });
     }
 
-    // Process OpenAQ v3 data
-    if (rawData.openAQ && rawData.openAQ.results) {
-      rawData.openAQ.results.forEach(measurement => {
-        processed.sources.push('OpenAQ');
-        
-        const pollutant = measurement.parameter.toLowerCase();
-        if (!processed.pollutants[pollutant]) {
-          processed.pollutants[pollutant] = {
-            concentration: measurement.value,
-            unit: measurement.unit,
-            quality: this.assessQuality(pollutant, measurement.value),
-            source: 'OpenAQ'
-          };
-        }
-
-        // Add station info
-        if (measurement.location) {
-          processed.stations.push({
-            id: measurement.location,
-            name: measurement.location,
-            coordinates: {
-              lat: measurement.coordinates?.latitude,
-              lng: measurement.coordinates?.longitude
-            }
-          });
-        }
+    // Process OpenAQ sensors. Reference monitors are regulatory data, other
+    // sensors low-cost; OpenAQ distances are in meters.
+    if (rawData.openAQ && rawData.openAQ.pollutants) {
+      processed.sources.push('OpenAQ');
+
+      (rawData.openAQ.observations || []).forEach(observation => {
+        observations.push({
+          ...observation,
+          source: 'OpenAQ',
+          tier: observation.isMonitor === false ? 'low-cost' : 'regulatory',
+          name: observation.station,
+          station: observation.locationId,
+          coordinates: { lat: observation.coordinates.lat, lng: observation.coordinates.lon },
+          distance: Math.round(observation.distance / 100) / 10
+        });
+      });
+
+      (rawData.openAQ.stations || []).forEach(station => {
+        processed.stations.push({
+          id: station.id,
+          name: station.name,
+          provider: station.provider,
+          distance: Math.round(station.distance / 100) / 10,
+          coordinates: {
+            lat: station.coordinates.lat,
+            lng: station.coordinates.lon
+          },
+          parameters: station.sensors.map(sensor => sensor.parameter),
+          source: 'OpenAQ'
+        });
       });
     }
 
-    // Calculate overall air quality index if not available
-    if (!processed.aqi) {
-      processed.aqi = this.calculateOverallAQI(processed.pollutants);
+    // Process low-cost sensors. Readings with disagreeing channels or
+    // without a humidity correction are listed but not fused.
+    if (rawData.lowCost && Array.isArray(rawData.lowCost.sensors) && rawData.lowCost.sensors.length > 0) {
+      processed.sources.push('Low-cost sensors');
+
+      rawData.lowCost.sensors.forEach(sensor => {
+        observations.push({
+          pollutant: 'PM2.5',
+          concentration: sensor.concentration,
+          unit: sensor.unit,
+          timestamp: sensor.timestamp,
+          rawConcentration: sensor.rawConcentration,
+          humidity: sensor.humidity,
+          humiditySource: sensor.humiditySource,
+          correction: sensor.correction,
+          flags: sensor.flags,
+          valid: sensor.valid,
+          source: 'LowCost',
+          provider: sensor.origin === 'upload' ? 'upload' : 'sensor API',
+          tier: 'low-cost',
+          station: sensor.sensorId,
+          name: sensor.name,
+          coordinates: sensor.coordinates,
+          distance: sensor.distance
+        });
+
+        processed.stations.push({
+          id: sensor.sensorId,
+          name: sensor.name,
+          distance: sensor.distance,
+          coordinates: sensor.coordinates,
+          parameters: ['PM2.5'],
+          flags: sensor.flags,
+          source: 'Low-cost sensor'
+        });
+      });
     }
 
-    processed.overallQuality = this.getAQILevel(processed.aqi);
+    processed.pollutants = fusion.fuseObservations(observations);
+
+    // AirNow AQIs are kept for readings taken from a single AirNow site
+    const overall = aqiEngine.calculateOverallAQI(processed.pollutants);
+    // No indexable pollutant leaves the AQI unknown rather than "good"
+    processed.aqi = overall.aqi;
+    processed.dominantPollutant = overall.dominantPollutant;
+
+    processed.overallQuality = overall.aqi !== null ? aqiEngine.getCategory(overall.aqi).key : 'unknown';
 
     return processed;
   }
 
   /**
-   * Calculate overall AQI from pollutant concentrations
-   * AQI = max(IO3, INO2, IPM2.5, IPM10, ISO2, ICO)
-   * @param {Object} pollutants - Pollutant data
-   * @returns {number} Overall AQI
+   * Get real-time air quality for a location
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - Options
+   * @param {string} options.standard - AQI standard version (defaults to the one in force)
+   * @returns {Promise<Object>} Real-time air quality data
    */
-  calculateOverallAQI(pollutants) {
-    const aqiValues = [];
-    
-    Object.entries(pollutants).forEach(([pollutantName, pollutant]) => {
-      if (pollutant.aqi) {
-        aqiValues.push(pollutant.aqi);
-      } else {
-        // Convert concentration to AQI using EPA formula
-        const aqi = this.concentrationToAQI(pollutant.concentration, pollutantName);
-        if (aqi > 0) aqiValues.push(aqi);
-      }
+  async getRealTimeAirQuality(lat, lng, options = {}) {
+    const data = await this.fetchGroundBasedData({
+      lat,
+      lng,
+      radius: 25
     });
 
-    // AQI is the maximum of all individual pollutant AQIs
-    return aqiValues.length > 0 ? Math.max(...aqiValues) : 0;
+    return this.applyNowCast(data, lat, lng, options);
   }
 
   /**
-   * Convert concentration to AQI using EPA standard formula
-   * @param {number} concentration - Pollutant concentration
-   * @param {string} pollutant - Pollutant name
-   * @returns {number} AQI value
+   * Re-index current readings the way AirNow reports them. PM2.5, PM10 and O3
+   * get a NowCast AQI from the stored hourly history and CO its 8-hour mean;
+   * the rest keep the AQI of their reading. Each pollutant's `aqiMethod` tells
+   * which one was used: 'nowcast', '8-hour' (rolling mean of stored hours),
+   * '1-hour' (the pollutant's standard is a 1-hour mean) or 'instantaneous'
+   * (a single reading applied to longer-period breakpoints).
+   * @param {Object} data - Processed ground-based data (left untouched, it may be cached)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { standard } AQI standard version
+   * @returns {Promise<Object>} Copy of the data with re-indexed pollutants
    */
-  concentrationToAQI(concentration, pollutant) {
-    // EPA AQI breakpoints and formulas
-    const breakpoints = {
-      'PM2.5': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 12.0 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 12.1, concHigh: 35.4 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 150.4 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 150.5, concHigh: 250.4 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 250.5, concHigh: 350.4 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 350.5, concHigh: 500.4 }
-      ],
-      'PM10': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 154 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 155, concHigh: 254 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 255, concHigh: 354 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 355, concHigh: 424 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 425, concHigh: 504 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
-      ],
-      'O3': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 70 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 71, concHigh: 85 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 86, concHigh: 105 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 106, concHigh: 200 }
-      ],
-      'NO2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 53 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 54, concHigh: 100 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 101, concHigh: 360 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 361, concHigh: 649 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 650, concHigh: 1249 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 1250, concHigh: 1649 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 1650, concHigh: 2049 }
-      ],
-      'SO2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 35 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 36, concHigh: 75 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 76, concHigh: 185 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 186, concHigh: 304 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 305, concHigh: 604 }
-      ],
-      'CO': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 4.4 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 4.5, concHigh: 9.4 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 9.5, concHigh: 12.4 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 12.5, concHigh: 15.4 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 15.5, concHigh: 30.4 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 30.5, concHigh: 40.4 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 40.5, concHigh: 50.4 }
-      ]
-    };
-
-    const pollutantBreakpoints = breakpoints[pollutant];
-    if (!pollutantBreakpoints) return 0;
-
-    // Find the appropriate breakpoint range
-    for (const bp of pollutantBreakpoints) {
-      if (concentration >= bp.concLow && concentration <= bp.concHigh) {
-        // Calculate AQI using EPA formula: AQI = ((I_high - I_low) / (C_high - C_low)) * (C - C_low) + I_low
-        const aqi = Math.round(
-          ((bp.aqiHigh - bp.aqiLow) / (bp.concHigh - bp.concLow)) * 
-          (concentration - bp.concLow) + bp.aqiLow
-        );
-        return Math.min(aqi, 500); // Cap at 500
-      }
+  async applyNowCast(data, lat, lng, options = {}) {
+    const now = new Date();
+    const pollutants = {};
+
+    for (const [pollutant, reading] of Object.entries(data.pollutants || {})) {
+      pollutants[pollutant] = await this.indexReading(pollutant, reading, {
+        lat,
+        lng,
+        now,
+        timestamp: reading.timestamp || data.timestamp,
+        standard: options.standard,
+        // Mock readings must not be averaged with real history
+        useHistory: !data.metadata?.note
+      });
     }
 
-    // If concentration is above the highest breakpoint, return 500
-    return 500;
-  }
+    const version = aqiEngine.resolveStandardVersion({ standard: options.standard, date: now });
+    const overall = aqiEngine.calculateOverallAQI(pollutants, { standard: version.id });
+    const aqi = overall.aqi ?? data.aqi;
+    const dominant = Object.entries(pollutants)
+      .find(([pollutant]) => (aqiEngine.normalizePollutant(pollutant) || pollutant) === overall.dominantPollutant);
 
-  /**
-   * Get AQI level description
-   * @param {number} aqi - AQI value
-   * @returns {string} AQI level
-   */
-  getAQILevel(aqi) {
-    if (aqi <= 50) return 'good';
-    if (aqi <= 100) return 'moderate';
-    if (aqi <= 150) return 'unhealthy-sensitive';
-    if (aqi <= 200) return 'unhealthy';
-    if (aqi <= 300) return 'very-unhealthy';
-    return 'hazardous';
+    return {
+      ...data,
+      pollutants,
+      aqi,
+      aqiMethod: dominant ? dominant[1].aqiMethod : null,
+      aqiStandard: version.id,
+      dominantPollutant: overall.dominantPollutant || data.dominantPollutant,
+      overallQuality: aqiEngine.getCategory(aqi)?.key || data.overallQuality
+    };
   }
 
   /**
-   * Assess air quality based on pollutant concentration
-   * @param {string} pollutant - Pollutant type
-   * @param {number} concentration - Concentration value
-   * @returns {string} Quality assessment
+   * Work out the AQI of one current reading and how it was computed
+   * @param {string} pollutant - Pollutant name as reported by the source
+   * @param {Object} reading - { concentration, aqi, source, ... }
+   * @param {Object} context - { lat, lng, now, timestamp, standard, useHistory }
+   * @returns {Promise<Object>} Reading with aqi, quality, aqiMethod and nowcast or average
    */
-  assessQuality(pollutant, concentration) {
-    const thresholds = {
-      'pm2.5': { good: 12, moderate: 35, unhealthy: 55 },
-      'pm10': { good: 54, moderate: 154, unhealthy: 254 },
-      'o3': { good: 54, moderate: 70, unhealthy: 85 },
-      'no2': { good: 53, moderate: 100, unhealthy: 360 },
-      'so2': { good: 35, moderate: 75, unhealthy: 185 },
-      'co': { good: 4.4, moderate: 9.4, unhealthy: 12.4 }
-    };
+  async indexReading(pollutant, reading, context) {
+    const name = aqiEngine.normalizePollutant(pollutant);
+    const standard = aqiEngine.getStandard(name, { standard: context.standard, date: context.now });
+    if (!standard) return { ...reading, aqiMethod: null };
+
+    const hasNowCast = Boolean(aqiEngine.NOWCAST_WINDOWS[name]);
+    const readingMethod = standard.averagingPeriod === '1h' ? '1-hour' : 'instantaneous';
+
+    // AirNow current observations are already NowCast (PM, O3) or hourly
+    // values, indexed with the standard in force
+    const inForce = aqiEngine.resolveStandardVersion({ date: context.now }).id;
+    if (reading.source === 'EPA' && Number.isFinite(reading.aqi) &&
+        (!context.standard || aqiEngine.findStandardVersion(context.standard).id === inForce)) {
+      return { ...reading, aqiMethod: hasNowCast ? 'nowcast' : '1-hour' };
+    }
 
-    const threshold = thresholds[pollutant.toLowerCase()];
-    if (!threshold) return 'unknown';
+    const unitMatches = units.sameUnit(reading.unit, standard.unit);
+    // Hourly values the source sent along (OpenAQ) complement stored history
+    const sourceHistory = (reading.hourly || [])
+      .filter(hour => units.sameUnit(hour.unit, standard.unit))
+      .map(hour => ({ timestamp: hour.timestamp, value: hour.concentration }));
+    if (hasNowCast && context.useHistory && unitMatches && reading.source !== 'EPA') {
+      const history = await this.getHourlyHistory(name, context, aqiEngine.NOWCAST_WINDOWS[name].hours, reading.tier);
+      const nowcast = aqiEngine.getNowCastAQI(name, [
+        ...history,
+        ...sourceHistory,
+        { timestamp: context.timestamp, value: reading.concentration }
+      ], context.now, { standard: context.standard });
+
+      if (nowcast) {
+        return {
+          ...reading,
+          aqi: nowcast.aqi,
+          quality: nowcast.category,
+          aqiMethod: 'nowcast',
+          nowcast: {
+            concentration: nowcast.concentration,
+            unit: nowcast.unit,
+            weightFactor: nowcast.nowcast.weightFactor,
+            validHours: nowcast.nowcast.validHours,
+            hours: nowcast.nowcast.hours
+          }
+        };
+      }
+    }
+
+    // Pollutants indexed on a multi-hour mean without a NowCast (CO's 8-hour
+    // standard) are averaged over stored history when enough of it exists
+    if (!hasNowCast && standard.averagingPeriod !== '1h' && context.useHistory && unitMatches) {
+      const requirement = aqiEngine.getAveragingRequirement(name, standard.averagingPeriod);
+      const history = await this.getHourlyHistory(name, context, requirement.hours, reading.tier);
+      const average = aqiEngine.getRollingAverageAQI(name, [
+        ...history,
+        ...sourceHistory,
+        { timestamp: context.timestamp, value: reading.concentration }
+      ], context.now, { standard: context.standard });
+
+      if (average) {
+        return {
+          ...reading,
+          aqi: average.aqi,
+          quality: average.category,
+          aqiMethod: `${requirement.hours}-hour`,
+          average: {
+            concentration: average.concentration,
+            unit: average.unit,
+            validHours: average.average.validHours,
+            hours: average.average.hours
+          }
+        };
+      }
+    }
 
-    if (concentration <= threshold.good) return 'good';
-    if (concentration <= threshold.moderate) return 'moderate';
-    if (concentration <= threshold.unhealthy) return 'unhealthy';
-    return 'hazardous';
+    // Null when the reading's unit could not be normalized
+    const aqi = aqiEngine.concentrationToAQI(reading.concentration, name, {
+      standard: context.standard,
+      date: context.timestamp,
+      unit: reading.unit
+    });
+    return {
+      ...reading,
+      aqi,
+      quality: aqi !== null ? aqiEngine.getCategory(aqi).key : 'unknown',
+      aqiMethod: readingMethod
+    };
   }
 
   /**
-   * Get real-time air quality for a location
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @returns {Promise<Object>} Real-time air quality data
+   * Load a pollutant's stored ground observations for its NowCast or averaging window
+   * @param {string} pollutant - Canonical pollutant name
+   * @param {Object} context - { lat, lng, now }
+   * @param {number} hours - Length of the window
+   * @param {string} tier - Tier of the reading being indexed; only 'low-cost'
+   *   readings take low-cost sensor history
+   * @returns {Promise<Array>} [{ timestamp, value }], empty without storage
    */
-  async getRealTimeAirQuality(lat, lng) {
-    return await this.fetchGroundBasedData({
-      lat,
-      lng,
-      radius: 25
-    });
+  async getHourlyHistory(pollutant, context, hours, tier) {
+    if (!this.storageService) return [];
+
+    const unit = aqiEngine.getStandard(pollutant).unit;
+
+    try {
+      const observations = await this.storageService.getObservations({
+        pollutant,
+        lat: context.lat,
+        lng: context.lng,
+        start: new Date(context.now.getTime() - hours * 60 * 60 * 1000),
+        end: context.now
+      });
+
+      // Satellite-derived values are not station readings, and low-cost
+      // sensors do not feed a regulatory reading's window, nor flagged
+      // uploads any window; older stored values may still be in their
+      // reported unit
+      return observations
+        .filter(observation => observation.source !== 'TEMPO')
+        .filter(observation => tier === 'low-cost' || observation.metadata?.tier !== 'low-cost')
+        .filter(observation => observation.metadata?.valid !== false)
+        .map(observation => ({
+          timestamp: observation.timestamp,
+          value: observation.unit
+            ? units.convert(observation.value, observation.unit, unit, { pollutant })
+            : observation.value
+        }))
+        .filter(observation => Number.isFinite(observation.value));
+    } catch (error) {
+      console.error(`Error loading ${pollutant} history:`, error.message);
+      return [];
+    }
   }
 
   /**
@@ -357,14 +466,8 @@ class AirQualityService {
    */
   async updateAirQualityData() {
     console.log('Updating air quality data cache...');
-    // Clear expired cache entries
-    const now = Date.now();
-    for (const [key, value] of this.cache.entries()) {
-      if (now - value.timestamp > this.cacheTimeout) {
-        this.cache.delete(key);
-      }
-    }
-    console.log(`Air quality cache updated. Current entries: ${this.cache.size}`);
+    const entries = await this.cache.prune('airQuality');
+    console.log(`Air quality cache updated. Current entries: ${entries}`);
   }
 
   /**
@@ -376,45 +479,30 @@ class AirQualityService {
     const { lat, lng } = params;
     
     // Generate realistic mock data
-    const aqi = Math.floor(Math.random() * 150) + 20; // AQI between 20-170
-    const quality = aqi <= 50 ? 'good' : aqi <= 100 ? 'moderate' : aqi <= 150 ? 'unhealthy for sensitive groups' : 'unhealthy';
+    const pollutants = {
+      'PM2.5': { concentration: Math.random() * 50 + 10, unit: 'μg/m³' },
+      'PM10': { concentration: Math.random() * 80 + 20, unit: 'μg/m³' },
+      'NO2': { concentration: Math.random() * 40 + 10, unit: 'ppb' },
+      'O3': { concentration: Math.random() * 60 + 20, unit: 'ppb' },
+      'SO2': { concentration: Math.random() * 20 + 5, unit: 'ppb' },
+      'CO': { concentration: Math.random() * 5 + 1, unit: 'ppm' }
+    };
+
+    // Index the mock values like real ones so every view agrees
+    Object.entries(pollutants).forEach(([pollutant, data]) => {
+      data.unit = units.normalizeUnit(data.unit);
+      data.aqi = aqiEngine.concentrationToAQI(data.concentration, pollutant, { unit: data.unit });
+      data.quality = aqiEngine.getCategory(data.aqi).key;
+    });
+    const overall = aqiEngine.calculateOverallAQI(pollutants);
+    const category = aqiEngine.getCategory(overall.aqi);
     
     return {
       timestamp: new Date().toISOString(),
       sources: ['Mock EPA', 'Mock OpenAQ'],
-      pollutants: {
-        'PM2.5': {
-          concentration: Math.random() * 50 + 10,
-          unit: 'μg/m³',
-          quality: quality
-        },
-        'PM10': {
-          concentration: Math.random() * 80 + 20,
-          unit: 'μg/m³',
-          quality: quality
-        },
-        'NO2': {
-          concentration: Math.random() * 40 + 10,
-          unit: 'ppb',
-          quality: quality
-        },
-        'O3': {
-          concentration: Math.random() * 60 + 20,
-          unit: 'ppb',
-          quality: quality
-        },
-        'SO2': {
-          concentration: Math.random() * 20 + 5,
-          unit: 'ppb',
-          quality: quality
-        },
-        'CO': {
-          concentration: Math.random() * 5 + 1,
-          unit: 'ppm',
-          quality: quality
-        }
-      },
-      aqi: aqi,
+      pollutants,
+      aqi: overall.aqi,
+      dominantPollutant: overall.dominantPollutant,
       stations: [{
         id: 'mock-station-1',
         name: 'Mock Air Quality Station',
@@ -425,31 +513,14 @@ class AirQualityService {
         },
         lastUpdate: new Date().toISOString()
       }],
-      overallQuality: quality,
-      healthRecommendations: this.getHealthRecommendations(aqi),
+      overallQuality: category.key,
+      healthRecommendations: category.recommendations,
       metadata: {
         note: 'Mock data - external APIs unavailable',
         generatedAt: new Date().toISOString()
       }
     };
   }
-
-  /**
-   * Get health recommendations based on AQI
-   * @param {number} aqi - Air Quality Index
-   * @returns {Array} Health recommendations
-   */
-  getHealthRecommendations(aqi) {
-    if (aqi <= 50) {
-      return ['Air quality is good. Enjoy outdoor activities.'];
-    } else if (aqi <= 100) {
-      return ['Air quality is moderate. Sensitive individuals should consider limiting outdoor activities.'];
-    } else if (aqi <= 150) {
-      return ['Air quality is unhealthy for sensitive groups. Children, elderly, and those with respiratory issues should avoid outdoor activities.'];
-    } else {
-      return ['Air quality is unhealthy. Everyone should avoid outdoor activities. Stay indoors with windows closed.'];
-    }
-  }
 }
 
 module.exports = AirQualityService;
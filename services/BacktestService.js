@@ -0,0 +1,238 @@
+const moment = require('moment');
+const CacheService = require('./CacheService');
+const ForecastService = require('./ForecastService');
+const units = require('./units');
+const forecastFeatures = require('./forecasting/features');
+const { computeMetrics } = require('./forecasting/metrics');
+
+// Methods a backtest can replay
+const BACKTEST_METHODS = ['persistence', 'climatology', 'damped-trend', 'statistical', 'ridge'];
+// Days of history before the first issue hour, for training and climatology
+const WARMUP_DAYS = 30;
+// Hours between retrainings of the ridge models
+const RETRAIN_HOURS = 24;
+
+class BacktestService {
+  /**
+   * @param {Object} options - Service options
+   * @param {StorageService} options.storageService - Stored observations to replay
+   */
+  constructor(options = {}) {
+    this.storageService = options.storageService || null;
+  }
+
+  /**
+   * Replay forecast methods over stored history. Records are keyed by the
+   * start of their hour, so at an issue time t only the hours before t are
+   * complete: each method sees those alone, the ridge models are retrained
+   * on them, and lead h covers the hour starting at t + h - 1. Every
+   * forecast is scored against the measured hourly means of the hours it
+   * covers.
+   * @param {Object} params - Backtest parameters
+   * @param {Date} params.start - First issue hour
+   * @param {Date} params.end - Last issue hour
+   * @param {Array<Object>} params.locations - [{ lat, lng }]
+   * @param {Array<string>} params.methods - Methods to compare (default all)
+   * @param {Array<string>} params.pollutants - Pollutants to forecast (default all)
+   * @param {number} params.hours - Forecast horizon (default 24)
+   * @param {number} params.stepHours - Hours between issue times (default 1)
+   * @param {number} params.warmupDays - History before start (default 30)
+   * @param {number} params.retrainHours - Hours between ridge retrainings (default 24)
+   * @returns {Promise<Object>} Report: { generatedAt, window, horizonHours, stepHours,
+   *   locations, methods, pollutants, issued, results, ranking }
+   */
+  async run(params) {
+    if (!this.storageService || !this.storageService.isConnected()) {
+      throw new Error('Backtesting needs stored observations (MONGODB_URI)');
+    }
+
+    const methods = params.methods || BACKTEST_METHODS;
+    const unknown = methods.filter(method => !BACKTEST_METHODS.includes(method));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown backtest methods: ${unknown.join(', ')}`);
+    }
+
+    const pollutants = params.pollutants || ForecastService.FORECAST_POLLUTANTS;
+    const hours = params.hours || 24;
+    const stepHours = params.stepHours || 1;
+    const retrainHours = params.retrainHours || RETRAIN_HOURS;
+    const start = moment.utc(params.start).startOf('hour');
+    const end = moment.utc(params.end).startOf('hour');
+    const historyStart = start.clone().subtract(params.warmupDays || WARMUP_DAYS, 'days');
+
+    // A private forecaster, so retraining never touches the live models
+    const forecaster = new ForecastService({
+      storageService: this.storageService,
+      cache: new CacheService({ backend: new CacheService.MemoryCacheBackend() })
+    });
+    await forecaster.initializeModels();
+
+    const series = [];
+    for (const location of params.locations) {
+      const records = await forecaster.loadHistory(
+        location, historyStart.toDate(), end.clone().add(hours, 'hours').toDate());
+      series.push({ location, records, rows: forecastFeatures.toFeatureRows(records) });
+    }
+
+    const pairs = Object.fromEntries(methods.map(method => [
+      method, Object.fromEntries(pollutants.map(pollutant => [pollutant, []]))
+    ]));
+    let issued = 0;
+    let lastTrained = null;
+
+    for (let time = start.clone(); !time.isAfter(end); time.add(stepHours, 'hours')) {
+      // Records before `known` had ended by the issue time
+      const known = time.diff(historyStart, 'hours');
+
+      if (methods.includes('ridge') && (lastTrained === null || time.diff(lastTrained, 'hours') >= retrainHours)) {
+        await forecaster.trainModels(series.map(({ records }) => records.slice(0, known)));
+        lastTrained = time.clone();
+      }
+
+      for (const { records, rows } of series) {
+        // Forecasts start from the last complete hour, the way the window's
+        // last row leads to the next hour
+        const context = {
+          records: records.slice(0, known),
+          features: rows.slice(Math.max(0, known - forecastFeatures.WINDOW_HOURS), known),
+          issuedAt: time.clone().subtract(1, 'hour').toDate()
+        };
+        issued++;
+
+        for (const method of methods) {
+          for (const pollutant of pollutants) {
+            const predictions = await this.forecast(forecaster, method, context, pollutant, hours);
+            if (!predictions) continue;
+
+            predictions.forEach(prediction => {
+              const target = records[known - 1 + prediction.hour];
+              const observed = target ? target.values[pollutant] : undefined;
+              if (!Number.isFinite(observed)) return;
+
+              pairs[method][pollutant].push({
+                leadHours: prediction.hour,
+                forecast: prediction.concentration,
+                observed
+              });
+            });
+          }
+        }
+      }
+    }
+
+    const results = {};
+    methods.forEach(method => {
+      results[method] = {};
+      pollutants.forEach(pollutant => {
+        results[method][pollutant] = this.summarize(pollutant, pairs[method][pollutant]);
+      });
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      window: { start: start.toISOString(), end: end.toISOString() },
+      horizonHours: hours,
+      stepHours,
+      locations: params.locations,
+      methods,
+      pollutants,
+      issued,
+      results,
+      ranking: this.rank(results, methods, pollutants)
+    };
+  }
+
+  /**
+   * Issue one method's forecast as of an hour
+   * @param {ForecastService} forecaster - Forecaster holding the models trained so far
+   * @param {string} method - Method name
+   * @param {Object} context - { records, features, issuedAt }: what was known at the issue hour
+   * @param {string} pollutant - Pollutant name
+   * @param {number} hours - Hours to forecast
+   * @returns {Promise<Array|null>} Predictions, or null when the method cannot
+   *   forecast from what was known
+   */
+  async forecast(forecaster, method, context, pollutant, hours) {
+    if (method !== 'ridge') {
+      return forecaster.forecastWithMethod(method, context, pollutant, hours);
+    }
+
+    // Only the regressor is scored, never the statistical fallback
+    const model = forecaster.models.get(pollutant);
+    if (!model || !model.regressor || context.features.length < forecastFeatures.WINDOW_HOURS) return null;
+    return forecaster.predictPollutant(model, context.features, hours, pollutant);
+  }
+
+  /**
+   * Score a method's forecasts of one pollutant overall and per lead time
+   * @param {string} pollutant - Pollutant name
+   * @param {Array} pairs - [{ leadHours, forecast, observed }]
+   * @returns {Object} { unit, overall, byLead }
+   */
+  summarize(pollutant, pairs) {
+    const byLead = new Map();
+    pairs.forEach(pair => {
+      if (!byLead.has(pair.leadHours)) byLead.set(pair.leadHours, []);
+      byLead.get(pair.leadHours).push(pair);
+    });
+
+    return {
+      unit: units.getCanonicalUnit(pollutant),
+      overall: computeMetrics(pollutant, pairs),
+      byLead: Array.from(byLead.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([leadHours, group]) => ({ leadHours, ...computeMetrics(pollutant, group) }))
+    };
+  }
+
+  /**
+   * Order the methods of each pollutant by mean absolute error
+   * @param {Object} results - Results keyed by method, then pollutant
+   * @param {Array<string>} methods - Methods
+   * @param {Array<string>} pollutants - Pollutants
+   * @returns {Object} { [pollutant]: [{ method, mae, rmse, count }] }, best first;
+   *   methods without a scored forecast come last
+   */
+  rank(results, methods, pollutants) {
+    return Object.fromEntries(pollutants.map(pollutant => [
+      pollutant,
+      methods
+        .map(method => {
+          const { mae, rmse, count } = results[method][pollutant].overall;
+          return { method, mae, rmse, count };
+        })
+        .sort((a, b) => (a.mae ?? Infinity) - (b.mae ?? Infinity))
+    ]));
+  }
+
+  /**
+   * Flatten a report into CSV, one row per method, pollutant and lead time
+   * plus an 'all' row per method and pollutant
+   * @param {Object} report - Result of run
+   * @returns {string} CSV text
+   */
+  toCSV(report) {
+    const columns = ['count', 'bias', 'mae', 'rmse', 'correlation', 'categoryHitRate'];
+    const lines = [['method', 'pollutant', 'unit', 'leadHours', ...columns].join(',')];
+
+    report.methods.forEach(method => {
+      report.pollutants.forEach(pollutant => {
+        const result = report.results[method][pollutant];
+        [{ leadHours: 'all', ...result.overall }, ...result.byLead].forEach(metrics => {
+          lines.push([
+            method,
+            pollutant,
+            result.unit || '',
+            metrics.leadHours,
+            ...columns.map(column => metrics[column] ?? '')
+          ].join(','));
+        });
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = BacktestService;
+module.exports.BACKTEST_METHODS = BACKTEST_METHODS;
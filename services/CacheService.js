@@ -0,0 +1,391 @@
+const { createClient } = require('redis');
+
+// Seconds each namespace stays fresh, and how long past that a stale value
+// may still be served while it is refreshed in the background
+const DEFAULT_TTLS = {
+  airQuality: { ttl: 10 * 60, staleTtl: 10 * 60 },
+  tempo: { ttl: 15 * 60, staleTtl: 15 * 60 },
+  weather: { ttl: 30 * 60, staleTtl: 30 * 60 },
+  openaq: { ttl: 5 * 60, staleTtl: 5 * 60 },
+  airnow: { ttl: 10 * 60, staleTtl: 10 * 60 },
+  lowcost: { ttl: 5 * 60, staleTtl: 5 * 60 },
+  forecast: { ttl: 30 * 60, staleTtl: 15 * 60 },
+  skill: { ttl: 60 * 60, staleTtl: 60 * 60 }
+};
+const FALLBACK_TTL = { ttl: 5 * 60, staleTtl: 0 };
+
+/**
+ * In-process cache backend
+ */
+class MemoryCacheBackend {
+  constructor() {
+    this.name = 'memory';
+    this.ready = true;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.staleUntil) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async deleteByPrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  async prune(prefix) {
+    const now = Date.now();
+    let size = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (!key.startsWith(prefix)) continue;
+      if (now > entry.staleUntil) {
+        this.entries.delete(key);
+      } else {
+        size++;
+      }
+    }
+    return size;
+  }
+}
+
+/**
+ * Redis cache backend. Entries are stored as JSON and expire with the
+ * stale window, so Redis does the pruning. While Redis is unreachable every
+ * read is a miss and writes are dropped; the client keeps reconnecting.
+ */
+class RedisCacheBackend {
+  /**
+   * @param {string} url - Redis connection URL
+   */
+  constructor(url) {
+    this.name = 'redis';
+    this.ready = false;
+    this.reportedError = false;
+    this.client = createClient({
+      url,
+      socket: { reconnectStrategy: retries => Math.min(retries * 1000, 30000) }
+    });
+    this.client.on('error', error => {
+      if (!this.reportedError) console.error('Redis cache unavailable:', error.message);
+      this.reportedError = true;
+      this.ready = false;
+    });
+    this.client.on('ready', () => {
+      this.ready = true;
+      this.reportedError = false;
+    });
+    this.client.connect().catch(() => {});
+  }
+
+  async get(key) {
+    if (!this.ready) return null;
+    const raw = await this.client.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, entry) {
+    if (!this.ready) return;
+    const expiresIn = Math.max(1, entry.staleUntil - Date.now());
+    await this.client.set(key, JSON.stringify(entry), { PX: expiresIn });
+  }
+
+  async delete(key) {
+    if (!this.ready) return;
+    await this.client.del(key);
+  }
+
+  async deleteByPrefix(prefix) {
+    if (!this.ready) return;
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*` })) {
+      await this.client.del(key);
+    }
+  }
+
+  async prune(prefix) {
+    if (!this.ready) return 0;
+    let size = 0;
+    for await (const key of this.client.scanIterator({ MATCH: `${prefix}*` })) {
+      if (key) size++;
+    }
+    return size;
+  }
+}
+
+class CacheService {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Object} options.backend - Backend instance (defaults to Redis when REDIS_URL is set)
+   * @param {Object} options.ttls - Per-namespace { ttl, staleTtl } overrides in seconds
+   * @param {string} options.prefix - Key prefix shared by all namespaces
+   */
+  constructor(options = {}) {
+    this.backend = options.backend ||
+      (process.env.REDIS_URL ? new RedisCacheBackend(process.env.REDIS_URL) : new MemoryCacheBackend());
+    this.prefix = options.prefix || 'tempo-aq';
+    this.ttls = this.loadTtls(options.ttls || {});
+    this.stats = new Map();
+    this.pending = new Map();
+  }
+
+  /**
+   * Shared instance used by services that are not given a cache explicitly
+   * @returns {CacheService} Default cache
+   */
+  static getDefault() {
+    if (!CacheService.defaultInstance) {
+      CacheService.defaultInstance = new CacheService();
+    }
+    return CacheService.defaultInstance;
+  }
+
+  /**
+   * Merge default TTLs with CACHE_TTL_<NAMESPACE> / CACHE_STALE_TTL_<NAMESPACE>
+   * environment variables (seconds) and explicit overrides
+   * @param {Object} overrides - Per-namespace overrides
+   * @returns {Object} TTL config keyed by namespace
+   */
+  loadTtls(overrides) {
+    const ttls = {};
+
+    Object.keys({ ...DEFAULT_TTLS, ...overrides }).forEach(namespace => {
+      const envName = namespace.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+      const envTtl = parseInt(process.env[`CACHE_TTL_${envName}`], 10);
+      const envStaleTtl = parseInt(process.env[`CACHE_STALE_TTL_${envName}`], 10);
+      const base = { ...FALLBACK_TTL, ...DEFAULT_TTLS[namespace], ...overrides[namespace] };
+
+      ttls[namespace] = {
+        ttl: Number.isFinite(envTtl) ? envTtl : base.ttl,
+        staleTtl: Number.isFinite(envStaleTtl) ? envStaleTtl : base.staleTtl
+      };
+    });
+
+    return ttls;
+  }
+
+  /**
+   * Get the TTL config for a namespace
+   * @param {string} namespace - Cache namespace
+   * @returns {Object} { ttl, staleTtl } in seconds
+   */
+  getTtl(namespace) {
+    return this.ttls[namespace] || FALLBACK_TTL;
+  }
+
+  /**
+   * Build the backend key for a namespaced key
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @returns {string} Full key
+   */
+  buildKey(namespace, key) {
+    return `${this.prefix}:${namespace}:${key}`;
+  }
+
+  /**
+   * Count a cache event for a namespace
+   * @param {string} namespace - Cache namespace
+   * @param {string} event - hits, misses, staleHits, refreshes or errors
+   */
+  record(namespace, event) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, { hits: 0, misses: 0, staleHits: 0, refreshes: 0, errors: 0 });
+    }
+    this.stats.get(namespace)[event]++;
+  }
+
+  /**
+   * Read a value regardless of freshness
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<Object|null>} { value, storedAt, freshUntil, staleUntil } or null
+   */
+  async getEntry(namespace, key) {
+    try {
+      return await this.backend.get(this.buildKey(namespace, key));
+    } catch (error) {
+      this.record(namespace, 'errors');
+      return null;
+    }
+  }
+
+  /**
+   * Read a fresh value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @returns {Promise<*>} Cached value, or undefined when missing or stale
+   */
+  async get(namespace, key) {
+    const entry = await this.getEntry(namespace, key);
+    if (entry && Date.now() <= entry.freshUntil) {
+      this.record(namespace, 'hits');
+      return entry.value;
+    }
+    this.record(namespace, 'misses');
+    return undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options - { ttl, staleTtl } in seconds, defaulting to the namespace config
+   */
+  async set(namespace, key, value, options = {}) {
+    const config = { ...this.getTtl(namespace), ...options };
+    const now = Date.now();
+    const entry = {
+      value,
+      storedAt: now,
+      freshUntil: now + config.ttl * 1000,
+      staleUntil: now + (config.ttl + config.staleTtl) * 1000
+    };
+
+    try {
+      await this.backend.set(this.buildKey(namespace, key), entry);
+    } catch (error) {
+      this.record(namespace, 'errors');
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   */
+  async delete(namespace, key) {
+    try {
+      await this.backend.delete(this.buildKey(namespace, key));
+    } catch (error) {
+      this.record(namespace, 'errors');
+    }
+  }
+
+  /**
+   * Remove every value in a namespace
+   * @param {string} namespace - Cache namespace
+   */
+  async clear(namespace) {
+    try {
+      await this.backend.deleteByPrefix(this.buildKey(namespace, ''));
+    } catch (error) {
+      this.record(namespace, 'errors');
+    }
+  }
+
+  /**
+   * Get a value, loading it on a miss. A stale value is returned at once and
+   * refreshed in the background; concurrent loads of one key share a fetch.
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} fetcher - Async loader for the value
+   * @param {Object} options - Wrap options
+   * @param {Function} options.shouldCache - Return false to skip caching a loaded value
+   * @returns {Promise<*>} Cached or freshly loaded value
+   */
+  async wrap(namespace, key, fetcher, options = {}) {
+    const entry = await this.getEntry(namespace, key);
+    const now = Date.now();
+
+    if (entry && now <= entry.freshUntil) {
+      this.record(namespace, 'hits');
+      return entry.value;
+    }
+
+    if (entry && now <= entry.staleUntil) {
+      this.record(namespace, 'staleHits');
+      this.load(namespace, key, fetcher, options).catch(error => {
+        console.error(`Background refresh of ${namespace}:${key} failed:`, error.message);
+      });
+      return entry.value;
+    }
+
+    this.record(namespace, 'misses');
+    return this.load(namespace, key, fetcher, options);
+  }
+
+  /**
+   * Run a fetcher once per key at a time and store its result
+   * @param {string} namespace - Cache namespace
+   * @param {string} key - Key within the namespace
+   * @param {Function} fetcher - Async loader
+   * @param {Object} options - Wrap options
+   * @returns {Promise<*>} Loaded value
+   */
+  load(namespace, key, fetcher, options) {
+    const fullKey = this.buildKey(namespace, key);
+    if (this.pending.has(fullKey)) return this.pending.get(fullKey);
+
+    const promise = (async () => {
+      try {
+        const value = await fetcher();
+        if (!options.shouldCache || options.shouldCache(value)) {
+          await this.set(namespace, key, value);
+        }
+        this.record(namespace, 'refreshes');
+        return value;
+      } finally {
+        this.pending.delete(fullKey);
+      }
+    })();
+
+    this.pending.set(fullKey, promise);
+    return promise;
+  }
+
+  /**
+   * Drop expired entries of a namespace (Redis expires them itself)
+   * @param {string} namespace - Cache namespace
+   * @returns {Promise<number>} Entries left in the namespace
+   */
+  async prune(namespace) {
+    try {
+      return await this.backend.prune(this.buildKey(namespace, ''));
+    } catch (error) {
+      this.record(namespace, 'errors');
+      return 0;
+    }
+  }
+
+  /**
+   * Get hit/miss statistics per namespace
+   * @returns {Object} { backend, connected, namespaces }
+   */
+  getStats() {
+    const namespaces = {};
+
+    this.stats.forEach((counts, namespace) => {
+      const lookups = counts.hits + counts.staleHits + counts.misses;
+      namespaces[namespace] = {
+        ...counts,
+        hitRate: lookups > 0 ? Math.round(((counts.hits + counts.staleHits) / lookups) * 1000) / 1000 : null,
+        ...this.getTtl(namespace)
+      };
+    });
+
+    return {
+      backend: this.backend.name,
+      connected: this.backend.ready,
+      namespaces
+    };
+  }
+}
+
+module.exports = CacheService;
+module.exports.MemoryCacheBackend = MemoryCacheBackend;
+module.exports.RedisCacheBackend = RedisCacheBackend;
@@ -0,0 +1,183 @@
+const BOLTZMANN_CONSTANT = 1.380649e-23; // J/K
+const DEFAULT_BOUNDARY_LAYER_HEIGHT = 1000; // m
+const MIN_BOUNDARY_LAYER_HEIGHT = 100;
+const MAX_BOUNDARY_LAYER_HEIGHT = 3000;
+
+// Share of the tropospheric column assumed to sit inside the mixed layer.
+// HCHO has a larger free-tropospheric background from methane oxidation.
+const BOUNDARY_LAYER_FRACTION = {
+  NO2: 0.75,
+  HCHO: 0.6
+};
+
+class ColumnConversionService {
+  /**
+   * @param {Object} options - Conversion options
+   * @param {string} options.scalingFactors - Pre-fitted factors, e.g. "NO2:1.4,HCHO:0.9"
+   */
+  constructor(options = {}) {
+    this.scalingFactors = this.parseScalingFactors(
+      options.scalingFactors || process.env.TEMPO_SURFACE_SCALING || ''
+    );
+    this.collocations = new Map();
+    this.maxCollocations = 500;
+    this.minCollocations = 10;
+  }
+
+  /**
+   * Parse pre-fitted scaling factors from a "POLLUTANT:factor" list
+   * @param {string} value - Comma separated list
+   * @returns {Map} Scaling factors keyed by pollutant
+   */
+  parseScalingFactors(value) {
+    const factors = new Map();
+
+    value.split(',').forEach(entry => {
+      const [pollutant, factor] = entry.split(':').map(part => part && part.trim());
+      const parsed = parseFloat(factor);
+      if (BOUNDARY_LAYER_FRACTION[pollutant] && parsed > 0) {
+        factors.set(pollutant, { factor: parsed, source: 'configured', samples: null, r2: null });
+      }
+    });
+
+    return factors;
+  }
+
+  /**
+   * Check whether a pollutant's column can be converted to a surface value.
+   * Total O3 columns are dominated by the stratosphere and cannot.
+   * @param {string} pollutant - Pollutant name
+   * @returns {boolean} True when convertible
+   */
+  canConvert(pollutant) {
+    return Boolean(BOUNDARY_LAYER_FRACTION[pollutant]);
+  }
+
+  /**
+   * Get the boundary layer height to mix the column into
+   * @param {Object} weather - Current conditions from WeatherService (optional)
+   * @returns {Object} { value, unit, source }
+   */
+  getBoundaryLayerHeight(weather) {
+    if (weather && Number.isFinite(weather.boundaryLayerHeight)) {
+      return {
+        value: Math.min(MAX_BOUNDARY_LAYER_HEIGHT, Math.max(MIN_BOUNDARY_LAYER_HEIGHT, weather.boundaryLayerHeight)),
+        unit: 'm',
+        source: 'weather'
+      };
+    }
+
+    return { value: DEFAULT_BOUNDARY_LAYER_HEIGHT, unit: 'm', source: 'default' };
+  }
+
+  /**
+   * Number density of air
+   * @param {number} temperature - Temperature in °C
+   * @param {number} pressure - Pressure in hPa
+   * @returns {number} Molecules per cm³
+   */
+  getAirNumberDensity(temperature = 15, pressure = 1013.25) {
+    const kelvin = temperature + 273.15;
+    return (pressure * 100) / (BOLTZMANN_CONSTANT * kelvin) / 1e6;
+  }
+
+  /**
+   * Estimate a surface mixing ratio from a tropospheric column by spreading
+   * the boundary layer share of the column evenly through the mixed layer
+   * @param {string} pollutant - Pollutant name
+   * @param {number} column - Column in molecules/cm²
+   * @param {Object} weather - Current conditions from WeatherService (optional)
+   * @returns {Object|null} Surface estimate, or null when not convertible
+   */
+  toSurface(pollutant, column, weather = null) {
+    if (!this.canConvert(pollutant) || column === null || !Number.isFinite(column)) return null;
+
+    const boundaryLayerHeight = this.getBoundaryLayerHeight(weather);
+    const fraction = BOUNDARY_LAYER_FRACTION[pollutant];
+    const airDensity = this.getAirNumberDensity(
+      weather && Number.isFinite(weather.temperature) ? weather.temperature : undefined,
+      weather && Number.isFinite(weather.pressure) ? weather.pressure : undefined
+    );
+
+    const numberDensity = (Math.max(0, column) * fraction) / (boundaryLayerHeight.value * 100);
+    const unscaled = (numberDensity / airDensity) * 1e9;
+    const scaling = this.getScalingFactor(pollutant);
+
+    return {
+      value: Math.round(unscaled * scaling.factor * 100) / 100,
+      unit: 'ppb',
+      unscaledValue: Math.round(unscaled * 100) / 100,
+      boundaryLayerHeight,
+      boundaryLayerFraction: fraction,
+      scaling
+    };
+  }
+
+  /**
+   * Get the scaling factor applied to a pollutant's surface estimates.
+   * Factors fitted from collocations take precedence over configured ones.
+   * @param {string} pollutant - Pollutant name
+   * @returns {Object} { factor, source, samples, r2 }
+   */
+  getScalingFactor(pollutant) {
+    return this.scalingFactors.get(pollutant) ||
+      { factor: 1, source: 'none', samples: 0, r2: null };
+  }
+
+  /**
+   * Record a satellite estimate next to a co-located ground measurement and
+   * refit the pollutant's scaling factor once enough pairs exist
+   * @param {string} pollutant - Pollutant name
+   * @param {number} estimate - Unscaled surface estimate in ppb
+   * @param {number} observed - Ground measurement in ppb
+   * @param {string} key - Identifies the pixel/station pair so repeats are counted once
+   * @returns {Object} Current scaling factor
+   */
+  addCollocation(pollutant, estimate, observed, key = null) {
+    if (!this.canConvert(pollutant) || !(estimate > 0) || !(observed >= 0)) {
+      return this.getScalingFactor(pollutant);
+    }
+
+    const pairs = this.collocations.get(pollutant) || [];
+    if (key && pairs.some(pair => pair.key === key)) return this.getScalingFactor(pollutant);
+
+    pairs.push({ estimate, observed, key });
+    if (pairs.length > this.maxCollocations) pairs.shift();
+    this.collocations.set(pollutant, pairs);
+
+    if (pairs.length >= this.minCollocations) {
+      const fit = this.fitScalingFactor(pairs);
+      if (fit) this.scalingFactors.set(pollutant, fit);
+    }
+
+    return this.getScalingFactor(pollutant);
+  }
+
+  /**
+   * Least-squares fit of observed = factor * estimate (through the origin)
+   * @param {Array<Object>} pairs - { estimate, observed } entries
+   * @returns {Object|null} { factor, source, samples, r2 } or null if the fit is unusable
+   */
+  fitScalingFactor(pairs) {
+    const sumXY = pairs.reduce((sum, p) => sum + p.estimate * p.observed, 0);
+    const sumXX = pairs.reduce((sum, p) => sum + p.estimate * p.estimate, 0);
+    if (sumXX === 0) return null;
+
+    const factor = sumXY / sumXX;
+    // Reject fits that point at a broken pairing rather than a bias
+    if (factor < 0.1 || factor > 10) return null;
+
+    const meanObserved = pairs.reduce((sum, p) => sum + p.observed, 0) / pairs.length;
+    const totalSquares = pairs.reduce((sum, p) => sum + Math.pow(p.observed - meanObserved, 2), 0);
+    const residualSquares = pairs.reduce((sum, p) => sum + Math.pow(p.observed - factor * p.estimate, 2), 0);
+
+    return {
+      factor: Math.round(factor * 1000) / 1000,
+      source: 'fitted',
+      samples: pairs.length,
+      r2: totalSquares > 0 ? Math.round((1 - residualSquares / totalSquares) * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = ColumnConversionService;
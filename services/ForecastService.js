@@ -1,36 +1,77 @@
 const moment = require('moment');
 const _ = require('lodash');
-
-// Note: TensorFlow.js is optional for this implementation
-// The forecasting uses statistical methods as fallback
+const CacheService = require('./CacheService');
+const aqiEngine = require('./aqi');
+const units = require('./units');
+const RidgeRegressor = require('./forecasting/ridge');
+const forecastFeatures = require('./forecasting/features');
+const baselines = require('./forecasting/baselines');
+const ensemble = require('./forecasting/ensemble');
+
+// Pollutants forecast in their canonical units (services/units.js)
+const FORECAST_POLLUTANTS = ['NO2', 'O3', 'SO2', 'HCHO', 'PM2.5', 'PM10', 'CO'];
+
+// A pollutant's regressor needs this many one-hour-ahead samples; until it
+// has them the pollutant gets the statistical forecast
+const MIN_TRAINING_SAMPLES = 48;
+// Days of stored history the regressors are trained on
+const TRAINING_DAYS = 30;
+const RIDGE_LAMBDA = 1;
+
+// Forecast methods a request can ask for. 'model' is the trained regressor
+// with the statistical fallback, 'ensemble' blends ENSEMBLE_MEMBERS and the
+// others are reference baselines.
+const FORECAST_METHODS = ['model', 'ensemble', 'persistence', 'climatology', 'damped-trend', 'statistical'];
+const ENSEMBLE_MEMBERS = ['model', 'persistence', 'climatology', 'damped-trend'];
+// Methods a prediction, and so a stored forecast, can carry: 'model' forecasts
+// are 'ridge' or 'statistical'
+const PREDICTION_METHODS = ['ridge', 'statistical', 'ensemble', 'persistence', 'climatology', 'damped-trend'];
+// Prediction method of each member's own forecast; anything else is a fallback
+const MEMBER_METHODS = {
+  model: 'ridge',
+  persistence: 'persistence',
+  climatology: 'climatology',
+  'damped-trend': 'damped-trend'
+};
+// Days of verified forecasts, and their distance from the forecast point,
+// that set the ensemble weights
+const ENSEMBLE_SKILL_DAYS = 14;
+const ENSEMBLE_SKILL_RADIUS_KM = 10;
+// Baseline forecasters and the hours of stored history each one reads
+const BASELINE_FORECASTERS = {
+  persistence: { forecast: baselines.persistenceForecast, historyHours: baselines.PERSISTENCE_MAX_AGE_HOURS },
+  climatology: { forecast: baselines.climatologyForecast, historyHours: baselines.CLIMATOLOGY_DAYS * 24 },
+  'damped-trend': { forecast: baselines.dampedTrendForecast, historyHours: baselines.DAMPED_TREND_HOURS }
+};
 
 class ForecastService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   * @param {StorageService} options.storageService - Stored observations for training and
+   *   the recent feature window, and where issued forecasts are kept for verification (optional)
+   * @param {VerificationService} options.verificationService - Verified skill of the
+   *   ensemble members (optional; without it the members are weighted equally)
+   */
+  constructor(options = {}) {
     this.models = new Map();
-    this.trainingData = [];
     this.isModelTrained = false;
-    this.forecastCache = new Map();
-    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    this.cache = options.cache || CacheService.getDefault();
+    this.storageService = options.storageService || null;
+    this.verificationService = options.verificationService || null;
   }
 
   /**
-   * Initialize and train machine learning models
+   * Create an untrained model for every forecast pollutant
    */
   async initializeModels() {
     try {
       console.log('Initializing air quality forecasting models...');
       
-      // Create models for different pollutants
-      const pollutants = ['NO2', 'O3', 'SO2', 'HCHO', 'PM2.5', 'PM10'];
-      
-      for (const pollutant of pollutants) {
-        const model = this.createLSTMModel();
-        this.models.set(pollutant, model);
+      for (const pollutant of FORECAST_POLLUTANTS) {
+        this.models.set(pollutant, this.createModel(pollutant));
       }
 
-      // Load pre-trained weights if available
-      await this.loadPreTrainedWeights();
-      
       console.log('Models initialized successfully');
     } catch (error) {
       console.error('Error initializing models:', error);
@@ -39,141 +80,397 @@ class ForecastService {
   }
 
   /**
-   * Create LSTM model for time series forecasting
-   * Note: This is a placeholder for TensorFlow.js integration
-   * Currently using statistical forecasting as fallback
-   * @returns {Object} Model placeholder
+   * Create a pollutant's forecasting model. The ridge regressor predicts the
+   * next hour from a 24-hour feature window and is applied recursively for
+   * multi-step forecasts; it is null until trained.
+   * @param {string} pollutant - Pollutant name
+   * @returns {Object} { type, pollutant, regressor, samples, trainedAt }
    */
-  createLSTMModel() {
-    // Placeholder for TensorFlow.js model
-    // In production, this would create an actual LSTM model
+  createModel(pollutant) {
     return {
-      type: 'lstm',
-      units: 50,
-      layers: 2,
-      compiled: true
+      type: 'ridge',
+      pollutant,
+      regressor: null,
+      samples: 0,
+      trainedAt: null
     };
   }
 
+  /**
+   * Describe the models' training state
+   * @returns {Object} { [pollutant]: { type, trained, samples, trainedAt } }
+   */
+  getModelInfo() {
+    const info = {};
+    this.models.forEach((model, pollutant) => {
+      info[pollutant] = {
+        type: model.type,
+        trained: Boolean(model.regressor),
+        samples: model.samples,
+        trainedAt: model.trainedAt
+      };
+    });
+    return info;
+  }
+
   /**
    * Generate air quality forecasts
    * @param {Object} params - Forecast parameters
    * @param {number} params.lat - Latitude
    * @param {number} params.lng - Longitude
    * @param {number} params.hours - Hours to forecast
+   * @param {string} params.method - One of FORECAST_METHODS (default 'model')
    * @param {Object} params.tempoData - TEMPO satellite data
    * @param {Object} params.groundData - Ground-based data
    * @param {Object} params.weatherData - Weather data
    * @returns {Promise<Object>} Air quality forecast
    */
   async generateForecasts(params) {
-    const cacheKey = `forecast-${params.lat}-${params.lng}-${params.hours}`;
+    const method = params.method || 'model';
+    if (!FORECAST_METHODS.includes(method)) {
+      throw new Error(`Unknown forecast method: ${method}`);
+    }
+    const cacheKey = `${params.lat}-${params.lng}-${params.hours}-${method}`;
+
+    try {
+      return await this.cache.wrap('forecast', cacheKey, () => this.buildForecast(params));
+    } catch (error) {
+      console.error('Error generating forecasts:', error);
+      // Return mock forecast data when generation fails
+      return this.getMockForecastData(params);
+    }
+  }
+
+  /**
+   * Generate forecasts without the cache
+   * @param {Object} params - Forecast parameters (see generateForecasts)
+   * @returns {Promise<Object>} Air quality forecast
+   */
+  async buildForecast(params) {
+    const method = params.method || 'model';
+
+    // Prepare input features from stored hours and the current data
+    const history = params.history || await this.loadRecentHistory(params);
+    const features = this.prepareFeatures({ ...params, history });
+    const context = { features, records: null, issuedAt: new Date() };
+
+    // Baselines share the stored hours of the one reading furthest back
+    const methods = method === 'ensemble' ? ENSEMBLE_MEMBERS : [method];
+    const baselineHours = Math.max(0, ...methods
+      .filter(name => BASELINE_FORECASTERS[name])
+      .map(name => BASELINE_FORECASTERS[name].historyHours));
+    if (baselineHours > 0) {
+      const baselineHistory = params.history || await this.loadBaselineHistory(params, baselineHours);
+      context.records = this.prepareBaselineRecords(params, baselineHistory);
+    }
     
-    // Check cache first
-    if (this.forecastCache.has(cacheKey)) {
-      const cached = this.forecastCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
+    const ozoneRegime = params.tempoData?.derived?.ozoneRegime || null;
+    const forecastWith = async name => {
+      const series = await this.forecastPollutants(name, context, params.hours);
+      series.O3 = this.applyOzoneRegime(series.O3, ozoneRegime, params.lng);
+      return series;
+    };
+
+    let forecasts;
+    let blend = null;
+    if (method === 'ensemble') {
+      // Members carry the ozone regime adjustment, so they add up to the blend
+      const members = {};
+      for (const member of ENSEMBLE_MEMBERS) {
+        members[member] = await forecastWith(member);
       }
+      blend = await this.blendEnsemble(params, members, ozoneRegime);
+      forecasts = blend.forecasts;
+    } else {
+      forecasts = await forecastWith(method);
     }
 
-    try {
-      // Prepare input features
-      const features = this.prepareFeatures(params);
-      
-      // Generate forecasts for each pollutant
-      const forecasts = {};
-      const pollutants = ['NO2', 'O3', 'SO2', 'HCHO', 'PM2.5', 'PM10'];
-      
-      for (const pollutant of pollutants) {
-        const model = this.models.get(pollutant);
-        if (model) {
-          forecasts[pollutant] = await this.predictPollutant(model, features, params.hours);
-        } else {
-          // Fallback to statistical forecasting
-          forecasts[pollutant] = this.statisticalForecast(params, pollutant);
-        }
+    // Calculate overall AQI forecast
+    const aqiForecast = this.calculateAQIForecast(forecasts);
+    
+    // Generate confidence intervals
+    const confidenceIntervals = this.calculateConfidenceIntervals(forecasts);
+    
+    // Create alerts and recommendations
+    const alerts = this.generateForecastAlerts(forecasts, aqiForecast);
+    
+    const result = {
+      timestamp: new Date().toISOString(),
+      location: {
+        lat: params.lat,
+        lng: params.lng
+      },
+      forecastHours: params.hours,
+      method,
+      pollutants: forecasts,
+      aqi: aqiForecast,
+      confidence: confidenceIntervals,
+      alerts: alerts,
+      recommendations: this.generateRecommendations(forecasts, aqiForecast),
+      models: this.getModelInfo(),
+      ensemble: blend
+        ? { members: ENSEMBLE_MEMBERS, skill: blend.skill, weights: blend.weights, forecasts: blend.members }
+        : null,
+      ozoneRegime: ozoneRegime && ozoneRegime.available
+        ? { ratio: ozoneRegime.ratio, regime: ozoneRegime.regime, observedAt: ozoneRegime.observedAt }
+        : null,
+      dataSources: {
+        tempo: tempoAvailability(params.tempoData),
+        ground: params.groundData ? 'available' : 'unavailable',
+        weather: params.weatherData ? 'available' : 'unavailable'
       }
+    };
 
-      // Calculate overall AQI forecast
-      const aqiForecast = this.calculateAQIForecast(forecasts);
-      
-      // Generate confidence intervals
-      const confidenceIntervals = this.calculateConfidenceIntervals(forecasts);
-      
-      // Create alerts and recommendations
-      const alerts = this.generateForecastAlerts(forecasts, aqiForecast);
-      
-      const result = {
-        timestamp: new Date().toISOString(),
-        location: {
-          lat: params.lat,
-          lng: params.lng
-        },
-        forecastHours: params.hours,
-        pollutants: forecasts,
-        aqi: aqiForecast,
-        confidence: confidenceIntervals,
-        alerts: alerts,
-        recommendations: this.generateRecommendations(forecasts, aqiForecast),
-        dataSources: {
-          tempo: params.tempoData ? 'available' : 'unavailable',
-          ground: params.groundData ? 'available' : 'unavailable',
-          weather: params.weatherData ? 'available' : 'unavailable'
-        }
-      };
+    // Every issued forecast is kept so it can be verified later, and so are
+    // the ensemble members' forecasts, which their weights are learned from
+    if (this.storageService) {
+      const issued = [result, ...(blend
+        ? ENSEMBLE_MEMBERS.map(member => ({ ...result, pollutants: blend.members[member] }))
+        : [])];
+      issued.forEach(forecast => this.storageService.saveForecast(forecast)
+        .catch(error => console.error('Error storing forecast:', error.message)));
+    }
 
-      // Cache the result
-      this.forecastCache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
+    return result;
+  }
+
+  /**
+   * Forecast every pollutant with one method. A baseline without the data
+   * it needs falls back to the statistical forecast.
+   * @param {string} method - Method name (not 'ensemble')
+   * @param {Object} context - See forecastWithMethod
+   * @param {number} hours - Hours to forecast
+   * @returns {Promise<Object>} Predictions keyed by pollutant
+   */
+  async forecastPollutants(method, context, hours) {
+    const forecasts = {};
+
+    for (const pollutant of FORECAST_POLLUTANTS) {
+      forecasts[pollutant] = await this.forecastWithMethod(method, context, pollutant, hours) ||
+        this.statisticalForecast({ features: context.features }, pollutant, hours);
+    }
+
+    return forecasts;
+  }
+
+  /**
+   * Blend the ensemble members' forecasts. Each member is weighted per
+   * pollutant and lead time by the inverse square of the verified RMSE of
+   * its own method near the forecast point over the last two weeks
+   * (forecasting/ensemble). A member that fell back to the statistical
+   * forecast for a pollutant is left out of that pollutant's blend; when
+   * every member fell back, the blend is the statistical forecast.
+   * @param {Object} params - { lat, lng, hours }
+   * @param {Object} members - Predictions keyed by member, then pollutant
+   * @param {Object|null} ozoneRegime - Regime the members' O3 was adjusted for
+   * @returns {Promise<Object>} { forecasts, members, weights, skill }: blended predictions
+   *   and weights keyed by pollutant, and each member's verified pair count
+   */
+  async blendEnsemble(params, members, ozoneRegime) {
+    const verifications = {};
+    for (const member of ENSEMBLE_MEMBERS) {
+      verifications[member] = await this.loadMemberSkill(params, MEMBER_METHODS[member]);
+    }
+
+    const forecasts = {};
+    const weights = {};
+    FORECAST_POLLUTANTS.forEach(pollutant => {
+      const fallbacks = ENSEMBLE_MEMBERS.filter(member =>
+        members[member][pollutant][0]?.method !== MEMBER_METHODS[member]);
+      weights[pollutant] = ensemble.ensembleWeights(
+        verifications, ENSEMBLE_MEMBERS, pollutant, params.hours, fallbacks);
+
+      if (fallbacks.length === ENSEMBLE_MEMBERS.length) {
+        forecasts[pollutant] = members.model[pollutant];
+        return;
+      }
+      forecasts[pollutant] = ensemble.blendForecasts(
+        Object.fromEntries(ENSEMBLE_MEMBERS.map(member => [member, members[member][pollutant]])),
+        weights[pollutant]
+      );
+      if (pollutant === 'O3' && ozoneRegime && ozoneRegime.available) {
+        forecasts.O3 = forecasts.O3.map(prediction => ({ ...prediction, ozoneRegime: ozoneRegime.regime }));
+      }
+    });
 
-      return result;
+    return {
+      forecasts,
+      members,
+      weights,
+      skill: {
+        days: ENSEMBLE_SKILL_DAYS,
+        radiusKm: ENSEMBLE_SKILL_RADIUS_KM,
+        methods: MEMBER_METHODS,
+        matched: Object.fromEntries(ENSEMBLE_MEMBERS.map(member => [
+          member, verifications[member] ? verifications[member].matched : 0
+        ]))
+      }
+    };
+  }
+
+  /**
+   * Load the recent verified scores of a member's own method near a point
+   * @param {Object} params - { lat, lng }
+   * @param {string} method - Prediction method (MEMBER_METHODS)
+   * @returns {Promise<Object|null>} VerificationService.verify result, or null without
+   *   stored forecasts
+   */
+  async loadMemberSkill(params, method) {
+    if (!this.verificationService || !this.storageService || !this.storageService.isConnected()) {
+      return null;
+    }
+
+    try {
+      return await this.cache.wrap('skill', `${params.lat}-${params.lng}-${method}`, () =>
+        this.verificationService.verify({
+          lat: params.lat,
+          lng: params.lng,
+          radiusKm: ENSEMBLE_SKILL_RADIUS_KM,
+          start: moment().subtract(ENSEMBLE_SKILL_DAYS, 'days').toDate(),
+          pollutants: FORECAST_POLLUTANTS,
+          method
+        }));
     } catch (error) {
-      console.error('Error generating forecasts:', error);
-      // Return mock forecast data when generation fails
-      return this.getMockForecastData(params);
+      console.error(`Error loading ${method} skill:`, error.message);
+      return null;
     }
   }
 
   /**
-   * Prepare input features for machine learning model
-   * @param {Object} params - Input parameters
-   * @returns {Array} Prepared features
+   * Prepare the 24-hour feature window, oldest hour first. Hours come from
+   * `params.history` where stored; the current weather, ground and TEMPO
+   * values fill the rest and always make up the latest hour.
+   * @param {Object} params - Input parameters, with `history` hourly records (optional)
+   * @returns {Array<Array<number>>} Feature rows (columns in forecasting/features FEATURE_COLUMNS)
    */
   prepareFeatures(params) {
-    const features = [];
-    const now = moment();
-    
-    // Create 24-hour historical feature window
-    for (let i = 23; i >= 0; i--) {
-      const hourData = {
-        // Temporal features
-        hour: now.clone().subtract(i, 'hours').hour(),
-        dayOfWeek: now.clone().subtract(i, 'hours').day(),
-        month: now.clone().subtract(i, 'hours').month(),
-        
-        // Weather features
-        temperature: this.extractWeatherFeature(params.weatherData, i, 'temperature'),
-        humidity: this.extractWeatherFeature(params.weatherData, i, 'humidity'),
-        windSpeed: this.extractWeatherFeature(params.weatherData, i, 'windSpeed'),
-        pressure: this.extractWeatherFeature(params.weatherData, i, 'pressure'),
-        
-        // Air quality features
-        no2: this.extractPollutantFeature(params.tempoData, params.groundData, i, 'NO2'),
-        o3: this.extractPollutantFeature(params.tempoData, params.groundData, i, 'O3'),
-        so2: this.extractPollutantFeature(params.tempoData, params.groundData, i, 'SO2'),
-        
-        // Derived features
-        stagnation: this.calculateStagnationIndex(params.weatherData, i),
-        dispersion: this.calculateDispersionIndex(params.weatherData, i)
-      };
-      
-      features.push(Object.values(hourData));
+    const now = moment.utc().startOf('hour');
+    const current = this.getCurrentValues(params);
+    const stored = new Map((params.history || []).map(record => [
+      moment.utc(record.timestamp).startOf('hour').valueOf(),
+      record.values
+    ]));
+
+    const records = [];
+    for (let i = forecastFeatures.WINDOW_HOURS - 1; i >= 0; i--) {
+      const hour = now.clone().subtract(i, 'hours');
+      const values = stored.get(hour.valueOf()) || {};
+      records.push({
+        timestamp: hour.toISOString(),
+        values: i === 0 ? { ...values, ...current } : { ...current, ...values }
+      });
+    }
+
+    return forecastFeatures.toFeatureRows(records);
+  }
+
+  /**
+   * Prepare hourly records for a baseline: the stored hours before the
+   * current one, then the current hour with the live pollutant values
+   * (zero stands for a value the live data lacks). Simulated TEMPO values
+   * are not live values, so without ground readings or a stored current
+   * hour the records end at the last stored hour.
+   * @param {Object} params - Input parameters
+   * @param {Array} history - Stored hourly records, oldest first
+   * @returns {Array<Object>} [{ timestamp, values }], oldest first
+   */
+  prepareBaselineRecords(params, history) {
+    const now = moment.utc().startOf('hour');
+    const current = this.getCurrentValues(params);
+    const live = Object.fromEntries(FORECAST_POLLUTANTS
+      .filter(pollutant => current[pollutant] > 0)
+      .map(pollutant => [pollutant, current[pollutant]]));
+
+    const records = history.filter(record => moment.utc(record.timestamp).isBefore(now));
+    const stored = history.find(record => moment.utc(record.timestamp).isSame(now));
+    if (stored || Object.keys(live).length > 0) {
+      records.push({ timestamp: now.toISOString(), values: { ...(stored ? stored.values : {}), ...live } });
+    }
+    return records;
+  }
+
+  /**
+   * Read the current value of every feature parameter
+   * @param {Object} params - { tempoData, groundData, weatherData }
+   * @returns {Object} Values keyed by weather parameter and pollutant
+   */
+  getCurrentValues(params) {
+    const values = {
+      hchoNo2Ratio: this.extractOzoneRegimeFeature(params.tempoData)
+    };
+
+    forecastFeatures.WEATHER_PARAMETERS.forEach(parameter => {
+      values[parameter] = this.extractWeatherFeature(params.weatherData, 0, parameter);
+    });
+    FORECAST_POLLUTANTS.forEach(pollutant => {
+      values[pollutant] = this.extractPollutantFeature(params.tempoData, params.groundData, 0, pollutant);
+    });
+
+    return values;
+  }
+
+  /**
+   * Load the stored hours of the current feature window
+   * @param {Object} params - { lat, lng }
+   * @returns {Promise<Array>} Hourly records, oldest first
+   */
+  async loadRecentHistory(params) {
+    const end = moment.utc().startOf('hour');
+    const start = end.clone().subtract(forecastFeatures.WINDOW_HOURS - 1, 'hours');
+    return this.loadHistory(params, start.toDate(), end.toDate());
+  }
+
+  /**
+   * Load the stored hours a baseline reads
+   * @param {Object} params - { lat, lng }
+   * @param {number} hours - Hours back from the current one
+   * @returns {Promise<Array>} Hourly records, oldest first
+   */
+  async loadBaselineHistory(params, hours) {
+    const end = moment.utc().startOf('hour');
+    return this.loadHistory(params, end.clone().subtract(hours, 'hours').toDate(), end.toDate());
+  }
+
+  /**
+   * Load stored ground, weather and TEMPO-derived observations as hourly records
+   * @param {Object} location - { lat, lng }
+   * @param {Date} start - First hour
+   * @param {Date} end - Last hour
+   * @returns {Promise<Array>} [{ timestamp, values }], one per hour, oldest first;
+   *   empty without storage
+   */
+  async loadHistory(location, start, end) {
+    if (!this.storageService) return [];
+
+    try {
+      const observations = {};
+      const parameters = [
+        ...FORECAST_POLLUTANTS,
+        ...forecastFeatures.WEATHER_PARAMETERS,
+        ...forecastFeatures.TEMPO_PARAMETERS
+      ];
+      for (const parameter of parameters) {
+        const unit = units.getCanonicalUnit(parameter);
+        const stored = await this.storageService.getObservations({
+          pollutant: parameter,
+          lat: location.lat,
+          lng: location.lng,
+          start,
+          end: moment.utc(end).endOf('hour').toDate()
+        });
+        // Satellite columns and values in other units are not surface
+        // concentrations; TEMPO-derived features come from TEMPO alone
+        observations[parameter] = forecastFeatures.TEMPO_PARAMETERS.includes(parameter)
+          ? stored.filter(observation => observation.source === 'TEMPO')
+          : stored.filter(observation =>
+            observation.source !== 'TEMPO' && (!unit || units.sameUnit(observation.unit, unit)));
+      }
+
+      return forecastFeatures.toHourlyRecords(observations, start, moment.utc(end).add(1, 'hour').toDate());
+    } catch (error) {
+      console.error('Error loading forecast history:', error.message);
+      return [];
     }
-    
-    return features;
   }
 
   /**
@@ -197,113 +494,167 @@ class ForecastService {
    * @param {Object} groundData - Ground data
    * @param {number} hoursBack - Hours back from now
    * @param {string} pollutant - Pollutant name
-   * @returns {number} Pollutant concentration
+   * @returns {number} Pollutant concentration, or 0 with neither a ground reading
+   *   nor a real TEMPO surface estimate
    */
   extractPollutantFeature(tempoData, groundData, hoursBack, pollutant) {
-    // Try TEMPO data first
-    if (tempoData && tempoData.pollutants && tempoData.pollutants[pollutant]) {
-      return tempoData.pollutants[pollutant].concentration || 0;
+    // Ground readings first: the models are trained on stored ground values
+    const groundReading = groundData && groundData.pollutants &&
+      (groundData.pollutants[pollutant] || groundData.pollutants[pollutant.toLowerCase()]);
+    if (groundReading) {
+      return groundReading.concentration || 0;
     }
     
-    // Fallback to ground data
-    if (groundData && groundData.pollutants && groundData.pollutants[pollutant.toLowerCase()]) {
-      return groundData.pollutants[pollutant.toLowerCase()].concentration || 0;
+    // Fallback to TEMPO surface estimates; columns are not concentrations,
+    // and simulated values are never stored, so the models never saw them
+    if (!tempoData || tempoData.metadata?.simulated) return 0;
+    const tempoReading = tempoData.pollutants && tempoData.pollutants[pollutant];
+    if (tempoReading && units.sameUnit(tempoReading.unit, units.getCanonicalUnit(pollutant))) {
+      return tempoReading.concentration || 0;
     }
     
     return 0;
   }
 
   /**
-   * Calculate stagnation index
-   * @param {Object} weatherData - Weather data
-   * @param {number} hoursBack - Hours back from now
-   * @returns {number} Stagnation index
+   * Extract the HCHO/NO2 column ratio used as an O3 feature
+   * @param {Object} tempoData - TEMPO data
+   * @returns {number} Ratio, or 0 when unavailable or simulated
    */
-  calculateStagnationIndex(weatherData, hoursBack) {
-    if (!weatherData || !weatherData.current) return 0;
-    
-    const windSpeed = weatherData.current.windSpeed || 0;
-    const pressure = weatherData.current.pressure || 1013;
-    
-    // Low wind and high pressure indicate stagnation
-    const windFactor = Math.max(0, 1 - (windSpeed / 5));
-    const pressureFactor = pressure > 1020 ? 0.3 : 0;
-    
-    return windFactor + pressureFactor;
+  extractOzoneRegimeFeature(tempoData) {
+    if (!tempoData || tempoData.metadata?.simulated) return 0;
+    const ozoneRegime = tempoData.derived?.ozoneRegime;
+    return ozoneRegime && ozoneRegime.available ? ozoneRegime.ratio : 0;
   }
 
   /**
-   * Calculate dispersion index
-   * @param {Object} weatherData - Weather data
-   * @param {number} hoursBack - Hours back from now
-   * @returns {number} Dispersion index
+   * Scale the daytime part of the O3 forecast by ozone sensitivity regime.
+   * Photochemical build-up is strongest where production is NOx-limited and
+   * is damped by NO titration where it is VOC-limited. Daytime is judged by
+   * local solar time at the forecast location, not the server's time zone.
+   * @param {Array} predictions - O3 predictions
+   * @param {Object} ozoneRegime - Regime from TEMPO data
+   * @param {number} lng - Longitude of the forecast location
+   * @returns {Array} Adjusted predictions
    */
-  calculateDispersionIndex(weatherData, hoursBack) {
-    if (!weatherData || !weatherData.current) return 0;
-    
-    const windSpeed = weatherData.current.windSpeed || 0;
-    const cloudCover = weatherData.current.cloudCover || 0;
-    
-    return (windSpeed / 10) + (cloudCover / 100);
+  applyOzoneRegime(predictions, ozoneRegime, lng) {
+    if (!ozoneRegime || !ozoneRegime.available) return predictions;
+
+    const factors = { 'VOC-limited': 0.9, transitional: 1.0, 'NOx-limited': 1.1 };
+    const factor = factors[ozoneRegime.regime] || 1.0;
+    const offsetHours = (parseFloat(lng) || 0) / 15;
+
+    return predictions.map(prediction => {
+      const time = moment.utc(prediction.timestamp);
+      const solarHour = (((time.hour() + time.minute() / 60 + offsetHours) % 24) + 24) % 24;
+      const daytime = solarHour >= 10 && solarHour < 19;
+      return {
+        ...prediction,
+        concentration: daytime ? prediction.concentration * factor : prediction.concentration,
+        ozoneRegime: ozoneRegime.regime
+      };
+    });
   }
 
   /**
-   * Predict pollutant concentration using ML model
-   * Note: Currently using statistical forecasting as TensorFlow.js is optional
-   * @param {Object} model - Model placeholder
-   * @param {Array} features - Input features
+   * Predict a pollutant hour by hour with its trained regressor. Each
+   * prediction is fed back into the window for the next hour, so the same
+   * features always give the same forecast.
+   * @param {Object} model - Model from createModel
+   * @param {Array} features - Feature window from prepareFeatures
    * @param {number} hours - Hours to predict
+   * @param {string} pollutant - Pollutant name
    * @returns {Array} Predictions
    */
-  async predictPollutant(model, features, hours) {
+  async predictPollutant(model, features, hours, pollutant) {
+    if (!model.regressor) {
+      return this.statisticalForecast({ features }, pollutant, hours);
+    }
+
     try {
-      // For now, use statistical forecasting
-      // In production with TensorFlow.js, this would use actual ML prediction
-      console.log('Using statistical forecasting (TensorFlow.js integration available)');
-      return this.statisticalForecast({}, 'pollutant', hours);
+      const predictions = [];
+      const start = moment();
+      let window = features;
+
+      for (let h = 1; h <= hours; h++) {
+        const concentration = Math.max(0, model.regressor.predict(forecastFeatures.toModelInput(window, pollutant)));
+        predictions.push({
+          hour: h,
+          concentration,
+          timestamp: start.clone().add(h, 'hours').toISOString(),
+          method: 'ridge'
+        });
+        window = this.updateFeaturesForNextStep(window, concentration, pollutant);
+      }
+
+      return predictions;
     } catch (error) {
-      console.error('Error in prediction:', error);
-      return this.statisticalForecast({}, 'pollutant', hours);
+      console.error(`Error predicting ${pollutant}:`, error.message);
+      return this.statisticalForecast({ features }, pollutant, hours);
     }
   }
 
+  /**
+   * Forecast a pollutant with one of FORECAST_METHODS other than 'ensemble'
+   * @param {string} method - Method name
+   * @param {Object} context - { features, records, issuedAt }: the feature window,
+   *   the hourly records baselines read (oldest first) and the issue time
+   * @param {string} pollutant - Pollutant name
+   * @param {number} hours - Hours to forecast
+   * @returns {Promise<Array|null>} Predictions, or null when a baseline lacks the data it needs
+   */
+  async forecastWithMethod(method, context, pollutant, hours) {
+    if (BASELINE_FORECASTERS[method]) {
+      return BASELINE_FORECASTERS[method].forecast(context.records || [], pollutant, hours, context.issuedAt);
+    }
+    if (method === 'statistical') {
+      return this.statisticalForecast({ features: context.features }, pollutant, hours);
+    }
+
+    const model = this.models.get(pollutant);
+    return model
+      ? this.predictPollutant(model, context.features, hours, pollutant)
+      : this.statisticalForecast({ features: context.features }, pollutant, hours);
+  }
+
   /**
    * Update features for next prediction step
-   * @param {Array} features - Current features
+   * @param {Array} features - Current feature window
    * @param {number} prediction - Current prediction
-   * @returns {Array} Updated features
-   */
-  updateFeaturesForNextStep(features, prediction) {
-    // Shift features and add new prediction
-    const updated = features.slice(1);
-    const newFeatures = [...updated[updated.length - 1]];
-    newFeatures[6] = prediction; // Update pollutant concentration
-    updated.push(newFeatures);
-    
-    return updated;
+   * @param {string} pollutant - Predicted pollutant
+   * @returns {Array} Window moved on by one hour
+   */
+  updateFeaturesForNextStep(features, prediction, pollutant) {
+    return forecastFeatures.advanceWindow(features, pollutant, prediction);
   }
 
   /**
-   * Statistical forecasting fallback
-   * @param {Object} params - Parameters
+   * Statistical forecasting fallback for pollutants without a trained
+   * regressor: the latest value in the feature window, or a typical
+   * concentration without one, on a daily cycle
+   * @param {Object} params - { features } feature window (optional)
    * @param {string} pollutant - Pollutant name
    * @param {number} hours - Hours to forecast
    * @returns {Array} Statistical predictions
    */
   statisticalForecast(params, pollutant, hours = 24) {
     const predictions = [];
-    const baseConcentration = this.getBaseConcentration(pollutant);
+    const window = params.features || [];
+    const latest = window.length > 0
+      ? forecastFeatures.getColumn(window[window.length - 1], forecastFeatures.POLLUTANT_COLUMNS[pollutant])
+      : 0;
+    const baseConcentration = latest > 0 ? latest : this.getBaseConcentration(pollutant);
+    const start = moment();
     
     for (let h = 1; h <= hours; h++) {
       // Simple trend-based prediction
       const trend = Math.sin(h * Math.PI / 12) * 0.1; // Daily cycle
-      const randomVariation = (Math.random() - 0.5) * 0.2; // Random variation
-      const concentration = Math.max(0, baseConcentration * (1 + trend + randomVariation));
+      const concentration = Math.max(0, baseConcentration * (1 + trend));
       
       predictions.push({
         hour: h,
         concentration: concentration,
-        timestamp: moment().add(h, 'hours').toISOString(),
+        timestamp: start.clone().add(h, 'hours').toISOString(),
         method: 'statistical'
       });
     }
@@ -314,7 +665,7 @@ class ForecastService {
   /**
    * Get base concentration for pollutant
    * @param {string} pollutant - Pollutant name
-   * @returns {number} Base concentration
+   * @returns {number} Base concentration (ppm for CO, µg/m³ for PM, ppb otherwise)
    */
   getBaseConcentration(pollutant) {
     const baseConcentrations = {
@@ -323,7 +674,8 @@ class ForecastService {
       'SO2': 10,
       'HCHO': 5,
       'PM2.5': 15,
-      'PM10': 25
+      'PM10': 25,
+      'CO': 0.4
     };
     
     return baseConcentrations[pollutant] || 10;
@@ -336,28 +688,27 @@ class ForecastService {
    */
   calculateAQIForecast(forecasts) {
     const aqiForecast = [];
-    const maxHours = Math.max(...Object.values(forecasts).map(f => f.length));
+    const indexed = _.mapValues(forecasts, (series, pollutant) => this.toAveragedSeries(pollutant, series));
+    const maxHours = Math.max(...Object.values(indexed).map(f => f.length));
     
     for (let h = 0; h < maxHours; h++) {
-      const aqiValues = [];
-      
-      Object.keys(forecasts).forEach(pollutant => {
-        if (forecasts[pollutant][h]) {
-          const aqi = this.concentrationToAQI(
-            forecasts[pollutant][h].concentration,
-            pollutant
-          );
-          if (aqi) aqiValues.push(aqi);
-        }
+      const hourPollutants = {};
+      Object.keys(indexed).forEach(pollutant => {
+        if (indexed[pollutant][h]) hourPollutants[pollutant] = indexed[pollutant][h];
       });
-      
-      const maxAQI = aqiValues.length > 0 ? Math.max(...aqiValues) : 0;
+
+      // Indexed with the standard in force at the forecast hour
+      const timestamp = moment().add(h + 1, 'hours');
+      const overall = aqiEngine.calculateOverallAQI(hourPollutants, { date: timestamp.toDate() });
+      const maxAQI = overall.aqi || 0;
       
       aqiForecast.push({
         hour: h + 1,
         aqi: maxAQI,
-        level: this.getAQILevel(maxAQI),
-        timestamp: moment().add(h + 1, 'hours').toISOString()
+        level: aqiEngine.getCategory(maxAQI).key,
+        category: aqiEngine.getCategory(maxAQI).name,
+        dominantPollutant: overall.dominantPollutant,
+        timestamp: timestamp.toISOString()
       });
     }
     
@@ -365,95 +716,23 @@ class ForecastService {
   }
 
   /**
-   * Convert concentration to AQI using EPA standard formula
-   * @param {number} concentration - Pollutant concentration
+   * Replace each hourly prediction of a pollutant indexed on a multi-hour
+   * mean without a NowCast (CO's 8-hour standard) with the trailing mean of
+   * the forecast series up to that hour
    * @param {string} pollutant - Pollutant name
-   * @returns {number} AQI value
-   */
-  concentrationToAQI(concentration, pollutant) {
-    // EPA AQI breakpoints and formulas
-    const breakpoints = {
-      'PM2.5': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 12.0 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 12.1, concHigh: 35.4 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 150.4 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 150.5, concHigh: 250.4 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 250.5, concHigh: 350.4 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 350.5, concHigh: 500.4 }
-      ],
-      'PM10': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 154 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 155, concHigh: 254 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 255, concHigh: 354 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 355, concHigh: 424 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 425, concHigh: 504 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
-      ],
-      'O3': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 70 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 71, concHigh: 85 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 86, concHigh: 105 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 106, concHigh: 200 }
-      ],
-      'NO2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 53 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 54, concHigh: 100 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 101, concHigh: 360 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 361, concHigh: 649 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 650, concHigh: 1249 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 1250, concHigh: 1649 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 1650, concHigh: 2049 }
-      ],
-      'SO2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 35 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 36, concHigh: 75 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 76, concHigh: 185 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 186, concHigh: 304 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 305, concHigh: 604 }
-      ],
-      'HCHO': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 10 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 11, concHigh: 20 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 21, concHigh: 50 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 51, concHigh: 100 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 101, concHigh: 200 }
-      ]
-    };
-
-    const pollutantBreakpoints = breakpoints[pollutant];
-    if (!pollutantBreakpoints) return 0;
-
-    // Find the appropriate breakpoint range
-    for (const bp of pollutantBreakpoints) {
-      if (concentration >= bp.concLow && concentration <= bp.concHigh) {
-        // Calculate AQI using EPA formula: AQI = ((I_high - I_low) / (C_high - C_low)) * (C - C_low) + I_low
-        const aqi = Math.round(
-          ((bp.aqiHigh - bp.aqiLow) / (bp.concHigh - bp.concLow)) * 
-          (concentration - bp.concLow) + bp.aqiLow
-        );
-        return Math.min(aqi, 500); // Cap at 500
-      }
-    }
-
-    // If concentration is above the highest breakpoint, return 500
-    return 500;
-  }
-
-  /**
-   * Get AQI level description
-   * @param {number} aqi - AQI value
-   * @returns {string} AQI level
+   * @param {Array} series - Hourly predictions
+   * @returns {Array} Series to index
    */
-  getAQILevel(aqi) {
-    if (aqi <= 50) return 'good';
-    if (aqi <= 100) return 'moderate';
-    if (aqi <= 150) return 'unhealthy-sensitive';
-    if (aqi <= 200) return 'unhealthy';
-    if (aqi <= 300) return 'very-unhealthy';
-    return 'hazardous';
+  toAveragedSeries(pollutant, series) {
+    const name = aqiEngine.normalizePollutant(pollutant);
+    const standard = aqiEngine.getStandard(name);
+    if (!standard || aqiEngine.NOWCAST_WINDOWS[name] || standard.averagingPeriod === '1h') return series;
+
+    const { hours } = aqiEngine.getAveragingRequirement(name);
+    return series.map((prediction, i) => ({
+      ...prediction,
+      concentration: _.meanBy(series.slice(Math.max(0, i - hours + 1), i + 1), 'concentration')
+    }));
   }
 
   /**
@@ -530,7 +809,8 @@ class ForecastService {
       'SO2': 60,
       'HCHO': 20,
       'PM2.5': 35,
-      'PM10': 154
+      'PM10': 154,
+      'CO': 9.4
     };
     
     return thresholds[pollutant] || 50;
@@ -550,7 +830,7 @@ class ForecastService {
         recommendations.push({
           hour: prediction.hour,
           aqi: prediction.aqi,
-          recommendations: this.getHealthRecommendations(prediction.aqi),
+          recommendations: aqiEngine.getCategory(prediction.aqi).recommendations,
           timestamp: prediction.timestamp
         });
       }
@@ -560,63 +840,61 @@ class ForecastService {
   }
 
   /**
-   * Get health recommendations based on AQI
-   * @param {number} aqi - AQI value
-   * @returns {Array} Health recommendations
+   * Train the regressors on stored history around the given locations
+   * @param {Array<Object>} locations - [{ lat, lng }]
+   * @param {number} days - Days of history (default 30)
+   * @returns {Promise<Object|null>} Result of trainModels, or null without storage
    */
-  getHealthRecommendations(aqi) {
-    if (aqi <= 50) {
-      return ['Air quality is good. Enjoy outdoor activities.'];
-    } else if (aqi <= 100) {
-      return ['Air quality is acceptable. Sensitive individuals may experience minor symptoms.'];
-    } else if (aqi <= 150) {
-      return [
-        'Sensitive groups should reduce prolonged outdoor exertion.',
-        'Children and elderly should limit outdoor activities.'
-      ];
-    } else if (aqi <= 200) {
-      return [
-        'Everyone should avoid prolonged outdoor exertion.',
-        'Sensitive groups should avoid outdoor activities.',
-        'Consider using air purifiers indoors.'
-      ];
-    } else {
-      return [
-        'Avoid all outdoor activities.',
-        'Stay indoors with windows closed.',
-        'Use air purifiers and masks if going outside.',
-        'Consider evacuating if possible.'
-      ];
+  async trainFromHistory(locations, days = TRAINING_DAYS) {
+    if (!this.storageService || !this.storageService.isConnected()) return null;
+
+    const end = moment.utc().startOf('hour');
+    const start = end.clone().subtract(days, 'days');
+    const trainingData = [];
+    for (const location of locations) {
+      trainingData.push(await this.loadHistory(location, start.toDate(), end.toDate()));
     }
-  }
 
-  /**
-   * Load pre-trained model weights
-   */
-  async loadPreTrainedWeights() {
-    try {
-      // In production, load from cloud storage or local files
-      console.log('Loading pre-trained weights...');
-      // Implementation would load actual model weights
-      this.isModelTrained = true;
-    } catch (error) {
-      console.log('No pre-trained weights found, using random initialization');
-      this.isModelTrained = false;
-    }
+    return this.trainModels(trainingData);
   }
 
   /**
-   * Train models with historical data
-   * @param {Array} trainingData - Historical training data
+   * Train one ridge regressor per pollutant on one-hour-ahead samples.
+   * Pollutants with too few samples keep their previous model.
+   * @param {Array<Array<Object>>} trainingData - Hourly record series (one per location,
+   *   oldest first), as returned by loadHistory
+   * @returns {Promise<Object>} { [pollutant]: { trained, samples } }
    */
   async trainModels(trainingData) {
     console.log('Training air quality forecasting models...');
-    
-    // This would implement actual model training
-    // For now, we'll use statistical forecasting
-    this.isModelTrained = true;
-    
+    const summary = {};
+
+    FORECAST_POLLUTANTS.forEach(pollutant => {
+      const inputs = [];
+      const targets = [];
+      trainingData.forEach(series => {
+        const samples = forecastFeatures.buildSamples(series, pollutant);
+        inputs.push(...samples.inputs);
+        targets.push(...samples.targets);
+      });
+
+      if (inputs.length < MIN_TRAINING_SAMPLES) {
+        summary[pollutant] = { trained: false, samples: inputs.length };
+        return;
+      }
+
+      this.models.set(pollutant, {
+        ...this.createModel(pollutant),
+        regressor: new RidgeRegressor({ lambda: RIDGE_LAMBDA }).fit(inputs, targets),
+        samples: inputs.length,
+        trainedAt: new Date().toISOString()
+      });
+      summary[pollutant] = { trained: true, samples: inputs.length };
+    });
+
+    this.isModelTrained = Array.from(this.models.values()).some(model => model.regressor);
     console.log('Model training completed');
+    return summary;
   }
 
   /**
@@ -634,7 +912,7 @@ class ForecastService {
       const hourlyVariation = Math.sin(i * 0.3) * 20; // Sinusoidal variation
       const aqi = Math.max(10, Math.min(200, baseAQI + hourlyVariation));
       
-      const quality = aqi <= 50 ? 'good' : aqi <= 100 ? 'moderate' : aqi <= 150 ? 'unhealthy for sensitive groups' : 'unhealthy';
+      const quality = aqiEngine.getCategory(aqi).key;
       
       forecasts.push({
         hour: i,
@@ -661,6 +939,11 @@ class ForecastService {
             concentration: Math.random() * 60 + 20,
             unit: 'ppb',
             quality: quality
+          },
+          'CO': {
+            concentration: Math.random() * 2 + 0.2,
+            unit: 'ppm',
+            quality: quality
           }
         },
         confidence: Math.random() * 0.3 + 0.6, // 60-90% confidence
@@ -697,4 +980,18 @@ class ForecastService {
   }
 }
 
+/**
+ * Describe the TEMPO data a forecast was issued with
+ * @param {Object|null} tempoData - TEMPO data
+ * @returns {string} 'available', 'simulated' (not used as a feature) or 'unavailable'
+ */
+function tempoAvailability(tempoData) {
+  if (!tempoData) return 'unavailable';
+  return tempoData.metadata?.simulated ? 'simulated' : 'available';
+}
+
 module.exports = ForecastService;
+module.exports.FORECAST_POLLUTANTS = FORECAST_POLLUTANTS;
+module.exports.FORECAST_METHODS = FORECAST_METHODS;
+module.exports.PREDICTION_METHODS = PREDICTION_METHODS;
+module.exports.ENSEMBLE_MEMBERS = ENSEMBLE_MEMBERS;
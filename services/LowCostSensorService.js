@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const moment = require('moment');
+const CacheService = require('./CacheService');
+const { distanceKm, boundingBox } = require('./geo');
+
+// EPA US-wide correction for PurpleAir PM2.5 (Barkjohn et al., 2021), applied
+// to the mean of the CF=1 channels with relative humidity in %
+const EPA_CORRECTION = { slope: 0.524, humidity: -0.0862, intercept: 5.75 };
+// Channels disagree when they differ by more than 5 µg/m³ and more than 70%
+// of their mean
+const CHANNEL_AGREEMENT = { absolute: 5, relative: 0.7 };
+
+const PURPLEAIR_FIELDS = ['name', 'latitude', 'longitude', 'pm2.5_cf_1_a', 'pm2.5_cf_1_b', 'humidity', 'last_seen'];
+// Readings older than this are not current; uploads are kept for a day
+const MAX_AGE_HOURS = 2;
+const UPLOAD_RETENTION_HOURS = 24;
+// Most readings one upload may carry
+const MAX_UPLOAD_ROWS = 5000;
+// How far ahead of the server's clock an uploaded timestamp may be
+const MAX_CLOCK_SKEW_MINUTES = 5;
+
+// Column names accepted from the API and from uploads
+const FIELD_ALIASES = {
+  id: ['sensor_index', 'sensorId', 'sensor_id', 'id'],
+  name: ['name', 'label'],
+  lat: ['latitude', 'lat'],
+  lng: ['longitude', 'lng', 'lon'],
+  timestamp: ['timestamp', 'time', 'datetime', 'last_seen', 'created_at'],
+  channelA: ['pm2.5_cf_1_a', 'pm25_cf_1_a', 'pm2.5_a', 'pm25_a', 'channelA', 'channel_a'],
+  channelB: ['pm2.5_cf_1_b', 'pm25_cf_1_b', 'pm2.5_b', 'pm25_b', 'channelB', 'channel_b'],
+  humidity: ['humidity', 'rh', 'relative_humidity']
+};
+
+class LowCostSensorService {
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   * @param {WeatherService} options.weatherService - Co-located humidity for the correction (optional)
+   * @param {string} options.apiURL - Sensor API (defaults to LOW_COST_SENSOR_API_URL, then PurpleAir)
+   * @param {string} options.apiKey - Sensor API key (defaults to LOW_COST_SENSOR_API_KEY)
+   * @param {string} options.uploadToken - Partner token uploads must present (defaults to
+   *   LOW_COST_SENSOR_UPLOAD_TOKEN); uploads are refused without one
+   * @param {StorageService} options.storageService - Keeps uploads with the other observations (optional)
+   */
+  constructor(options = {}) {
+    this.apiURL = options.apiURL || process.env.LOW_COST_SENSOR_API_URL || 'https://api.purpleair.com/v1/sensors';
+    this.apiKey = options.apiKey || process.env.LOW_COST_SENSOR_API_KEY || null;
+    this.apiConfigured = Boolean(options.apiURL || options.apiKey ||
+      process.env.LOW_COST_SENSOR_API_URL || process.env.LOW_COST_SENSOR_API_KEY);
+    this.timeout = 10000;
+    this.cache = options.cache || CacheService.getDefault();
+    this.weatherService = options.weatherService || null;
+    this.uploadToken = options.uploadToken || process.env.LOW_COST_SENSOR_UPLOAD_TOKEN || null;
+    this.storageService = options.storageService || null;
+    // Uploads kept in memory while no store is connected
+    this.uploads = new Map();
+  }
+
+  /**
+   * Get corrected PM2.5 readings of the low-cost sensors near a location,
+   * from the sensor API and from uploads
+   * @param {Object} params - Query parameters
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} params.radius - Search radius in km (default 10)
+   * @returns {Promise<Object>} { sensors, fetchedAt }, sensors nearest first
+   */
+  async getReadings(params) {
+    const radius = params.radius || 10;
+    const cacheKey = `${params.lat.toFixed(3)}_${params.lng.toFixed(3)}_${radius}`;
+
+    // Uploads are still served when the sensor API fails
+    let fromApi = [];
+    if (this.apiConfigured) {
+      try {
+        fromApi = await this.cache.wrap('lowcost', cacheKey, () => this.loadFromApi({ ...params, radius }));
+      } catch (error) {
+        console.error('Low-cost sensor API error:', error.message);
+      }
+    }
+    const fromUploads = await this.getUploadedReadings({ ...params, radius });
+
+    const sensors = [...fromApi, ...fromUploads]
+      .map(reading => ({
+        ...reading,
+        distance: Math.round(distanceKm(params.lat, params.lng, reading.coordinates.lat, reading.coordinates.lng) * 10) / 10
+      }))
+      .filter(reading => reading.distance <= radius)
+      .sort((a, b) => a.distance - b.distance);
+
+    return { sensors, fetchedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Fetch and correct readings from the sensor API without the cache
+   * @param {Object} params - { lat, lng, radius }
+   * @returns {Promise<Array>} Corrected readings
+   */
+  async loadFromApi(params) {
+    const [minLng, minLat, maxLng, maxLat] = boundingBox(params.lat, params.lng, params.radius);
+    const response = await axios.get(this.apiURL, {
+      params: {
+        fields: PURPLEAIR_FIELDS.join(','),
+        nwlng: minLng,
+        nwlat: maxLat,
+        selng: maxLng,
+        selat: minLat,
+        max_age: MAX_AGE_HOURS * 3600
+      },
+      headers: this.apiKey ? { 'X-API-Key': this.apiKey } : {},
+      timeout: this.timeout
+    });
+
+    const readings = this.parseRecords(response.data)
+      .map(record => this.toReading(record, 'api'))
+      .filter(Boolean);
+    return this.correctReadings(readings);
+  }
+
+  /**
+   * Check the partner token presented with an upload
+   * @param {string} token - Token sent by the client
+   * @returns {string} 'ok', 'disabled' when no token is configured, or 'denied'
+   */
+  authorizeUpload(token) {
+    if (!this.uploadToken) return 'disabled';
+    if (typeof token !== 'string') return 'denied';
+
+    const expected = Buffer.from(this.uploadToken);
+    const presented = Buffer.from(token);
+    return expected.length === presented.length && crypto.timingSafeEqual(expected, presented)
+      ? 'ok'
+      : 'denied';
+  }
+
+  /**
+   * Store uploaded channel A/B data, with the other observations when a
+   * store is connected so uploads outlive a restart and feed the NowCast
+   * @param {Object|Array|string} body - JSON body or CSV text
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Promise<Object>} { accepted, rejected, flagged, rejections }; each
+   *   rejection is { row, reason } with the 1-based row of the upload and
+   *   'incomplete' or 'future-timestamp' (more than MAX_CLOCK_SKEW_MINUTES ahead)
+   */
+  async ingestUpload(body, format = 'json') {
+    const records = format === 'csv' ? parseCSV(String(body || '')) : this.parseRecords(body);
+    if (records.length > MAX_UPLOAD_ROWS) {
+      // A client error: the route answers it with statusCode
+      const error = new Error(`Upload has ${records.length} readings; the limit is ${MAX_UPLOAD_ROWS}`);
+      error.statusCode = 413;
+      throw error;
+    }
+
+    const latest = moment.utc().add(MAX_CLOCK_SKEW_MINUTES, 'minutes');
+    const readings = [];
+    const rejections = [];
+    records.forEach((record, i) => {
+      const reading = this.toReading(record, 'upload');
+      if (!reading) {
+        rejections.push({ row: i + 1, reason: 'incomplete' });
+      } else if (moment.utc(reading.timestamp).isAfter(latest)) {
+        // A future reading would stay the sensor's latest until its time came
+        rejections.push({ row: i + 1, reason: 'future-timestamp' });
+      } else {
+        readings.push(reading);
+      }
+    });
+    const corrected = await this.correctReadings(readings);
+
+    if (this.storageService && this.storageService.isConnected()) {
+      await this.storageService.saveObservations(corrected.map(toObservation));
+    } else {
+      corrected.forEach(reading => {
+        const history = this.uploads.get(reading.sensorId) || [];
+        history.push(reading);
+        this.uploads.set(reading.sensorId, history);
+      });
+      this.pruneUploads();
+    }
+
+    return {
+      accepted: corrected.length,
+      rejected: rejections.length,
+      flagged: corrected.filter(reading => reading.flags.length > 0).length,
+      rejections
+    };
+  }
+
+  /**
+   * Latest current uploaded reading of each sensor near a location
+   * @param {Object} params - { lat, lng, radius }
+   * @returns {Promise<Array>} Readings
+   */
+  async getUploadedReadings(params) {
+    const current = moment.utc().subtract(MAX_AGE_HOURS, 'hours');
+
+    let histories = Array.from(this.uploads.values());
+    if (this.storageService && this.storageService.isConnected()) {
+      const observations = await this.storageService.getObservations({
+        pollutant: 'PM2.5',
+        source: 'LowCost',
+        lat: params.lat,
+        lng: params.lng,
+        radiusKm: params.radius,
+        start: current.toDate()
+      });
+
+      const bySensor = new Map();
+      observations
+        .filter(observation => observation.metadata?.origin === 'upload')
+        .map(fromObservation)
+        .forEach(reading => bySensor.set(reading.sensorId, [...(bySensor.get(reading.sensorId) || []), reading]));
+      histories = Array.from(bySensor.values());
+    }
+
+    return histories
+      .map(history => history.reduce((latest, reading) =>
+        (!latest || reading.timestamp > latest.timestamp ? reading : latest), null))
+      .filter(reading => reading && moment.utc(reading.timestamp).isAfter(current));
+  }
+
+  /**
+   * Drop uploaded readings past the retention window
+   */
+  pruneUploads() {
+    const cutoff = moment.utc().subtract(UPLOAD_RETENTION_HOURS, 'hours').toISOString();
+
+    this.uploads.forEach((history, sensorId) => {
+      const kept = history.filter(reading => reading.timestamp >= cutoff);
+      if (kept.length > 0) {
+        this.uploads.set(sensorId, kept);
+      } else {
+        this.uploads.delete(sensorId);
+      }
+    });
+  }
+
+  /**
+   * Turn an API response or upload body into plain records
+   * @param {Object|Array} body - PurpleAir `{ fields, data }`, an array of
+   *   records, or `{ readings | data | results: [...] }`
+   * @returns {Array<Object>} Records keyed by field name
+   */
+  parseRecords(body) {
+    if (!body) return [];
+
+    if (Array.isArray(body.fields) && Array.isArray(body.data)) {
+      // PurpleAir puts sensor_index first even when it is not requested
+      const fields = body.fields;
+      return body.data.map(row => Object.fromEntries(fields.map((field, i) => [field, row[i]])));
+    }
+    if (Array.isArray(body)) return body;
+
+    const list = body.readings || body.data || body.results;
+    return Array.isArray(list) ? list : [];
+  }
+
+  /**
+   * Read one sensor record
+   * @param {Object} record - Record keyed by any of the FIELD_ALIASES names
+   * @param {string} origin - 'api' or 'upload'
+   * @returns {Object|null} Reading, or null without a position, time or channel
+   */
+  toReading(record, origin) {
+    const lat = toNumber(readField(record, 'lat'));
+    const lng = toNumber(readField(record, 'lng'));
+    const timestamp = toTimestamp(readField(record, 'timestamp'));
+    const channelA = toNumber(readField(record, 'channelA'));
+    const channelB = toNumber(readField(record, 'channelB'));
+    if (lat === null || lng === null || !timestamp || (channelA === null && channelB === null)) return null;
+
+    const id = readField(record, 'id');
+    return {
+      sensorId: String(id ?? `${lat},${lng}`),
+      name: readField(record, 'name') || null,
+      origin,
+      coordinates: { lat, lng },
+      timestamp,
+      channels: { a: channelA, b: channelB },
+      sensorHumidity: toNumber(readField(record, 'humidity'))
+    };
+  }
+
+  /**
+   * Check the channels and apply the EPA humidity correction. Current
+   * readings use the WeatherService humidity at the sensor; older uploads
+   * and readings without weather use the sensor's own humidity.
+   * @param {Array} readings - Results of toReading
+   * @returns {Promise<Array>} Readings with concentration, flags and correction details
+   */
+  async correctReadings(readings) {
+    const humidities = await this.getWeatherHumidities(readings);
+    const current = moment.utc().subtract(MAX_AGE_HOURS, 'hours');
+
+    return readings.map(reading => {
+      const { value, flags } = assessChannels(reading.channels.a, reading.channels.b);
+      const weatherHumidity = moment.utc(reading.timestamp).isAfter(current)
+        ? humidities.get(locationKey(reading.coordinates))
+        : null;
+      const humidity = Number.isFinite(weatherHumidity) ? weatherHumidity : reading.sensorHumidity;
+      const humiditySource = Number.isFinite(weatherHumidity) ? 'weather' : (Number.isFinite(humidity) ? 'sensor' : null);
+
+      if (humiditySource === null) flags.push('uncorrected');
+      const concentration = humiditySource !== null ? applyCorrection(value, humidity) : null;
+
+      return {
+        ...reading,
+        concentration,
+        unit: 'µg/m³',
+        rawConcentration: Math.round(value * 10) / 10,
+        humidity: humiditySource !== null ? humidity : null,
+        humiditySource,
+        correction: concentration !== null ? 'EPA US-wide' : null,
+        flags,
+        valid: concentration !== null && !flags.includes('channel-disagreement')
+      };
+    });
+  }
+
+  /**
+   * Look up the current humidity around the location of each current reading
+   * @param {Array} readings - Readings
+   * @returns {Promise<Map>} Humidity (%) by rounded location; missing when unavailable
+   */
+  async getWeatherHumidities(readings) {
+    const humidities = new Map();
+    if (!this.weatherService) return humidities;
+
+    // Older readings use the sensor's humidity, so only current ones need
+    // weather; sensors within about 10 km share one lookup
+    const current = moment.utc().subtract(MAX_AGE_HOURS, 'hours');
+    const locations = new Map();
+    readings
+      .filter(reading => moment.utc(reading.timestamp).isAfter(current))
+      .forEach(reading => locations.set(locationKey(reading.coordinates), reading.coordinates));
+
+    for (const [key, coordinates] of locations) {
+      try {
+        const weather = await this.weatherService.fetchWeatherData({
+          lat: Math.round(coordinates.lat * 10) / 10,
+          lng: Math.round(coordinates.lng * 10) / 10,
+          days: 1
+        });
+        const humidity = Number(weather?.current?.humidity);
+        if (Number.isFinite(humidity)) humidities.set(key, humidity);
+      } catch (error) {
+        // The sensor's own humidity is used instead
+      }
+    }
+
+    return humidities;
+  }
+}
+
+/**
+ * Combine the two laser counters of a sensor
+ * @param {number|null} a - Channel A PM2.5 (CF=1, µg/m³)
+ * @param {number|null} b - Channel B PM2.5 (CF=1, µg/m³)
+ * @returns {Object} { value, flags } with the channel mean, or the one channel reporting
+ */
+function assessChannels(a, b) {
+  if (a === null || b === null) {
+    return { value: a ?? b, flags: ['single-channel'] };
+  }
+
+  const value = (a + b) / 2;
+  const difference = Math.abs(a - b);
+  const disagree = difference > CHANNEL_AGREEMENT.absolute &&
+    value > 0 && difference / value > CHANNEL_AGREEMENT.relative;
+  return { value, flags: disagree ? ['channel-disagreement'] : [] };
+}
+
+/**
+ * Apply the EPA US-wide correction
+ * @param {number} pm - Channel mean PM2.5 (CF=1, µg/m³)
+ * @param {number} humidity - Relative humidity (%)
+ * @returns {number} Corrected PM2.5 in µg/m³, at least 0
+ */
+function applyCorrection(pm, humidity) {
+  const corrected = EPA_CORRECTION.slope * pm + EPA_CORRECTION.humidity * humidity + EPA_CORRECTION.intercept;
+  return Math.round(Math.max(0, corrected) * 10) / 10;
+}
+
+/**
+ * Read a field through its aliases
+ * @param {Object} record - Record
+ * @param {string} field - Key of FIELD_ALIASES
+ * @returns {*} First value present, or undefined
+ */
+function readField(record, field) {
+  const name = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+  return name ? record[name] : undefined;
+}
+
+/**
+ * Parse a number
+ * @param {*} value - Value
+ * @returns {number|null} Number, or null when not finite
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a timestamp given as ISO text or Unix seconds/milliseconds
+ * @param {*} value - Value
+ * @returns {string|null} ISO timestamp, or null when invalid
+ */
+function toTimestamp(value) {
+  const number = toNumber(value);
+  const time = number !== null
+    ? moment.utc(number < 1e12 ? number * 1000 : number)
+    : moment.utc(value, moment.ISO_8601);
+  return value !== undefined && time.isValid() ? time.toISOString() : null;
+}
+
+/**
+ * Parse CSV text with a header row. Quoted fields may hold commas and
+ * doubled quotes.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records keyed by header
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...data] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  const names = header.map(name => name.trim());
+  return data.map(cells => Object.fromEntries(names.map((name, i) => [name, (cells[i] ?? '').trim()])));
+}
+
+/**
+ * Turn a corrected upload into a stored observation. Uncorrected readings
+ * keep their channel mean, and readings not fit for fusion are marked
+ * invalid so no NowCast uses them.
+ * @param {Object} reading - Result of correctReadings
+ * @returns {Object} Observation for StorageService.saveObservations
+ */
+function toObservation(reading) {
+  return {
+    source: 'LowCost',
+    pollutant: 'PM2.5',
+    lat: reading.coordinates.lat,
+    lng: reading.coordinates.lng,
+    timestamp: reading.timestamp,
+    value: reading.concentration ?? reading.rawConcentration,
+    unit: reading.unit,
+    metadata: {
+      tier: 'low-cost',
+      origin: reading.origin,
+      sensorId: reading.sensorId,
+      name: reading.name,
+      channels: reading.channels,
+      sensorHumidity: reading.sensorHumidity,
+      rawConcentration: reading.rawConcentration,
+      humidity: reading.humidity,
+      humiditySource: reading.humiditySource,
+      correction: reading.correction,
+      flags: reading.flags,
+      valid: reading.valid
+    }
+  };
+}
+
+/**
+ * Rebuild a corrected reading from a stored observation
+ * @param {Object} observation - Stored observation written by toObservation
+ * @returns {Object} Reading
+ */
+function fromObservation(observation) {
+  const { metadata } = observation;
+  return {
+    sensorId: metadata.sensorId,
+    name: metadata.name || null,
+    origin: metadata.origin,
+    coordinates: { lat: observation.location.coordinates[1], lng: observation.location.coordinates[0] },
+    timestamp: new Date(observation.timestamp).toISOString(),
+    channels: metadata.channels,
+    sensorHumidity: metadata.sensorHumidity ?? null,
+    concentration: metadata.correction ? observation.value : null,
+    unit: observation.unit,
+    rawConcentration: metadata.rawConcentration,
+    humidity: metadata.humidity ?? null,
+    humiditySource: metadata.humiditySource || null,
+    correction: metadata.correction || null,
+    flags: metadata.flags || [],
+    valid: Boolean(metadata.valid)
+  };
+}
+
+/**
+ * Key of the ~10 km cell a location falls in
+ * @param {Object} coordinates - { lat, lng }
+ * @returns {string} Key
+ */
+function locationKey(coordinates) {
+  return `${Math.round(coordinates.lat * 10) / 10},${Math.round(coordinates.lng * 10) / 10}`;
+}
+
+module.exports = LowCostSensorService;
+module.exports.MAX_UPLOAD_ROWS = MAX_UPLOAD_ROWS;
+module.exports.MAX_CLOCK_SKEW_MINUTES = MAX_CLOCK_SKEW_MINUTES;
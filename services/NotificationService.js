@@ -17,11 +17,49 @@ class NotificationService {
         SO2: { warning: 60, critical: 150 },
         HCHO: { warning: 20, critical: 50 },
         'PM2.5': { warning: 35, critical: 55 },
-        PM10: { warning: 154, critical: 254 }
+        PM10: { warning: 154, critical: 254 },
+        // ppm, 8-hour AQI 100 and 150
+        CO: { warning: 9.4, critical: 12.4 }
       }
     };
     this.notificationHistory = [];
     this.maxHistorySize = 1000;
+    this.storageService = null;
+  }
+
+  /**
+   * Persist subscriptions through a storage service
+   * @param {StorageService} storageService - Connected storage service
+   */
+  setStorageService(storageService) {
+    this.storageService = storageService;
+  }
+
+  /**
+   * Load stored subscriptions into memory
+   * @returns {Promise<number>} Number of restored subscriptions
+   */
+  async restoreSubscriptions() {
+    if (!this.storageService) return 0;
+
+    const subscriptions = await this.storageService.loadSubscriptions();
+    subscriptions.forEach(subscription => this.subscribers.set(subscription.userId, subscription));
+    return subscriptions.length;
+  }
+
+  /**
+   * Write a subscription change to storage without blocking the caller
+   * @param {string} userId - User ID
+   */
+  persistSubscription(userId) {
+    if (!this.storageService) return;
+
+    const subscription = this.subscribers.get(userId);
+    const write = subscription
+      ? this.storageService.saveSubscription(subscription)
+      : this.storageService.deleteSubscription(userId);
+
+    write.catch(error => console.error(`Error persisting subscription for ${userId}:`, error.message));
   }
 
   /**
@@ -51,6 +89,7 @@ class NotificationService {
     };
 
     this.subscribers.set(userId, subscription);
+    this.persistSubscription(userId);
     console.log(`User ${userId} subscribed to notifications for location:`, location);
   }
 
@@ -61,6 +100,7 @@ class NotificationService {
   unsubscribeFromLocation(userId) {
     if (this.subscribers.has(userId)) {
       this.subscribers.delete(userId);
+      this.persistSubscription(userId);
       console.log(`User ${userId} unsubscribed from notifications`);
     }
   }
@@ -253,6 +293,7 @@ class NotificationService {
 
       // Update last notification time
       subscription.lastNotification = new Date().toISOString();
+      this.persistSubscription(userId);
 
       // Store in history
       this.addToHistory(userId, alerts);
@@ -418,6 +459,7 @@ class NotificationService {
     if (this.subscribers.has(userId)) {
       const subscription = this.subscribers.get(userId);
       subscription.preferences = { ...subscription.preferences, ...preferences };
+      this.persistSubscription(userId);
       console.log(`Updated preferences for user ${userId}`);
     }
   }
@@ -434,7 +476,8 @@ class NotificationService {
       'SO2': 60,
       'HCHO': 20,
       'PM2.5': 35,
-      'PM10': 154
+      'PM10': 154,
+      'CO': 9.4
     };
     
     return thresholds[pollutant] || 50;
@@ -1,156 +1,409 @@
 const axios = require('axios');
+const moment = require('moment');
+const CacheService = require('./CacheService');
+const aqiEngine = require('./aqi');
+const units = require('./units');
+
+// OpenAQ caps location searches at 25 km
+const MAX_RADIUS_METERS = 25000;
+const PAGE_LIMIT = 100;
+const MAX_PAGES = 10;
+// Locations read per request, nearest first; each costs one sensors call
+const MAX_LOCATIONS = 5;
+// Locations without data this recent are skipped
+const ACTIVE_WITHIN_HOURS = 24;
+// Latest values older than this are not current readings
+const MAX_LATEST_AGE_HOURS = 3;
+// Hourly values kept per sensor, enough for the 12-hour NowCast
+const HISTORY_HOURS = 12;
+// Longest wait for a rate-limit reset before giving up
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
 
 class OpenAQService {
-  constructor() {
-    this.baseURL = 'https://api.openaq.org/v2';
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   * @param {WeatherService} options.weatherService - Temperature and pressure for unit conversion (optional)
+   * @param {string} options.apiKey - OpenAQ API key (defaults to OPENAQ_API_KEY)
+   */
+  constructor(options = {}) {
+    this.baseURL = 'https://api.openaq.org/v3';
     this.timeout = 10000; // 10 seconds
-    this.cache = new Map(); // Simple in-memory cache
-    this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.apiKey = options.apiKey || process.env.OPENAQ_API_KEY || 'd282fb1ee29051fcbbd629dc2ed71a7b477ababcda6e52d84434c9eeefa47f42';
+    this.cache = options.cache || CacheService.getDefault();
+    this.weatherService = options.weatherService || null;
+    this.rateLimit = { limit: null, remaining: null, used: null, resetAt: null };
   }
 
   /**
-   * Fetch air quality data from OpenAQ for a specific location
+   * Fetch air quality data from OpenAQ for a specific location, falling back
+   * to deterministic mock data when OpenAQ cannot be reached
    * @param {Object} location - { lat, lon }
    * @param {number} radius - Search radius in kilometers (default: 10)
    * @returns {Promise<Object>} OpenAQ data
    */
   async fetchAirQualityData(location, radius = 10) {
     try {
-      // Create cache key based on location and radius
-      const cacheKey = `${location.lat.toFixed(4)}_${location.lon.toFixed(4)}_${radius}`;
-      
-      // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cachedData = this.cache.get(cacheKey);
-        if (Date.now() - cachedData.timestamp < this.cacheTimeout) {
-          console.log(`Using cached OpenAQ data for location: ${location.lat}, ${location.lon}`);
-          return cachedData.data;
-        } else {
-          this.cache.delete(cacheKey);
-        }
-      }
+      return await this.getAirQualityData(location, radius);
+    } catch (error) {
+      console.error('Error fetching OpenAQ data:', error.message);
+      return this.generateMockOpenAQData(location);
+    }
+  }
 
-      console.log(`Fetching OpenAQ data for location: ${location.lat}, ${location.lon}`);
-      
-      // OpenAQ uses coordinates in decimal degrees
-      const params = {
-        coordinates: `${location.lon},${location.lat}`, // Note: OpenAQ uses lon,lat format
-        radius: radius * 1000, // Convert km to meters
-        limit: 100,
-        page: 1,
-        order_by: 'distance',
-        sort: 'asc'
-      };
+  /**
+   * Get OpenAQ data for a location through the cache, without a mock fallback
+   * @param {Object} location - { lat, lon }
+   * @param {number} radius - Search radius in kilometers
+   * @returns {Promise<Object>} OpenAQ data (see processLocations)
+   */
+  async getAirQualityData(location, radius = 10) {
+    const cacheKey = `${location.lat.toFixed(4)}_${location.lon.toFixed(4)}_${radius}`;
+    return this.cache.wrap('openaq', cacheKey, () => this.loadAirQualityData(location, radius));
+  }
+
+  /**
+   * Discover nearby locations, list their sensors and pull latest and
+   * hourly values, without the cache
+   * @param {Object} location - { lat, lon }
+   * @param {number} radius - Search radius in kilometers
+   * @returns {Promise<Object>} OpenAQ data (see processLocations)
+   */
+  async loadAirQualityData(location, radius) {
+    console.log(`Fetching OpenAQ data for location: ${location.lat}, ${location.lon}`);
+
+    const activeSince = moment.utc().subtract(ACTIVE_WITHIN_HOURS, 'hours');
+    const locations = (await this.findLocations(location, radius))
+      .filter(site => site.datetimeLast && moment.utc(site.datetimeLast).isAfter(activeSince))
+      .slice(0, MAX_LOCATIONS);
+
+    if (locations.length === 0) {
+      throw new Error('No active OpenAQ locations within the radius');
+    }
+
+    for (const site of locations) {
+      site.sensors = await this.getLocationSensors(site.id);
+    }
+
+    const conditions = await this.getConditions(location);
+    const readings = this.selectSensors(locations);
+    for (const reading of readings) {
+      reading.hourly = await this.getSensorHours(reading.sensorId, reading.pollutant, HISTORY_HOURS, conditions);
+    }
+
+    return this.processLocations(locations, readings, location, conditions);
+  }
+
+  /**
+   * Find OpenAQ locations around a point, nearest first
+   * @param {Object} location - { lat, lon }
+   * @param {number} radius - Search radius in kilometers (capped at 25)
+   * @returns {Promise<Array>} [{ id, name, locality, country, provider, isMonitor, coordinates, distance, datetimeLast }]
+   */
+  async findLocations(location, radius) {
+    const results = await this.paginate('/locations', {
+      coordinates: `${location.lat},${location.lon}`,
+      radius: Math.min(Math.round(radius * 1000), MAX_RADIUS_METERS)
+    });
+
+    return results
+      .map(result => ({
+        id: result.id,
+        name: result.name,
+        locality: result.locality || null,
+        country: result.country?.code || null,
+        provider: result.provider?.name || null,
+        isMonitor: Boolean(result.isMonitor),
+        coordinates: {
+          lat: result.coordinates?.latitude ?? location.lat,
+          lon: result.coordinates?.longitude ?? location.lon
+        },
+        distance: Math.round(result.distance || 0),
+        datetimeLast: result.datetimeLast?.utc || null
+      }))
+      .sort((a, b) => a.distance - b.distance);
+  }
 
-      const response = await axios.get(`${this.baseURL}/measurements`, {
+  /**
+   * List a location's sensors with their latest values
+   * @param {number} locationId - OpenAQ location id
+   * @returns {Promise<Array>} [{ id, parameter, unit, latest: { timestamp, value } }]
+   */
+  async getLocationSensors(locationId) {
+    const results = await this.paginate(`/locations/${locationId}/sensors`);
+
+    return results.map(sensor => ({
+      id: sensor.id,
+      parameter: sensor.parameter?.name || null,
+      unit: sensor.parameter?.units || null,
+      latest: sensor.latest && Number.isFinite(sensor.latest.value)
+        ? { timestamp: sensor.latest.datetime?.utc || null, value: sensor.latest.value }
+        : null
+    }));
+  }
+
+  /**
+   * Get a sensor's hourly-aggregated values over the last hours
+   * @param {number} sensorId - OpenAQ sensor id
+   * @param {string} pollutant - Canonical pollutant name
+   * @param {number} hours - Hours to read
+   * @param {Object} conditions - { temperature, pressure, source } for unit conversion
+   * @returns {Promise<Array>} [{ timestamp, concentration, unit }], oldest first; the
+   *   timestamp is the start of the hour
+   */
+  async getSensorHours(sensorId, pollutant, hours, conditions) {
+    const end = moment.utc().startOf('hour').add(1, 'hour');
+    const results = await this.paginate(`/sensors/${sensorId}/hours`, {
+      datetime_from: end.clone().subtract(hours, 'hours').toISOString(),
+      datetime_to: end.toISOString()
+    });
+
+    return results
+      .filter(result => Number.isFinite(result.value) && result.period?.datetimeFrom?.utc)
+      .map(result => {
+        const reading = units.normalizeMeasurement(pollutant, result.value, result.parameter?.units, conditions);
+        return {
+          timestamp: moment.utc(result.period.datetimeFrom.utc).toISOString(),
+          concentration: reading.concentration,
+          unit: reading.unit
+        };
+      })
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Pick, for each pollutant, the nearest sensor with a current value
+   * @param {Array} locations - Locations with sensors, nearest first
+   * @returns {Array} [{ pollutant, sensorId, location, latest, unit }]
+   */
+  selectSensors(locations) {
+    const current = moment.utc().subtract(MAX_LATEST_AGE_HOURS, 'hours');
+    const readings = new Map();
+
+    locations.forEach(site => {
+      site.sensors.forEach(sensor => {
+        const pollutant = toPollutantName(sensor.parameter);
+        if (!pollutant || readings.has(pollutant) || !sensor.latest) return;
+        if (!moment.utc(sensor.latest.timestamp).isAfter(current)) return;
+
+        readings.set(pollutant, {
+          pollutant,
+          sensorId: sensor.id,
+          location: site,
+          latest: sensor.latest,
+          unit: sensor.unit
+        });
+      });
+    });
+
+    return Array.from(readings.values());
+  }
+
+  /**
+   * Make an OpenAQ v3 request, tracking the rate-limit headers. A 429 is
+   * retried once when the limit resets within a few seconds.
+   * @param {string} path - Path below the v3 base URL
+   * @param {Object} params - Query parameters
+   * @param {number} attempt - Retries made so far
+   * @returns {Promise<Object>} Response body ({ meta, results })
+   */
+  async request(path, params = {}, attempt = 0) {
+    const waitMs = this.getRateLimitWait();
+    if (waitMs > MAX_RATE_LIMIT_WAIT_MS) {
+      throw new Error(`OpenAQ rate limit reached, resets in ${Math.ceil(waitMs / 1000)}s`);
+    }
+    if (waitMs > 0) await sleep(waitMs);
+
+    try {
+      const response = await axios.get(`${this.baseURL}${path}`, {
         params,
         timeout: this.timeout,
         headers: {
           'Accept': 'application/json',
-          'User-Agent': 'NASA-TEMPO-AirQuality/1.0'
+          'X-API-Key': this.apiKey
         }
       });
+      this.updateRateLimit(response.headers);
+      return response.data;
+    } catch (error) {
+      if (!error.response) throw error;
+      this.updateRateLimit(error.response.headers);
 
-      if (response.data && response.data.results) {
-        const processedData = this.processOpenAQData(response.data.results, location);
-        // Cache the result
-        this.cache.set(cacheKey, {
-          data: processedData,
-          timestamp: Date.now()
-        });
-        return processedData;
+      if (error.response.status === 429 && attempt === 0 && this.getRateLimitWait() <= MAX_RATE_LIMIT_WAIT_MS) {
+        return this.request(path, params, attempt + 1);
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Read every page of a list endpoint
+   * @param {string} path - Path below the v3 base URL
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} All results, up to MAX_PAGES pages
+   */
+  async paginate(path, params = {}) {
+    const results = [];
 
-      throw new Error('No data received from OpenAQ API');
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const data = await this.request(path, { ...params, limit: PAGE_LIMIT, page });
+      const pageResults = Array.isArray(data?.results) ? data.results : [];
+      results.push(...pageResults);
+
+      // `found` is a number, or a string like ">1000" when OpenAQ stops counting
+      const found = Number(data?.meta?.found);
+      if (pageResults.length < PAGE_LIMIT || (Number.isFinite(found) && results.length >= found)) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Record the rate-limit state reported by OpenAQ
+   * @param {Object} headers - Response headers
+   */
+  updateRateLimit(headers = {}) {
+    const read = name => {
+      const value = Number(headers[name]);
+      return headers[name] !== undefined && Number.isFinite(value) ? value : null;
+    };
+
+    const limit = read('x-ratelimit-limit');
+    if (limit === null && read('retry-after') === null) return;
+
+    // x-ratelimit-reset and retry-after are seconds from now
+    const resetSeconds = read('x-ratelimit-reset') ?? read('retry-after');
+    this.rateLimit = {
+      limit,
+      remaining: read('x-ratelimit-remaining'),
+      used: read('x-ratelimit-used'),
+      resetAt: resetSeconds !== null ? new Date(Date.now() + resetSeconds * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Milliseconds until requests may be made again
+   * @returns {number} 0 unless the last response used up the limit
+   */
+  getRateLimitWait() {
+    const { remaining, resetAt } = this.rateLimit;
+    if (remaining !== 0 || !resetAt) return 0;
+    return Math.max(0, new Date(resetAt).getTime() - Date.now());
+  }
+
+  /**
+   * Get the last rate-limit state reported by OpenAQ
+   * @returns {Object} { limit, remaining, used, resetAt }
+   */
+  getRateLimit() {
+    return { ...this.rateLimit };
+  }
+
+  /**
+   * Get the air temperature and pressure used to convert µg/m³ and ppb
+   * @param {Object} location - { lat, lon }
+   * @returns {Promise<Object>} { temperature, pressure, source }
+   */
+  async getConditions(location) {
+    if (!this.weatherService) return units.conditionsFromWeather(null);
+
+    try {
+      const weather = await this.weatherService.fetchWeatherData({ lat: location.lat, lng: location.lon });
+      return units.conditionsFromWeather(weather);
     } catch (error) {
-      console.error('Error fetching OpenAQ data:', error.message);
-      
-      // Return mock data if API fails
-      const mockData = this.generateMockOpenAQData(location);
-      
-      // Cache mock data too to ensure consistency
-      const cacheKey = `${location.lat.toFixed(4)}_${location.lon.toFixed(4)}_${radius}`;
-      this.cache.set(cacheKey, {
-        data: mockData,
-        timestamp: Date.now()
-      });
-      
-      return mockData;
+      return units.conditionsFromWeather(null);
     }
   }
 
   /**
-   * Process raw OpenAQ data into standardized format
-   * @param {Array} measurements - Raw OpenAQ measurements
+   * Build the standardized result from locations and selected sensors.
+   * Values are converted to each pollutant's canonical unit; the reported
+   * ones are kept. `pollutants` holds the nearest sensor per pollutant and
+   * `observations` every sensor with a current value.
+   * @param {Array} locations - Locations with sensors, nearest first
+   * @param {Array} readings - Result of selectSensors, with `hourly` series
    * @param {Object} location - Target location
+   * @param {Object} conditions - { temperature, pressure, source } for unit conversion
    * @returns {Object} Processed data
    */
-  processOpenAQData(measurements, location) {
+  processLocations(locations, readings, location, conditions = units.conditionsFromWeather(null)) {
     const pollutants = {};
-    const stations = new Map();
     let latestTimestamp = null;
 
-    // Group measurements by pollutant and station
-    measurements.forEach(measurement => {
-      const { parameter, value, unit, date, location: stationLocation, city, country } = measurement;
-      
-      // Update latest timestamp
-      const measurementDate = new Date(date.utc);
-      if (!latestTimestamp || measurementDate > latestTimestamp) {
-        latestTimestamp = measurementDate;
+    readings.forEach(reading => {
+      const timestamp = new Date(reading.latest.timestamp);
+      if (!latestTimestamp || timestamp > latestTimestamp) {
+        latestTimestamp = timestamp;
       }
 
-      // Store station information
-      const stationKey = `${stationLocation}-${city}-${country}`;
-      if (!stations.has(stationKey)) {
-        stations.set(stationKey, {
-          name: stationLocation,
-          city,
-          country,
-          coordinates: {
-            lat: measurement.coordinates?.latitude || location.lat,
-            lon: measurement.coordinates?.longitude || location.lon
-          },
-          distance: measurement.distance || 0
-        });
-      }
+      pollutants[reading.pollutant] = {
+        ...units.normalizeMeasurement(reading.pollutant, reading.latest.value, reading.unit, conditions),
+        station: reading.location.name,
+        locationId: reading.location.id,
+        sensorId: reading.sensorId,
+        timestamp: reading.latest.timestamp,
+        distance: reading.location.distance,
+        isMonitor: reading.location.isMonitor,
+        hourly: reading.hourly || []
+      };
+    });
 
-      // Group by pollutant
-      if (!pollutants[parameter]) {
-        pollutants[parameter] = {
-          concentration: value,
-          unit: unit,
-          station: stationKey,
-          timestamp: date.utc,
-          distance: measurement.distance || 0
-        };
-      } else {
-        // Keep the closest measurement for each pollutant
-        if (measurement.distance < pollutants[parameter].distance) {
-          pollutants[parameter] = {
-            concentration: value,
-            unit: unit,
-            station: stationKey,
-            timestamp: date.utc,
-            distance: measurement.distance || 0
-          };
-        }
-      }
+    const current = moment.utc().subtract(MAX_LATEST_AGE_HOURS, 'hours');
+    const observations = [];
+    locations.forEach(site => {
+      site.sensors.forEach(sensor => {
+        const pollutant = toPollutantName(sensor.parameter);
+        if (!pollutant || !sensor.latest || !moment.utc(sensor.latest.timestamp).isAfter(current)) return;
+
+        const selected = readings.find(reading => reading.sensorId === sensor.id);
+        observations.push({
+          pollutant,
+          ...units.normalizeMeasurement(pollutant, sensor.latest.value, sensor.unit, conditions),
+          station: site.name,
+          locationId: site.id,
+          sensorId: sensor.id,
+          provider: site.provider,
+          isMonitor: site.isMonitor,
+          coordinates: site.coordinates,
+          timestamp: sensor.latest.timestamp,
+          distance: site.distance,
+          hourly: selected ? selected.hourly || [] : []
+        });
+      });
     });
 
     // Calculate overall AQI
     const aqi = this.calculateOverallAQI(pollutants);
 
+    const stations = locations.map(site => ({
+      id: site.id,
+      name: site.name,
+      city: site.locality,
+      country: site.country,
+      provider: site.provider,
+      isMonitor: site.isMonitor,
+      coordinates: site.coordinates,
+      distance: site.distance,
+      lastUpdated: site.datetimeLast,
+      sensors: site.sensors.map(sensor => ({
+        id: sensor.id,
+        parameter: sensor.parameter,
+        unit: sensor.unit,
+        latest: sensor.latest
+      }))
+    }));
+
     return {
       aqi,
       pollutants,
-      stations: Array.from(stations.values()),
+      observations,
+      stations,
       timestamp: latestTimestamp?.toISOString() || new Date().toISOString(),
       source: 'OpenAQ',
       dataQuality: {
         confidence: 'High',
         resolution: 'Ground Station',
-        coverage: `${stations.size} stations within ${Math.max(...Array.from(stations.values()).map(s => s.distance))}m`
+        coverage: `${stations.length} stations within ${Math.max(...stations.map(s => s.distance))}m`
       },
       location: {
         lat: location.lat,
@@ -161,94 +414,18 @@ class OpenAQService {
   }
 
   /**
-   * Calculate overall AQI from pollutant concentrations
+   * Calculate overall AQI from pollutant concentrations, storing each
+   * pollutant's own AQI and category alongside its concentration
    * @param {Object} pollutants - Pollutant data
    * @returns {number} Overall AQI
    */
   calculateOverallAQI(pollutants) {
-    const aqiBreakpoints = {
-      'pm25': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 12.0 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 12.1, concHigh: 35.4 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 150.4 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 150.5, concHigh: 250.4 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 250.5, concHigh: 350.4 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 350.5, concHigh: 500.4 }
-      ],
-      'pm10': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 154 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 155, concHigh: 254 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 255, concHigh: 354 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 355, concHigh: 424 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 425, concHigh: 504 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
-      ],
-      'o3': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 70 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 71, concHigh: 85 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 86, concHigh: 105 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 106, concHigh: 200 }
-      ],
-      'no2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 53 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 54, concHigh: 100 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 101, concHigh: 360 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 361, concHigh: 649 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 650, concHigh: 1249 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 1250, concHigh: 1649 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 1650, concHigh: 2049 }
-      ],
-      'so2': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 35 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 36, concHigh: 75 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 76, concHigh: 185 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 186, concHigh: 304 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 305, concHigh: 604 }
-      ],
-      'co': [
-        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 4.4 },
-        { aqiLow: 51, aqiHigh: 100, concLow: 4.5, concHigh: 9.4 },
-        { aqiLow: 101, aqiHigh: 150, concLow: 9.5, concHigh: 12.4 },
-        { aqiLow: 151, aqiHigh: 200, concLow: 12.5, concHigh: 15.4 },
-        { aqiLow: 201, aqiHigh: 300, concLow: 15.5, concHigh: 30.4 },
-        { aqiLow: 301, aqiHigh: 400, concLow: 30.5, concHigh: 40.4 },
-        { aqiLow: 401, aqiHigh: 500, concLow: 40.5, concHigh: 50.4 }
-      ]
-    };
-
-    let maxAQI = 0;
-
     Object.entries(pollutants).forEach(([pollutant, data]) => {
-      const breakpoints = aqiBreakpoints[pollutant.toLowerCase()];
-      if (breakpoints && data.concentration !== undefined) {
-        const aqi = this.calculatePollutantAQI(data.concentration, breakpoints);
-        maxAQI = Math.max(maxAQI, aqi);
-      }
+      data.aqi = aqiEngine.concentrationToAQI(data.concentration, pollutant, { unit: data.unit });
+      data.quality = data.aqi !== null ? aqiEngine.getCategory(data.aqi).key : 'unknown';
     });
 
-    return maxAQI || 0;
-  }
-
-  /**
-   * Calculate AQI for a specific pollutant
-   * @param {number} concentration - Pollutant concentration
-   * @param {Array} breakpoints - AQI breakpoints for the pollutant
-   * @returns {number} AQI value
-   */
-  calculatePollutantAQI(concentration, breakpoints) {
-    for (const bp of breakpoints) {
-      if (concentration >= bp.concLow && concentration <= bp.concHigh) {
-        const aqi = Math.round(
-          ((bp.aqiHigh - bp.aqiLow) / (bp.concHigh - bp.concLow)) * 
-          (concentration - bp.concLow) + bp.aqiLow
-        );
-        return Math.min(aqi, 500);
-      }
-    }
-    return 500; // If concentration is above highest breakpoint
+    return aqiEngine.calculateOverallAQI(pollutants).aqi || 0;
   }
 
   /**
@@ -290,6 +467,13 @@ class OpenAQService {
         station: 'OpenAQ Ground Station 4',
         timestamp: new Date().toISOString(),
         distance: Math.floor(baseValue * 15) + 700
+      },
+      'CO': {
+        concentration: Math.round((baseValue * 0.03 + 0.3) * 10) / 10, // 0.3-1.8 ppm
+        unit: 'ppm',
+        station: 'OpenAQ Ground Station 4',
+        timestamp: new Date().toISOString(),
+        distance: Math.floor(baseValue * 15) + 700
       }
     };
 
@@ -341,10 +525,7 @@ class OpenAQService {
    */
   async getCountries() {
     try {
-      const response = await axios.get(`${this.baseURL}/countries`, {
-        timeout: this.timeout
-      });
-      return response.data.results || [];
+      return await this.paginate('/countries');
     } catch (error) {
       console.error('Error fetching countries:', error.message);
       return [];
@@ -352,18 +533,27 @@ class OpenAQService {
   }
 
   /**
-   * Get available cities from OpenAQ
-   * @param {string} country - Country code
-   * @returns {Promise<Array>} List of cities
+   * Get the cities (location localities) known to OpenAQ. v3 has no cities
+   * endpoint, so they are collected from the locations list.
+   * @param {string} country - ISO 3166-1 alpha-2 country code
+   * @returns {Promise<Array>} [{ city, country, locations }] sorted by name
    */
   async getCities(country = null) {
     try {
-      const params = country ? { country } : {};
-      const response = await axios.get(`${this.baseURL}/cities`, {
-        params,
-        timeout: this.timeout
+      const params = country ? { iso: country.toUpperCase() } : {};
+      const locations = await this.paginate('/locations', params);
+      const cities = new Map();
+
+      locations.forEach(location => {
+        if (!location.locality) return;
+        const key = `${location.locality}-${location.country?.code}`;
+        if (!cities.has(key)) {
+          cities.set(key, { city: location.locality, country: location.country?.code || null, locations: 0 });
+        }
+        cities.get(key).locations++;
       });
-      return response.data.results || [];
+
+      return Array.from(cities.values()).sort((a, b) => a.city.localeCompare(b.city));
     } catch (error) {
       console.error('Error fetching cities:', error.message);
       return [];
@@ -371,4 +561,24 @@ class OpenAQService {
   }
 }
 
+/**
+ * Map an OpenAQ parameter to a pollutant the app indexes or stores
+ * @param {string} parameter - OpenAQ parameter name, e.g. "pm25", "no2"
+ * @returns {string|null} Canonical name, or null for meteorological and other parameters
+ */
+function toPollutantName(parameter) {
+  if (!parameter) return null;
+  const name = aqiEngine.normalizePollutant(parameter) || String(parameter).toUpperCase();
+  return units.getCanonicalUnit(name) ? name : null;
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>} Resolves after the wait
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = OpenAQService;
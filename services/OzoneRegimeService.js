@@ -0,0 +1,117 @@
+// FNR (HCHO/NO2 column ratio) regime bounds after Duncan et al. (2010)
+const VOC_LIMITED_MAX = 1;
+const NOX_LIMITED_MIN = 2;
+
+// Below this NO2 column the ratio is dominated by retrieval noise
+const MIN_NO2_COLUMN = 1e15; // molecules/cm²
+
+class OzoneRegimeService {
+  /**
+   * Classify an FNR value
+   * @param {number} ratio - HCHO/NO2 column ratio
+   * @returns {string} VOC-limited, transitional or NOx-limited
+   */
+  classify(ratio) {
+    if (ratio < VOC_LIMITED_MAX) return 'VOC-limited';
+    if (ratio <= NOX_LIMITED_MIN) return 'transitional';
+    return 'NOx-limited';
+  }
+
+  /**
+   * Compute the FNR from co-located columns
+   * @param {number} hcho - HCHO column in molecules/cm²
+   * @param {number} no2 - Tropospheric NO2 column in molecules/cm²
+   * @returns {number|null} Ratio, or null when the columns cannot support one
+   */
+  computeRatio(hcho, no2) {
+    if (!Number.isFinite(hcho) || !Number.isFinite(no2)) return null;
+    if (hcho <= 0 || no2 < MIN_NO2_COLUMN) return null;
+    return Math.round((hcho / no2) * 100) / 100;
+  }
+
+  /**
+   * Derive the regime at a point from processed TEMPO data. Both columns must
+   * come from real observations made within the same scan hour.
+   * @param {Object} tempoData - Result of TempoDataService.fetchTempoData
+   * @returns {Object} { available, ratio, regime, reason, observedAt }
+   */
+  fromObservations(tempoData) {
+    const unavailable = (reason) => ({ available: false, ratio: null, regime: null, reason });
+
+    if (!tempoData || !tempoData.pollutants || tempoData.metadata?.simulated) {
+      return unavailable('No TEMPO observations for this location');
+    }
+
+    const hcho = tempoData.pollutants.HCHO;
+    const no2 = tempoData.pollutants.NO2;
+    if (!hcho || !no2 || !hcho.column || !no2.column) {
+      return unavailable('HCHO and NO2 columns are both required');
+    }
+
+    const hourApart = Math.abs(Date.parse(hcho.observedAt) - Date.parse(no2.observedAt)) > 60 * 60 * 1000;
+    if (hourApart) {
+      return unavailable('HCHO and NO2 were not observed in the same scan');
+    }
+
+    const ratio = this.computeRatio(hcho.column.value, no2.column.value);
+    if (ratio === null) {
+      return unavailable('NO2 column too small for a meaningful ratio');
+    }
+
+    return {
+      available: true,
+      ratio,
+      regime: this.classify(ratio),
+      reason: null,
+      observedAt: no2.observedAt,
+      columns: {
+        HCHO: hcho.column,
+        NO2: no2.column
+      }
+    };
+  }
+
+  /**
+   * Combine HCHO and NO2 grids of the same hour and extent into a regime grid
+   * @param {Object} hchoGrid - HCHO grid from TempoRegridService.query
+   * @param {Object} no2Grid - NO2 grid from TempoRegridService.query
+   * @returns {Object} Grid of ratios with a parallel array of regimes
+   */
+  fromGrids(hchoGrid, no2Grid) {
+    if (hchoGrid.rows !== no2Grid.rows || hchoGrid.cols !== no2Grid.cols ||
+        hchoGrid.resolution !== no2Grid.resolution) {
+      throw new Error('HCHO and NO2 grids must share extent and resolution');
+    }
+
+    const counts = { 'VOC-limited': 0, transitional: 0, 'NOx-limited': 0 };
+    const values = hchoGrid.values.map((hcho, i) => {
+      const no2 = no2Grid.values[i];
+      if (hcho === null || no2 === null) return null;
+      return this.computeRatio(hcho, no2);
+    });
+    const regimes = values.map(ratio => {
+      if (ratio === null) return null;
+      const regime = this.classify(ratio);
+      counts[regime]++;
+      return regime;
+    });
+
+    return {
+      product: 'FNR',
+      time: no2Grid.time,
+      unit: 'ratio',
+      resolution: no2Grid.resolution,
+      origin: no2Grid.origin,
+      rowOrder: no2Grid.rowOrder,
+      rows: no2Grid.rows,
+      cols: no2Grid.cols,
+      values,
+      regimes,
+      regimeCounts: counts,
+      thresholds: { vocLimitedBelow: VOC_LIMITED_MAX, noxLimitedAbove: NOX_LIMITED_MIN },
+      granules: [...hchoGrid.granules, ...no2Grid.granules]
+    };
+  }
+}
+
+module.exports = OzoneRegimeService;
@@ -0,0 +1,387 @@
+const mongoose = require('mongoose');
+const Observation = require('../models/Observation');
+const Forecast = require('../models/Forecast');
+const Subscription = require('../models/Subscription');
+const aqiEngine = require('./aqi');
+const units = require('./units');
+
+// Weather fields kept as observations for training and verification
+const WEATHER_PARAMETERS = {
+  temperature: '°C',
+  humidity: '%',
+  pressure: 'hPa',
+  windSpeed: 'm/s',
+  cloudCover: '%',
+  boundaryLayerHeight: 'm'
+};
+
+class StorageService {
+  /**
+   * @param {Object} options - Storage options
+   * @param {string} options.uri - MongoDB connection string (defaults to MONGODB_URI)
+   */
+  constructor(options = {}) {
+    this.uri = options.uri || process.env.MONGODB_URI || null;
+    this.connected = false;
+  }
+
+  /**
+   * Connect to MongoDB. Without a connection string every write is skipped
+   * and every read returns nothing, so the app keeps working in memory.
+   * @returns {Promise<boolean>} True when connected
+   */
+  async connect() {
+    if (!this.uri) {
+      console.log('MONGODB_URI not set; observations will not be persisted');
+      return false;
+    }
+
+    try {
+      await mongoose.connect(this.uri, { serverSelectionTimeoutMS: 10000 });
+      this.connected = true;
+      console.log('Connected to MongoDB');
+
+      // The forecast key gained the method; replace the old unique index
+      Forecast.syncIndexes()
+        .catch(error => console.error('Error syncing forecast indexes:', error.message));
+
+      mongoose.connection.on('disconnected', () => { this.connected = false; });
+      mongoose.connection.on('reconnected', () => { this.connected = true; });
+    } catch (error) {
+      console.error('MongoDB connection error:', error.message);
+      this.connected = false;
+    }
+
+    return this.connected;
+  }
+
+  /**
+   * Close the MongoDB connection
+   */
+  async disconnect() {
+    if (this.connected) {
+      await mongoose.disconnect();
+      this.connected = false;
+    }
+  }
+
+  /**
+   * Check whether the store is available
+   * @returns {boolean} True when connected
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Build a GeoJSON point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Object} GeoJSON point
+   */
+  toPoint(lat, lng) {
+    return { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] };
+  }
+
+  /**
+   * Upsert observations. Re-fetching the same value is a no-op thanks to the
+   * unique (source, pollutant, location, timestamp) index.
+   * @param {Array<Object>} observations - { source, pollutant, lat, lng, timestamp, value, unit, quality, metadata }
+   * @returns {Promise<number>} Number of newly inserted observations
+   */
+  async saveObservations(observations) {
+    if (!this.connected) return 0;
+
+    const operations = observations
+      .filter(observation => Number.isFinite(observation.value) && observation.timestamp)
+      .map(observation => {
+        const location = this.toPoint(observation.lat, observation.lng);
+        const timestamp = new Date(observation.timestamp);
+
+        return {
+          updateOne: {
+            filter: {
+              source: observation.source,
+              pollutant: observation.pollutant,
+              'location.coordinates': location.coordinates,
+              timestamp
+            },
+            update: {
+              $setOnInsert: {
+                source: observation.source,
+                pollutant: observation.pollutant,
+                location,
+                timestamp,
+                value: observation.value,
+                unit: observation.unit || null,
+                quality: observation.quality || null,
+                metadata: observation.metadata || {}
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+    if (operations.length === 0) return 0;
+
+    const result = await Observation.bulkWrite(operations, { ordered: false });
+    return result.upsertedCount;
+  }
+
+  /**
+   * Store real TEMPO values, and the HCHO/NO2 ratio the forecast trains on.
+   * Simulated fallbacks are never persisted.
+   * @param {Object} tempoData - Result of TempoDataService.getRealTimeData
+   * @param {number} lat - Queried latitude
+   * @param {number} lng - Queried longitude
+   * @returns {Promise<number>} Number of new observations
+   */
+  async saveTempoData(tempoData, lat, lng) {
+    if (!tempoData || !tempoData.pollutants || tempoData.metadata?.simulated) return 0;
+
+    const observations = Object.entries(tempoData.pollutants).map(([pollutant, data]) => ({
+      source: 'TEMPO',
+      pollutant,
+      lat,
+      lng,
+      timestamp: data.observedAt,
+      value: data.concentration,
+      unit: data.unit,
+      quality: data.quality,
+      metadata: {
+        column: data.column || null,
+        granuleId: data.pixel?.granuleId || null,
+        distanceKm: data.pixel?.distanceKm ?? null
+      }
+    }));
+
+    const ozoneRegime = tempoData.derived?.ozoneRegime;
+    if (ozoneRegime && ozoneRegime.available) {
+      observations.push({
+        source: 'TEMPO',
+        pollutant: 'hchoNo2Ratio',
+        lat,
+        lng,
+        timestamp: ozoneRegime.observedAt,
+        value: ozoneRegime.ratio,
+        metadata: { regime: ozoneRegime.regime }
+      });
+    }
+
+    return this.saveObservations(observations);
+  }
+
+  /**
+   * Store ground station values. Mock fallbacks are never persisted.
+   * @param {Object} groundData - Result of AirQualityService.getRealTimeAirQuality
+   * @param {number} lat - Queried latitude
+   * @param {number} lng - Queried longitude
+   * @returns {Promise<number>} Number of new observations
+   */
+  async saveGroundData(groundData, lat, lng) {
+    if (!groundData || !groundData.pollutants || groundData.metadata?.note) return 0;
+
+    const observations = Object.entries(groundData.pollutants).map(([pollutant, data]) => ({
+      source: data.source || 'ground',
+      // One spelling per pollutant so NowCast finds every source's history
+      pollutant: aqiEngine.normalizePollutant(pollutant) || pollutant.toUpperCase(),
+      lat,
+      lng,
+      timestamp: data.timestamp || groundData.timestamp,
+      value: data.concentration,
+      unit: data.unit,
+      quality: data.quality,
+      metadata: {
+        aqi: data.aqi ?? null,
+        originalValue: data.originalConcentration ?? null,
+        originalUnit: data.originalUnit || null,
+        tier: data.tier || null
+      }
+    }));
+
+    return this.saveObservations(observations);
+  }
+
+  /**
+   * Store current weather parameters as observations
+   * @param {Object} weatherData - Result of WeatherService.fetchWeatherData
+   * @param {number} lat - Queried latitude
+   * @param {number} lng - Queried longitude
+   * @returns {Promise<number>} Number of new observations
+   */
+  async saveWeatherData(weatherData, lat, lng) {
+    if (!weatherData || !weatherData.current) return 0;
+
+    const observations = Object.entries(WEATHER_PARAMETERS)
+      .filter(([parameter]) => weatherData.current[parameter] !== undefined)
+      .map(([parameter, unit]) => ({
+        source: 'OpenWeatherMap',
+        pollutant: parameter,
+        lat,
+        lng,
+        timestamp: weatherData.timestamp,
+        value: weatherData.current[parameter],
+        unit
+      }));
+
+    return this.saveObservations(observations);
+  }
+
+  /**
+   * Store every pollutant series of a generated forecast
+   * @param {Object} forecast - Result of ForecastService.generateForecasts
+   * @returns {Promise<number>} Number of newly stored series
+   */
+  async saveForecast(forecast) {
+    if (!this.connected || !forecast || !forecast.pollutants) return 0;
+
+    const issuedAt = new Date(forecast.timestamp);
+    const documents = Object.entries(forecast.pollutants)
+      .filter(([, predictions]) => Array.isArray(predictions) && predictions.length > 0)
+      .map(([pollutant, predictions]) => ({
+        pollutant,
+        location: this.toPoint(forecast.location.lat, forecast.location.lng),
+        issuedAt,
+        // The method that produced the series, so a baseline's statistical
+        // fallback is never scored as the baseline
+        method: predictions[0].method || null,
+        // ForecastService predictions carry no unit; they are in the canonical one
+        unit: units.getCanonicalUnit(pollutant) || 'ppb',
+        predictions: predictions
+          .filter(prediction => Number.isFinite(prediction.concentration))
+          .map(prediction => ({
+            validAt: new Date(prediction.timestamp),
+            leadHours: prediction.hour,
+            value: prediction.concentration
+          }))
+      }));
+
+    if (documents.length === 0) return 0;
+
+    // Cached forecasts are re-issued with the same timestamp; store them once
+    const result = await Forecast.bulkWrite(documents.map(document => ({
+      updateOne: {
+        filter: {
+          pollutant: document.pollutant,
+          method: document.method,
+          'location.coordinates': document.location.coordinates,
+          issuedAt: document.issuedAt
+        },
+        update: { $setOnInsert: document },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return result.upsertedCount;
+  }
+
+  /**
+   * Query stored observations near a point
+   * @param {Object} params - Query parameters
+   * @param {string} params.pollutant - Pollutant or weather parameter
+   * @param {string} params.source - Source (optional)
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} params.radiusKm - Search radius (default 5)
+   * @param {Date} params.start - Earliest timestamp
+   * @param {Date} params.end - Latest timestamp
+   * @returns {Promise<Array>} Observations, oldest first
+   */
+  async getObservations(params) {
+    if (!this.connected) return [];
+
+    const query = {
+      pollutant: params.pollutant,
+      timestamp: { $gte: params.start, $lte: params.end || new Date() },
+      location: {
+        $geoWithin: {
+          $centerSphere: [[params.lng, params.lat], (params.radiusKm || 5) / 6378.1]
+        }
+      }
+    };
+    if (params.source) query.source = params.source;
+
+    return Observation.find(query).sort({ timestamp: 1 }).lean();
+  }
+
+  /**
+   * Query forecasts issued near a point
+   * @param {Object} params - Query parameters
+   * @param {string} params.pollutant - Pollutant
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} params.radiusKm - Search radius (default 5)
+   * @param {Date} params.start - Earliest issue time
+   * @param {Date} params.end - Latest issue time
+   * @param {string} params.method - Forecast method (optional, default any)
+   * @returns {Promise<Array>} Forecasts, oldest first
+   */
+  async getForecasts(params) {
+    if (!this.connected) return [];
+
+    return Forecast.find({
+      pollutant: params.pollutant,
+      ...(params.method ? { method: params.method } : {}),
+      issuedAt: { $gte: params.start, $lte: params.end || new Date() },
+      location: {
+        $geoWithin: {
+          $centerSphere: [[params.lng, params.lat], (params.radiusKm || 5) / 6378.1]
+        }
+      }
+    }).sort({ issuedAt: 1 }).lean();
+  }
+
+  /**
+   * Create or replace a notification subscription
+   * @param {Object} subscription - Subscription from NotificationService
+   */
+  async saveSubscription(subscription) {
+    if (!this.connected) return;
+
+    await Subscription.findOneAndUpdate(
+      { userId: subscription.userId },
+      {
+        userId: subscription.userId,
+        location: this.toPoint(subscription.location.lat, subscription.location.lng),
+        radiusKm: subscription.location.radius,
+        preferences: subscription.preferences,
+        subscribedAt: new Date(subscription.subscribedAt),
+        lastNotification: subscription.lastNotification ? new Date(subscription.lastNotification) : null
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Delete a notification subscription
+   * @param {string} userId - User ID
+   */
+  async deleteSubscription(userId) {
+    if (!this.connected) return;
+    await Subscription.deleteOne({ userId });
+  }
+
+  /**
+   * Load all stored subscriptions in NotificationService format
+   * @returns {Promise<Array>} Subscriptions
+   */
+  async loadSubscriptions() {
+    if (!this.connected) return [];
+
+    const documents = await Subscription.find({}).lean();
+    return documents.map(document => ({
+      userId: document.userId,
+      location: {
+        lat: document.location.coordinates[1],
+        lng: document.location.coordinates[0],
+        radius: document.radiusKm
+      },
+      preferences: document.preferences,
+      subscribedAt: document.subscribedAt.toISOString(),
+      lastNotification: document.lastNotification ? document.lastNotification.toISOString() : null
+    }));
+  }
+}
+
+module.exports = StorageService;
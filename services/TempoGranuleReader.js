@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+
+// TEMPO L2 time coordinates are seconds since the GPS epoch
+const GPS_EPOCH_MS = Date.UTC(1980, 0, 6);
+
+// TEMPO_NO2_L2_V03_20240801T153012Z_S007G05.nc
+const GRANULE_FILENAME = /^TEMPO_(NO2|HCHO|O3TOT)_L2_(V\d+)_(\d{8}T\d{6})Z_S(\d{3})G(\d{2})\.nc$/;
+
+/**
+ * Dataset paths for each supported L2 product. Where product versions
+ * disagree on naming, candidates are tried in order.
+ */
+const PRODUCTS = {
+  NO2: {
+    shortName: 'TEMPO_NO2_L2',
+    filePrefix: 'NO2',
+    column: ['product/vertical_column_troposphere'],
+    columnType: 'tropospheric',
+    unit: 'molecules/cm²',
+    qualityFlag: ['product/main_data_quality_flag'],
+    cloudFraction: ['support_data/eff_cloud_fraction']
+  },
+  HCHO: {
+    shortName: 'TEMPO_HCHO_L2',
+    filePrefix: 'HCHO',
+    column: ['product/vertical_column'],
+    columnType: 'total',
+    unit: 'molecules/cm²',
+    qualityFlag: ['product/main_data_quality_flag'],
+    cloudFraction: ['support_data/eff_cloud_fraction', 'support_data/amf_cloud_fraction']
+  },
+  O3: {
+    shortName: 'TEMPO_O3TOT_L2',
+    filePrefix: 'O3TOT',
+    column: ['product/column_amount_o3'],
+    columnType: 'total',
+    unit: 'DU',
+    qualityFlag: ['product/quality_flag', 'product/main_data_quality_flag'],
+    cloudFraction: ['ancillary/cloud_fraction', 'support_data/cloud_fraction', 'support_data/eff_cloud_fraction']
+  }
+};
+
+class TempoGranuleReader {
+  /**
+   * @param {Object} options - Reader options
+   * @param {string} options.dataDir - Directory holding locally staged granules
+   * @param {string} options.cacheDir - Directory granules are downloaded into
+   * @param {number} options.maxLoadedGranules - Number of decoded granules kept in memory
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir || process.env.TEMPO_DATA_DIR || null;
+    this.cacheDir = options.cacheDir || process.env.TEMPO_CACHE_DIR || null;
+    this.earthdataToken = process.env.EARTHDATA_TOKEN;
+    this.cmrUrl = 'https://cmr.earthdata.nasa.gov/search/granules.json';
+    this.productVersion = process.env.TEMPO_PRODUCT_VERSION || 'V03';
+    this.maxLoadedGranules = options.maxLoadedGranules || 6;
+    this.loadedGranules = new Map();
+    this.granuleBounds = new Map();
+    this.h5wasm = null;
+  }
+
+  /**
+   * Get the products this reader understands
+   * @returns {Array<string>} Pollutant names
+   */
+  getSupportedPollutants() {
+    return Object.keys(PRODUCTS);
+  }
+
+  /**
+   * Check whether any granule directory is configured
+   * @returns {boolean} True when a data or cache directory is set
+   */
+  isConfigured() {
+    return Boolean(this.dataDir || this.cacheDir);
+  }
+
+  /**
+   * List granules available on disk for a pollutant, newest first
+   * @param {string} pollutant - Pollutant name (NO2, HCHO, O3)
+   * @param {Object} range - Optional time range
+   * @param {Date} range.start - Earliest scan start
+   * @param {Date} range.end - Latest scan start
+   * @returns {Array<Object>} Granule descriptors
+   */
+  listGranules(pollutant, range = {}) {
+    const product = PRODUCTS[pollutant];
+    if (!product) return [];
+
+    const granules = [];
+    const seen = new Set();
+
+    [this.dataDir, this.cacheDir].filter(Boolean).forEach(dir => {
+      if (!fs.existsSync(dir)) return;
+
+      fs.readdirSync(dir).forEach(fileName => {
+        const info = this.parseGranuleFilename(fileName);
+        if (!info || info.pollutant !== pollutant || seen.has(info.id)) return;
+        if (range.start && info.scanStart < range.start) return;
+        if (range.end && info.scanStart > range.end) return;
+
+        seen.add(info.id);
+        granules.push({ ...info, path: path.join(dir, fileName) });
+      });
+    });
+
+    return granules.sort((a, b) => b.scanStart - a.scanStart);
+  }
+
+  /**
+   * Parse TEMPO granule metadata from its file name
+   * @param {string} fileName - Granule file name
+   * @returns {Object|null} Granule descriptor or null for foreign files
+   */
+  parseGranuleFilename(fileName) {
+    const match = GRANULE_FILENAME.exec(fileName);
+    if (!match) return null;
+
+    const [, filePrefix, version, stamp, scan, granule] = match;
+    const pollutant = Object.keys(PRODUCTS).find(key => PRODUCTS[key].filePrefix === filePrefix);
+    const scanStart = new Date(
+      `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+      `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}Z`
+    );
+
+    return {
+      id: fileName.replace(/\.nc$/, ''),
+      pollutant,
+      version,
+      scanStart,
+      scanNumber: parseInt(scan, 10),
+      granuleNumber: parseInt(granule, 10)
+    };
+  }
+
+  /**
+   * Decode a granule into flat pixel arrays
+   * @param {Object} info - Granule descriptor from listGranules
+   * @returns {Promise<Object>} Decoded granule
+   */
+  async loadGranule(info) {
+    if (this.loadedGranules.has(info.id)) {
+      // Refresh LRU position
+      const granule = this.loadedGranules.get(info.id);
+      this.loadedGranules.delete(info.id);
+      this.loadedGranules.set(info.id, granule);
+      return granule;
+    }
+
+    const h5wasm = await this.getH5Module();
+    const product = PRODUCTS[info.pollutant];
+    const file = new h5wasm.File(info.path, 'r');
+
+    try {
+      const latitude = this.readDataset(file, ['geolocation/latitude'], true);
+      const longitude = this.readDataset(file, ['geolocation/longitude'], true);
+      const [rows, cols] = latitude.shape;
+      const pixelCount = rows * cols;
+
+      const column = this.readDataset(file, product.column, true);
+      const time = this.readDataset(file, ['geolocation/time'], true);
+
+      const granule = {
+        id: info.id,
+        pollutant: info.pollutant,
+        version: info.version,
+        scanStart: info.scanStart,
+        scanNumber: info.scanNumber,
+        granuleNumber: info.granuleNumber,
+        unit: product.unit,
+        columnType: product.columnType,
+        rows,
+        cols,
+        latitude: Float32Array.from(latitude.value),
+        longitude: Float32Array.from(longitude.value),
+        cornerLatitude: this.readCorners(file, 'geolocation/latitude_bounds', pixelCount),
+        cornerLongitude: this.readCorners(file, 'geolocation/longitude_bounds', pixelCount),
+        time: Float64Array.from(time.value, seconds => GPS_EPOCH_MS + Number(seconds) * 1000),
+        column: this.maskFill(column),
+        qualityFlag: this.readOptional(file, product.qualityFlag, pixelCount),
+        cloudFraction: this.readOptional(file, product.cloudFraction, pixelCount),
+        solarZenithAngle: this.readOptional(file, ['geolocation/solar_zenith_angle'], pixelCount),
+        // Which screening fields the product actually carries
+        availableFields: {
+          qualityFlag: product.qualityFlag.some(name => file.get(name)),
+          cloudFraction: product.cloudFraction.some(name => file.get(name)),
+          solarZenithAngle: Boolean(file.get('geolocation/solar_zenith_angle'))
+        }
+      };
+
+      granule.bounds = this.computeBounds(granule);
+      this.granuleBounds.set(info.id, granule.bounds);
+
+      this.loadedGranules.set(info.id, granule);
+      while (this.loadedGranules.size > this.maxLoadedGranules) {
+        this.loadedGranules.delete(this.loadedGranules.keys().next().value);
+      }
+
+      return granule;
+    } finally {
+      file.close();
+    }
+  }
+
+  /**
+   * Lazily load the HDF5 runtime (ESM-only package)
+   * @returns {Promise<Object>} h5wasm module
+   */
+  async getH5Module() {
+    if (!this.h5wasm) {
+      const h5wasm = await import('h5wasm/node');
+      await h5wasm.ready;
+      this.h5wasm = h5wasm;
+    }
+    return this.h5wasm;
+  }
+
+  /**
+   * Read the first dataset that exists among candidate paths
+   * @param {Object} file - Open h5wasm file
+   * @param {Array<string>} candidates - Dataset paths
+   * @param {boolean} required - Throw when none exists
+   * @returns {Object|null} { value, shape, fillValue }
+   */
+  readDataset(file, candidates, required = false) {
+    for (const datasetPath of candidates) {
+      const dataset = file.get(datasetPath);
+      if (dataset) {
+        const fillAttr = dataset.attrs && dataset.attrs._FillValue;
+        return {
+          value: dataset.value,
+          shape: dataset.shape,
+          fillValue: fillAttr ? Number(fillAttr.value) : null
+        };
+      }
+    }
+
+    if (required) {
+      throw new Error(`Granule is missing dataset ${candidates.join(' or ')}`);
+    }
+    return null;
+  }
+
+  /**
+   * Read an optional per-pixel dataset, NaN-filled when absent
+   * @param {Object} file - Open h5wasm file
+   * @param {Array<string>} candidates - Dataset paths
+   * @param {number} pixelCount - Expected pixel count
+   * @returns {Float64Array} Values with fill replaced by NaN
+   */
+  readOptional(file, candidates, pixelCount) {
+    const dataset = this.readDataset(file, candidates);
+    if (!dataset) return new Float64Array(pixelCount).fill(NaN);
+    return this.maskFill(dataset);
+  }
+
+  /**
+   * Read pixel corner coordinates (4 per pixel)
+   * @param {Object} file - Open h5wasm file
+   * @param {string} datasetPath - Bounds dataset path
+   * @param {number} pixelCount - Expected pixel count
+   * @returns {Float32Array|null} Flat corner array or null when absent
+   */
+  readCorners(file, datasetPath, pixelCount) {
+    const dataset = this.readDataset(file, [datasetPath]);
+    if (!dataset || dataset.value.length !== pixelCount * 4) return null;
+    return Float32Array.from(dataset.value);
+  }
+
+  /**
+   * Replace fill values with NaN
+   * @param {Object} dataset - Dataset from readDataset
+   * @returns {Float64Array} Masked values
+   */
+  maskFill(dataset) {
+    const masked = new Float64Array(dataset.value.length);
+    for (let i = 0; i < masked.length; i++) {
+      const value = Number(dataset.value[i]);
+      const isFill = !Number.isFinite(value) ||
+        value <= -1e29 ||
+        (dataset.fillValue !== null && value === dataset.fillValue);
+      masked[i] = isFill ? NaN : value;
+    }
+    return masked;
+  }
+
+  /**
+   * Compute the lat/lng bounding box of a granule
+   * @param {Object} granule - Decoded granule
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  computeBounds(granule) {
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+    for (let i = 0; i < granule.latitude.length; i++) {
+      const lat = granule.latitude[i];
+      const lng = granule.longitude[i];
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+      if (lat < bounds.minLat) bounds.minLat = lat;
+      if (lat > bounds.maxLat) bounds.maxLat = lat;
+      if (lng < bounds.minLng) bounds.minLng = lng;
+      if (lng > bounds.maxLng) bounds.maxLng = lng;
+    }
+    return bounds;
+  }
+
+  /**
+   * Check whether a point may fall inside a granule, using cached bounds when
+   * the granule has been decoded before
+   * @param {Object} info - Granule descriptor
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {boolean} False only when the granule is known not to cover the point
+   */
+  mayContain(info, lat, lng) {
+    const bounds = this.granuleBounds.get(info.id);
+    if (!bounds) return true;
+    return lat >= bounds.minLat && lat <= bounds.maxLat &&
+      lng >= bounds.minLng && lng <= bounds.maxLng;
+  }
+
+  /**
+   * Get the time a granule file arrived on disk
+   * @param {Object} info - Granule descriptor
+   * @returns {Date|null} File modification time, or null if unreadable
+   */
+  getIngestTime(info) {
+    try {
+      return fs.statSync(info.path).mtime;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a granule may overlap a bounding box, using cached bounds
+   * when the granule has been decoded before
+   * @param {Object} info - Granule descriptor
+   * @param {Object} bbox - { minLng, minLat, maxLng, maxLat }
+   * @returns {boolean} False only when the granule is known not to overlap
+   */
+  mayIntersect(info, bbox) {
+    const bounds = this.granuleBounds.get(info.id);
+    if (!bounds) return true;
+    return bounds.minLat <= bbox.maxLat && bounds.maxLat >= bbox.minLat &&
+      bounds.minLng <= bbox.maxLng && bounds.maxLng >= bbox.minLng;
+  }
+
+  /**
+   * Build a pixel record from flat granule arrays
+   * @param {Object} granule - Decoded granule
+   * @param {number} index - Flat pixel index
+   * @returns {Object} Pixel
+   */
+  getPixel(granule, index) {
+    const row = Math.floor(index / granule.cols);
+    const corners = [];
+
+    if (granule.cornerLatitude && granule.cornerLongitude) {
+      for (let c = 0; c < 4; c++) {
+        corners.push({
+          lat: this.roundCoordinate(granule.cornerLatitude[index * 4 + c]),
+          lng: this.roundCoordinate(granule.cornerLongitude[index * 4 + c])
+        });
+      }
+    }
+
+    return {
+      granuleId: granule.id,
+      index,
+      row,
+      col: index % granule.cols,
+      lat: this.roundCoordinate(granule.latitude[index]),
+      lng: this.roundCoordinate(granule.longitude[index]),
+      corners,
+      timestamp: new Date(granule.time[row]).toISOString(),
+      value: Number.isNaN(granule.column[index]) ? null : granule.column[index],
+      unit: granule.unit,
+      qualityFlag: Number.isNaN(granule.qualityFlag[index]) ? null : granule.qualityFlag[index],
+      cloudFraction: Number.isNaN(granule.cloudFraction[index]) ? null : granule.cloudFraction[index],
+      solarZenithAngle: Number.isNaN(granule.solarZenithAngle[index]) ? null : granule.solarZenithAngle[index]
+    };
+  }
+
+  /**
+   * Round a single-precision coordinate to ~1 m
+   * @param {number} value - Coordinate in degrees
+   * @returns {number} Rounded coordinate
+   */
+  roundCoordinate(value) {
+    return Math.round(value * 1e5) / 1e5;
+  }
+
+  /**
+   * List pixels with a valid column value within a radius, nearest first
+   * @param {Object} granule - Decoded granule
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} radiusKm - Search radius in km
+   * @returns {Array<Object>} { index, distanceKm } entries
+   */
+  findPixelsNear(granule, lat, lng, radiusKm) {
+    const cosLat = Math.cos(lat * Math.PI / 180);
+    const radiusDeg = radiusKm / 111.32;
+    const radiusSq = radiusDeg * radiusDeg;
+    const matches = [];
+
+    for (let i = 0; i < granule.column.length; i++) {
+      if (Number.isNaN(granule.column[i])) continue;
+
+      const dLat = granule.latitude[i] - lat;
+      const dLng = (granule.longitude[i] - lng) * cosLat;
+      const distance = dLat * dLat + dLng * dLng;
+
+      if (distance <= radiusSq) {
+        matches.push({ index: i, distanceKm: Math.sqrt(distance) * 111.32 });
+      }
+    }
+
+    return matches.sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * Point-in-polygon test against a pixel footprint
+   * @param {Array<Object>} corners - Pixel corners
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {boolean|null} Null when corners are unavailable
+   */
+  pointInCorners(corners, lat, lng) {
+    if (!corners || corners.length < 3) return null;
+
+    let inside = false;
+    for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+      const a = corners[i];
+      const b = corners[j];
+      if ((a.lat > lat) !== (b.lat > lat) &&
+          lng < (b.lng - a.lng) * (lat - a.lat) / (b.lat - a.lat) + a.lng) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Search Earthdata CMR for granules covering a point and download any that
+   * are not cached yet, newest first. Requires EARTHDATA_TOKEN and a cache
+   * directory.
+   * @param {Object} params - Search parameters
+   * @param {string} params.pollutant - Pollutant name
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {string} params.startDate - Start date (YYYY-MM-DD)
+   * @param {string} params.endDate - End date (YYYY-MM-DD)
+   * @param {number} params.limit - Maximum number of granules to download (optional)
+   * @returns {Promise<Array<string>>} Paths of newly downloaded granules
+   */
+  async syncGranules(params) {
+    const product = PRODUCTS[params.pollutant];
+    const limit = params.limit ?? Infinity;
+    if (!product || !this.cacheDir || !this.earthdataToken || limit <= 0) return [];
+
+    const response = await axios.get(this.cmrUrl, {
+      params: {
+        short_name: product.shortName,
+        version: this.productVersion,
+        point: `${params.lng},${params.lat}`,
+        temporal: `${params.startDate}T00:00:00Z,${params.endDate}T23:59:59Z`,
+        page_size: 50,
+        sort_key: '-start_date'
+      },
+      timeout: 30000
+    });
+
+    const entries = response.data?.feed?.entry || [];
+    const downloaded = [];
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+
+    for (const entry of entries) {
+      if (downloaded.length >= limit) break;
+
+      const link = (entry.links || []).find(l => /\.nc$/.test(l.href) && /data#/.test(l.rel));
+      if (!link) continue;
+
+      const target = path.join(this.cacheDir, path.basename(link.href));
+      if (fs.existsSync(target)) continue;
+
+      await this.downloadFile(link.href, target);
+      downloaded.push(target);
+    }
+
+    return downloaded;
+  }
+
+  /**
+   * Stream a granule to disk. It is written under a temporary name first so
+   * a partial download is never listed.
+   * @param {string} url - Granule URL
+   * @param {string} target - Destination path
+   */
+  async downloadFile(url, target) {
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      headers: { Authorization: `Bearer ${this.earthdataToken}` },
+      timeout: 120000
+    });
+
+    const part = `${target}.part`;
+    try {
+      await pipeline(response.data, fs.createWriteStream(part));
+      await fs.promises.rename(part, target);
+    } catch (error) {
+      await fs.promises.rm(part, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete downloaded granules whose scan started before a cutoff, and any
+   * partial download left behind. Staged granules in the data directory are
+   * never deleted.
+   * @param {Date} before - Cutoff scan start
+   * @returns {number} Number of files deleted
+   */
+  pruneCache(before) {
+    if (!this.cacheDir || !fs.existsSync(this.cacheDir)) return 0;
+
+    let removed = 0;
+    fs.readdirSync(this.cacheDir).forEach(fileName => {
+      const info = this.parseGranuleFilename(fileName);
+      const partial = fileName.endsWith('.nc.part');
+      if (!partial && (!info || info.scanStart >= before)) return;
+
+      fs.rmSync(path.join(this.cacheDir, fileName), { force: true });
+      if (info) {
+        this.loadedGranules.delete(info.id);
+        this.granuleBounds.delete(info.id);
+      }
+      removed++;
+    });
+
+    return removed;
+  }
+}
+
+module.exports = TempoGranuleReader;
+module.exports.PRODUCTS = PRODUCTS;
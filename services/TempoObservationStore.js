@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+
+// Stored hour directory names: YYYYMMDD'T'HH
+const HOUR_DIR = /^\d{8}T\d{2}$/;
+// Screening outcomes counted per cell, after [value, weight] in a tile entry
+const REJECTION_FIELDS = ['qualityFlag', 'cloudFraction', 'solarZenithAngle'];
+
+class TempoObservationStore {
+  /**
+   * Persists screened, regridded TEMPO scans on disk so historical queries
+   * can be answered without re-reading granules. Each pollutant hour gets a
+   * directory with a manifest and one file per tile of cells.
+   * @param {Object} options - Store options
+   * @param {string} options.storeDir - Root directory (defaults to TEMPO_STORE_DIR)
+   * @param {number} options.tileSize - Tile edge in degrees
+   * @param {number} options.retentionDays - Days of hours kept on disk
+   * @param {number} options.maxCachedTiles - Parsed tiles kept in memory for point reads
+   */
+  constructor(options = {}) {
+    this.storeDir = options.storeDir || process.env.TEMPO_STORE_DIR || null;
+    this.tileSize = options.tileSize || 5;
+    this.retentionDays = options.retentionDays ||
+      parseInt(process.env.TEMPO_STORE_RETENTION_DAYS || '30', 10);
+    this.manifests = new Map();
+    this.maxCachedTiles = options.maxCachedTiles || 64;
+    // Parsed tiles by file, least recently read first
+    this.tiles = new Map();
+  }
+
+  /**
+   * Check whether a store directory is configured
+   * @returns {boolean} True when scans can be persisted
+   */
+  isConfigured() {
+    return Boolean(this.storeDir);
+  }
+
+  /**
+   * Get the directory holding one pollutant hour
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key (ISO timestamp)
+   * @returns {string} Directory path
+   */
+  getHourDir(pollutant, hour) {
+    return path.join(this.storeDir, pollutant, moment.utc(hour).format('YYYYMMDD[T]HH'));
+  }
+
+  /**
+   * Read the manifest of a stored hour
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key
+   * @returns {Object|null} Manifest, or null when the hour was never stored
+   */
+  getManifest(pollutant, hour) {
+    const key = `${pollutant}|${hour}`;
+    if (this.manifests.has(key)) return this.manifests.get(key);
+
+    const file = path.join(this.getHourDir(pollutant, hour), 'manifest.json');
+    if (!fs.existsSync(file)) return null;
+
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.manifests.set(key, manifest);
+    return manifest;
+  }
+
+  /**
+   * Read the manifest of a stored hour without blocking
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key
+   * @returns {Promise<Object|null>} Manifest, or null when the hour was never stored
+   */
+  async loadManifest(pollutant, hour) {
+    const key = `${pollutant}|${hour}`;
+    if (this.manifests.has(key)) return this.manifests.get(key);
+
+    const manifest = await readJSON(path.join(this.getHourDir(pollutant, hour), 'manifest.json'));
+    if (manifest) this.manifests.set(key, manifest);
+    return manifest;
+  }
+
+  /**
+   * Check whether a granule has already been persisted
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key
+   * @param {string} granuleId - Granule ID
+   * @returns {boolean} True when stored
+   */
+  hasGranule(pollutant, hour, granuleId) {
+    const manifest = this.getManifest(pollutant, hour);
+    return Boolean(manifest && manifest.granules.includes(granuleId));
+  }
+
+  /**
+   * Get the tile a global cell index belongs to
+   * @param {number} cellKey - Global cell index
+   * @param {number} resolution - Cell size in degrees
+   * @returns {string} Tile name
+   */
+  getTileName(cellKey, resolution) {
+    const cols = Math.ceil(360 / resolution);
+    const cellsPerTile = Math.max(1, Math.round(this.tileSize / resolution));
+    const row = Math.floor(cellKey / cols);
+    const col = cellKey % cols;
+    return `${Math.floor(row / cellsPerTile)}_${Math.floor(col / cellsPerTile)}`;
+  }
+
+  /**
+   * Merge one binned granule into its stored hour. Cells already present
+   * are combined as a weighted mean, and their screening counts are added.
+   * A tile entry is [value, weight, examined, passed, ...rejected by field];
+   * value is null for a cell whose pixels were all screened out.
+   * @param {Object} params - Granule data
+   * @param {string} params.pollutant - Pollutant name
+   * @param {string} params.hour - Hour key
+   * @param {Object} params.granule - Decoded granule (id, scanNumber, scanStart, unit, columnType)
+   * @param {number} params.resolution - Cell size in degrees
+   * @param {Map} params.cells - Cell map from TempoRegridService.binGranule
+   * @param {Map} params.screening - Count map from TempoRegridService.countPixels (optional)
+   * @param {Object} params.filters - Screening filters applied to the granule (optional)
+   */
+  mergeGranule(params) {
+    const { pollutant, hour, granule, resolution, cells } = params;
+    const screening = params.screening || new Map();
+    const dir = this.getHourDir(pollutant, hour);
+    let manifest = this.getManifest(pollutant, hour);
+
+    if (manifest && manifest.granules.includes(granule.id)) return;
+    if (manifest && manifest.resolution !== resolution) {
+      throw new Error(`Stored ${pollutant} hour ${hour} uses ${manifest.resolution}° cells, not ${resolution}°`);
+    }
+
+    if (!manifest) {
+      manifest = {
+        pollutant,
+        hour,
+        resolution,
+        tileSize: this.tileSize,
+        unit: granule.unit,
+        columnType: granule.columnType,
+        granules: [],
+        scanNumbers: [],
+        observedAt: null,
+        filters: null
+      };
+    }
+
+    const tiles = new Map();
+    new Set([...cells.keys(), ...screening.keys()]).forEach(cellKey => {
+      const tileName = this.getTileName(cellKey, resolution);
+      if (!tiles.has(tileName)) tiles.set(tileName, []);
+      const cell = cells.get(cellKey);
+      const count = screening.get(cellKey);
+      tiles.get(tileName).push([cellKey, [
+        cell ? cell.sum / cell.weight : null,
+        cell ? cell.weight : 0,
+        ...(count ? [count.examined, count.passed, ...REJECTION_FIELDS.map(field => count.rejected[field])] : [])
+      ]]);
+    });
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    tiles.forEach((entries, tileName) => {
+      const tile = this.readTile(dir, tileName);
+      entries.forEach(([cellKey, entry]) => {
+        tile[cellKey] = tile[cellKey] ? mergeEntries(tile[cellKey], entry) : entry;
+      });
+      this.writeFile(path.join(dir, `${tileName}.json`), tile);
+      this.cacheTile(path.join(dir, `${tileName}.json`), tile);
+    });
+
+    manifest.granules.push(granule.id);
+    if (!manifest.scanNumbers.includes(granule.scanNumber)) manifest.scanNumbers.push(granule.scanNumber);
+    const scanStart = moment.utc(granule.scanStart).toISOString();
+    if (!manifest.observedAt || scanStart > manifest.observedAt) manifest.observedAt = scanStart;
+    if (params.filters) manifest.filters = mergeFilters(manifest.filters, params.filters);
+    this.writeFile(path.join(dir, 'manifest.json'), manifest);
+    this.manifests.set(`${pollutant}|${hour}`, manifest);
+  }
+
+  /**
+   * Read a tile file
+   * @param {string} dir - Hour directory
+   * @param {string} tileName - Tile name
+   * @returns {Object} Cells keyed by global index: [value, weight]
+   */
+  readTile(dir, tileName) {
+    const file = path.join(dir, `${tileName}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+
+  /**
+   * Read a tile file without blocking, through the cache of parsed tiles
+   * @param {string} dir - Hour directory
+   * @param {string} tileName - Tile name
+   * @returns {Promise<Object>} Cells keyed by global index: [value, weight]
+   */
+  async loadTile(dir, tileName) {
+    const file = path.join(dir, `${tileName}.json`);
+    const cached = this.tiles.get(file);
+    if (cached) {
+      this.cacheTile(file, cached);
+      return cached;
+    }
+
+    const tile = (await readJSON(file)) || {};
+    this.cacheTile(file, tile);
+    return tile;
+  }
+
+  /**
+   * Keep a parsed tile as the most recently read, dropping the least
+   * recently read beyond the limit
+   * @param {string} file - Tile path
+   * @param {Object} tile - Parsed tile
+   */
+  cacheTile(file, tile) {
+    this.tiles.delete(file);
+    this.tiles.set(file, tile);
+    if (this.tiles.size > this.maxCachedTiles) {
+      this.tiles.delete(this.tiles.keys().next().value);
+    }
+  }
+
+  /**
+   * Write JSON atomically so readers never see a partial file
+   * @param {string} file - Target path
+   * @param {Object} data - JSON-serializable data
+   */
+  writeFile(file, data) {
+    fs.writeFileSync(`${file}.part`, JSON.stringify(data));
+    fs.renameSync(`${file}.part`, file);
+  }
+
+  /**
+   * Get the stored value of the cell containing a point
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @returns {Promise<Object|null>} { value, unit, columnType, scanNumbers, granules,
+   *   observedAt, filters, cell, screening } with a null value when the hour was
+   *   stored without a valid cell here; null when the hour was never stored.
+   *   `cell` is { lat, lng, resolution } of the cell centre; `screening` is
+   *   { pixelsExamined, pixelsPassed, pixelsRejected }, or null when the cell's
+   *   pixels were not counted.
+   */
+  async getPointValue(pollutant, hour, lat, lng) {
+    const manifest = await this.loadManifest(pollutant, hour);
+    if (!manifest) return null;
+
+    const { resolution } = manifest;
+    const cols = Math.ceil(360 / resolution);
+    const row = Math.floor((lat + 90) / resolution);
+    const col = Math.floor((lng + 180) / resolution);
+    const cellKey = row * cols + col;
+    const tile = await this.loadTile(this.getHourDir(pollutant, hour), this.getTileName(cellKey, resolution));
+    const entry = tile[cellKey];
+
+    return {
+      value: entry && entry[0] !== null ? Number(entry[0].toPrecision(6)) : null,
+      unit: manifest.unit,
+      columnType: manifest.columnType,
+      scanNumbers: manifest.scanNumbers,
+      granules: manifest.granules,
+      observedAt: manifest.observedAt || hour,
+      filters: manifest.filters || null,
+      cell: {
+        lat: Math.round(((row + 0.5) * resolution - 90) * 1e5) / 1e5,
+        lng: Math.round(((col + 0.5) * resolution - 180) * 1e5) / 1e5,
+        resolution
+      },
+      screening: entry && entry.length > 2
+        ? {
+          pixelsExamined: entry[2],
+          pixelsPassed: entry[3],
+          pixelsRejected: Object.fromEntries(REJECTION_FIELDS.map((field, i) => [field, entry[4 + i]]))
+        }
+        : null
+    };
+  }
+
+  /**
+   * List the stored hours of a pollutant, newest first
+   * @param {string} pollutant - Pollutant name
+   * @param {Object} range - Optional time range
+   * @param {Date} range.start - Earliest hour
+   * @param {Date} range.end - Latest hour
+   * @returns {Promise<Array<string>>} Hour keys
+   */
+  async listHours(pollutant, range = {}) {
+    if (!this.isConfigured()) return [];
+
+    let names;
+    try {
+      names = await fs.promises.readdir(path.join(this.storeDir, pollutant));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return names
+      .filter(name => HOUR_DIR.test(name))
+      .map(name => moment.utc(name, 'YYYYMMDD[T]HH'))
+      .filter(hour => (!range.start || !hour.isBefore(range.start)) && (!range.end || !hour.isAfter(range.end)))
+      .sort((a, b) => b.valueOf() - a.valueOf())
+      .map(hour => hour.toISOString());
+  }
+
+  /**
+   * Delete stored hours older than the retention period
+   * @returns {number} Number of hours removed
+   */
+  prune() {
+    if (!this.isConfigured() || !fs.existsSync(this.storeDir)) return 0;
+
+    const cutoff = moment.utc().subtract(this.retentionDays, 'days').format('YYYYMMDD[T]HH');
+    let removed = 0;
+
+    fs.readdirSync(this.storeDir).forEach(pollutant => {
+      const pollutantDir = path.join(this.storeDir, pollutant);
+      if (!fs.statSync(pollutantDir).isDirectory()) return;
+
+      fs.readdirSync(pollutantDir).forEach(hourDir => {
+        if (hourDir >= cutoff) return;
+        fs.rmSync(path.join(pollutantDir, hourDir), { recursive: true, force: true });
+        removed++;
+      });
+    });
+
+    this.manifests.clear();
+    this.tiles.clear();
+    return removed;
+  }
+}
+
+/**
+ * Combine two tile entries of the same cell
+ * @param {Array} a - Tile entry
+ * @param {Array} b - Tile entry
+ * @returns {Array} Weighted mean value, summed weight and summed counts; counts
+ *   are kept only when both entries have them
+ */
+function mergeEntries(a, b) {
+  const weight = a[1] + b[1];
+  const value = weight > 0 ? ((a[0] ?? 0) * a[1] + (b[0] ?? 0) * b[1]) / weight : null;
+  const counts = a.length > 2 && b.length > 2 ? a.slice(2).map((count, i) => count + b[2 + i]) : [];
+  return [value, weight, ...counts];
+}
+
+/**
+ * Combine the screening filters of an hour's granules. A filter counts as
+ * applied only when every granule carried its field.
+ * @param {Object|null} stored - Filters recorded for the hour so far
+ * @param {Object} filters - Filters of the new granule
+ * @returns {Object} Combined filters
+ */
+function mergeFilters(stored, filters) {
+  if (!stored) return filters;
+  return Object.fromEntries(Object.entries(filters).map(([field, filter]) => [
+    field,
+    { ...filter, applied: Boolean(filter.applied && stored[field]?.applied) }
+  ]));
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {Promise<Object|null>} Parsed content, or null when the file does not exist
+ */
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = TempoObservationStore;
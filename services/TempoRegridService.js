@@ -0,0 +1,374 @@
+const moment = require('moment');
+
+const MIN_RESOLUTION = 0.02;
+const MAX_RESOLUTION = 0.25;
+
+// Nominal TEMPO footprint (~2.1km x 4.4km) used when a granule has no corners
+const NOMINAL_HALF_HEIGHT = 0.01;
+const NOMINAL_HALF_WIDTH = 0.025;
+
+class TempoRegridService {
+  /**
+   * @param {Object} options - Regridding options
+   * @param {number} options.resolution - Default cell size in degrees
+   * @param {number} options.maxGrids - Number of hourly grids kept in memory
+   */
+  constructor(options = {}) {
+    this.defaultResolution = this.normalizeResolution(
+      options.resolution || parseFloat(process.env.TEMPO_GRID_RESOLUTION || '0.05')
+    );
+    this.maxGrids = options.maxGrids || 72;
+    this.maxCellsPerQuery = 250000;
+    this.grids = new Map();
+  }
+
+  /**
+   * Clamp a resolution to the supported range
+   * @param {number} resolution - Requested cell size in degrees
+   * @returns {number} Supported cell size
+   */
+  normalizeResolution(resolution) {
+    if (!Number.isFinite(resolution)) return 0.05;
+    return Math.min(MAX_RESOLUTION, Math.max(MIN_RESOLUTION, resolution));
+  }
+
+  /**
+   * Get the scan hour a timestamp belongs to
+   * @param {Date|string} time - Timestamp
+   * @returns {string} ISO timestamp truncated to the hour
+   */
+  getHourKey(time) {
+    return moment.utc(time).startOf('hour').toISOString();
+  }
+
+  /**
+   * Build the map key for one grid
+   * @param {string} pollutant - Pollutant name
+   * @param {string} hour - Hour key
+   * @param {number} resolution - Cell size in degrees
+   * @returns {string} Grid key
+   */
+  getGridKey(pollutant, hour, resolution) {
+    return `${pollutant}|${hour}|${resolution}`;
+  }
+
+  /**
+   * Check whether a granule has already been binned into a grid
+   * @param {string} granuleId - Granule ID
+   * @param {string} pollutant - Pollutant name
+   * @param {Date} scanStart - Granule scan start
+   * @param {number} resolution - Cell size in degrees
+   * @returns {boolean} True when already binned
+   */
+  hasGranule(granuleId, pollutant, scanStart, resolution) {
+    const grid = this.grids.get(this.getGridKey(pollutant, this.getHourKey(scanStart), resolution));
+    return Boolean(grid && grid.granules.has(granuleId));
+  }
+
+  /**
+   * Bin a decoded granule onto the grid for its scan hour. Each pixel
+   * contributes to every cell its footprint overlaps, weighted by the
+   * overlapping area.
+   * @param {Object} granule - Decoded granule from TempoGranuleReader
+   * @param {Function} accept - Returns true for pixels that pass screening
+   * @param {number} resolution - Cell size in degrees
+   * @returns {Object} The updated grid
+   */
+  addGranule(granule, accept, resolution = this.defaultResolution) {
+    const hour = this.getHourKey(granule.scanStart);
+    const key = this.getGridKey(granule.pollutant, hour, resolution);
+
+    let grid = this.grids.get(key);
+    if (!grid) {
+      grid = {
+        pollutant: granule.pollutant,
+        hour,
+        resolution,
+        unit: granule.unit,
+        columnType: granule.columnType,
+        cells: new Map(),
+        granules: new Set(),
+        scanNumbers: new Set()
+      };
+      this.grids.set(key, grid);
+      this.evictOldGrids(key);
+    }
+
+    if (grid.granules.has(granule.id)) return grid;
+
+    this.binGranule(granule, accept, resolution, grid.cells);
+
+    grid.granules.add(granule.id);
+    grid.scanNumbers.add(granule.scanNumber);
+    return grid;
+  }
+
+  /**
+   * Accumulate area-weighted pixel values into a cell map keyed by global
+   * cell index (row * columns + column, counted from 90°S / 180°W)
+   * @param {Object} granule - Decoded granule from TempoGranuleReader
+   * @param {Function} accept - Returns true for pixels that pass screening
+   * @param {number} resolution - Cell size in degrees
+   * @param {Map} cells - Cell map to add to
+   * @returns {Map} The cell map
+   */
+  binGranule(granule, accept, resolution = this.defaultResolution, cells = new Map()) {
+    const cols = Math.ceil(360 / resolution);
+
+    for (let i = 0; i < granule.column.length; i++) {
+      const value = granule.column[i];
+      if (Number.isNaN(value) || !accept(i)) continue;
+
+      const footprint = this.getFootprint(granule, i);
+      const rowStart = Math.floor((footprint.minLat + 90) / resolution);
+      const rowEnd = Math.floor((footprint.maxLat + 90) / resolution);
+      const colStart = Math.floor((footprint.minLng + 180) / resolution);
+      const colEnd = Math.floor((footprint.maxLng + 180) / resolution);
+
+      for (let row = rowStart; row <= rowEnd; row++) {
+        const cellMinLat = row * resolution - 90;
+        const overlapLat = Math.min(footprint.maxLat, cellMinLat + resolution) -
+          Math.max(footprint.minLat, cellMinLat);
+        if (overlapLat <= 0) continue;
+
+        for (let col = colStart; col <= colEnd; col++) {
+          const cellMinLng = col * resolution - 180;
+          const overlapLng = Math.min(footprint.maxLng, cellMinLng + resolution) -
+            Math.max(footprint.minLng, cellMinLng);
+          if (overlapLng <= 0) continue;
+
+          const weight = overlapLat * overlapLng;
+          const cellKey = row * cols + col;
+          const cell = cells.get(cellKey);
+
+          if (cell) {
+            cell.sum += value * weight;
+            cell.weight += weight;
+          } else {
+            cells.set(cellKey, { sum: value * weight, weight });
+          }
+        }
+      }
+    }
+
+    return cells;
+  }
+
+  /**
+   * Count a granule's pixels per cell by screening outcome. Each pixel with
+   * a column value counts in the cell holding its centre.
+   * @param {Object} granule - Decoded granule from TempoGranuleReader
+   * @param {Function} getRejection - Returns the field a pixel fails screening on, or null
+   * @param {number} resolution - Cell size in degrees
+   * @param {Map} counts - Count map to add to
+   * @returns {Map} Counts keyed by global cell index:
+   *   { examined, passed, rejected: { qualityFlag, cloudFraction, solarZenithAngle } }
+   */
+  countPixels(granule, getRejection, resolution = this.defaultResolution, counts = new Map()) {
+    for (let i = 0; i < granule.column.length; i++) {
+      if (Number.isNaN(granule.column[i])) continue;
+
+      const cellKey = this.getCellIndex(granule.latitude[i], granule.longitude[i], resolution);
+      let count = counts.get(cellKey);
+      if (!count) {
+        count = { examined: 0, passed: 0, rejected: { qualityFlag: 0, cloudFraction: 0, solarZenithAngle: 0 } };
+        counts.set(cellKey, count);
+      }
+
+      count.examined++;
+      const reason = getRejection(i);
+      if (reason) {
+        count.rejected[reason]++;
+      } else {
+        count.passed++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Get the global cell index containing a point
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} resolution - Cell size in degrees
+   * @returns {number} Cell index
+   */
+  getCellIndex(lat, lng, resolution = this.defaultResolution) {
+    const cols = Math.ceil(360 / resolution);
+    return Math.floor((lat + 90) / resolution) * cols + Math.floor((lng + 180) / resolution);
+  }
+
+  /**
+   * Get a pixel footprint as a lat/lng box
+   * @param {Object} granule - Decoded granule
+   * @param {number} index - Flat pixel index
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  getFootprint(granule, index) {
+    if (granule.cornerLatitude && granule.cornerLongitude) {
+      const footprint = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+      for (let c = 0; c < 4; c++) {
+        const lat = granule.cornerLatitude[index * 4 + c];
+        const lng = granule.cornerLongitude[index * 4 + c];
+        if (lat < footprint.minLat) footprint.minLat = lat;
+        if (lat > footprint.maxLat) footprint.maxLat = lat;
+        if (lng < footprint.minLng) footprint.minLng = lng;
+        if (lng > footprint.maxLng) footprint.maxLng = lng;
+      }
+      if (Number.isFinite(footprint.minLat) && Number.isFinite(footprint.minLng)) {
+        return footprint;
+      }
+    }
+
+    const lat = granule.latitude[index];
+    const lng = granule.longitude[index];
+    return {
+      minLat: lat - NOMINAL_HALF_HEIGHT,
+      maxLat: lat + NOMINAL_HALF_HEIGHT,
+      minLng: lng - NOMINAL_HALF_WIDTH,
+      maxLng: lng + NOMINAL_HALF_WIDTH
+    };
+  }
+
+  /**
+   * Drop the oldest grids once the limit is exceeded
+   * @param {string} keep - Key of a grid never dropped, such as the one just
+   *   built for a historical request
+   */
+  evictOldGrids(keep = null) {
+    if (this.grids.size <= this.maxGrids) return;
+
+    const byAge = Array.from(this.grids.entries())
+      .filter(([key]) => key !== keep)
+      .sort((a, b) => a[1].hour.localeCompare(b[1].hour));
+    byAge.slice(0, this.grids.size - this.maxGrids).forEach(([key]) => this.grids.delete(key));
+  }
+
+  /**
+   * Extract the cells of an hourly grid inside a bounding box
+   * @param {Object} params - Query parameters
+   * @param {string} params.pollutant - Pollutant name
+   * @param {string} params.hour - Hour key
+   * @param {Object} params.bbox - { minLng, minLat, maxLng, maxLat }
+   * @param {number} params.resolution - Cell size in degrees
+   * @returns {Object|null} Compact grid, or null when no grid exists for the hour
+   */
+  query(params) {
+    const resolution = params.resolution || this.defaultResolution;
+    const grid = this.grids.get(this.getGridKey(params.pollutant, params.hour, resolution));
+    if (!grid) return null;
+
+    const { bbox } = params;
+    const rowStart = Math.floor((bbox.minLat + 90) / resolution);
+    const rowEnd = Math.ceil((bbox.maxLat + 90) / resolution) - 1;
+    const colStart = Math.floor((bbox.minLng + 180) / resolution);
+    const colEnd = Math.ceil((bbox.maxLng + 180) / resolution) - 1;
+    const rows = rowEnd - rowStart + 1;
+    const cols = colEnd - colStart + 1;
+
+    if (rows * cols > this.maxCellsPerQuery) {
+      // A client error: routes answer it with statusCode
+      const error = new Error(
+        `Bounding box spans ${rows * cols} cells at ${resolution}°; the limit is ${this.maxCellsPerQuery}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const gridCols = Math.ceil(360 / resolution);
+    const cellArea = resolution * resolution;
+    const values = new Array(rows * cols).fill(null);
+    const coverage = new Array(rows * cols).fill(0);
+    let filled = 0;
+
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const cell = grid.cells.get((rowStart + r) * gridCols + (colStart + c));
+        if (!cell) continue;
+
+        values[r * cols + c] = Number((cell.sum / cell.weight).toPrecision(6));
+        // Overlapping pixels can cover a cell more than once
+        coverage[r * cols + c] = Math.min(1, Math.round((cell.weight / cellArea) * 100) / 100);
+        filled++;
+      }
+    }
+
+    return {
+      pollutant: grid.pollutant,
+      time: grid.hour,
+      unit: grid.unit,
+      columnType: grid.columnType,
+      resolution,
+      origin: {
+        lat: this.roundDegrees(rowStart * resolution - 90),
+        lng: this.roundDegrees(colStart * resolution - 180)
+      },
+      rowOrder: 'south-to-north',
+      rows,
+      cols,
+      values,
+      coverage,
+      filledCells: filled,
+      granules: Array.from(grid.granules),
+      scanNumbers: Array.from(grid.scanNumbers)
+    };
+  }
+
+  /**
+   * Strip floating-point noise from cell edge coordinates
+   * @param {number} value - Coordinate in degrees
+   * @returns {number} Rounded coordinate
+   */
+  roundDegrees(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  /**
+   * Convert a compact grid into a GeoJSON FeatureCollection of filled cells
+   * @param {Object} grid - Result of query()
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  toGeoJSON(grid) {
+    const features = [];
+
+    for (let r = 0; r < grid.rows; r++) {
+      for (let c = 0; c < grid.cols; c++) {
+        const value = grid.values[r * grid.cols + c];
+        if (value === null) continue;
+
+        const south = this.roundDegrees(grid.origin.lat + r * grid.resolution);
+        const west = this.roundDegrees(grid.origin.lng + c * grid.resolution);
+        const north = this.roundDegrees(south + grid.resolution);
+        const east = this.roundDegrees(west + grid.resolution);
+
+        features.push({
+          type: 'Feature',
+          geometry: {
+            type: 'Polygon',
+            coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+          },
+          properties: {
+            value,
+            coverage: grid.coverage[r * grid.cols + c]
+          }
+        });
+      }
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features,
+      properties: {
+        pollutant: grid.pollutant,
+        time: grid.time,
+        unit: grid.unit,
+        columnType: grid.columnType,
+        resolution: grid.resolution,
+        granules: grid.granules
+      }
+    };
+  }
+}
+
+module.exports = TempoRegridService;
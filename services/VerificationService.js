@@ -0,0 +1,150 @@
+const moment = require('moment');
+const units = require('./units');
+const { computeMetrics } = require('./forecasting/metrics');
+
+// An observation verifies a prediction valid within this many minutes of it
+const MATCH_WINDOW_MINUTES = 30;
+// Longest lead time a stored forecast can have
+const MAX_LEAD_HOURS = 72;
+
+class VerificationService {
+  /**
+   * @param {Object} options - Service options
+   * @param {StorageService} options.storageService - Stored forecasts and observations
+   */
+  constructor(options = {}) {
+    this.storageService = options.storageService || null;
+  }
+
+  /**
+   * Verify stored forecasts issued near a point against the observations
+   * that arrived since. Each prediction whose valid time has passed is
+   * matched with the mean of the ground observations within 30 minutes of
+   * it, in the forecast's unit.
+   * @param {Object} params - Query parameters
+   * @param {number} params.lat - Latitude
+   * @param {number} params.lng - Longitude
+   * @param {number} params.radiusKm - Search radius (default 25)
+   * @param {Date} params.start - Earliest issue time
+   * @param {Date} params.end - Latest issue time (default now)
+   * @param {Array<string>} params.pollutants - Pollutants to verify
+   * @param {string} params.method - Only forecasts of this method (optional)
+   * @returns {Promise<Object>} { pollutants: { [pollutant]: { overall, byLead, byLocation } }, matched }.
+   *   Every metrics block is { count, bias, mae, rmse, correlation, categoryHitRate }.
+   */
+  async verify(params) {
+    if (!this.storageService || !this.storageService.isConnected()) {
+      // Unavailable rather than failed: routes answer it with statusCode
+      const error = new Error('Forecast verification needs stored forecasts (MONGODB_URI)');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    const end = params.end || new Date();
+    const radiusKm = params.radiusKm || 25;
+    const pollutants = {};
+    let matched = 0;
+
+    for (const pollutant of params.pollutants) {
+      const forecasts = await this.storageService.getForecasts({
+        pollutant,
+        lat: params.lat,
+        lng: params.lng,
+        radiusKm,
+        start: params.start,
+        end,
+        method: params.method
+      });
+      if (forecasts.length === 0) continue;
+
+      const observations = await this.storageService.getObservations({
+        pollutant,
+        lat: params.lat,
+        lng: params.lng,
+        radiusKm,
+        start: moment(params.start).subtract(MATCH_WINDOW_MINUTES, 'minutes').toDate(),
+        end: moment(end).add(MAX_LEAD_HOURS, 'hours').toDate()
+      });
+
+      const pairs = this.matchForecasts(forecasts, observations);
+      matched += pairs.length;
+      pollutants[pollutant] = this.summarize(pollutant, pairs);
+    }
+
+    return { pollutants, matched };
+  }
+
+  /**
+   * Pair each prediction that has come due with the observations around its valid time
+   * @param {Array} forecasts - Stored forecasts of one pollutant
+   * @param {Array} observations - Stored observations of the pollutant, oldest first
+   * @returns {Array} [{ leadHours, forecast, observed, unit, location: { lat, lng } }]
+   */
+  matchForecasts(forecasts, observations) {
+    const now = Date.now();
+    const windowMs = MATCH_WINDOW_MINUTES * 60 * 1000;
+    // Satellite columns are not surface values
+    const ground = observations
+      .filter(observation => observation.source !== 'TEMPO')
+      .map(observation => ({ ...observation, time: new Date(observation.timestamp).getTime() }));
+    const pairs = [];
+
+    forecasts.forEach(forecast => {
+      const [lng, lat] = forecast.location.coordinates;
+
+      forecast.predictions.forEach(prediction => {
+        const validAt = new Date(prediction.validAt).getTime();
+        if (validAt > now) return;
+
+        const values = ground
+          .filter(observation => Math.abs(observation.time - validAt) <= windowMs)
+          .map(observation => (observation.unit
+            ? units.convert(observation.value, observation.unit, forecast.unit, { pollutant: forecast.pollutant })
+            : observation.value))
+          .filter(value => Number.isFinite(value));
+        if (values.length === 0) return;
+
+        pairs.push({
+          leadHours: prediction.leadHours,
+          forecast: prediction.value,
+          observed: values.reduce((sum, value) => sum + value, 0) / values.length,
+          unit: forecast.unit,
+          location: { lat, lng }
+        });
+      });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Compute a pollutant's scores overall, per lead time and per forecast location
+   * @param {string} pollutant - Pollutant name
+   * @param {Array} pairs - Result of matchForecasts
+   * @returns {Object} { unit, overall, byLead, byLocation }
+   */
+  summarize(pollutant, pairs) {
+    const byLead = new Map();
+    const byLocation = new Map();
+    pairs.forEach(pair => {
+      if (!byLead.has(pair.leadHours)) byLead.set(pair.leadHours, []);
+      byLead.get(pair.leadHours).push(pair);
+
+      const key = `${pair.location.lat.toFixed(4)},${pair.location.lng.toFixed(4)}`;
+      if (!byLocation.has(key)) byLocation.set(key, []);
+      byLocation.get(key).push(pair);
+    });
+
+    return {
+      unit: pairs.length > 0 ? pairs[0].unit : units.getCanonicalUnit(pollutant),
+      overall: computeMetrics(pollutant, pairs),
+      byLead: Array.from(byLead.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([leadHours, group]) => ({ leadHours, ...computeMetrics(pollutant, group) })),
+      byLocation: Array.from(byLocation.values())
+        .map(group => ({ location: group[0].location, ...computeMetrics(pollutant, group) }))
+    };
+  }
+}
+
+module.exports = VerificationService;
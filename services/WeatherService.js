@@ -1,12 +1,16 @@
 const axios = require('axios');
 const moment = require('moment');
+const CacheService = require('./CacheService');
 
 class WeatherService {
-  constructor() {
+  /**
+   * @param {Object} options - Service options
+   * @param {CacheService} options.cache - Cache (defaults to the shared cache)
+   */
+  constructor(options = {}) {
     this.openWeatherApiKey = process.env.OPENWEATHER_API_KEY;
     this.weatherGovApiKey = process.env.WEATHER_GOV_API_KEY;
-    this.cache = new Map();
-    this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
+    this.cache = options.cache || CacheService.getDefault();
   }
 
   /**
@@ -18,41 +22,34 @@ class WeatherService {
    * @returns {Promise<Object>} Weather data
    */
   async fetchWeatherData(params) {
-    const cacheKey = `weather-${params.lat}-${params.lng}-${params.days}`;
-    
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
-      }
-    }
+    const cacheKey = `${params.lat}-${params.lng}-${params.days}`;
 
     try {
-      // Fetch current weather and forecast in parallel
-      const [currentWeather, forecast] = await Promise.allSettled([
-        this.fetchCurrentWeather(params),
-        this.fetchWeatherForecast(params)
-      ]);
-
-      const processedData = this.processWeatherData({
-        current: currentWeather.status === 'fulfilled' ? currentWeather.value : null,
-        forecast: forecast.status === 'fulfilled' ? forecast.value : null
-      });
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: processedData,
-        timestamp: Date.now()
-      });
-
-      return processedData;
+      return await this.cache.wrap('weather', cacheKey, () => this.loadWeatherData(params));
     } catch (error) {
       console.error('Error fetching weather data:', error.message);
       throw new Error('Failed to fetch weather data');
     }
   }
 
+  /**
+   * Fetch and process weather data without the cache
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Weather data
+   */
+  async loadWeatherData(params) {
+    // Fetch current weather and forecast in parallel
+    const [currentWeather, forecast] = await Promise.allSettled([
+      this.fetchCurrentWeather(params),
+      this.fetchWeatherForecast(params)
+    ]);
+
+    return this.processWeatherData({
+      current: currentWeather.status === 'fulfilled' ? currentWeather.value : null,
+      forecast: forecast.status === 'fulfilled' ? forecast.value : null
+    });
+  }
+
   /**
    * Fetch current weather from OpenWeatherMap API
    * @param {Object} params - Query parameters
@@ -128,6 +125,7 @@ class WeatherService {
         uvIndex: rawData.current.uvi || 0,
         description: rawData.current.weather[0].description,
         icon: rawData.current.weather[0].icon,
+        boundaryLayerHeight: this.estimateBoundaryLayerHeight(rawData.current),
         airQualityFactors: this.calculateAirQualityFactors(rawData.current)
       };
     }
@@ -176,6 +174,37 @@ class WeatherService {
     return factors;
   }
 
+  /**
+   * Estimate mixed layer depth from surface observations. OpenWeatherMap does
+   * not report it, so daytime convective growth is damped by cloud cover and
+   * the stable night-time layer is deepened by mechanical mixing from wind.
+   * @param {Object} weather - Weather data
+   * @returns {number} Boundary layer height in meters
+   */
+  estimateBoundaryLayerHeight(weather) {
+    const windSpeed = weather.wind?.speed || 0;
+    const cloudCover = weather.clouds?.all || 0;
+    const observedAt = weather.dt || Math.floor(Date.now() / 1000);
+    const sunrise = weather.sys?.sunrise;
+    const sunset = weather.sys?.sunset;
+
+    const isDaytime = sunrise && sunset
+      ? observedAt >= sunrise && observedAt <= sunset
+      : true;
+
+    let height;
+    if (isDaytime) {
+      // Deepest in mid-afternoon, shallow just after sunrise
+      const dayFraction = sunrise && sunset ? (observedAt - sunrise) / (sunset - sunrise) : 0.5;
+      const growth = Math.sin(Math.PI * dayFraction / 1.3);
+      height = (300 + 1500 * growth) * (1 - 0.4 * cloudCover / 100) + 50 * windSpeed;
+    } else {
+      height = 150 + 60 * windSpeed;
+    }
+
+    return Math.round(Math.min(3000, Math.max(100, height)));
+  }
+
   /**
    * Calculate atmospheric dispersion factor
    * @param {Object} weather - Weather data
@@ -400,14 +429,8 @@ class WeatherService {
    */
   async updateWeatherData() {
     console.log('Updating weather data cache...');
-    // Clear expired cache entries
-    const now = Date.now();
-    for (const [key, value] of this.cache.entries()) {
-      if (now - value.timestamp > this.cacheTimeout) {
-        this.cache.delete(key);
-      }
-    }
-    console.log(`Weather cache updated. Current entries: ${this.cache.size}`);
+    const entries = await this.cache.prune('weather');
+    console.log(`Weather cache updated. Current entries: ${entries}`);
   }
 }
 
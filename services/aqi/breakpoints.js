@@ -0,0 +1,180 @@
+// EPA AQI breakpoints (40 CFR Part 58, Appendix G), expressed in the units
+// the app reports: µg/m³ for particulates, ppb for O3/NO2/SO2, ppm for CO.
+// `decimals` is the truncation applied before looking up a breakpoint,
+// e.g. PM2.5 to 0.1 µg/m³ and O3 to 0.001 ppm (whole ppb).
+// These are the tables in force from the 2012 PM NAAQS revision.
+const EPA_2012 = {
+  'PM2.5': {
+    unit: 'µg/m³',
+    decimals: 1,
+    averagingPeriod: '24h',
+    tables: {
+      '24h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 12.0 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 12.1, concHigh: 35.4 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 150.4 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 150.5, concHigh: 250.4 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 250.5, concHigh: 350.4 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 350.5, concHigh: 500.4 }
+      ]
+    }
+  },
+  PM10: {
+    unit: 'µg/m³',
+    decimals: 0,
+    averagingPeriod: '24h',
+    tables: {
+      '24h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 154 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 155, concHigh: 254 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 255, concHigh: 354 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 355, concHigh: 424 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 425, concHigh: 504 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
+      ]
+    }
+  },
+  O3: {
+    unit: 'ppb',
+    decimals: 0,
+    averagingPeriod: '8h',
+    tables: {
+      // 8-hour values above 200 ppb are reported with the 1-hour table
+      '8h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 54 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 55, concHigh: 70 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 71, concHigh: 85 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 86, concHigh: 105 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 106, concHigh: 200 }
+      ],
+      // 1-hour values are only defined from 125 ppb up
+      '1h': [
+        { aqiLow: 101, aqiHigh: 150, concLow: 125, concHigh: 164 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 165, concHigh: 204 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 205, concHigh: 404 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 405, concHigh: 504 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 505, concHigh: 604 }
+      ]
+    }
+  },
+  NO2: {
+    unit: 'ppb',
+    decimals: 0,
+    averagingPeriod: '1h',
+    tables: {
+      '1h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 53 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 54, concHigh: 100 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 101, concHigh: 360 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 361, concHigh: 649 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 650, concHigh: 1249 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 1250, concHigh: 1649 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 1650, concHigh: 2049 }
+      ]
+    }
+  },
+  SO2: {
+    unit: 'ppb',
+    decimals: 0,
+    averagingPeriod: '1h',
+    tables: {
+      // 1-hour values define the index up to 200; above that EPA uses 24-hour means
+      '1h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 35 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 36, concHigh: 75 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 76, concHigh: 185 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 186, concHigh: 304 }
+      ],
+      '24h': [
+        { aqiLow: 201, aqiHigh: 300, concLow: 305, concHigh: 604 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 605, concHigh: 804 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 805, concHigh: 1004 }
+      ]
+    }
+  },
+  CO: {
+    unit: 'ppm',
+    decimals: 1,
+    averagingPeriod: '8h',
+    tables: {
+      '8h': [
+        { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 4.4 },
+        { aqiLow: 51, aqiHigh: 100, concLow: 4.5, concHigh: 9.4 },
+        { aqiLow: 101, aqiHigh: 150, concLow: 9.5, concHigh: 12.4 },
+        { aqiLow: 151, aqiHigh: 200, concLow: 12.5, concHigh: 15.4 },
+        { aqiLow: 201, aqiHigh: 300, concLow: 15.5, concHigh: 30.4 },
+        { aqiLow: 301, aqiHigh: 400, concLow: 30.5, concHigh: 40.4 },
+        { aqiLow: 401, aqiHigh: 500, concLow: 40.5, concHigh: 50.4 }
+      ]
+    }
+  }
+};
+
+/**
+ * Merge the two hazardous rows (301-400, 401-500) into the single 301-500
+ * row of the 2024 tables
+ * @param {Array<Object>} table - Breakpoint table
+ * @returns {Array<Object>} Table with one hazardous row
+ */
+function mergeHazardous(table) {
+  const low = table.find(bp => bp.aqiLow === 301);
+  const high = table.find(bp => bp.aqiHigh === 500);
+  if (!low || !high || low === high) return table;
+
+  return [
+    ...table.filter(bp => bp !== low && bp !== high),
+    { aqiLow: 301, aqiHigh: 500, concLow: low.concLow, concHigh: high.concHigh }
+  ];
+}
+
+// 2024 PM NAAQS revision: PM2.5 "good" ends at 9.0 µg/m³ and every
+// pollutant's hazardous category is one 301-500 row
+const EPA_2024 = Object.fromEntries(Object.entries(EPA_2012).map(([pollutant, standard]) => [
+  pollutant,
+  {
+    ...standard,
+    tables: Object.fromEntries(Object.entries(standard.tables)
+      .map(([period, table]) => [period, mergeHazardous(table)]))
+  }
+]));
+EPA_2024['PM2.5'] = {
+  ...EPA_2012['PM2.5'],
+  tables: {
+    '24h': [
+      { aqiLow: 0, aqiHigh: 50, concLow: 0, concHigh: 9.0 },
+      { aqiLow: 51, aqiHigh: 100, concLow: 9.1, concHigh: 35.4 },
+      { aqiLow: 101, aqiHigh: 150, concLow: 35.5, concHigh: 55.4 },
+      { aqiLow: 151, aqiHigh: 200, concLow: 55.5, concHigh: 125.4 },
+      { aqiLow: 201, aqiHigh: 300, concLow: 125.5, concHigh: 225.4 },
+      { aqiLow: 301, aqiHigh: 500, concLow: 225.5, concHigh: 325.4 }
+    ]
+  }
+};
+
+// Versions of the AQI, oldest first. A value is indexed with the newest
+// version whose effective date is on or before the value's time.
+const AQI_STANDARDS = [
+  {
+    id: 'EPA-2012',
+    name: 'US EPA AQI (2012 PM2.5 NAAQS)',
+    effectiveFrom: '2013-03-18',
+    pollutants: EPA_2012
+  },
+  {
+    id: 'EPA-2024',
+    name: 'US EPA AQI (2024 PM2.5 NAAQS)',
+    effectiveFrom: '2024-05-06',
+    pollutants: EPA_2024
+  }
+];
+
+// Hours in each averaging period and how many must be valid (75%)
+const AVERAGING_PERIODS = {
+  '1h': { hours: 1, minHours: 1 },
+  '8h': { hours: 8, minHours: 6 },
+  '24h': { hours: 24, minHours: 18 }
+};
+
+module.exports = { AQI_STANDARDS, AVERAGING_PERIODS };
@@ -0,0 +1,86 @@
+// EPA AQI categories with the official colors and health messages
+const CATEGORIES = [
+  {
+    key: 'good',
+    name: 'Good',
+    min: 0,
+    max: 50,
+    color: '#00E400',
+    healthMessage: 'Air quality is satisfactory, and air pollution poses little or no risk.',
+    recommendations: [
+      'Air quality is good. Enjoy outdoor activities.',
+      'No health impacts expected for the general population.'
+    ]
+  },
+  {
+    key: 'moderate',
+    name: 'Moderate',
+    min: 51,
+    max: 100,
+    color: '#FFFF00',
+    healthMessage: 'Air quality is acceptable. However, there may be a risk for some people, particularly those who are unusually sensitive to air pollution.',
+    recommendations: [
+      'Air quality is acceptable for most people.',
+      'Sensitive individuals may experience minor symptoms.',
+      'Consider reducing prolonged outdoor exertion if you are sensitive.'
+    ]
+  },
+  {
+    key: 'unhealthy-sensitive',
+    name: 'Unhealthy for Sensitive Groups',
+    min: 101,
+    max: 150,
+    color: '#FF7E00',
+    healthMessage: 'Members of sensitive groups may experience health effects. The general public is less likely to be affected.',
+    recommendations: [
+      'Sensitive groups should reduce prolonged outdoor exertion.',
+      'Children and elderly should limit outdoor activities.',
+      'People with heart or lung disease should avoid outdoor activities.'
+    ]
+  },
+  {
+    key: 'unhealthy',
+    name: 'Unhealthy',
+    min: 151,
+    max: 200,
+    color: '#FF0000',
+    healthMessage: 'Some members of the general public may experience health effects; members of sensitive groups may experience more serious health effects.',
+    recommendations: [
+      'Everyone should avoid prolonged outdoor exertion.',
+      'Sensitive groups should avoid outdoor activities.',
+      'Consider using air purifiers indoors.',
+      'Keep windows closed and use air conditioning if available.'
+    ]
+  },
+  {
+    key: 'very-unhealthy',
+    name: 'Very Unhealthy',
+    min: 201,
+    max: 300,
+    color: '#8F3F97',
+    healthMessage: 'Health alert: The risk of health effects is increased for everyone.',
+    recommendations: [
+      'Avoid all outdoor activities.',
+      'Stay indoors with windows closed.',
+      'Use air purifiers and masks if going outside.',
+      'Consider evacuating if possible.'
+    ]
+  },
+  {
+    key: 'hazardous',
+    name: 'Hazardous',
+    min: 301,
+    max: 500,
+    color: '#7E0023',
+    healthMessage: 'Health warning of emergency conditions: everyone is more likely to be affected.',
+    recommendations: [
+      'EMERGENCY CONDITIONS: Avoid all outdoor activities.',
+      'Stay indoors with windows closed.',
+      'Use air purifiers and masks if going outside.',
+      'Consider evacuating the area if possible.',
+      'Follow emergency instructions from local authorities.'
+    ]
+  }
+];
+
+module.exports = { CATEGORIES };
@@ -0,0 +1,321 @@
+const { AQI_STANDARDS, AVERAGING_PERIODS } = require('./breakpoints');
+const { CATEGORIES } = require('./categories');
+const { NOWCAST_WINDOWS, toHourlyValues, computeNowCast } = require('./nowcast');
+const units = require('../units');
+
+const MAX_AQI = 500;
+
+// Spellings used by the data sources for the same pollutant
+const POLLUTANT_ALIASES = {
+  'PM2.5': 'PM2.5',
+  PM25: 'PM2.5',
+  PM2_5: 'PM2.5',
+  PM10: 'PM10',
+  O3: 'O3',
+  NO2: 'NO2',
+  SO2: 'SO2',
+  CO: 'CO'
+};
+
+/**
+ * Map a source's pollutant name to the engine's name
+ * @param {string} pollutant - Pollutant name, e.g. "pm25", "PM2.5", "o3"
+ * @returns {string|null} Canonical name, or null when the AQI does not cover it
+ */
+function normalizePollutant(pollutant) {
+  if (!pollutant) return null;
+  return POLLUTANT_ALIASES[String(pollutant).toUpperCase().replace(/\s/g, '')] || null;
+}
+
+/**
+ * List the AQI standard versions, oldest first
+ * @returns {Array<Object>} [{ id, name, effectiveFrom }]
+ */
+function getStandardVersions() {
+  return AQI_STANDARDS.map(({ id, name, effectiveFrom }) => ({ id, name, effectiveFrom }));
+}
+
+/**
+ * Find an AQI standard version by id
+ * @param {string} id - Version id, e.g. "EPA-2024" (case-insensitive)
+ * @returns {Object|null} Version, or null when unknown
+ */
+function findStandardVersion(id) {
+  if (!id) return null;
+  return AQI_STANDARDS.find(version => version.id.toLowerCase() === String(id).toLowerCase()) || null;
+}
+
+/**
+ * Pick the AQI standard version to index with. An explicit `standard` wins;
+ * otherwise the version in force at `date` (default now) is used, and dates
+ * before the first version fall back to it.
+ * @param {Object} options - { standard, date }
+ * @returns {Object} Version { id, name, effectiveFrom, pollutants }
+ */
+function resolveStandardVersion(options = {}) {
+  if (options.standard) {
+    const version = findStandardVersion(options.standard);
+    if (!version) throw new Error(`Unknown AQI standard "${options.standard}"`);
+    return version;
+  }
+
+  const time = options.date ? new Date(options.date).getTime() : Date.now();
+  const inForce = AQI_STANDARDS.filter(version => Date.parse(version.effectiveFrom) <= time);
+  return inForce.length > 0 ? inForce[inForce.length - 1] : AQI_STANDARDS[0];
+}
+
+/**
+ * Get the breakpoint standard of a pollutant
+ * @param {string} pollutant - Pollutant name
+ * @param {Object} options - { standard, date }, see resolveStandardVersion
+ * @returns {Object|null} { unit, decimals, averagingPeriod, tables }
+ */
+function getStandard(pollutant, options = {}) {
+  const name = normalizePollutant(pollutant);
+  return name ? resolveStandardVersion(options).pollutants[name] || null : null;
+}
+
+/**
+ * Pollutants with AQI breakpoints
+ * @param {Object} options - { standard, date }, see resolveStandardVersion
+ * @returns {Array<string>} Pollutant names
+ */
+function getSupportedPollutants(options = {}) {
+  return Object.keys(resolveStandardVersion(options).pollutants);
+}
+
+/**
+ * Truncate a concentration to the precision its breakpoints use
+ * @param {string} pollutant - Pollutant name
+ * @param {number} concentration - Concentration in the standard's unit
+ * @param {Object} options - { standard, date }, see resolveStandardVersion
+ * @returns {number|null} Truncated concentration
+ */
+function truncate(pollutant, concentration, options = {}) {
+  const standard = getStandard(pollutant, options);
+  if (!standard || !Number.isFinite(concentration)) return null;
+
+  const factor = Math.pow(10, standard.decimals);
+  // The epsilon keeps values like 12.1 from flooring to 12.0
+  return Math.max(0, Math.floor(concentration * factor + 1e-9) / factor);
+}
+
+/**
+ * Find the breakpoint holding a truncated concentration. The requested
+ * averaging period's table is tried first; values outside it fall back to the
+ * pollutant's other table (e.g. O3 8-hour values above 200 ppb).
+ * @param {Object} standard - Pollutant standard
+ * @param {string} period - Averaging period
+ * @param {number} concentration - Truncated concentration
+ * @returns {Object|null} { breakpoint, period }, or null above every table
+ */
+function findBreakpoint(standard, period, concentration) {
+  const periods = [period, ...Object.keys(standard.tables).filter(p => p !== period)];
+
+  for (const candidate of periods) {
+    const table = standard.tables[candidate] || [];
+    const breakpoint = table.find(bp => concentration >= bp.concLow && concentration <= bp.concHigh);
+    if (breakpoint) return { breakpoint, period: candidate };
+  }
+
+  return null;
+}
+
+/**
+ * Compute a pollutant's AQI with its truncation and breakpoint details
+ * @param {number} concentration - Concentration in the standard's unit
+ * @param {string} pollutant - Pollutant name
+ * @param {Object} options - Options
+ * @param {string} options.averagingPeriod - '1h', '8h' or '24h' (defaults to the pollutant's standard)
+ * @param {string} options.standard - Standard version id (defaults to the one in force at `date`)
+ * @param {Date|string} options.date - Time of the value (defaults to now)
+ * @param {string} options.unit - Unit of the concentration; no AQI is computed when it
+ *   differs from the standard's unit (convert with services/units first)
+ * @returns {Object|null} { pollutant, aqi, concentration, unit, averagingPeriod, category, standard }
+ */
+function getPollutantAQI(concentration, pollutant, options = {}) {
+  const name = normalizePollutant(pollutant);
+  const version = resolveStandardVersion(options);
+  const standard = name ? version.pollutants[name] : null;
+  if (standard && options.unit && !units.sameUnit(options.unit, standard.unit)) return null;
+  const truncated = truncate(name, concentration, { standard: version.id });
+  if (!standard || truncated === null) return null;
+
+  const period = options.averagingPeriod || standard.averagingPeriod;
+  const match = findBreakpoint(standard, period, truncated);
+  let aqi = MAX_AQI;
+
+  if (match) {
+    // AQI = ((I_high - I_low) / (C_high - C_low)) * (C - C_low) + I_low
+    const bp = match.breakpoint;
+    aqi = Math.round(
+      ((bp.aqiHigh - bp.aqiLow) / (bp.concHigh - bp.concLow)) * (truncated - bp.concLow) + bp.aqiLow
+    );
+  }
+
+  return {
+    pollutant: name,
+    aqi: Math.min(aqi, MAX_AQI),
+    concentration: truncated,
+    unit: standard.unit,
+    averagingPeriod: match ? match.period : period,
+    category: getCategory(aqi).key,
+    standard: version.id
+  };
+}
+
+/**
+ * Convert a concentration to its AQI
+ * @param {number} concentration - Concentration in the standard's unit
+ * @param {string} pollutant - Pollutant name
+ * @param {Object} options - See getPollutantAQI
+ * @returns {number|null} AQI, or null when the pollutant has no AQI
+ */
+function concentrationToAQI(concentration, pollutant, options = {}) {
+  const result = getPollutantAQI(concentration, pollutant, options);
+  return result ? result.aqi : null;
+}
+
+/**
+ * Overall AQI of a set of pollutants: the highest pollutant AQI. An `aqi`
+ * already reported by the source (e.g. AirNow) is used as is.
+ * @param {Object} pollutants - { name: { concentration, aqi } }
+ * @param {Object} options - { standard, date } for values without an `aqi`
+ * @returns {Object} { aqi, dominantPollutant }, aqi is null without any covered pollutant
+ */
+function calculateOverallAQI(pollutants, options = {}) {
+  let result = { aqi: null, dominantPollutant: null };
+
+  Object.entries(pollutants || {}).forEach(([pollutant, data]) => {
+    if (!data) return;
+    const aqi = Number.isFinite(data.aqi) ? data.aqi : concentrationToAQI(data.concentration, pollutant, { ...options, unit: data.unit });
+    if (aqi !== null && (result.aqi === null || aqi > result.aqi)) {
+      result = { aqi, dominantPollutant: normalizePollutant(pollutant) || pollutant };
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Get the category an AQI value falls in
+ * @param {number} aqi - AQI value
+ * @returns {Object|null} { key, name, min, max, color, healthMessage, recommendations }
+ */
+function getCategory(aqi) {
+  if (!Number.isFinite(aqi)) return null;
+  const rounded = Math.round(Math.max(0, aqi));
+  return CATEGORIES.find(category => rounded <= category.max) || CATEGORIES[CATEGORIES.length - 1];
+}
+
+/**
+ * Get how long a pollutant's concentration must be averaged for its AQI
+ * @param {string} pollutant - Pollutant name
+ * @param {string} period - Averaging period (defaults to the pollutant's standard)
+ * @returns {Object|null} { period, hours, minHours }
+ */
+function getAveragingRequirement(pollutant, period = null) {
+  const standard = getStandard(pollutant);
+  if (!standard) return null;
+
+  const selected = period || standard.averagingPeriod;
+  return { period: selected, ...AVERAGING_PERIODS[selected] };
+}
+
+/**
+ * Average the latest hourly values over a pollutant's averaging period
+ * @param {string} pollutant - Pollutant name
+ * @param {Array<number|null>} hourlyValues - Hourly values, oldest first
+ * @param {string} period - Averaging period (defaults to the pollutant's standard)
+ * @returns {number|null} Mean, or null when too few valid hours
+ */
+function averageConcentration(pollutant, hourlyValues, period = null) {
+  const requirement = getAveragingRequirement(pollutant, period);
+  if (!requirement) return null;
+
+  const valid = hourlyValues
+    .slice(-requirement.hours)
+    .filter(value => Number.isFinite(value));
+  if (valid.length < requirement.minHours) return null;
+
+  return valid.reduce((sum, value) => sum + value, 0) / valid.length;
+}
+
+/**
+ * Compute a pollutant's NowCast AQI from its recent observations
+ * @param {string} pollutant - Pollutant name (PM2.5, PM10 or O3)
+ * @param {Array<Object>} observations - [{ timestamp, value }] in the standard's unit
+ * @param {Date} now - End of the NowCast window (defaults to now)
+ * @param {Object} options - { standard } to override the version in force at `now`
+ * @returns {Object|null} getPollutantAQI result with a `nowcast` block, or null when
+ *   the pollutant has no NowCast or the recent hours are incomplete
+ */
+function getNowCastAQI(pollutant, observations, now = new Date(), options = {}) {
+  const name = normalizePollutant(pollutant);
+  const window = name ? NOWCAST_WINDOWS[name] : null;
+  if (!window) return null;
+
+  const nowcast = computeNowCast(name, toHourlyValues(observations, window.hours, now));
+  if (!nowcast) return null;
+
+  const result = getPollutantAQI(nowcast.concentration, name, { standard: options.standard, date: now });
+  return result && {
+    ...result,
+    nowcast: {
+      ...nowcast,
+      weightFactor: Math.round(nowcast.weightFactor * 1000) / 1000
+    }
+  };
+}
+
+/**
+ * Compute a pollutant's AQI from the mean of its recent hourly observations
+ * over the standard's averaging period (e.g. the 8-hour CO mean)
+ * @param {string} pollutant - Pollutant name
+ * @param {Array<Object>} observations - [{ timestamp, value }] in the standard's unit
+ * @param {Date} now - End of the averaging window (defaults to now)
+ * @param {Object} options - { standard } to override the version in force at `now`
+ * @returns {Object|null} getPollutantAQI result with an `average` block, or null when
+ *   too few hours of the window are valid
+ */
+function getRollingAverageAQI(pollutant, observations, now = new Date(), options = {}) {
+  const name = normalizePollutant(pollutant);
+  const standard = name ? getStandard(name, { standard: options.standard, date: now }) : null;
+  if (!standard) return null;
+
+  const requirement = getAveragingRequirement(name, standard.averagingPeriod);
+  const hourlyValues = toHourlyValues(observations, requirement.hours, now).reverse();
+  const mean = averageConcentration(name, hourlyValues, requirement.period);
+  if (mean === null) return null;
+
+  const result = getPollutantAQI(mean, name, { standard: options.standard, date: now });
+  return result && {
+    ...result,
+    average: {
+      period: requirement.period,
+      hours: requirement.hours,
+      validHours: hourlyValues.filter(value => Number.isFinite(value)).length
+    }
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  normalizePollutant,
+  getStandardVersions,
+  findStandardVersion,
+  resolveStandardVersion,
+  getStandard,
+  getSupportedPollutants,
+  truncate,
+  getPollutantAQI,
+  concentrationToAQI,
+  calculateOverallAQI,
+  getCategory,
+  getAveragingRequirement,
+  averageConcentration,
+  NOWCAST_WINDOWS,
+  computeNowCast,
+  getNowCastAQI,
+  getRollingAverageAQI
+};
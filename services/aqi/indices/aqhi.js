@@ -0,0 +1,70 @@
+const { readConcentrations } = require('./common');
+
+// Health Canada AQHI: the added short-term mortality risk of NO2, O3 (ppb)
+// and PM2.5 (µg/m³), scaled so typical values run from 1 to 10. Canada
+// uses 3-hour means; the latest readings stand in for them here.
+const COEFFICIENTS = {
+  NO2: 0.000871,
+  O3: 0.000537,
+  'PM2.5': 0.000487
+};
+const UNITS = { NO2: 'ppb', O3: 'ppb', 'PM2.5': 'µg/m³' };
+
+const LEVEL_COLORS = [
+  '#00CCFF', '#0099CC', '#006699', '#FFFF00', '#FFCC00',
+  '#FF9933', '#FF6666', '#FF0000', '#CC0000', '#990000'
+];
+
+/**
+ * Risk band of an AQHI level
+ * @param {number} level - AQHI level
+ * @returns {string} Band name
+ */
+function bandOf(level) {
+  if (level <= 3) return 'Low Risk';
+  if (level <= 6) return 'Moderate Risk';
+  if (level <= 10) return 'High Risk';
+  return 'Very High Risk';
+}
+
+module.exports = {
+  id: 'aqhi',
+  name: 'Air Quality Health Index',
+  region: 'Canada',
+  pollutants: Object.keys(COEFFICIENTS),
+  required: Object.keys(COEFFICIENTS),
+  scale: [
+    ...LEVEL_COLORS.map((color, i) => ({
+      key: String(i + 1),
+      name: bandOf(i + 1),
+      min: i + 1,
+      max: i + 1,
+      color
+    })),
+    { key: '10+', name: bandOf(11), min: 11, max: null, color: '#660000' }
+  ],
+
+  /**
+   * AQHI = 10/10.4 × 100 × Σ (e^(β·C) − 1); every pollutant is required
+   * @param {Object} pollutants - { name: { concentration, unit } }
+   * @returns {Object} { value, subIndices }
+   */
+  calculate(pollutants) {
+    const concentrations = readConcentrations(pollutants, UNITS);
+    const subIndices = {};
+
+    Object.entries(COEFFICIENTS).forEach(([pollutant, beta]) => {
+      if (concentrations[pollutant] === undefined) return;
+      // Each pollutant's share of the index, in index units
+      subIndices[pollutant] = Math.round((1000 / 10.4) * (Math.exp(beta * concentrations[pollutant]) - 1) * 100) / 100;
+    });
+
+    if (Object.keys(subIndices).length < Object.keys(COEFFICIENTS).length) {
+      return { value: null, subIndices };
+    }
+
+    const total = Object.values(subIndices).reduce((sum, value) => sum + value, 0);
+    // Published values are whole numbers of at least 1
+    return { value: Math.max(1, Math.round(total)), subIndices };
+  }
+};
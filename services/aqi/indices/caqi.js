@@ -0,0 +1,71 @@
+const { readConcentrations, interpolate } = require('./common');
+
+// Common Air Quality Index (CiteAir), hourly background grid. All values in
+// µg/m³; concentrations at index 0, 25, 50, 75 and 100. CO is an 8-hour mean.
+const GRID = {
+  NO2: [0, 50, 100, 200, 400],
+  PM10: [0, 25, 50, 90, 180],
+  'PM2.5': [0, 15, 30, 55, 110],
+  O3: [0, 60, 120, 180, 240],
+  CO: [0, 5000, 7500, 10000, 20000],
+  SO2: [0, 50, 100, 350, 500]
+};
+const UNITS = Object.fromEntries(Object.keys(GRID).map(pollutant => [pollutant, 'µg/m³']));
+
+/**
+ * Turn a grid into interpolation rows. Past the top of the grid the last
+ * segment's slope continues, as the CAQI is open-ended above 100.
+ * @param {Array<number>} grid - Concentrations at index 0, 25, 50, 75, 100
+ * @returns {Array<Object>} Rows
+ */
+function toRows(grid) {
+  const rows = grid.slice(1).map((concHigh, i) => ({
+    indexLow: i * 25,
+    indexHigh: (i + 1) * 25,
+    concLow: grid[i],
+    concHigh
+  }));
+  const last = rows[rows.length - 1];
+  rows.push({
+    indexLow: 100,
+    indexHigh: 200,
+    concLow: last.concHigh,
+    concHigh: last.concHigh + 4 * (last.concHigh - last.concLow)
+  });
+  return rows;
+}
+
+const ROWS = Object.fromEntries(Object.entries(GRID).map(([pollutant, grid]) => [pollutant, toRows(grid)]));
+
+module.exports = {
+  id: 'caqi',
+  name: 'Common Air Quality Index',
+  region: 'Europe',
+  pollutants: Object.keys(GRID),
+  // Mandatory for the hourly background index
+  required: ['NO2', 'PM10', 'O3'],
+  scale: [
+    { key: 'very-low', name: 'Very Low', min: 0, max: 25, color: '#79BC6A' },
+    { key: 'low', name: 'Low', min: 26, max: 50, color: '#BBCF4C' },
+    { key: 'medium', name: 'Medium', min: 51, max: 75, color: '#EEC20B' },
+    { key: 'high', name: 'High', min: 76, max: 100, color: '#F29305' },
+    { key: 'very-high', name: 'Very High', min: 101, max: null, color: '#E8416F' }
+  ],
+
+  /**
+   * Highest pollutant sub-index on the CAQI grid
+   * @param {Object} pollutants - { name: { concentration, unit } }
+   * @returns {Object} { value, subIndices }
+   */
+  calculate(pollutants) {
+    const concentrations = readConcentrations(pollutants, UNITS);
+    const subIndices = {};
+
+    Object.entries(concentrations).forEach(([pollutant, value]) => {
+      subIndices[pollutant] = Math.round(interpolate(ROWS[pollutant], value, 200));
+    });
+
+    const values = Object.values(subIndices);
+    return { value: values.length > 0 ? Math.max(...values) : null, subIndices };
+  }
+};
@@ -0,0 +1,56 @@
+const { normalizePollutant } = require('..');
+const units = require('../../units');
+
+/**
+ * Read the pollutants an index needs in the units it expects
+ * @param {Object} pollutants - { name: { concentration, unit } } in any spelling
+ * @param {Object} wanted - { canonicalName: unit } the index uses
+ * @returns {Object} { canonicalName: concentration } for the pollutants available
+ */
+function readConcentrations(pollutants, wanted) {
+  const values = {};
+
+  Object.entries(pollutants || {}).forEach(([pollutant, data]) => {
+    const name = normalizePollutant(pollutant);
+    if (!name || !wanted[name] || !data || values[name] !== undefined) return;
+
+    // Indices convert gases at the 25 °C reference, not the current weather
+    const value = units.convert(Number(data.concentration), data.unit || wanted[name], wanted[name], { pollutant: name });
+    if (value !== null && value >= 0) values[name] = value;
+  });
+
+  return values;
+}
+
+/**
+ * Linear interpolation over breakpoint rows. Values above the last row
+ * return `max`.
+ * @param {Array<Object>} rows - [{ indexLow, indexHigh, concLow, concHigh }]
+ * @param {number} concentration - Concentration, already rounded to the rows' precision
+ * @param {number} max - Index value above the last row
+ * @returns {number} Index value
+ */
+function interpolate(rows, concentration, max) {
+  const row = rows.find(r => concentration <= r.concHigh);
+  if (!row) return max;
+
+  const low = Math.max(row.concLow, Math.min(concentration, row.concHigh));
+  return ((row.indexHigh - row.indexLow) / (row.concHigh - row.concLow)) * (low - row.concLow) + row.indexLow;
+}
+
+/**
+ * Find the scale step a value falls in
+ * @param {Array<Object>} scale - [{ key, name, min, max, color }], ascending; max is null when open-ended
+ * @param {number} value - Index value
+ * @returns {Object|null} Step
+ */
+function findStep(scale, value) {
+  if (!Number.isFinite(value)) return null;
+  return scale.find(step => step.max === null || value <= step.max) || scale[scale.length - 1];
+}
+
+module.exports = {
+  readConcentrations,
+  interpolate,
+  findStep
+};
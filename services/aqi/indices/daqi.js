@@ -0,0 +1,60 @@
+const { readConcentrations } = require('./common');
+
+// UK Daily Air Quality Index (COMEAP). Upper bounds in µg/m³ of bands 1-9;
+// anything above is band 10. Averaging: O3 8-hour running mean, NO2 hourly,
+// SO2 15-minute, PM 24-hour means.
+const BANDS = {
+  O3: [33, 66, 100, 120, 140, 160, 187, 213, 240],
+  NO2: [67, 134, 200, 267, 334, 400, 467, 534, 600],
+  SO2: [88, 177, 266, 354, 443, 532, 710, 887, 1064],
+  'PM2.5': [11, 23, 35, 41, 47, 53, 58, 64, 70],
+  PM10: [16, 33, 50, 58, 66, 75, 83, 91, 100]
+};
+const UNITS = Object.fromEntries(Object.keys(BANDS).map(pollutant => [pollutant, 'µg/m³']));
+
+const LEVELS = [
+  { name: 'Low', color: '#9CFF9C' },
+  { name: 'Low', color: '#31FF00' },
+  { name: 'Low', color: '#31CF00' },
+  { name: 'Moderate', color: '#FFFF00' },
+  { name: 'Moderate', color: '#FFCF00' },
+  { name: 'Moderate', color: '#FF9A00' },
+  { name: 'High', color: '#FF6464' },
+  { name: 'High', color: '#FF0000' },
+  { name: 'High', color: '#990000' },
+  { name: 'Very High', color: '#CE30FF' }
+];
+
+module.exports = {
+  id: 'daqi',
+  name: 'Daily Air Quality Index',
+  region: 'United Kingdom',
+  pollutants: Object.keys(BANDS),
+  required: [],
+  scale: LEVELS.map((level, i) => ({
+    key: String(i + 1),
+    name: level.name,
+    min: i + 1,
+    max: i + 1,
+    color: level.color
+  })),
+
+  /**
+   * Highest pollutant band; concentrations are rounded to whole µg/m³
+   * @param {Object} pollutants - { name: { concentration, unit } }
+   * @returns {Object} { value, subIndices }
+   */
+  calculate(pollutants) {
+    const concentrations = readConcentrations(pollutants, UNITS);
+    const subIndices = {};
+
+    Object.entries(concentrations).forEach(([pollutant, value]) => {
+      const rounded = Math.round(value);
+      const band = BANDS[pollutant].findIndex(upper => rounded <= upper);
+      subIndices[pollutant] = band === -1 ? 10 : band + 1;
+    });
+
+    const values = Object.values(subIndices);
+    return { value: values.length > 0 ? Math.max(...values) : null, subIndices };
+  }
+};
@@ -0,0 +1,33 @@
+const aqiEngine = require('..');
+
+// US EPA AQI, computed by the shared AQI engine
+module.exports = {
+  id: 'epa',
+  name: 'US EPA AQI',
+  region: 'United States',
+  pollutants: ['PM2.5', 'PM10', 'O3', 'NO2', 'SO2', 'CO'],
+  required: [],
+  scale: aqiEngine.CATEGORIES.map(({ key, name, min, max, color }) => ({ key, name, min, max, color })),
+
+  /**
+   * Overall AQI from each pollutant's AQI (NowCast where available). Readings
+   * in a unit other than the standard's have no sub-index.
+   * @param {Object} pollutants - { name: { concentration, unit, aqi } }
+   * @param {Object} options - { standard, date }
+   * @returns {Object} { value, subIndices }
+   */
+  calculate(pollutants, options = {}) {
+    const subIndices = {};
+    Object.entries(pollutants || {}).forEach(([pollutant, data]) => {
+      const name = aqiEngine.normalizePollutant(pollutant);
+      if (!name || !data || subIndices[name] !== undefined) return;
+      const aqi = Number.isFinite(data.aqi)
+        ? data.aqi
+        : aqiEngine.concentrationToAQI(data.concentration, name, { ...options, unit: data.unit });
+      if (aqi !== null) subIndices[name] = aqi;
+    });
+
+    const values = Object.values(subIndices);
+    return { value: values.length > 0 ? Math.max(...values) : null, subIndices };
+  }
+};
@@ -0,0 +1,76 @@
+const { findStep } = require('./common');
+
+// Index calculators by id. Each one declares its scale and the pollutants
+// it uses, and turns current concentrations into { value, subIndices }.
+const CALCULATORS = [
+  require('./epa'),
+  require('./aqhi'),
+  require('./caqi'),
+  require('./daqi'),
+  require('./naqi')
+];
+
+const DEFAULT_INDEX = 'epa';
+
+/**
+ * Find an index calculator
+ * @param {string} id - Index id, e.g. "aqhi" (case-insensitive)
+ * @returns {Object|null} Calculator, or null when unknown
+ */
+function getIndex(id) {
+  if (!id) return null;
+  return CALCULATORS.find(calculator => calculator.id === String(id).toLowerCase()) || null;
+}
+
+/**
+ * Describe every supported index
+ * @returns {Array<Object>} [{ id, name, region, pollutants, required, scale }]
+ */
+function listIndices() {
+  return CALCULATORS.map(({ id, name, region, pollutants, required, scale }) => ({
+    id,
+    name,
+    region,
+    pollutants,
+    required,
+    scale
+  }));
+}
+
+/**
+ * Compute an index from current pollutant readings
+ * @param {string} id - Index id (defaults to the US EPA AQI)
+ * @param {Object} pollutants - { name: { concentration, unit, aqi } }
+ * @param {Object} options - Passed to the calculator, e.g. { standard } for the EPA AQI
+ * @returns {Object} { id, name, value, category, dominantPollutant, subIndices, missing, scale };
+ *   value is null when the readings do not meet the index's requirements
+ */
+function calculateIndex(id, pollutants, options = {}) {
+  const calculator = getIndex(id || DEFAULT_INDEX);
+  if (!calculator) throw new Error(`Unknown air quality index "${id}"`);
+
+  const { value, subIndices } = calculator.calculate(pollutants, options);
+  const step = findStep(calculator.scale, value);
+  let dominantPollutant = null;
+  Object.entries(subIndices).forEach(([pollutant, subIndex]) => {
+    if (dominantPollutant === null || subIndex > subIndices[dominantPollutant]) dominantPollutant = pollutant;
+  });
+
+  return {
+    id: calculator.id,
+    name: calculator.name,
+    value,
+    category: step ? { key: step.key, name: step.name, color: step.color } : null,
+    dominantPollutant: value !== null ? dominantPollutant : null,
+    subIndices,
+    missing: calculator.required.filter(pollutant => subIndices[pollutant] === undefined),
+    scale: calculator.scale
+  };
+}
+
+module.exports = {
+  DEFAULT_INDEX,
+  getIndex,
+  listIndices,
+  calculateIndex
+};
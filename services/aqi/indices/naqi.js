@@ -0,0 +1,73 @@
+const { readConcentrations, interpolate } = require('./common');
+
+// India National AQI (CPCB). Concentrations in µg/m³ (CO in mg/m³) at the
+// sub-index breakpoints 0, 50, 100, 200, 300, 400, 500. The top row's upper
+// bound is not published; the values used by the CPCB calculator are kept.
+// Averaging: PM, NO2 and SO2 24-hour means, O3 and CO 8-hour means.
+const BREAKPOINTS = {
+  PM10: [0, 50, 100, 250, 350, 430, 510],
+  'PM2.5': [0, 30, 60, 90, 120, 250, 380],
+  NO2: [0, 40, 80, 180, 280, 400, 520],
+  O3: [0, 50, 100, 168, 208, 748, 1028],
+  CO: [0, 1.0, 2.0, 10, 17, 34, 51],
+  SO2: [0, 40, 80, 380, 800, 1600, 2400]
+};
+const INDEX_STEPS = [0, 50, 100, 200, 300, 400, 500];
+const UNITS = {
+  PM10: 'µg/m³',
+  'PM2.5': 'µg/m³',
+  NO2: 'µg/m³',
+  O3: 'µg/m³',
+  CO: 'mg/m³',
+  SO2: 'µg/m³'
+};
+const DECIMALS = { CO: 1 };
+
+const ROWS = Object.fromEntries(Object.entries(BREAKPOINTS).map(([pollutant, concs]) => [
+  pollutant,
+  concs.slice(1).map((concHigh, i) => ({
+    indexLow: INDEX_STEPS[i],
+    indexHigh: INDEX_STEPS[i + 1],
+    concLow: concs[i],
+    concHigh
+  }))
+]));
+
+module.exports = {
+  id: 'naqi',
+  name: 'National Air Quality Index',
+  region: 'India',
+  pollutants: Object.keys(BREAKPOINTS),
+  required: [],
+  scale: [
+    { key: 'good', name: 'Good', min: 0, max: 50, color: '#00B050' },
+    { key: 'satisfactory', name: 'Satisfactory', min: 51, max: 100, color: '#92D050' },
+    { key: 'moderate', name: 'Moderately Polluted', min: 101, max: 200, color: '#FFFF00' },
+    { key: 'poor', name: 'Poor', min: 201, max: 300, color: '#FF9900' },
+    { key: 'very-poor', name: 'Very Poor', min: 301, max: 400, color: '#FF0000' },
+    { key: 'severe', name: 'Severe', min: 401, max: 500, color: '#C00000' }
+  ],
+
+  /**
+   * Highest pollutant sub-index. CPCB only reports an index from at least
+   * three pollutants, one of them PM2.5 or PM10.
+   * @param {Object} pollutants - { name: { concentration, unit } }
+   * @returns {Object} { value, subIndices }
+   */
+  calculate(pollutants) {
+    const concentrations = readConcentrations(pollutants, UNITS);
+    const subIndices = {};
+
+    Object.entries(concentrations).forEach(([pollutant, value]) => {
+      const factor = Math.pow(10, DECIMALS[pollutant] || 0);
+      const rounded = Math.round(value * factor) / factor;
+      subIndices[pollutant] = Math.round(interpolate(ROWS[pollutant], rounded, 500));
+    });
+
+    const hasParticulates = subIndices['PM2.5'] !== undefined || subIndices.PM10 !== undefined;
+    const values = Object.values(subIndices);
+    if (values.length < 3 || !hasParticulates) return { value: null, subIndices };
+
+    return { value: Math.max(...values), subIndices };
+  }
+};
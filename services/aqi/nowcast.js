@@ -0,0 +1,79 @@
+// EPA NowCast windows. PM uses the last 12 hours and O3 the last 8; both
+// need at least 2 of the 3 most recent hours. The PM weight factor is
+// floored at 0.5, the O3 one is not.
+const NOWCAST_WINDOWS = {
+  'PM2.5': { hours: 12, minWeight: 0.5 },
+  PM10: { hours: 12, minWeight: 0.5 },
+  O3: { hours: 8, minWeight: 0 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const RECENT_HOURS = 3;
+const MIN_RECENT_VALID = 2;
+
+/**
+ * Bucket observations into clock hours ending at the hour holding `now`.
+ * Several values in one hour are averaged.
+ * @param {Array<Object>} observations - [{ timestamp, value }]
+ * @param {number} hours - Hours to keep
+ * @param {Date} now - End of the window
+ * @returns {Array<number|null>} Hourly means, most recent first
+ */
+function toHourlyValues(observations, hours, now = new Date()) {
+  const currentHour = Math.floor(now.getTime() / HOUR_MS);
+  const sums = new Array(hours).fill(0);
+  const counts = new Array(hours).fill(0);
+
+  (observations || []).forEach(observation => {
+    const time = new Date(observation.timestamp).getTime();
+    const value = Number(observation.value);
+    if (!Number.isFinite(time) || !Number.isFinite(value) || value < 0) return;
+
+    const age = currentHour - Math.floor(time / HOUR_MS);
+    if (age < 0 || age >= hours) return;
+    sums[age] += value;
+    counts[age]++;
+  });
+
+  return sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : null));
+}
+
+/**
+ * Compute a NowCast concentration from hourly values
+ * @param {string} pollutant - Canonical pollutant name (PM2.5, PM10 or O3)
+ * @param {Array<number|null>} hourlyValues - Hourly means, most recent first
+ * @returns {Object|null} { concentration, weightFactor, hours, validHours }, or null
+ *   when the pollutant has no NowCast or too few recent hours are valid
+ */
+function computeNowCast(pollutant, hourlyValues) {
+  const window = NOWCAST_WINDOWS[pollutant];
+  if (!window) return null;
+
+  const values = hourlyValues.slice(0, window.hours);
+  const recentValid = values.slice(0, RECENT_HOURS).filter(value => Number.isFinite(value));
+  if (recentValid.length < MIN_RECENT_VALID) return null;
+
+  const valid = values.filter(value => Number.isFinite(value));
+  const max = Math.max(...valid);
+  const min = Math.min(...valid);
+  const weightFactor = max > 0 ? Math.max(min / max, window.minWeight) : 1;
+
+  // NowCast = Σ w^(i-1)·c_i / Σ w^(i-1) over the valid hours, i = 1 most recent
+  let weighted = 0;
+  let weights = 0;
+  values.forEach((value, i) => {
+    if (!Number.isFinite(value)) return;
+    const weight = Math.pow(weightFactor, i);
+    weighted += weight * value;
+    weights += weight;
+  });
+
+  return {
+    concentration: weighted / weights,
+    weightFactor,
+    hours: window.hours,
+    validHours: valid.length
+  };
+}
+
+module.exports = { NOWCAST_WINDOWS, toHourlyValues, computeNowCast };
@@ -0,0 +1,186 @@
+const moment = require('moment');
+
+// Persistence repeats a value at most this old
+const PERSISTENCE_MAX_AGE_HOURS = 6;
+// Days of history climatology averages over: four of each weekday
+const CLIMATOLOGY_DAYS = 28;
+// Measurements a weekday-hour slot needs before climatology trusts it
+const MIN_CLIMATOLOGY_SLOT_COUNT = 2;
+// Hours of history the damped trend is fitted on, and the measurements it needs
+const DAMPED_TREND_HOURS = 168;
+const MIN_DAMPED_TREND_VALUES = 6;
+// Smoothing parameters the damped trend chooses from
+const SMOOTHING_GRID = {
+  alpha: [0.2, 0.4, 0.6, 0.8],
+  beta: [0.05, 0.1, 0.2],
+  phi: [0.8, 0.9, 0.98]
+};
+
+/**
+ * Persistence: every hour ahead gets the latest measured value
+ * @param {Array<Object>} records - Hourly records up to the issue hour, oldest first
+ *   ([{ timestamp, values }], see forecasting/features)
+ * @param {string} pollutant - Pollutant name
+ * @param {number} hours - Hours to forecast
+ * @param {Date} issuedAt - Issue time
+ * @returns {Array|null} Predictions, or null without a recent measurement
+ */
+function persistenceForecast(records, pollutant, hours, issuedAt) {
+  const issued = moment.utc(issuedAt);
+  const oldest = issued.clone().subtract(PERSISTENCE_MAX_AGE_HOURS, 'hours');
+  let latest = null;
+
+  for (let i = records.length - 1; i >= 0; i--) {
+    const time = moment.utc(records[i].timestamp);
+    if (time.isAfter(issued)) continue;
+    if (time.isBefore(oldest)) break;
+    if (Number.isFinite(records[i].values[pollutant])) {
+      latest = records[i].values[pollutant];
+      break;
+    }
+  }
+
+  if (latest === null) return null;
+  return toPredictions(issued, hours, 'persistence', () => latest);
+}
+
+/**
+ * Climatology: each hour ahead gets the mean measured at the same hour of
+ * day and day of week (UTC) over the last four weeks. Slots measured fewer
+ * than twice use the hour-of-day mean, and hours never measured the mean
+ * of all hours.
+ * @param {Array<Object>} records - Hourly records up to the issue hour, oldest first
+ * @param {string} pollutant - Pollutant name
+ * @param {number} hours - Hours to forecast
+ * @param {Date} issuedAt - Issue time
+ * @returns {Array|null} Predictions, or null without any measurement in the period
+ */
+function climatologyForecast(records, pollutant, hours, issuedAt) {
+  const issued = moment.utc(issuedAt);
+  const oldest = issued.clone().subtract(CLIMATOLOGY_DAYS, 'days');
+  const weekly = new Map();
+  const daily = new Map();
+  const overall = { sum: 0, count: 0 };
+
+  records.forEach(record => {
+    const value = record.values[pollutant];
+    const time = moment.utc(record.timestamp);
+    if (!Number.isFinite(value) || time.isAfter(issued) || time.isBefore(oldest)) return;
+
+    [[weekly, `${time.day()}-${time.hour()}`], [daily, time.hour()]].forEach(([slots, key]) => {
+      if (!slots.has(key)) slots.set(key, { sum: 0, count: 0 });
+      slots.get(key).sum += value;
+      slots.get(key).count++;
+    });
+    overall.sum += value;
+    overall.count++;
+  });
+
+  if (overall.count === 0) return null;
+
+  return toPredictions(issued, hours, 'climatology', timestamp => {
+    const slot = weekly.get(`${timestamp.day()}-${timestamp.hour()}`);
+    if (slot && slot.count >= MIN_CLIMATOLOGY_SLOT_COUNT) return slot.sum / slot.count;
+    const hourly = daily.get(timestamp.hour()) || overall;
+    return hourly.sum / hourly.count;
+  });
+}
+
+/**
+ * Damped-trend exponential smoothing (additive trend, Gardner-McKenzie).
+ * The smoothing parameters are the grid point with the smallest one-step
+ * squared error over the last week. Hours without a measurement carry the
+ * damped level and trend forward.
+ * @param {Array<Object>} records - Hourly records up to the issue hour, oldest first
+ * @param {string} pollutant - Pollutant name
+ * @param {number} hours - Hours to forecast
+ * @param {Date} issuedAt - Issue time
+ * @returns {Array|null} Predictions (never negative), or null with fewer than
+ *   six measurements in the week
+ */
+function dampedTrendForecast(records, pollutant, hours, issuedAt) {
+  const issued = moment.utc(issuedAt);
+  const oldest = issued.clone().subtract(DAMPED_TREND_HOURS, 'hours');
+  const series = records
+    .filter(record => {
+      const time = moment.utc(record.timestamp);
+      return !time.isAfter(issued) && !time.isBefore(oldest);
+    })
+    .map(record => record.values[pollutant]);
+  const first = series.findIndex(value => Number.isFinite(value));
+  if (series.filter(value => Number.isFinite(value)).length < MIN_DAMPED_TREND_VALUES) return null;
+
+  let best = null;
+  SMOOTHING_GRID.alpha.forEach(alpha => SMOOTHING_GRID.beta.forEach(beta => SMOOTHING_GRID.phi.forEach(phi => {
+    const fit = smoothDampedTrend(series.slice(first), alpha, beta, phi);
+    if (!best || fit.error < best.error) best = { ...fit, phi };
+  })));
+
+  return toPredictions(issued, hours, 'damped-trend', timestamp => {
+    const h = timestamp.diff(issued, 'hours');
+    // φ + φ² + … + φʰ
+    const damping = best.phi * (1 - best.phi ** h) / (1 - best.phi);
+    return Math.max(0, best.level + damping * best.trend);
+  });
+}
+
+/**
+ * Run the damped-trend smoother over a series
+ * @param {Array<number|undefined>} series - Hourly values starting with a measured one
+ * @param {number} alpha - Level smoothing
+ * @param {number} beta - Trend smoothing
+ * @param {number} phi - Trend damping
+ * @returns {Object} { level, trend, error }: final state and sum of squared one-step errors
+ */
+function smoothDampedTrend(series, alpha, beta, phi) {
+  let level = series[0];
+  let trend = 0;
+  let error = 0;
+
+  for (let t = 1; t < series.length; t++) {
+    const expected = level + phi * trend;
+    if (!Number.isFinite(series[t])) {
+      level = expected;
+      trend *= phi;
+      continue;
+    }
+
+    error += (series[t] - expected) ** 2;
+    const previous = level;
+    level = alpha * series[t] + (1 - alpha) * expected;
+    trend = beta * (level - previous) + (1 - beta) * phi * trend;
+  }
+
+  return { level, trend, error };
+}
+
+/**
+ * Build hourly predictions
+ * @param {moment.Moment} issued - Issue time
+ * @param {number} hours - Hours to forecast
+ * @param {string} method - Method name
+ * @param {Function} valueAt - Called with each valid time, returns the concentration
+ * @returns {Array} [{ hour, concentration, timestamp, method }]
+ */
+function toPredictions(issued, hours, method, valueAt) {
+  const predictions = [];
+  for (let h = 1; h <= hours; h++) {
+    const timestamp = issued.clone().add(h, 'hours');
+    predictions.push({
+      hour: h,
+      concentration: valueAt(timestamp),
+      timestamp: timestamp.toISOString(),
+      method
+    });
+  }
+  return predictions;
+}
+
+module.exports = {
+  PERSISTENCE_MAX_AGE_HOURS,
+  CLIMATOLOGY_DAYS,
+  DAMPED_TREND_HOURS,
+  persistenceForecast,
+  climatologyForecast,
+  dampedTrendForecast
+};
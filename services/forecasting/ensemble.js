@@ -0,0 +1,112 @@
+// Verified pairs a member needs at a lead time (or overall) before its
+// scores set its weight
+const MIN_SKILL_PAIRS = 10;
+// Floor on a member's RMSE, so a perfect score does not take all the weight
+const MIN_RMSE = 1e-6;
+
+/**
+ * Read a member's verified skill for one pollutant and lead time
+ * @param {Object|null} verification - The member's VerificationService.verify result
+ * @param {string} pollutant - Pollutant name
+ * @param {number} hour - Lead time (hours)
+ * @returns {Object} { rmse, pairs, basis }: basis is 'lead' for the lead time's own
+ *   scores, 'overall' for the pollutant's scores at all lead times, or 'none'
+ */
+function memberSkill(verification, pollutant, hour) {
+  const scores = verification && verification.pollutants && verification.pollutants[pollutant];
+  if (!scores) return { rmse: null, pairs: 0, basis: 'none' };
+
+  const lead = scores.byLead.find(entry => entry.leadHours === hour);
+  if (lead && lead.count >= MIN_SKILL_PAIRS && Number.isFinite(lead.rmse)) {
+    return { rmse: lead.rmse, pairs: lead.count, basis: 'lead' };
+  }
+  if (scores.overall.count >= MIN_SKILL_PAIRS && Number.isFinite(scores.overall.rmse)) {
+    return { rmse: scores.overall.rmse, pairs: scores.overall.count, basis: 'overall' };
+  }
+  return { rmse: null, pairs: scores.overall.count, basis: 'none' };
+}
+
+/**
+ * Weight ensemble members per lead time by inverse mean squared error.
+ * Members without verified skill get the mean weight of those with it, and
+ * equal weights when none has any. Members that fell back to another method
+ * get no weight.
+ * @param {Object} verifications - VerificationService.verify results keyed by member (null when unknown)
+ * @param {Array<string>} members - Member methods
+ * @param {string} pollutant - Pollutant name
+ * @param {number} hours - Hours forecast
+ * @param {Array<string>} fallbacks - Members whose forecast is a fallback (optional)
+ * @returns {Array} [{ hour, members: { [member]: { weight, rmse, pairs, basis } } }]; basis
+ *   is 'fallback' for the members left out
+ */
+function ensembleWeights(verifications, members, pollutant, hours, fallbacks = []) {
+  const weights = [];
+  const active = members.filter(member => !fallbacks.includes(member));
+
+  for (let hour = 1; hour <= hours; hour++) {
+    const skills = Object.fromEntries(members.map(member => [
+      member,
+      fallbacks.includes(member)
+        ? { rmse: null, pairs: 0, basis: 'fallback' }
+        : memberSkill(verifications[member], pollutant, hour)
+    ]));
+
+    const raw = {};
+    const scored = active.filter(member => skills[member].rmse !== null);
+    scored.forEach(member => {
+      raw[member] = 1 / Math.max(skills[member].rmse, MIN_RMSE) ** 2;
+    });
+    const prior = scored.length > 0
+      ? scored.reduce((sum, member) => sum + raw[member], 0) / scored.length
+      : 1;
+    active.forEach(member => {
+      if (raw[member] === undefined) raw[member] = prior;
+    });
+
+    const total = active.reduce((sum, member) => sum + raw[member], 0);
+    weights.push({
+      hour,
+      members: Object.fromEntries(members.map(member => [member, {
+        weight: raw[member] === undefined ? 0 : Math.round((raw[member] / total) * 1000) / 1000,
+        ...skills[member]
+      }]))
+    });
+  }
+
+  return weights;
+}
+
+/**
+ * Blend member predictions hour by hour
+ * @param {Object} forecasts - Predictions keyed by member
+ * @param {Array} weights - Result of ensembleWeights
+ * @returns {Array} [{ hour, concentration, timestamp, method: 'ensemble' }]; an hour
+ *   some member did not predict is blended from the others
+ */
+function blendForecasts(forecasts, weights) {
+  return weights
+    .map(({ hour, members }) => {
+      let sum = 0;
+      let total = 0;
+      let timestamp = null;
+
+      Object.entries(members).forEach(([member, { weight }]) => {
+        const prediction = (forecasts[member] || []).find(entry => entry.hour === hour);
+        if (!prediction || !Number.isFinite(prediction.concentration)) return;
+        sum += weight * prediction.concentration;
+        total += weight;
+        timestamp = timestamp || prediction.timestamp;
+      });
+
+      if (total === 0) return null;
+      return { hour, concentration: sum / total, timestamp, method: 'ensemble' };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  MIN_SKILL_PAIRS,
+  memberSkill,
+  ensembleWeights,
+  blendForecasts
+};
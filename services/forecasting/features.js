@@ -0,0 +1,223 @@
+const moment = require('moment');
+
+// Columns of a ForecastService.prepareFeatures row, in order
+const FEATURE_COLUMNS = [
+  'hour', 'dayOfWeek', 'month',
+  'temperature', 'humidity', 'windSpeed', 'pressure',
+  'no2', 'o3', 'so2', 'co', 'pm25', 'pm10', 'hcho',
+  'hchoNo2Ratio', 'stagnation', 'dispersion'
+];
+
+// Feature column holding each forecast pollutant
+const POLLUTANT_COLUMNS = {
+  NO2: 'no2',
+  O3: 'o3',
+  SO2: 'so2',
+  CO: 'co',
+  'PM2.5': 'pm25',
+  PM10: 'pm10',
+  HCHO: 'hcho'
+};
+
+// Weather columns of a row, and the weather parameters read from hourly
+// records (cloud cover only enters the dispersion index)
+const WEATHER_COLUMNS = ['temperature', 'humidity', 'windSpeed', 'pressure'];
+const WEATHER_PARAMETERS = [...WEATHER_COLUMNS, 'cloudCover'];
+// Features derived from TEMPO columns, read from stored TEMPO observations
+const TEMPO_PARAMETERS = ['hchoNo2Ratio'];
+
+// Hours in a feature window, and the lags (hours before the last one) of
+// the forecast pollutant given to the model
+const WINDOW_HOURS = 24;
+const LAGS = [0, 1, 2, 3, 6, 12, 23];
+
+const COLUMN_INDEX = Object.fromEntries(FEATURE_COLUMNS.map((column, i) => [column, i]));
+
+/**
+ * Low wind and high pressure trap pollutants near the ground
+ * @param {number} windSpeed - Wind speed (m/s)
+ * @param {number} pressure - Pressure (hPa)
+ * @returns {number} Stagnation index
+ */
+function stagnationIndex(windSpeed = 0, pressure = 1013) {
+  const windFactor = Math.max(0, 1 - (windSpeed / 5));
+  const pressureFactor = pressure > 1020 ? 0.3 : 0;
+  return windFactor + pressureFactor;
+}
+
+/**
+ * Wind and clouds mix and dilute pollutants
+ * @param {number} windSpeed - Wind speed (m/s)
+ * @param {number} cloudCover - Cloud cover (%)
+ * @returns {number} Dispersion index
+ */
+function dispersionIndex(windSpeed = 0, cloudCover = 0) {
+  return (windSpeed / 10) + (cloudCover / 100);
+}
+
+/**
+ * Read a column of a feature row
+ * @param {Array<number>} row - Feature row
+ * @param {string} column - Column name
+ * @returns {number} Value
+ */
+function getColumn(row, column) {
+  return row[COLUMN_INDEX[column]];
+}
+
+/**
+ * Build the model input for the hour after a window's last row: the
+ * pollutant's lagged values and window mean, the target hour of day, a
+ * weekend flag and the last hour's weather
+ * @param {Array<Array<number>>} window - Feature rows, oldest first
+ * @param {string} pollutant - Forecast pollutant
+ * @returns {Array<number>} Model input
+ */
+function toModelInput(window, pollutant) {
+  const column = POLLUTANT_COLUMNS[pollutant];
+  const values = window.map(row => getColumn(row, column));
+  const last = window[window.length - 1];
+  const targetHour = (getColumn(last, 'hour') + 1) % 24;
+  const dayOfWeek = getColumn(last, 'dayOfWeek');
+
+  return [
+    ...LAGS.map(lag => values[Math.max(0, values.length - 1 - lag)]),
+    values.reduce((sum, value) => sum + value, 0) / values.length,
+    Math.sin(2 * Math.PI * targetHour / 24),
+    Math.cos(2 * Math.PI * targetHour / 24),
+    dayOfWeek === 0 || dayOfWeek === 6 ? 1 : 0,
+    ...WEATHER_COLUMNS.map(name => getColumn(last, name)),
+    getColumn(last, 'hchoNo2Ratio'),
+    getColumn(last, 'stagnation'),
+    getColumn(last, 'dispersion')
+  ];
+}
+
+/**
+ * Append the row of the next hour to a window, carrying the weather forward
+ * and putting a predicted value in the pollutant's column
+ * @param {Array<Array<number>>} window - Feature rows, oldest first
+ * @param {string} pollutant - Forecast pollutant
+ * @param {number} value - Predicted concentration
+ * @returns {Array<Array<number>>} Window moved on by one hour
+ */
+function advanceWindow(window, pollutant, value) {
+  const next = [...window[window.length - 1]];
+  const hour = (next[COLUMN_INDEX.hour] + 1) % 24;
+  next[COLUMN_INDEX.hour] = hour;
+  if (hour === 0) next[COLUMN_INDEX.dayOfWeek] = (next[COLUMN_INDEX.dayOfWeek] + 1) % 7;
+  next[COLUMN_INDEX[POLLUTANT_COLUMNS[pollutant]]] = value;
+
+  return [...window.slice(1), next];
+}
+
+/**
+ * Turn hourly records into feature rows. Missing values carry the last
+ * known one forward, and are 0 before any is known.
+ * @param {Array<Object>} records - [{ timestamp, values: { temperature, ..., NO2, 'PM2.5', ... } }],
+ *   one per hour, oldest first
+ * @returns {Array<Array<number>>} Feature rows
+ */
+function toFeatureRows(records) {
+  const known = {};
+
+  return records.map(record => {
+    Object.entries(record.values).forEach(([name, value]) => {
+      if (Number.isFinite(value)) known[name] = value;
+    });
+
+    const time = moment.utc(record.timestamp);
+    const row = {
+      hour: time.hour(),
+      dayOfWeek: time.day(),
+      month: time.month(),
+      ...Object.fromEntries(WEATHER_COLUMNS.map(name => [name, known[name] ?? 0])),
+      ...Object.fromEntries(Object.entries(POLLUTANT_COLUMNS).map(([pollutant, column]) => [column, known[pollutant] ?? 0])),
+      hchoNo2Ratio: known.hchoNo2Ratio ?? 0,
+      stagnation: stagnationIndex(known.windSpeed, known.pressure),
+      dispersion: dispersionIndex(known.windSpeed, known.cloudCover)
+    };
+    return FEATURE_COLUMNS.map(column => row[column]);
+  });
+}
+
+/**
+ * Build one-hour-ahead training samples for a pollutant. Every full window
+ * followed by an hour with a measured value is a sample.
+ * @param {Array<Object>} records - Hourly records (see toFeatureRows)
+ * @param {string} pollutant - Forecast pollutant
+ * @returns {Object} { inputs, targets }
+ */
+function buildSamples(records, pollutant) {
+  const rows = toFeatureRows(records);
+  const firstMeasured = records.findIndex(record => Number.isFinite(record.values[pollutant]));
+  const inputs = [];
+  const targets = [];
+  if (firstMeasured === -1) return { inputs, targets };
+
+  // Windows starting before the first measurement would hold filler zeros
+  for (let t = firstMeasured + WINDOW_HOURS - 1; t < records.length - 1; t++) {
+    const target = records[t + 1].values[pollutant];
+    if (!Number.isFinite(target)) continue;
+
+    inputs.push(toModelInput(rows.slice(t - WINDOW_HOURS + 1, t + 1), pollutant));
+    targets.push(target);
+  }
+
+  return { inputs, targets };
+}
+
+/**
+ * Bucket stored observations into hourly records
+ * @param {Object} observations - Observations ({ timestamp, value }) keyed by parameter
+ * @param {Date} start - First hour
+ * @param {Date} end - End of the last hour
+ * @returns {Array<Object>} [{ timestamp, values }], one per hour, oldest first; hours
+ *   without an observation have no value for the parameter
+ */
+function toHourlyRecords(observations, start, end) {
+  const first = moment.utc(start).startOf('hour');
+  const hours = Math.max(0, Math.ceil(moment.utc(end).diff(first, 'hours', true)));
+  const records = Array.from({ length: hours }, (_, i) => ({
+    timestamp: first.clone().add(i, 'hours').toISOString(),
+    sums: {},
+    counts: {}
+  }));
+
+  Object.entries(observations).forEach(([parameter, list]) => {
+    list.forEach(observation => {
+      const index = moment.utc(observation.timestamp).diff(first, 'hours');
+      const value = Number(observation.value);
+      if (index < 0 || index >= hours || !Number.isFinite(value)) return;
+
+      const record = records[index];
+      record.sums[parameter] = (record.sums[parameter] || 0) + value;
+      record.counts[parameter] = (record.counts[parameter] || 0) + 1;
+    });
+  });
+
+  return records.map(record => ({
+    timestamp: record.timestamp,
+    values: Object.fromEntries(Object.keys(record.sums).map(parameter => [
+      parameter,
+      record.sums[parameter] / record.counts[parameter]
+    ]))
+  }));
+}
+
+module.exports = {
+  FEATURE_COLUMNS,
+  POLLUTANT_COLUMNS,
+  WEATHER_PARAMETERS,
+  TEMPO_PARAMETERS,
+  WINDOW_HOURS,
+  LAGS,
+  stagnationIndex,
+  dispersionIndex,
+  getColumn,
+  toModelInput,
+  advanceWindow,
+  toFeatureRows,
+  buildSamples,
+  toHourlyRecords
+};
@@ -0,0 +1,87 @@
+const aqiEngine = require('../aqi');
+
+/**
+ * Score forecast/observation pairs
+ * @param {string} pollutant - Pollutant name
+ * @param {Array} pairs - [{ forecast, observed, unit }]
+ * @returns {Object} { count, bias, mae, rmse, correlation, categoryHitRate }. Correlation
+ *   needs two pairs and some spread; the hit rate needs AQI breakpoints for the pollutant.
+ */
+function computeMetrics(pollutant, pairs) {
+  const count = pairs.length;
+  if (count === 0) {
+    return { count, bias: null, mae: null, rmse: null, correlation: null, categoryHitRate: null };
+  }
+
+  const errors = pairs.map(pair => pair.forecast - pair.observed);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    count,
+    bias: round(mean(errors)),
+    mae: round(mean(errors.map(Math.abs))),
+    rmse: round(Math.sqrt(mean(errors.map(error => error * error)))),
+    correlation: correlation(pairs.map(pair => pair.forecast), pairs.map(pair => pair.observed)),
+    categoryHitRate: categoryHitRate(pollutant, pairs)
+  };
+}
+
+/**
+ * Pearson correlation
+ * @param {Array<number>} a - Values
+ * @param {Array<number>} b - Values
+ * @returns {number|null} Correlation, or null with fewer than two values or no spread
+ */
+function correlation(a, b) {
+  if (a.length < 2) return null;
+
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, i) => {
+    covariance += (value - meanA) * (b[i] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  });
+
+  if (varianceA === 0 || varianceB === 0) return null;
+  return round(covariance / Math.sqrt(varianceA * varianceB));
+}
+
+/**
+ * Share of pairs whose forecast falls in the observed AQI category
+ * @param {string} pollutant - Pollutant name
+ * @param {Array} pairs - [{ forecast, observed, unit }]
+ * @returns {number|null} Hit rate between 0 and 1, or null when no pair can be indexed
+ */
+function categoryHitRate(pollutant, pairs) {
+  const categoryOf = (value, unit) => {
+    const aqi = aqiEngine.concentrationToAQI(Math.max(0, value), pollutant, { unit });
+    return aqi !== null ? aqiEngine.getCategory(aqi).key : null;
+  };
+
+  let indexed = 0;
+  let hits = 0;
+  pairs.forEach(pair => {
+    const forecast = categoryOf(pair.forecast, pair.unit);
+    const observed = categoryOf(pair.observed, pair.unit);
+    if (forecast === null || observed === null) return;
+    indexed++;
+    if (forecast === observed) hits++;
+  });
+
+  return indexed > 0 ? round(hits / indexed) : null;
+}
+
+/**
+ * Round a score to 3 decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = { computeMetrics, correlation, categoryHitRate };
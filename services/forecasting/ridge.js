@@ -0,0 +1,178 @@
+/**
+ * Linear regression with an L2 penalty. Inputs are standardized before
+ * fitting and the intercept is not penalized, so `lambda` means the same
+ * whatever the features' scales. Fitting solves the normal equations
+ * (ZᵀZ + λI)·w = Zᵀ(y − ȳ) exactly, so the same data always gives the same
+ * weights.
+ */
+class RidgeRegressor {
+  /**
+   * @param {Object} options - Regressor options
+   * @param {number} options.lambda - Penalty strength (default 1)
+   */
+  constructor(options = {}) {
+    this.lambda = options.lambda ?? 1;
+    this.weights = null;
+    this.intercept = 0;
+    this.means = null;
+    this.scales = null;
+  }
+
+  /**
+   * Fit the regressor
+   * @param {Array<Array<number>>} inputs - One row of features per sample
+   * @param {Array<number>} targets - Target per sample
+   * @returns {RidgeRegressor} This regressor
+   */
+  fit(inputs, targets) {
+    if (inputs.length === 0 || inputs.length !== targets.length) {
+      throw new Error('Ridge regression needs as many targets as input rows, and at least one');
+    }
+
+    const width = inputs[0].length;
+    this.means = columnMeans(inputs, width);
+    this.scales = columnScales(inputs, this.means, width);
+    const standardized = inputs.map(row => this.standardize(row));
+    this.intercept = targets.reduce((sum, value) => sum + value, 0) / targets.length;
+
+    // Normal equations of the centered problem
+    const gram = Array.from({ length: width }, () => new Array(width).fill(0));
+    const moments = new Array(width).fill(0);
+    standardized.forEach((row, n) => {
+      const target = targets[n] - this.intercept;
+      for (let i = 0; i < width; i++) {
+        moments[i] += row[i] * target;
+        for (let j = 0; j <= i; j++) gram[i][j] += row[i] * row[j];
+      }
+    });
+    for (let i = 0; i < width; i++) {
+      gram[i][i] += this.lambda;
+      for (let j = 0; j < i; j++) gram[j][i] = gram[i][j];
+    }
+
+    this.weights = solveCholesky(gram, moments);
+    return this;
+  }
+
+  /**
+   * Predict the target of one row
+   * @param {Array<number>} row - Features
+   * @returns {number} Prediction
+   */
+  predict(row) {
+    if (!this.weights) {
+      throw new Error('Ridge regressor has not been fitted');
+    }
+
+    return this.standardize(row).reduce((sum, value, i) => sum + value * this.weights[i], this.intercept);
+  }
+
+  /**
+   * Scale a row with the fitted column means and standard deviations
+   * @param {Array<number>} row - Features
+   * @returns {Array<number>} Standardized features
+   */
+  standardize(row) {
+    return row.map((value, i) => (value - this.means[i]) / this.scales[i]);
+  }
+
+  /**
+   * Serialize the fitted state
+   * @returns {Object} { lambda, weights, intercept, means, scales }
+   */
+  toJSON() {
+    return {
+      lambda: this.lambda,
+      weights: this.weights,
+      intercept: this.intercept,
+      means: this.means,
+      scales: this.scales
+    };
+  }
+
+  /**
+   * Restore a regressor serialized with toJSON
+   * @param {Object} state - Serialized state
+   * @returns {RidgeRegressor} Regressor
+   */
+  static fromJSON(state) {
+    const regressor = new RidgeRegressor({ lambda: state.lambda });
+    regressor.weights = state.weights;
+    regressor.intercept = state.intercept;
+    regressor.means = state.means;
+    regressor.scales = state.scales;
+    return regressor;
+  }
+}
+
+/**
+ * Mean of each column
+ * @param {Array<Array<number>>} rows - Rows
+ * @param {number} width - Number of columns
+ * @returns {Array<number>} Column means
+ */
+function columnMeans(rows, width) {
+  const sums = new Array(width).fill(0);
+  rows.forEach(row => row.forEach((value, i) => { sums[i] += value; }));
+  return sums.map(sum => sum / rows.length);
+}
+
+/**
+ * Standard deviation of each column; constant columns get 1 so they
+ * standardize to zero
+ * @param {Array<Array<number>>} rows - Rows
+ * @param {Array<number>} means - Column means
+ * @param {number} width - Number of columns
+ * @returns {Array<number>} Column scales
+ */
+function columnScales(rows, means, width) {
+  const squares = new Array(width).fill(0);
+  rows.forEach(row => row.forEach((value, i) => { squares[i] += (value - means[i]) ** 2; }));
+  return squares.map(square => {
+    const deviation = Math.sqrt(square / rows.length);
+    return deviation > 1e-12 ? deviation : 1;
+  });
+}
+
+/**
+ * Solve A·x = b for a symmetric positive definite A
+ * @param {Array<Array<number>>} matrix - A
+ * @param {Array<number>} vector - b
+ * @returns {Array<number>} x
+ */
+function solveCholesky(matrix, vector) {
+  const size = vector.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error('Ridge normal equations are not positive definite');
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+
+  // L·z = b, then Lᵀ·x = z
+  const z = new Array(size).fill(0);
+  for (let i = 0; i < size; i++) {
+    let sum = vector[i];
+    for (let k = 0; k < i; k++) sum -= lower[i][k] * z[k];
+    z[i] = sum / lower[i][i];
+  }
+
+  const x = new Array(size).fill(0);
+  for (let i = size - 1; i >= 0; i--) {
+    let sum = z[i];
+    for (let k = i + 1; k < size; k++) sum -= lower[k][i] * x[k];
+    x[i] = sum / lower[i][i];
+  }
+
+  return x;
+}
+
+module.exports = RidgeRegressor;
@@ -0,0 +1,176 @@
+const units = require('./units');
+const { distanceKm } = require('./geo');
+
+// Weight of each data tier. Low-cost sensors count for less than a
+// regulatory monitor at the same distance.
+const TIER_WEIGHTS = { regulatory: 1, 'low-cost': 0.3 };
+// Distance at which an observation's weight halves
+const DISTANCE_SCALE_KM = 10;
+// Reports from different sources this close together are one site
+const DUPLICATE_SITE_KM = 0.1;
+// Observations this much older than a pollutant's newest are left out
+const MAX_LAG_HOURS = 3;
+// Which report of a duplicated site is kept
+const SOURCE_PRIORITY = ['EPA', 'OpenAQ', 'LowCost'];
+
+/**
+ * Fuse ground observations into one value per pollutant. Each observation
+ * is weighted by its tier and its distance to the query point; observations
+ * in another unit, flagged invalid, stale or reporting a site another source
+ * already reports are kept in the list with the reason they were left out.
+ * @param {Array<Object>} observations - [{ pollutant, concentration, unit, timestamp,
+ *   source, provider, station, name, tier, distance (km), coordinates, valid, ... }]
+ * @returns {Object} Fused readings keyed by pollutant. A pollutant with a single
+ *   contributor keeps that observation's fields; otherwise `source` is 'Fused'
+ *   and `sources` lists the contributors' sources. Each has a `fusion` block:
+ *   { method, contributors, observations }.
+ */
+function fuseObservations(observations) {
+  const byPollutant = new Map();
+  observations.forEach(observation => {
+    if (!byPollutant.has(observation.pollutant)) byPollutant.set(observation.pollutant, []);
+    byPollutant.get(observation.pollutant).push(observation);
+  });
+
+  const fused = {};
+  byPollutant.forEach((group, pollutant) => {
+    const reading = fusePollutant(pollutant, group);
+    if (reading) fused[pollutant] = reading;
+  });
+  return fused;
+}
+
+/**
+ * Fuse one pollutant's observations
+ * @param {string} pollutant - Pollutant name
+ * @param {Array<Object>} observations - Observations of the pollutant
+ * @returns {Object|null} Fused reading, or null when no observation can be used
+ */
+function fusePollutant(pollutant, observations) {
+  const unit = units.getCanonicalUnit(pollutant);
+  const times = observations.map(observation => new Date(observation.timestamp).getTime()).filter(Number.isFinite);
+  const newest = times.length > 0 ? Math.max(...times) : null;
+
+  const ordered = [...observations].sort((a, b) =>
+    sourceRank(a.source) - sourceRank(b.source) || (a.distance ?? Infinity) - (b.distance ?? Infinity));
+  const kept = [];
+
+  const assessed = ordered.map(observation => {
+    const reason = exclusionReason(observation, unit, newest);
+    if (reason) return { observation, reason, duplicateOf: null };
+
+    const duplicate = kept.find(other => isSameSite(other, observation));
+    if (duplicate) return { observation, reason: 'duplicate', duplicateOf: duplicate.station ?? null };
+
+    kept.push(observation);
+    return { observation, reason: null, duplicateOf: null, weight: observationWeight(observation) };
+  });
+
+  const included = assessed.filter(entry => entry.reason === null);
+  if (included.length === 0) return null;
+
+  const totalWeight = included.reduce((sum, entry) => sum + entry.weight, 0);
+  const concentration = included.reduce((sum, entry) => sum + entry.weight * entry.observation.concentration, 0) / totalWeight;
+  const primary = included.reduce((best, entry) => (entry.weight > best.weight ? entry : best)).observation;
+
+  const fusion = {
+    method: 'weighted-mean',
+    contributors: included.length,
+    observations: assessed
+      .map(entry => ({
+        source: entry.observation.source,
+        provider: entry.observation.provider || null,
+        station: entry.observation.station ?? null,
+        name: entry.observation.name || null,
+        tier: entry.observation.tier,
+        coordinates: entry.observation.coordinates || null,
+        distance: entry.observation.distance ?? null,
+        timestamp: entry.observation.timestamp,
+        concentration: entry.observation.concentration,
+        unit: entry.observation.unit,
+        weight: entry.reason === null ? Math.round((entry.weight / totalWeight) * 1000) / 1000 : 0,
+        included: entry.reason === null,
+        reason: entry.reason,
+        duplicateOf: entry.duplicateOf
+      }))
+      .sort((a, b) => b.weight - a.weight)
+  };
+
+  const { pollutant: _pollutant, ...primaryFields } = primary;
+  if (included.length === 1) {
+    return { ...primaryFields, fusion };
+  }
+
+  const sources = [...new Set(included.map(entry => entry.observation.source))];
+  const tiers = Object.keys(TIER_WEIGHTS);
+  return {
+    concentration: Math.round(concentration * 1000) / 1000,
+    unit,
+    timestamp: new Date(Math.max(...included.map(entry => new Date(entry.observation.timestamp).getTime()))).toISOString(),
+    source: 'Fused',
+    sources,
+    tier: tiers.find(tier => included.some(entry => entry.observation.tier === tier)),
+    station: primary.station ?? null,
+    distance: primary.distance ?? null,
+    // The heaviest contributor's hourly values stand in for the fused history
+    hourly: primary.hourly || [],
+    fusion
+  };
+}
+
+/**
+ * Tell why an observation cannot be fused
+ * @param {Object} observation - Observation
+ * @param {string|null} unit - Pollutant's canonical unit
+ * @param {number|null} newest - Newest observation time of the pollutant (ms)
+ * @returns {string|null} 'value', 'unit', 'flagged' or 'stale', or null when usable
+ */
+function exclusionReason(observation, unit, newest) {
+  if (!Number.isFinite(observation.concentration) || observation.concentration < 0) return 'value';
+  if (!unit || !units.sameUnit(observation.unit, unit)) return 'unit';
+  if (observation.valid === false) return 'flagged';
+
+  const time = new Date(observation.timestamp).getTime();
+  if (!Number.isFinite(time) || newest - time > MAX_LAG_HOURS * 60 * 60 * 1000) return 'stale';
+  return null;
+}
+
+/**
+ * Check whether two sources report the same site
+ * @param {Object} a - Observation
+ * @param {Object} b - Observation
+ * @returns {boolean} True for observations from different sources within DUPLICATE_SITE_KM
+ */
+function isSameSite(a, b) {
+  if (a.source === b.source || !a.coordinates || !b.coordinates) return false;
+  return distanceKm(a.coordinates.lat, a.coordinates.lng, b.coordinates.lat, b.coordinates.lng) <= DUPLICATE_SITE_KM;
+}
+
+/**
+ * Weight of an observation before normalization
+ * @param {Object} observation - Observation with `tier` and `distance` (km)
+ * @returns {number} Tier weight × 1 / (1 + (distance / DISTANCE_SCALE_KM)²)
+ */
+function observationWeight(observation) {
+  const tierWeight = TIER_WEIGHTS[observation.tier] ?? TIER_WEIGHTS['low-cost'];
+  const distance = Number.isFinite(observation.distance) ? observation.distance : DISTANCE_SCALE_KM;
+  return tierWeight / (1 + (distance / DISTANCE_SCALE_KM) ** 2);
+}
+
+/**
+ * Rank of a source when choosing between reports of one site
+ * @param {string} source - Source name
+ * @returns {number} Lower is preferred
+ */
+function sourceRank(source) {
+  const rank = SOURCE_PRIORITY.indexOf(source);
+  return rank === -1 ? SOURCE_PRIORITY.length : rank;
+}
+
+module.exports = {
+  TIER_WEIGHTS,
+  DISTANCE_SCALE_KM,
+  DUPLICATE_SITE_KM,
+  fuseObservations,
+  observationWeight
+};
@@ -0,0 +1,33 @@
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude 1
+ * @param {number} lng1 - Longitude 1
+ * @param {number} lat2 - Latitude 2
+ * @param {number} lng2 - Longitude 2
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Bounding box around a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} radiusKm - Half-width in km
+ * @returns {Array<number>} [minLng, minLat, maxLng, maxLat], rounded to 4 decimals
+ */
+function boundingBox(lat, lng, radiusKm) {
+  const dLat = radiusKm / 111.32;
+  const dLng = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  const round = value => Math.round(value * 1e4) / 1e4;
+  return [round(lng - dLng), round(lat - dLat), round(lng + dLng), round(lat + dLat)];
+}
+
+module.exports = { distanceKm, boundingBox };
@@ -0,0 +1,271 @@
+// Canonical surface units per pollutant. These match the AQI breakpoint
+// tables, so a normalized measurement can be indexed as is.
+const CANONICAL_UNITS = {
+  'PM2.5': 'µg/m³',
+  PM10: 'µg/m³',
+  O3: 'ppb',
+  NO2: 'ppb',
+  SO2: 'ppb',
+  HCHO: 'ppb',
+  NO: 'ppb',
+  NH3: 'ppb',
+  CO: 'ppm'
+};
+
+// Canonical column units of the satellite products
+const CANONICAL_COLUMN_UNITS = {
+  NO2: 'molecules/cm²',
+  HCHO: 'molecules/cm²',
+  SO2: 'molecules/cm²',
+  O3: 'DU'
+};
+
+// Molecular weights in g/mol
+const MOLECULAR_WEIGHTS = {
+  O3: 47.998,
+  NO2: 46.0055,
+  SO2: 64.066,
+  CO: 28.010,
+  HCHO: 30.026,
+  NO: 30.006,
+  NH3: 17.031
+};
+
+const GAS_CONSTANT = 8.314462618; // J/(mol·K)
+const AVOGADRO = 6.02214076e23; // 1/mol
+const DOBSON_UNIT = 2.6867e16; // molecules/cm²
+
+// Reference conditions used when no weather is available (EPA and most
+// national indices convert at 25 °C and 1 atm)
+const STANDARD_CONDITIONS = { temperature: 25, pressure: 1013.25 };
+
+// Scale of each unit relative to the first unit of its kind
+const UNIT_KINDS = {
+  mass: { 'µg/m³': 1, 'mg/m³': 1000, 'ng/m³': 0.001 },
+  mixing: { ppb: 1, ppm: 1000, ppt: 0.001 },
+  column: { 'molecules/cm²': 1, DU: DOBSON_UNIT, 'mol/cm²': AVOGADRO, 'mol/m²': AVOGADRO / 1e4 }
+};
+
+// Spellings used by AirNow, OpenAQ, TEMPO files and the app itself
+const UNIT_ALIASES = {
+  'ug/m3': 'µg/m³',
+  'µg/m3': 'µg/m³',
+  'µg/m³': 'µg/m³',
+  'ug/m³': 'µg/m³',
+  'mg/m3': 'mg/m³',
+  'mg/m³': 'mg/m³',
+  'ng/m3': 'ng/m³',
+  'ng/m³': 'ng/m³',
+  ppb: 'ppb',
+  ppbv: 'ppb',
+  ppm: 'ppm',
+  ppmv: 'ppm',
+  ppt: 'ppt',
+  'molecules/cm2': 'molecules/cm²',
+  'molecules/cm²': 'molecules/cm²',
+  'molec/cm2': 'molecules/cm²',
+  'molec/cm²': 'molecules/cm²',
+  'molecules/cm^2': 'molecules/cm²',
+  'molec/cm^2': 'molecules/cm²',
+  du: 'DU',
+  'mol/cm2': 'mol/cm²',
+  'mol/cm²': 'mol/cm²',
+  'mol/cm^2': 'mol/cm²',
+  'mol/m2': 'mol/m²',
+  'mol/m²': 'mol/m²',
+  'mol/m^2': 'mol/m²'
+};
+
+/**
+ * Spell a unit the canonical way
+ * @param {string} unit - Unit as reported, e.g. "UG/M3", "μg/m³", "ppm"
+ * @returns {string|null} Canonical spelling, or null when unknown
+ */
+function normalizeUnit(unit) {
+  if (!unit) return null;
+  const key = String(unit).trim().replace(/μ/g, 'µ').replace(/\s/g, '').toLowerCase();
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Check whether two spellings name the same unit
+ * @param {string} a - Unit
+ * @param {string} b - Unit
+ * @returns {boolean} True when both are known and equal
+ */
+function sameUnit(a, b) {
+  const unitA = normalizeUnit(a);
+  return unitA !== null && unitA === normalizeUnit(b);
+}
+
+/**
+ * Get the kind of quantity a unit measures
+ * @param {string} unit - Unit
+ * @returns {string|null} 'mass', 'mixing' or 'column'
+ */
+function getUnitKind(unit) {
+  const canonical = normalizeUnit(unit);
+  if (!canonical) return null;
+  return Object.keys(UNIT_KINDS).find(kind => UNIT_KINDS[kind][canonical] !== undefined) || null;
+}
+
+/**
+ * Check whether a unit is a vertical column amount
+ * @param {string} unit - Unit
+ * @returns {boolean} True for molecules/cm², DU, mol/cm² and mol/m²
+ */
+function isColumnUnit(unit) {
+  return getUnitKind(unit) === 'column';
+}
+
+/**
+ * Map a source's pollutant name to the one used for units
+ * @param {string} pollutant - Pollutant name, e.g. "pm25", "no2"
+ * @returns {string} Canonical name (upper case when not a known pollutant)
+ */
+function normalizePollutantName(pollutant) {
+  const name = String(pollutant || '').toUpperCase().replace(/[\s_]/g, '');
+  return name === 'PM25' ? 'PM2.5' : name;
+}
+
+/**
+ * Get a pollutant's canonical surface unit
+ * @param {string} pollutant - Pollutant name
+ * @returns {string|null} Unit, or null when the pollutant is unknown
+ */
+function getCanonicalUnit(pollutant) {
+  return CANONICAL_UNITS[normalizePollutantName(pollutant)] || null;
+}
+
+/**
+ * Get a pollutant's canonical column unit
+ * @param {string} pollutant - Pollutant name
+ * @returns {string|null} Unit, or null when the pollutant has no column product
+ */
+function getCanonicalColumnUnit(pollutant) {
+  return CANONICAL_COLUMN_UNITS[normalizePollutantName(pollutant)] || null;
+}
+
+/**
+ * Read temperature (°C) and pressure (hPa) from WeatherService data
+ * @param {Object} weather - Result of WeatherService.fetchWeatherData, or its `current` block
+ * @returns {Object} { temperature, pressure, source } with standard values filling gaps
+ */
+function conditionsFromWeather(weather) {
+  const current = weather && weather.current ? weather.current : weather;
+  const temperature = Number(current?.temperature);
+  const pressure = Number(current?.pressure);
+  const fromWeather = Number.isFinite(temperature) && Number.isFinite(pressure) && pressure > 0;
+
+  return fromWeather
+    ? { temperature, pressure, source: 'weather' }
+    : { ...STANDARD_CONDITIONS, source: 'standard' };
+}
+
+/**
+ * Micrograms per cubic metre of one ppb of a gas
+ * @param {string} pollutant - Pollutant name
+ * @param {Object} conditions - { temperature (°C), pressure (hPa) }
+ * @returns {number|null} Factor, or null without a molecular weight
+ */
+function ppbToMicrogramsFactor(pollutant, conditions = STANDARD_CONDITIONS) {
+  const weight = MOLECULAR_WEIGHTS[normalizePollutantName(pollutant)];
+  if (!weight) return null;
+
+  const temperature = Number.isFinite(conditions.temperature) ? conditions.temperature : STANDARD_CONDITIONS.temperature;
+  const pressure = Number.isFinite(conditions.pressure) ? conditions.pressure : STANDARD_CONDITIONS.pressure;
+  // Moles of air per m³ (ideal gas) × 1e-9 mol/mol × g/mol × 1e6 µg/g
+  const airMoles = (pressure * 100) / (GAS_CONSTANT * (temperature + 273.15));
+  return airMoles * weight * 1e-3;
+}
+
+/**
+ * Convert a value between units. Mass concentrations and mixing ratios are
+ * related through the gas's molecular weight and the air's temperature and
+ * pressure; columns only convert to other column units.
+ * @param {number} value - Value
+ * @param {string} from - Unit of the value
+ * @param {string} to - Wanted unit
+ * @param {Object} options - Conversion options
+ * @param {string} options.pollutant - Pollutant (needed between mass and mixing ratio)
+ * @param {number} options.temperature - Air temperature in °C (default 25)
+ * @param {number} options.pressure - Air pressure in hPa (default 1013.25)
+ * @returns {number|null} Converted value, or null when the units cannot be related
+ */
+function convert(value, from, to, options = {}) {
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+  if (!Number.isFinite(value) || !source || !target) return null;
+  if (source === target) return value;
+
+  const sourceKind = getUnitKind(source);
+  const targetKind = getUnitKind(target);
+  const base = value * UNIT_KINDS[sourceKind][source];
+
+  if (sourceKind === targetKind) return base / UNIT_KINDS[targetKind][target];
+  if (sourceKind === 'column' || targetKind === 'column') return null;
+
+  const factor = ppbToMicrogramsFactor(options.pollutant, options);
+  if (factor === null) return null;
+
+  // base is in µg/m³ or ppb depending on the source kind
+  const converted = sourceKind === 'mass' ? base / factor : base * factor;
+  return converted / UNIT_KINDS[targetKind][target];
+}
+
+/**
+ * Normalize an ingested measurement to its pollutant's canonical unit,
+ * keeping the value as reported
+ * @param {string} pollutant - Pollutant name
+ * @param {number} value - Reported value
+ * @param {string} unit - Reported unit
+ * @param {Object} conditions - { temperature, pressure, source } for gas conversions
+ * @returns {Object} { concentration, unit, originalConcentration, originalUnit, unitConversion }.
+ *   `unitConversion` holds the conditions a mass/mixing ratio conversion assumed,
+ *   null when none was needed, or 'unsupported' when the reported value and
+ *   unit had to be kept
+ */
+function normalizeMeasurement(pollutant, value, unit, conditions = STANDARD_CONDITIONS) {
+  const numeric = Number(value);
+  const canonicalUnit = isColumnUnit(unit) ? getCanonicalColumnUnit(pollutant) : getCanonicalUnit(pollutant);
+  const converted = canonicalUnit
+    ? convert(numeric, unit, canonicalUnit, { pollutant: normalizePollutantName(pollutant), ...conditions })
+    : null;
+
+  if (converted === null) {
+    return {
+      concentration: Number.isFinite(numeric) ? numeric : null,
+      unit: normalizeUnit(unit) || unit || null,
+      originalConcentration: value,
+      originalUnit: unit || null,
+      unitConversion: 'unsupported'
+    };
+  }
+
+  return {
+    concentration: Math.round(converted * 1000) / 1000,
+    unit: canonicalUnit,
+    originalConcentration: value,
+    originalUnit: unit,
+    unitConversion: getUnitKind(unit) !== getUnitKind(canonicalUnit)
+      ? { temperature: conditions.temperature, pressure: conditions.pressure, source: conditions.source || 'standard' }
+      : null
+  };
+}
+
+module.exports = {
+  CANONICAL_UNITS,
+  CANONICAL_COLUMN_UNITS,
+  MOLECULAR_WEIGHTS,
+  STANDARD_CONDITIONS,
+  normalizeUnit,
+  sameUnit,
+  getUnitKind,
+  isColumnUnit,
+  getCanonicalUnit,
+  getCanonicalColumnUnit,
+  conditionsFromWeather,
+  ppbToMicrogramsFactor,
+  convert,
+  normalizeMeasurement
+};
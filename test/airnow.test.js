@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AirNowService = require('../services/AirNowService');
+
+const service = new AirNowService({ cache: {}, apiKey: 'test' });
+const params = { lat: 40, lng: -75, radius: 50 };
+
+// A verbose, dataType B AirNow record
+const record = fields => ({
+  Latitude: 40.01,
+  Longitude: -75,
+  UTC: '2024-06-01T16:00',
+  Parameter: 'PM2.5',
+  Unit: 'UG/M3',
+  Value: 12,
+  RawConcentration: 14,
+  AQI: 50,
+  Category: 1,
+  SiteName: 'Downtown',
+  AgencyName: 'City Air',
+  FullAQSCode: '840420010001',
+  IntlAQSCode: '840420010001',
+  ...fields
+});
+
+test('processObservations groups hourly records by site and parameter', () => {
+  const sites = service.processObservations([
+    record({ UTC: '2024-06-01T16:00', RawConcentration: 14 }),
+    record({ UTC: '2024-06-01T15:00', RawConcentration: 10 }),
+    record({ Parameter: 'OZONE', Unit: 'PPB', Value: 41, RawConcentration: 45, AQI: 38 }),
+    record({ FullAQSCode: '840420010002', IntlAQSCode: '840420010002', SiteName: 'Harbor', Latitude: 40.2 })
+  ], params);
+
+  assert.deepEqual(sites.map(site => site.aqsId), ['840420010001', '840420010002']);
+  assert.equal(sites[0].agency, 'City Air');
+  assert.equal(sites[0].distance, 1.1);
+
+  const pm = sites[0].parameters['PM2.5'];
+  assert.equal(pm.unit, 'µg/m³');
+  assert.deepEqual(pm.observations.map(entry => entry.timestamp), ['2024-06-01T15:00:00.000Z', '2024-06-01T16:00:00.000Z']);
+  assert.equal(pm.latest.concentration, 14);
+  assert.equal(pm.latest.indexedConcentration, 12);
+  assert.equal(pm.latest.quality, 'good');
+  assert.equal(sites[0].parameters.O3.latest.concentration, 45);
+});
+
+test('toObservation prefers the raw hourly value and skips missing markers', () => {
+  const cases = [
+    { fields: {}, concentration: 14, indexedConcentration: 12, aqi: 50 },
+    { fields: { RawConcentration: -999 }, concentration: 12, indexedConcentration: null, aqi: 50 },
+    { fields: { RawConcentration: undefined }, concentration: 12, indexedConcentration: null, aqi: 50 },
+    { fields: { AQI: -999 }, concentration: 14, indexedConcentration: 12, aqi: null },
+    { fields: { RawConcentration: -999, Value: -999 }, observation: null }
+  ];
+
+  cases.forEach(({ fields, concentration, indexedConcentration, aqi, observation }) => {
+    const result = service.toObservation('PM2.5', record(fields), { temperature: 25, pressure: 1013.25, source: 'standard' });
+    if (observation === null) {
+      assert.equal(result, null, JSON.stringify(fields));
+      return;
+    }
+    assert.equal(result.concentration, concentration, JSON.stringify(fields));
+    assert.equal(result.indexedConcentration, indexedConcentration, JSON.stringify(fields));
+    assert.equal(result.aqi, aqi, JSON.stringify(fields));
+  });
+});
+
+test('processObservations drops unknown parameters and sites beyond the radius', () => {
+  const sites = service.processObservations([
+    record({ Parameter: 'WS' }),
+    record({ FullAQSCode: 'FAR', Latitude: 41 }),
+    record({ Parameter: 'NO2', Unit: 'PPB', RawConcentration: 20 })
+  ], params);
+
+  assert.equal(sites.length, 1);
+  assert.deepEqual(Object.keys(sites[0].parameters), ['NO2']);
+});
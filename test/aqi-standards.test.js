@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aqiEngine = require('../services/aqi');
+
+test('2024 PM2.5 breakpoints end "good" at 9.0 µg/m³', () => {
+  const cases = [
+    { concentration: 9.0, standard: 'EPA-2024', aqi: 50 },
+    { concentration: 9.1, standard: 'EPA-2024', aqi: 51 },
+    { concentration: 12.0, standard: 'EPA-2024', aqi: 56 },
+    { concentration: 35.4, standard: 'EPA-2024', aqi: 100 },
+    { concentration: 125.4, standard: 'EPA-2024', aqi: 200 },
+    { concentration: 225.5, standard: 'EPA-2024', aqi: 301 },
+    { concentration: 9.1, standard: 'EPA-2012', aqi: 38 },
+    { concentration: 12.0, standard: 'EPA-2012', aqi: 50 }
+  ];
+
+  cases.forEach(({ concentration, standard, aqi }) => {
+    assert.equal(aqiEngine.concentrationToAQI(concentration, 'PM2.5', { standard }), aqi, `${standard} ${concentration}`);
+  });
+});
+
+test('the standard in force at a value\'s date indexes it', () => {
+  const cases = [
+    { date: '2010-01-01', id: 'EPA-2012' },
+    { date: '2024-05-05T23:59:59Z', id: 'EPA-2012' },
+    { date: '2024-05-06', id: 'EPA-2024' },
+    { date: '2025-01-01', id: 'EPA-2024' }
+  ];
+
+  cases.forEach(({ date, id }) => assert.equal(aqiEngine.resolveStandardVersion({ date }).id, id, date));
+  assert.equal(aqiEngine.concentrationToAQI(9.1, 'PM2.5', { date: '2024-06-01' }), 51);
+  assert.throws(() => aqiEngine.resolveStandardVersion({ standard: 'EPA-1999' }), /Unknown AQI standard/);
+});
+
+test('O3 8-hour values above the 8-hour table use the 1-hour table', () => {
+  const cases = [
+    { concentration: 200, averagingPeriod: '8h', aqi: 300 },
+    { concentration: 210, averagingPeriod: '1h', aqi: 203 },
+    { concentration: 405, averagingPeriod: '1h', aqi: 301 }
+  ];
+
+  cases.forEach(({ concentration, averagingPeriod, aqi }) => {
+    const result = aqiEngine.getPollutantAQI(concentration, 'O3', { standard: 'EPA-2012' });
+    assert.equal(result.aqi, aqi, String(concentration));
+    assert.equal(result.averagingPeriod, averagingPeriod, String(concentration));
+  });
+});
+
+test('O3 1-hour values index on the 1-hour table from 125 ppb', () => {
+  const result = aqiEngine.getPollutantAQI(125, 'O3', { standard: 'EPA-2012', averagingPeriod: '1h' });
+
+  assert.equal(result.aqi, 101);
+  assert.equal(result.averagingPeriod, '1h');
+});
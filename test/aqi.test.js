@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aqiEngine = require('../services/aqi');
+
+// Examples from EPA's Technical Assistance Document for the Reporting of
+// Daily Air Quality, indexed with the 2012 tables
+test('concentrationToAQI matches the EPA worked examples', () => {
+  const cases = [
+    { pollutant: 'PM2.5', concentration: 12.0, aqi: 50 },
+    { pollutant: 'PM2.5', concentration: 12.1, aqi: 51 },
+    { pollutant: 'PM2.5', concentration: 35.9, aqi: 102 },
+    { pollutant: 'PM10', concentration: 154, aqi: 100 },
+    { pollutant: 'O3', concentration: 78, aqi: 126 },
+    { pollutant: 'CO', concentration: 9.4, aqi: 100 },
+    { pollutant: 'NO2', concentration: 100, aqi: 100 },
+    { pollutant: 'SO2', concentration: 75, aqi: 100 }
+  ];
+
+  cases.forEach(({ pollutant, concentration, aqi }) => {
+    assert.equal(
+      aqiEngine.concentrationToAQI(concentration, pollutant, { standard: 'EPA-2012' }),
+      aqi,
+      `${pollutant} ${concentration}`
+    );
+  });
+});
+
+test('concentrations are truncated to the breakpoint precision before indexing', () => {
+  const cases = [
+    { pollutant: 'PM2.5', concentration: 12.09, truncated: 12.0, aqi: 50 },
+    { pollutant: 'O3', concentration: 70.9, truncated: 70, aqi: 100 },
+    { pollutant: 'CO', concentration: 4.49, truncated: 4.4, aqi: 50 }
+  ];
+
+  cases.forEach(({ pollutant, concentration, truncated, aqi }) => {
+    const result = aqiEngine.getPollutantAQI(concentration, pollutant, { standard: 'EPA-2012' });
+    assert.equal(result.concentration, truncated, `${pollutant} ${concentration}`);
+    assert.equal(result.aqi, aqi, `${pollutant} ${concentration}`);
+  });
+});
+
+test('normalizePollutant maps source spellings to engine names', () => {
+  const cases = [
+    ['pm25', 'PM2.5'],
+    ['PM2.5', 'PM2.5'],
+    ['pm2_5', 'PM2.5'],
+    ['o3', 'O3'],
+    ['HCHO', null],
+    [undefined, null]
+  ];
+
+  cases.forEach(([input, expected]) => assert.equal(aqiEngine.normalizePollutant(input), expected, String(input)));
+});
+
+test('calculateOverallAQI takes the highest pollutant and keeps reported AQIs', () => {
+  const overall = aqiEngine.calculateOverallAQI({
+    'PM2.5': { concentration: 35.9, unit: 'µg/m³' },
+    O3: { concentration: 40, unit: 'ppb', aqi: 130 },
+    HCHO: { concentration: 5, unit: 'ppb' }
+  }, { standard: 'EPA-2012' });
+
+  assert.deepEqual(overall, { aqi: 130, dominantPollutant: 'O3' });
+  assert.deepEqual(aqiEngine.calculateOverallAQI({ HCHO: { concentration: 5 } }), { aqi: null, dominantPollutant: null });
+});
+
+test('getCategory follows the EPA category bounds', () => {
+  const cases = [
+    [0, 'good'],
+    [50, 'good'],
+    [51, 'moderate'],
+    [101, 'unhealthy-sensitive'],
+    [151, 'unhealthy'],
+    [201, 'very-unhealthy'],
+    [301, 'hazardous'],
+    [650, 'hazardous']
+  ];
+
+  cases.forEach(([aqi, key]) => assert.equal(aqiEngine.getCategory(aqi).key, key, String(aqi)));
+  assert.equal(aqiEngine.getCategory(null), null);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BacktestService = require('../services/BacktestService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const BASE = Date.parse('2024-06-01T00:00:00Z');
+
+// Stored hourly O3 rising by 1 ppb an hour: each hour's value counts the
+// hours since BASE, so a forecast's error shows which hours it had seen
+const storageService = {
+  isConnected: () => true,
+  getObservations: async ({ pollutant, start, end }) => {
+    if (pollutant !== 'O3') return [];
+    const observations = [];
+    for (let time = start.getTime(); time <= end.getTime(); time += HOUR_MS) {
+      observations.push({ timestamp: new Date(time), value: (time - BASE) / HOUR_MS, unit: 'ppb', source: 'EPA' });
+    }
+    return observations;
+  }
+};
+
+const params = {
+  start: new Date('2024-06-03T00:00:00Z'),
+  end: new Date('2024-06-03T05:00:00Z'),
+  locations: [{ lat: 40, lng: -75 }],
+  methods: ['persistence'],
+  pollutants: ['O3'],
+  hours: 3,
+  warmupDays: 1
+};
+
+test('each issue hour sees only the hours that ended before it', async () => {
+  const service = new BacktestService({ storageService });
+  const seen = [];
+  const forecast = service.forecast.bind(service);
+  service.forecast = (forecaster, method, context, pollutant, hours) => {
+    seen.push({ context, issuedAt: context.issuedAt.getTime() + HOUR_MS });
+    return forecast(forecaster, method, context, pollutant, hours);
+  };
+
+  const report = await service.run(params);
+
+  assert.equal(report.issued, 6);
+  seen.forEach(({ context, issuedAt }) => {
+    const last = context.records[context.records.length - 1];
+    assert.equal(Date.parse(last.timestamp), issuedAt - HOUR_MS, new Date(issuedAt).toISOString());
+    assert.ok(context.features.length <= 24);
+  });
+});
+
+test('lead h is scored against the hour starting h - 1 hours after the issue time', async () => {
+  const report = await new BacktestService({ storageService }).run(params);
+  const { byLead, overall } = report.results.persistence.O3;
+
+  // Persistence repeats the last complete hour, so lead h misses by exactly h
+  assert.deepEqual(byLead.map(({ leadHours, count, bias, mae }) => ({ leadHours, count, bias, mae })), [
+    { leadHours: 1, count: 6, bias: -1, mae: 1 },
+    { leadHours: 2, count: 6, bias: -2, mae: 2 },
+    { leadHours: 3, count: 6, bias: -3, mae: 3 }
+  ]);
+  assert.equal(overall.count, 18);
+  assert.deepEqual(report.ranking.O3.map(entry => entry.method), ['persistence']);
+});
+
+test('run needs stored observations and known methods', async () => {
+  await assert.rejects(new BacktestService().run(params), /MONGODB_URI/);
+  await assert.rejects(
+    new BacktestService({ storageService }).run({ ...params, methods: ['persistence', 'oracle'] }),
+    /Unknown backtest methods: oracle/
+  );
+});
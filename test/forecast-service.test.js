@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ForecastService = require('../services/ForecastService');
+const baselines = require('../services/forecasting/baselines');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const service = new ForecastService({ cache: {} });
+
+// TEMPO payloads in the shape TempoDataService.getRealTimeData returns
+const tempoData = simulated => ({
+  pollutants: {
+    NO2: { concentration: 30.21, unit: 'ppb' },
+    HCHO: { concentration: 4.2, unit: 'ppb' }
+  },
+  derived: { ozoneRegime: { available: true, ratio: 1.5, regime: 'transitional' } },
+  metadata: { simulated }
+});
+
+test('live features fall back to real TEMPO values only', () => {
+  const cases = [
+    { tempoData: tempoData(false), NO2: 30.21, HCHO: 4.2, hchoNo2Ratio: 1.5 },
+    { tempoData: tempoData(true), NO2: 0, HCHO: 0, hchoNo2Ratio: 0 },
+    { tempoData: null, NO2: 0, HCHO: 0, hchoNo2Ratio: 0 }
+  ];
+
+  cases.forEach(({ tempoData, NO2, HCHO, hchoNo2Ratio }, i) => {
+    const values = service.getCurrentValues({ tempoData });
+    assert.deepEqual({ NO2: values.NO2, HCHO: values.HCHO, hchoNo2Ratio: values.hchoNo2Ratio }, { NO2, HCHO, hchoNo2Ratio }, `case ${i}`);
+  });
+});
+
+test('ground readings come before TEMPO values', () => {
+  const groundData = { pollutants: { NO2: { concentration: 12, unit: 'ppb' } } };
+
+  assert.equal(service.getCurrentValues({ tempoData: tempoData(false), groundData }).NO2, 12);
+  assert.equal(service.getCurrentValues({ tempoData: tempoData(true), groundData }).NO2, 12);
+});
+
+test('baselines get no current hour from simulated TEMPO values', () => {
+  const issuedAt = new Date();
+  const hourAgo = new Date(Math.floor(issuedAt.getTime() / HOUR_MS - 1) * HOUR_MS).toISOString();
+  const history = [{ timestamp: hourAgo, values: { NO2: 18 } }];
+  const cases = [
+    { tempoData: tempoData(true), length: 1, persisted: 18 },
+    { tempoData: tempoData(false), length: 2, persisted: 30.21 }
+  ];
+
+  cases.forEach(({ tempoData, length, persisted }, i) => {
+    const records = service.prepareBaselineRecords({ tempoData }, history);
+    assert.equal(records.length, length, `case ${i}`);
+    assert.equal(records[0].timestamp, hourAgo, `case ${i}`);
+    const [first] = baselines.persistenceForecast(records, 'NO2', 1, issuedAt);
+    assert.equal(first.concentration, persisted, `case ${i}`);
+  });
+
+  assert.deepEqual(service.prepareBaselineRecords({ tempoData: tempoData(true) }, []), []);
+});
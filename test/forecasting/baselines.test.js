@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  persistenceForecast,
+  climatologyForecast,
+  dampedTrendForecast
+} = require('../../services/forecasting/baselines');
+const { hourlyRecords } = require('../helpers/records');
+
+// A Wednesday
+const ISSUED = new Date('2024-01-10T12:00:00Z');
+
+// O3 records for the `hours` hours up to the issue time; valueAt returns
+// undefined for hours without a measurement
+const o3Records = (hours, valueAt) => hourlyRecords(hours, (time, i) => {
+  const value = valueAt(time, i);
+  return value === undefined ? {} : { O3: value };
+}, { end: ISSUED });
+
+test('persistence repeats the latest value of the last 6 hours', () => {
+  const cases = [
+    { values: { 0: 30, 6: 20 }, expected: 30 },
+    { values: { 6: 20 }, expected: 20 },
+    { values: { 7: 20 }, expected: null },
+    { values: {}, expected: null }
+  ];
+
+  cases.forEach(({ values, expected }) => {
+    // values are keyed by hours before the issue time
+    const records = o3Records(12, (_, i) => values[11 - i]);
+    const predictions = persistenceForecast(records, 'O3', 3, ISSUED);
+    const concentrations = predictions && predictions.map(p => p.concentration);
+    assert.deepEqual(concentrations, expected === null ? null : [expected, expected, expected], JSON.stringify(values));
+  });
+
+  const future = [...o3Records(2, () => 10), { timestamp: '2024-01-10T13:00:00Z', values: { O3: 99 } }];
+  assert.deepEqual(persistenceForecast(future, 'O3', 1, ISSUED), [
+    { hour: 1, concentration: 10, timestamp: '2024-01-10T13:00:00.000Z', method: 'persistence' }
+  ]);
+});
+
+test('climatology averages the same weekday and hour over four weeks', () => {
+  const records = o3Records(28 * 24, time => {
+    const wednesday = time.getUTCDay() === 3;
+    if (wednesday && time.getUTCHours() === 13) return 50;
+    // The only Wednesday 14:00 measurement is too few for its slot
+    if (wednesday && time.getUTCHours() === 14) return time.getUTCDate() === 3 ? 50 : undefined;
+    return 10;
+  });
+  const predictions = climatologyForecast(records, 'O3', 3, ISSUED);
+
+  assert.equal(predictions[0].concentration, 50);
+  assert.ok(Math.abs(predictions[1].concentration - (24 * 10 + 50) / 25) < 1e-9);
+  assert.equal(predictions[2].concentration, 10);
+  assert.ok(predictions.every(p => p.method === 'climatology'));
+  assert.equal(climatologyForecast(o3Records(24, () => undefined), 'O3', 3, ISSUED), null);
+});
+
+test('the damped trend follows a rising series and flattens out', () => {
+  const records = o3Records(48, (_, i) => 10 + 2 * i);
+  const last = 10 + 2 * 47;
+  const predictions = dampedTrendForecast(records, 'O3', 24, ISSUED).map(p => p.concentration);
+
+  assert.ok(predictions[0] > last && predictions[0] < last + 4);
+  assert.ok(predictions.every((value, h) => h === 0 || value > predictions[h - 1]));
+  assert.ok(predictions[23] - predictions[22] < predictions[1] - predictions[0]);
+});
+
+test('the damped trend never forecasts below zero and needs six values', () => {
+  const falling = dampedTrendForecast(o3Records(24, (_, i) => 100 - 4 * i), 'O3', 48, ISSUED);
+  assert.ok(falling.every(p => p.concentration >= 0 && p.method === 'damped-trend'));
+
+  const sparse = o3Records(24, (_, i) => (i % 5 === 0 ? 20 : undefined));
+  assert.equal(dampedTrendForecast(sparse, 'O3', 3, ISSUED), null);
+  assert.equal(dampedTrendForecast(o3Records(24, (_, i) => (i % 4 === 0 ? 20 : undefined)), 'O3', 3, ISSUED).length, 3);
+});
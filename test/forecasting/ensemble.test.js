@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MIN_SKILL_PAIRS,
+  memberSkill,
+  ensembleWeights,
+  blendForecasts
+} = require('../../services/forecasting/ensemble');
+
+// A VerificationService.verify result for O3
+const verification = (overall, byLead = []) => ({ pollutants: { O3: { overall, byLead } } });
+
+test('memberSkill prefers the lead time\'s own scores once they have enough pairs', () => {
+  const cases = [
+    {
+      verification: verification({ rmse: 4, count: 50 }, [{ leadHours: 1, rmse: 2, count: MIN_SKILL_PAIRS }]),
+      skill: { rmse: 2, pairs: MIN_SKILL_PAIRS, basis: 'lead' }
+    },
+    {
+      verification: verification({ rmse: 4, count: 50 }, [{ leadHours: 1, rmse: 2, count: MIN_SKILL_PAIRS - 1 }]),
+      skill: { rmse: 4, pairs: 50, basis: 'overall' }
+    },
+    {
+      verification: verification({ rmse: 4, count: 3 }),
+      skill: { rmse: null, pairs: 3, basis: 'none' }
+    },
+    { verification: null, skill: { rmse: null, pairs: 0, basis: 'none' } }
+  ];
+
+  cases.forEach(({ verification, skill }, i) => {
+    assert.deepEqual(memberSkill(verification, 'O3', 1), skill, `case ${i}`);
+  });
+});
+
+test('ensembleWeights weights members by inverse mean squared error', () => {
+  const [first] = ensembleWeights({
+    ridge: verification({ rmse: 1, count: 20 }),
+    persistence: verification({ rmse: 2, count: 20 })
+  }, ['ridge', 'persistence'], 'O3', 1);
+
+  assert.equal(first.hour, 1);
+  assert.equal(first.members.ridge.weight, 0.8);
+  assert.equal(first.members.persistence.weight, 0.2);
+  assert.equal(first.members.ridge.basis, 'overall');
+});
+
+test('unscored members get the mean weight and fallbacks get none', () => {
+  const verifications = {
+    ridge: verification({ rmse: 1, count: 20 }),
+    persistence: verification({ rmse: 2, count: 20 }),
+    climatology: null
+  };
+  const members = ['ridge', 'persistence', 'climatology'];
+
+  const [mixed] = ensembleWeights(verifications, members, 'O3', 1);
+  assert.deepEqual(members.map(member => mixed.members[member].weight), [0.533, 0.133, 0.333]);
+
+  const [fallback] = ensembleWeights(verifications, members, 'O3', 1, ['ridge']);
+  assert.deepEqual(members.map(member => fallback.members[member].weight), [0, 0.5, 0.5]);
+  assert.equal(fallback.members.ridge.basis, 'fallback');
+
+  const [unscored] = ensembleWeights({}, ['ridge', 'persistence'], 'O3', 1);
+  assert.deepEqual([unscored.members.ridge.weight, unscored.members.persistence.weight], [0.5, 0.5]);
+});
+
+test('blendForecasts takes the weighted mean of the members that predicted each hour', () => {
+  const forecasts = {
+    ridge: [
+      { hour: 1, concentration: 40, timestamp: '2024-01-10T13:00:00.000Z' },
+      { hour: 2, concentration: 50, timestamp: '2024-01-10T14:00:00.000Z' }
+    ],
+    persistence: [{ hour: 1, concentration: 20, timestamp: '2024-01-10T13:00:00.000Z' }]
+  };
+  const weights = [1, 2, 3].map(hour => ({
+    hour,
+    members: { ridge: { weight: 0.8 }, persistence: { weight: 0.2 } }
+  }));
+
+  assert.deepEqual(blendForecasts(forecasts, weights), [
+    { hour: 1, concentration: 0.8 * 40 + 0.2 * 20, timestamp: '2024-01-10T13:00:00.000Z', method: 'ensemble' },
+    { hour: 2, concentration: 50, timestamp: '2024-01-10T14:00:00.000Z', method: 'ensemble' }
+  ]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FEATURE_COLUMNS,
+  WINDOW_HOURS,
+  getColumn,
+  toFeatureRows,
+  buildSamples,
+  advanceWindow,
+  toModelInput,
+  toHourlyRecords
+} = require('../../services/forecasting/features');
+const { hourlyRecords } = require('../helpers/records');
+
+const START = '2024-01-06T00:00:00Z';
+
+// Records from START on; values(i) gives the values measured in hour i
+const recordsFrom = (hours, values) => hourlyRecords(hours, (_, i) => values(i), { start: START });
+
+test('toFeatureRows carries the last known value forward', () => {
+  const rows = toFeatureRows(recordsFrom(4, i => [{ NO2: 10 }, {}, { NO2: 20, windSpeed: 5 }, { NO2: null }][i]));
+
+  assert.ok(rows.every(row => row.length === FEATURE_COLUMNS.length));
+  assert.deepEqual(rows.map(row => getColumn(row, 'no2')), [10, 10, 20, 20]);
+  assert.deepEqual(rows.map(row => getColumn(row, 'windSpeed')), [0, 0, 5, 5]);
+  assert.deepEqual(rows.map(row => getColumn(row, 'o3')), [0, 0, 0, 0]);
+  assert.deepEqual(rows.map(row => getColumn(row, 'hour')), [0, 1, 2, 3]);
+  assert.equal(getColumn(rows[0], 'dayOfWeek'), 6);
+});
+
+test('buildSamples makes one sample per full window followed by a measured hour', () => {
+  const cases = [
+    { hours: WINDOW_HOURS, values: () => ({ O3: 30 }), samples: 0 },
+    { hours: WINDOW_HOURS + 6, values: () => ({ O3: 30 }), samples: 6 },
+    { hours: WINDOW_HOURS + 6, values: i => (i === WINDOW_HOURS + 2 ? {} : { O3: 30 }), samples: 5 },
+    { hours: WINDOW_HOURS + 6, values: i => (i < 3 ? {} : { O3: 30 }), samples: 3 },
+    { hours: WINDOW_HOURS + 6, values: () => ({ NO2: 30 }), samples: 0 }
+  ];
+
+  cases.forEach(({ hours, values, samples }, i) => {
+    const { inputs, targets } = buildSamples(recordsFrom(hours, values), 'O3');
+    assert.equal(inputs.length, samples, `case ${i}`);
+    assert.equal(targets.length, samples, `case ${i}`);
+  });
+});
+
+test('advanceWindow moves the window on by an hour with the predicted value', () => {
+  const window = toFeatureRows(recordsFrom(WINDOW_HOURS, i => ({ O3: i })));
+  const next = advanceWindow(window, 'O3', 99);
+
+  assert.equal(next.length, WINDOW_HOURS);
+  assert.deepEqual(next[0], window[1]);
+  assert.equal(getColumn(next[WINDOW_HOURS - 1], 'o3'), 99);
+  assert.equal(getColumn(next[WINDOW_HOURS - 1], 'hour'), 0);
+  assert.equal(getColumn(next[WINDOW_HOURS - 1], 'dayOfWeek'), 0);
+  assert.equal(toModelInput(next, 'O3')[0], 99);
+});
+
+test('toHourlyRecords averages observations within each hour', () => {
+  const records = toHourlyRecords({
+    NO2: [
+      { timestamp: '2024-01-06T00:10:00Z', value: 10 },
+      { timestamp: '2024-01-06T00:50:00Z', value: '20' },
+      { timestamp: '2024-01-06T02:00:00Z', value: 40 },
+      { timestamp: '2024-01-06T03:00:00Z', value: 99 }
+    ]
+  }, new Date('2024-01-06T00:30:00Z'), new Date('2024-01-06T03:00:00Z'));
+
+  assert.deepEqual(records.map(record => record.values.NO2), [15, undefined, 40]);
+  assert.equal(records[0].timestamp, '2024-01-06T00:00:00.000Z');
+});
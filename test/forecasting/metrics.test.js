@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMetrics, correlation, categoryHitRate } = require('../../services/forecasting/metrics');
+
+test('computeMetrics scores errors as forecast minus observed', () => {
+  const pairs = [
+    { forecast: 12, observed: 10, unit: 'ppb' },
+    { forecast: 18, observed: 20, unit: 'ppb' },
+    { forecast: 34, observed: 30, unit: 'ppb' }
+  ];
+  const metrics = computeMetrics('NO2', pairs);
+
+  assert.equal(metrics.count, 3);
+  assert.equal(metrics.bias, 1.333);
+  assert.equal(metrics.mae, 2.667);
+  assert.equal(metrics.rmse, Math.round(Math.sqrt(24 / 3) * 1000) / 1000);
+  assert.equal(metrics.correlation, 0.967);
+  assert.equal(metrics.categoryHitRate, 1);
+});
+
+test('computeMetrics has no scores without pairs', () => {
+  assert.deepEqual(computeMetrics('NO2', []), {
+    count: 0, bias: null, mae: null, rmse: null, correlation: null, categoryHitRate: null
+  });
+});
+
+test('correlation needs two values and spread on both sides', () => {
+  const cases = [
+    { a: [1, 2, 3], b: [2, 4, 6], expected: 1 },
+    { a: [1, 2, 3], b: [3, 2, 1], expected: -1 },
+    { a: [1], b: [1], expected: null },
+    { a: [5, 5, 5], b: [1, 2, 3], expected: null },
+    { a: [1, 2, 3], b: [4, 4, 4], expected: null }
+  ];
+
+  cases.forEach(({ a, b, expected }) => assert.equal(correlation(a, b), expected, `${a} / ${b}`));
+});
+
+test('categoryHitRate counts forecasts in the observed AQI category', () => {
+  const cases = [
+    {
+      // NO2: good up to 53 ppb, moderate from 54 to 100
+      pollutant: 'NO2',
+      pairs: [
+        { forecast: 40, observed: 50, unit: 'ppb' },
+        { forecast: 60, observed: 50, unit: 'ppb' },
+        { forecast: 80, observed: 70, unit: 'ppb' },
+        { forecast: -5, observed: 10, unit: 'ppb' }
+      ],
+      expected: 0.75
+    },
+    { pollutant: 'NO2', pairs: [{ forecast: 40, observed: 50, unit: 'µg/m³' }], expected: null },
+    { pollutant: 'HCHO', pairs: [{ forecast: 4, observed: 5, unit: 'ppb' }], expected: null }
+  ];
+
+  cases.forEach(({ pollutant, pairs, expected }, i) => {
+    assert.equal(categoryHitRate(pollutant, pairs), expected, `case ${i}`);
+  });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RidgeRegressor = require('../../services/forecasting/ridge');
+
+// y = 3 + 2·x1 − 0.5·x2 on a grid, with a constant third column
+const inputs = [];
+for (let x1 = 0; x1 < 6; x1++) {
+  for (let x2 = 0; x2 < 6; x2++) inputs.push([x1, x2 * 10, 7]);
+}
+const targets = inputs.map(([x1, x2]) => 3 + 2 * x1 - 0.5 * x2);
+
+test('a lightly penalized fit recovers a linear function', () => {
+  const regressor = new RidgeRegressor({ lambda: 1e-6 }).fit(inputs, targets);
+  const cases = [
+    { row: [0, 0, 7], expected: 3 },
+    { row: [2.5, 15, 7], expected: 0.5 },
+    { row: [10, 0, 7], expected: 23 }
+  ];
+
+  cases.forEach(({ row, expected }) => {
+    assert.ok(Math.abs(regressor.predict(row) - expected) < 1e-4, String(row));
+  });
+  assert.equal(regressor.weights[2], 0);
+});
+
+test('the penalty shrinks predictions towards the mean target', () => {
+  const mean = targets.reduce((sum, value) => sum + value, 0) / targets.length;
+  const loose = new RidgeRegressor({ lambda: 1e-6 }).fit(inputs, targets);
+  const tight = new RidgeRegressor({ lambda: 1e6 }).fit(inputs, targets);
+
+  assert.ok(Math.abs(tight.predict([5, 0, 7]) - mean) < Math.abs(loose.predict([5, 0, 7]) - mean));
+  assert.ok(Math.abs(tight.predict([5, 0, 7]) - mean) < 0.01);
+});
+
+test('toJSON and fromJSON round-trip a fitted regressor', () => {
+  const regressor = new RidgeRegressor({ lambda: 2 }).fit(inputs, targets);
+  const restored = RidgeRegressor.fromJSON(JSON.parse(JSON.stringify(regressor)));
+
+  assert.equal(restored.lambda, 2);
+  assert.equal(restored.predict([1.5, 22, 7]), regressor.predict([1.5, 22, 7]));
+});
+
+test('fit and predict refuse unusable input', () => {
+  assert.throws(() => new RidgeRegressor().fit([], []), /at least one/);
+  assert.throws(() => new RidgeRegressor().fit([[1], [2]], [1]), /as many targets/);
+  assert.throws(() => new RidgeRegressor().predict([1]), /has not been fitted/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fuseObservations, observationWeight } = require('../services/fusion');
+
+const observation = fields => ({
+  pollutant: 'PM2.5',
+  concentration: 10,
+  unit: 'µg/m³',
+  timestamp: '2024-01-01T12:00:00Z',
+  source: 'EPA',
+  station: 'A',
+  tier: 'regulatory',
+  distance: 0,
+  coordinates: { lat: 40, lng: -75 },
+  ...fields
+});
+
+test('observationWeight scales the tier by 1 / (1 + (d / 10 km)²)', () => {
+  const cases = [
+    { tier: 'regulatory', distance: 0, weight: 1 },
+    { tier: 'regulatory', distance: 10, weight: 0.5 },
+    { tier: 'regulatory', distance: 20, weight: 0.2 },
+    { tier: 'low-cost', distance: 0, weight: 0.3 },
+    { tier: 'low-cost', distance: 10, weight: 0.15 },
+    { tier: 'regulatory', distance: undefined, weight: 0.5 }
+  ];
+
+  cases.forEach(({ tier, distance, weight }) => {
+    assert.ok(Math.abs(observationWeight({ tier, distance }) - weight) < 1e-9, `${tier} ${distance}`);
+  });
+});
+
+test('fuseObservations takes the weighted mean of usable observations', () => {
+  const fused = fuseObservations([
+    observation({ concentration: 10 }),
+    observation({
+      concentration: 40,
+      source: 'LowCost',
+      station: 'S1',
+      tier: 'low-cost',
+      distance: 10,
+      coordinates: { lat: 40.09, lng: -75 }
+    })
+  ])['PM2.5'];
+
+  assert.equal(fused.source, 'Fused');
+  assert.deepEqual(fused.sources, ['EPA', 'LowCost']);
+  assert.equal(fused.tier, 'regulatory');
+  assert.equal(fused.station, 'A');
+  assert.equal(fused.concentration, Math.round((10 + 40 * 0.15) / 1.15 * 1000) / 1000);
+  assert.equal(fused.fusion.contributors, 2);
+  assert.deepEqual(fused.fusion.observations.map(entry => entry.weight), [0.87, 0.13]);
+});
+
+test('fuseObservations keeps unusable observations with the reason they were left out', () => {
+  const fused = fuseObservations([
+    observation({ station: 'A' }),
+    observation({ station: 'B', concentration: -1, coordinates: { lat: 41, lng: -75 } }),
+    observation({ station: 'C', unit: 'ppb', coordinates: { lat: 42, lng: -75 } }),
+    observation({ station: 'D', valid: false, coordinates: { lat: 43, lng: -75 } }),
+    observation({ station: 'E', timestamp: '2024-01-01T08:59:00Z', coordinates: { lat: 44, lng: -75 } }),
+    observation({ station: 'F', source: 'OpenAQ', coordinates: { lat: 40.0005, lng: -75 } })
+  ])['PM2.5'];
+
+  const reasons = Object.fromEntries(fused.fusion.observations.map(entry => [entry.station, entry.reason]));
+  assert.deepEqual(reasons, { A: null, B: 'value', C: 'unit', D: 'flagged', E: 'stale', F: 'duplicate' });
+  assert.equal(fused.fusion.observations.find(entry => entry.station === 'F').duplicateOf, 'A');
+  assert.equal(fused.fusion.contributors, 1);
+});
+
+test('the preferred source keeps a site reported by several sources', () => {
+  const fused = fuseObservations([
+    observation({ station: 'S1', source: 'LowCost', tier: 'low-cost' }),
+    observation({ station: 'A', source: 'EPA' })
+  ])['PM2.5'];
+
+  assert.equal(fused.station, 'A');
+  assert.equal(fused.fusion.observations.find(entry => entry.station === 'S1').reason, 'duplicate');
+});
+
+test('a single contributor keeps its own fields', () => {
+  const fused = fuseObservations([observation({ concentration: 12.3, name: 'Downtown', hourly: [1, 2] })]);
+
+  assert.equal(fused['PM2.5'].concentration, 12.3);
+  assert.equal(fused['PM2.5'].source, 'EPA');
+  assert.equal(fused['PM2.5'].name, 'Downtown');
+  assert.deepEqual(fused['PM2.5'].hourly, [1, 2]);
+  assert.equal(fused['PM2.5'].pollutant, undefined);
+  assert.equal(fused['PM2.5'].fusion.observations[0].weight, 1);
+  assert.deepEqual(fuseObservations([observation({ valid: false })]), {});
+});
@@ -0,0 +1,31 @@
+const { once } = require('events');
+const express = require('express');
+const { Container } = require('../../container');
+
+/**
+ * Mount a router on fake services and send it one request
+ * @param {Function} createRoutes - Route factory taking the container
+ * @param {Object} services - Fake services keyed by container name
+ * @param {string} path - Request path and query
+ * @param {Object} options - fetch options (optional)
+ * @returns {Promise<Object>} { status, body }
+ */
+async function request(createRoutes, services, path, options = {}) {
+  const container = new Container();
+  Object.entries(services).forEach(([name, service]) => container.set(name, service));
+
+  const app = express();
+  app.use(express.json());
+  app.use(createRoutes(container));
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+module.exports = { request };
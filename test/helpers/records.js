@@ -0,0 +1,21 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Build hourly records shaped like forecastFeatures.toHourlyRecords output
+ * @param {number} hours - Number of hours
+ * @param {Function} valuesAt - (time, i) -> values measured in the hour, keyed by parameter
+ * @param {Object} range - { start } for the first hour or { end } for the last
+ * @returns {Array<Object>} [{ timestamp, values }], oldest first
+ */
+function hourlyRecords(hours, valuesAt, range) {
+  const first = range.start !== undefined
+    ? new Date(range.start).getTime()
+    : new Date(range.end).getTime() - (hours - 1) * HOUR_MS;
+
+  return Array.from({ length: hours }, (_, i) => {
+    const time = new Date(first + i * HOUR_MS);
+    return { timestamp: time.toISOString(), values: valuesAt(time, i) };
+  });
+}
+
+module.exports = { hourlyRecords };
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LowCostSensorService = require('../services/LowCostSensorService');
+
+const MINUTE_MS = 60 * 1000;
+
+const reading = (minutesAhead, fields = {}) => ({
+  sensor_index: fields.sensor_index ?? 1,
+  latitude: 40,
+  longitude: -75,
+  timestamp: new Date(Date.now() + minutesAhead * MINUTE_MS).toISOString(),
+  'pm2.5_cf_1_a': 10,
+  'pm2.5_cf_1_b': 11,
+  humidity: 50,
+  ...fields
+});
+
+test('uploads reject readings timestamped ahead of the clock skew margin', async () => {
+  const service = new LowCostSensorService({ cache: {} });
+  const result = await service.ingestUpload([
+    reading(-30),
+    reading(2),
+    reading(LowCostSensorService.MAX_CLOCK_SKEW_MINUTES + 5),
+    reading(24 * 60),
+    { latitude: 40, longitude: -75 }
+  ]);
+
+  assert.deepEqual(result, {
+    accepted: 2,
+    rejected: 3,
+    flagged: 0,
+    rejections: [
+      { row: 3, reason: 'future-timestamp' },
+      { row: 4, reason: 'future-timestamp' },
+      { row: 5, reason: 'incomplete' }
+    ]
+  });
+});
+
+test('a future-dated upload never becomes the sensor\'s current reading', async () => {
+  const service = new LowCostSensorService({ cache: {} });
+  await service.ingestUpload([reading(-10, { 'pm2.5_cf_1_a': 20, 'pm2.5_cf_1_b': 20 }), reading(120)]);
+
+  const [current] = await service.getUploadedReadings({ lat: 40, lng: -75, radius: 10 });
+  assert.equal(current.channels.a, 20);
+  assert.ok(Date.parse(current.timestamp) <= Date.now());
+});
+
+test('authorizeUpload accepts only the configured partner token', () => {
+  const cases = [
+    { uploadToken: null, token: 'secret', access: 'disabled' },
+    { uploadToken: 'secret', token: 'secret', access: 'ok' },
+    { uploadToken: 'secret', token: 'secreT', access: 'denied' },
+    { uploadToken: 'secret', token: 'secret-longer', access: 'denied' },
+    { uploadToken: 'secret', token: undefined, access: 'denied' }
+  ];
+
+  cases.forEach(({ uploadToken, token, access }) => {
+    const service = new LowCostSensorService({ cache: {} });
+    service.uploadToken = uploadToken;
+    assert.equal(service.authorizeUpload(token), access, `${uploadToken} ${token}`);
+  });
+});
+
+test('uploads over the row cap are refused whole', async () => {
+  const service = new LowCostSensorService({ cache: {} });
+  const rows = Array.from({ length: LowCostSensorService.MAX_UPLOAD_ROWS + 1 }, () => reading(-10));
+
+  await assert.rejects(service.ingestUpload(rows), error => error.statusCode === 413);
+  assert.equal(service.uploads.size, 0);
+});
+
+test('channels that disagree by more than 5 µg/m³ and 70% of their mean are flagged', async () => {
+  const cases = [
+    { a: 10, b: 14, flags: [], valid: true },
+    { a: 50, b: 60, flags: [], valid: true },
+    { a: 10, b: 30, flags: ['channel-disagreement'], valid: false },
+    { a: 2, b: 8, flags: ['channel-disagreement'], valid: false },
+    { a: 0, b: 4, flags: [], valid: true },
+    { a: 12, b: null, flags: ['single-channel'], valid: true }
+  ];
+  const service = new LowCostSensorService({ cache: {} });
+
+  const corrected = await service.correctReadings(cases.map(({ a, b }) =>
+    service.toReading(reading(-10, { 'pm2.5_cf_1_a': a ?? '', 'pm2.5_cf_1_b': b ?? '' }), 'upload')
+  ));
+
+  cases.forEach(({ a, b, flags, valid }, i) => {
+    assert.deepEqual(corrected[i].flags, flags, `${a}/${b}`);
+    assert.equal(corrected[i].valid, valid, `${a}/${b}`);
+  });
+  assert.equal(corrected[5].rawConcentration, 12);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationService = require('../services/NotificationService');
+
+const service = new NotificationService(null);
+const preferences = {
+  aqiThresholds: service.alertThresholds.aqi,
+  pollutantThresholds: service.alertThresholds.pollutants
+};
+
+// A forecast with one CO prediction (ppm) `hours` hours and a half from now
+const coForecast = (concentration, hours = 2) => ({
+  aqi: [],
+  pollutants: {
+    CO: [{ concentration, timestamp: new Date(Date.now() + (hours + 0.5) * 60 * 60 * 1000).toISOString() }]
+  }
+});
+
+test('CO alerts at the 8-hour AQI 100 and 150 breakpoints in ppm', () => {
+  const cases = [
+    { concentration: 4.4, type: null },
+    { concentration: 9.3, type: null },
+    { concentration: 9.4, type: 'pollutant-warning' },
+    { concentration: 12.3, type: 'pollutant-warning' },
+    { concentration: 12.4, type: 'pollutant-critical' },
+    { concentration: 30, type: 'pollutant-critical' }
+  ];
+
+  cases.forEach(({ concentration, type }) => {
+    const alerts = service.analyzeForecastForAlerts(coForecast(concentration), preferences);
+    assert.deepEqual(alerts.map(alert => alert.type), type ? [type] : [], String(concentration));
+    if (type) assert.equal(alerts[0].pollutant, 'CO');
+  });
+});
+
+test('CO alerts only cover the next 24 hours', () => {
+  const cases = [
+    { hours: 2, count: 1 },
+    { hours: 23, count: 1 },
+    { hours: 30, count: 0 },
+    { hours: -3, count: 0 }
+  ];
+
+  cases.forEach(({ hours, count }) => {
+    assert.equal(service.analyzeForecastForAlerts(coForecast(15, hours), preferences).length, count, String(hours));
+  });
+});
+
+test('new subscriptions and the default threshold include CO', () => {
+  service.subscribeToLocation('user-1', { lat: 40, lng: -75 });
+
+  assert.deepEqual(service.subscribers.get('user-1').preferences.pollutantThresholds.CO, { warning: 9.4, critical: 12.4 });
+  assert.equal(service.getPollutantThreshold('CO'), 9.4);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aqiEngine = require('../services/aqi');
+const { toHourlyValues, computeNowCast } = require('../services/aqi/nowcast');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly values are most recent first
+test('computeNowCast weights hours by w^(i-1) and floors w at 0.5 for PM only', () => {
+  const cases = [
+    { pollutant: 'PM2.5', values: [10, 40], weightFactor: 0.5, concentration: 20 },
+    { pollutant: 'PM10', values: [10, 40], weightFactor: 0.5, concentration: 20 },
+    { pollutant: 'O3', values: [10, 40], weightFactor: 0.25, concentration: 16 },
+    { pollutant: 'PM2.5', values: [30, 40], weightFactor: 0.75, concentration: 60 / 1.75 },
+    { pollutant: 'PM2.5', values: new Array(12).fill(20), weightFactor: 1, concentration: 20 },
+    { pollutant: 'PM2.5', values: [10, null, 20], weightFactor: 0.5, concentration: 12 }
+  ];
+
+  cases.forEach(({ pollutant, values, weightFactor, concentration }) => {
+    const result = computeNowCast(pollutant, values);
+    assert.equal(result.weightFactor, weightFactor, `${pollutant} ${values}`);
+    assert.ok(Math.abs(result.concentration - concentration) < 1e-9, `${pollutant} ${values}`);
+  });
+});
+
+test('computeNowCast needs two of the three most recent hours', () => {
+  const cases = [
+    { values: [10, null, null, 20, 20], valid: false },
+    { values: [null, 10, 12], valid: true },
+    { values: [10, null, 12], valid: true },
+    { values: [], valid: false }
+  ];
+
+  cases.forEach(({ values, valid }) => {
+    assert.equal(computeNowCast('PM2.5', values) !== null, valid, String(values));
+  });
+  assert.equal(computeNowCast('CO', [1, 1, 1]), null);
+});
+
+test('computeNowCast uses 12 hours for PM and 8 for O3', () => {
+  const values = [...new Array(8).fill(10), ...new Array(4).fill(1000)];
+
+  assert.equal(computeNowCast('O3', values).concentration, 10);
+  assert.equal(computeNowCast('PM2.5', values).hours, 12);
+  assert.ok(computeNowCast('PM2.5', values).concentration > 10);
+});
+
+test('toHourlyValues buckets observations into clock hours ending at now', () => {
+  const now = new Date('2024-01-01T12:30:00Z');
+  const values = toHourlyValues([
+    { timestamp: '2024-01-01T12:10:00Z', value: 10 },
+    { timestamp: '2024-01-01T12:50:00Z', value: 20 },
+    { timestamp: '2024-01-01T10:00:00Z', value: 30 },
+    { timestamp: '2024-01-01T13:00:00Z', value: 99 },
+    { timestamp: '2024-01-01T11:00:00Z', value: -1 }
+  ], 4, now);
+
+  assert.deepEqual(values, [15, null, 30, null]);
+});
+
+test('getNowCastAQI indexes the NowCast with the standard in force', () => {
+  const now = new Date('2024-01-01T12:00:00Z');
+  const observations = Array.from({ length: 12 }, (_, i) => ({
+    timestamp: new Date(now.getTime() - i * HOUR_MS).toISOString(),
+    value: 35.9
+  }));
+
+  const result = aqiEngine.getNowCastAQI('PM2.5', observations, now);
+  assert.equal(result.aqi, 102);
+  assert.equal(result.standard, 'EPA-2012');
+  assert.equal(result.nowcast.weightFactor, 1);
+  assert.equal(result.nowcast.validHours, 12);
+  assert.ok(Math.abs(result.nowcast.concentration - 35.9) < 1e-9);
+  assert.equal(aqiEngine.getNowCastAQI('PM2.5', observations.slice(2), now), null);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OpenAQService = require('../services/OpenAQService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = hours => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+// A service whose v3 requests are answered from `pages`, keyed by path
+function serviceWith(pages) {
+  const service = new OpenAQService({ cache: {}, apiKey: 'test' });
+  service.calls = [];
+  service.request = async (path, params) => {
+    service.calls.push({ path, params });
+    const responses = pages[path];
+    return responses[params.page - 1] || { meta: { found: 0 }, results: [] };
+  };
+  return service;
+}
+
+test('findLocations reads v3 locations nearest first with a capped radius', async () => {
+  const service = serviceWith({
+    '/locations': [{
+      meta: { found: 2 },
+      results: [
+        {
+          id: 2,
+          name: 'Harbor',
+          country: { code: 'US' },
+          provider: { name: 'AirNow' },
+          isMonitor: true,
+          coordinates: { latitude: 40.1, longitude: -75 },
+          distance: 11000.4,
+          datetimeLast: { utc: '2024-06-01T16:00:00Z' }
+        },
+        { id: 1, name: 'Downtown', coordinates: { latitude: 40, longitude: -75 }, distance: 120 }
+      ]
+    }]
+  });
+
+  const locations = await service.findLocations({ lat: 40, lon: -75 }, 40);
+
+  assert.deepEqual(service.calls[0].params, { coordinates: '40,-75', radius: 25000, limit: 100, page: 1 });
+  assert.deepEqual(locations.map(site => site.id), [1, 2]);
+  assert.deepEqual(locations[1], {
+    id: 2,
+    name: 'Harbor',
+    locality: null,
+    country: 'US',
+    provider: 'AirNow',
+    isMonitor: true,
+    coordinates: { lat: 40.1, lon: -75 },
+    distance: 11000,
+    datetimeLast: '2024-06-01T16:00:00Z'
+  });
+  assert.equal(locations[0].datetimeLast, null);
+});
+
+test('getLocationSensors keeps each sensor\'s parameter, unit and latest value', async () => {
+  const service = serviceWith({
+    '/locations/7/sensors': [{
+      meta: { found: 3 },
+      results: [
+        { id: 70, parameter: { name: 'pm25', units: 'µg/m³' }, latest: { value: 9.5, datetime: { utc: '2024-06-01T16:00:00Z' } } },
+        { id: 71, parameter: { name: 'no2', units: 'ppm' }, latest: { value: null, datetime: { utc: '2024-06-01T16:00:00Z' } } },
+        { id: 72, parameter: { name: 'temperature', units: 'c' } }
+      ]
+    }]
+  });
+
+  assert.deepEqual(await service.getLocationSensors(7), [
+    { id: 70, parameter: 'pm25', unit: 'µg/m³', latest: { timestamp: '2024-06-01T16:00:00Z', value: 9.5 } },
+    { id: 71, parameter: 'no2', unit: 'ppm', latest: null },
+    { id: 72, parameter: 'temperature', unit: 'c', latest: null }
+  ]);
+});
+
+test('getSensorHours converts hourly values to the canonical unit, oldest first', async () => {
+  const hour = (from, value, units = 'ppm') => ({ value, parameter: { units }, period: { datetimeFrom: { utc: from } } });
+  const service = serviceWith({
+    '/sensors/71/hours': [{
+      meta: { found: 4 },
+      results: [
+        hour('2024-06-01T15:00:00Z', 0.02),
+        hour('2024-06-01T14:00:00Z', 0.01),
+        hour('2024-06-01T13:00:00Z', null),
+        { value: 0.03, parameter: { units: 'ppm' }, period: {} }
+      ]
+    }]
+  });
+
+  const hours = await service.getSensorHours(71, 'NO2', 12);
+
+  assert.deepEqual(hours.map(entry => entry.timestamp), ['2024-06-01T14:00:00.000Z', '2024-06-01T15:00:00.000Z']);
+  assert.deepEqual(hours.map(entry => entry.concentration), [10, 20]);
+  assert.ok(hours.every(entry => entry.unit === 'ppb'));
+});
+
+test('paginate stops at a short page or once `found` results are read', async () => {
+  const full = Array.from({ length: 100 }, (_, i) => ({ id: i }));
+  const cases = [
+    { pages: [{ meta: { found: 150 }, results: full }, { meta: { found: 150 }, results: full.slice(0, 50) }], requests: 2, results: 150 },
+    { pages: [{ meta: { found: 100 }, results: full }, { meta: { found: 100 }, results: full }], requests: 1, results: 100 },
+    { pages: [{ meta: { found: '>1000' }, results: full }, { meta: { found: '>1000' }, results: [] }], requests: 2, results: 100 },
+    { pages: [{ meta: { found: 0 }, results: [] }], requests: 1, results: 0 }
+  ];
+
+  for (const { pages, requests, results } of cases) {
+    const service = serviceWith({ '/locations': pages });
+    const read = await service.paginate('/locations');
+    assert.equal(service.calls.length, requests, JSON.stringify(pages[0].meta));
+    assert.equal(read.length, results, JSON.stringify(pages[0].meta));
+  }
+});
+
+test('selectSensors takes the nearest current sensor for each pollutant', () => {
+  const sensor = (id, parameter, age) => ({ id, parameter, unit: 'µg/m³', latest: { timestamp: hoursAgo(age), value: id } });
+  const locations = [
+    { id: 1, sensors: [sensor(10, 'pm25', 5), sensor(11, 'temperature', 0), sensor(12, 'o3', 1)] },
+    { id: 2, sensors: [sensor(20, 'pm25', 1), sensor(21, 'o3', 0), { id: 22, parameter: 'no2', unit: 'ppb', latest: null }] }
+  ];
+
+  const readings = new OpenAQService({ cache: {} }).selectSensors(locations);
+
+  assert.deepEqual(
+    readings.map(reading => [reading.pollutant, reading.sensorId, reading.location.id]),
+    [['O3', 12, 1], ['PM2.5', 20, 2]]
+  );
+});
+
+test('the rate limit waits only once the remaining requests run out', () => {
+  const cases = [
+    { headers: {}, wait: false, limit: null },
+    { headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': '30' }, wait: false, limit: 60 },
+    { headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '30' }, wait: true, limit: 60 },
+    { headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '0' }, wait: false, limit: 60 }
+  ];
+
+  cases.forEach(({ headers, wait, limit }) => {
+    const service = new OpenAQService({ cache: {} });
+    service.updateRateLimit(headers);
+    assert.equal(service.getRateLimitWait() > 0, wait, JSON.stringify(headers));
+    assert.equal(service.getRateLimit().limit, limit, JSON.stringify(headers));
+  });
+});
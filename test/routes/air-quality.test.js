@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createAirQualityRoutes = require('../../routes/airQuality');
+const { request } = require('../helpers/http');
+
+const services = data => ({
+  airQualityService: { getRealTimeAirQuality: async () => data },
+  airNowService: {}
+});
+
+test('/aqi reports an unknown AQI as unknown, not as good air', async () => {
+  const { status, body } = await request(
+    createAirQualityRoutes,
+    services({ aqi: null, overallQuality: 'unknown', dominantPollutant: null, pollutants: {} }),
+    '/aqi?lat=40&lng=-75'
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.data.value, null);
+  assert.equal(body.data.level, 'unknown');
+  assert.equal(body.data.category, null);
+  assert.deepEqual(body.data.healthRecommendations, []);
+  assert.equal(body.data.sensitiveGroups.riskLevel, 'unknown');
+  assert.deepEqual(body.data.sensitiveGroups.recommendations, []);
+});
+
+test('/aqi describes a known AQI with its category', async () => {
+  const cases = [
+    { aqi: 0, category: 'Good', riskLevel: 'low' },
+    { aqi: 42, category: 'Good', riskLevel: 'low' },
+    { aqi: 160, category: 'Unhealthy', riskLevel: 'high' }
+  ];
+
+  for (const { aqi, category, riskLevel } of cases) {
+    const { body } = await request(
+      createAirQualityRoutes,
+      services({ aqi, overallQuality: 'good', dominantPollutant: 'O3', pollutants: {} }),
+      '/aqi?lat=40&lng=-75'
+    );
+    assert.equal(body.data.value, aqi, String(aqi));
+    assert.equal(body.data.category.name, category, String(aqi));
+    assert.equal(body.data.sensitiveGroups.riskLevel, riskLevel, String(aqi));
+    assert.ok(body.data.healthRecommendations.length > 0, String(aqi));
+  }
+});
+
+test('/stations answers 503 when the AirNow API key is not configured', async () => {
+  let called = false;
+  const { status, body } = await request(
+    createAirQualityRoutes,
+    { airQualityService: {}, airNowService: { apiKey: null, getSites: async () => { called = true; } } },
+    '/stations?lat=40&lng=-75'
+  );
+
+  assert.equal(status, 503);
+  assert.equal(body.error, 'Station data unavailable');
+  assert.match(body.message, /EPA_API_KEY/);
+  assert.equal(called, false);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createSensorRoutes = require('../../routes/sensors');
+const LowCostSensorService = require('../../services/LowCostSensorService');
+const { request } = require('../helpers/http');
+
+const upload = (uploadToken, options) => {
+  const lowCostSensorService = new LowCostSensorService({ cache: {} });
+  lowCostSensorService.uploadToken = uploadToken;
+  return request(createSensorRoutes, { lowCostSensorService }, '/upload', { method: 'POST', ...options });
+};
+
+const csv = rows => ({
+  headers: { 'Content-Type': 'text/csv', Authorization: 'Bearer secret' },
+  body: ['latitude,longitude,timestamp,pm2.5_cf_1_a,humidity', ...rows].join('\n')
+});
+
+test('uploads need the partner token', async () => {
+  const cases = [
+    { uploadToken: null, authorization: 'Bearer secret', status: 403 },
+    { uploadToken: 'secret', authorization: undefined, status: 401 },
+    { uploadToken: 'secret', authorization: 'Bearer wrong', status: 401 },
+    { uploadToken: 'secret', authorization: 'Basic secret', status: 401 },
+    { uploadToken: 'secret', authorization: 'Bearer secret', status: 200 }
+  ];
+  const row = `40,-75,${new Date(Date.now() - 10 * 60 * 1000).toISOString()},10,50`;
+
+  for (const { uploadToken, authorization, status } of cases) {
+    const options = csv([row]);
+    if (authorization) options.headers.Authorization = authorization;
+    else delete options.headers.Authorization;
+
+    const response = await upload(uploadToken, options);
+    assert.equal(response.status, status, `${uploadToken} ${authorization}`);
+  }
+});
+
+test('an upload over the row cap is answered with 413', async () => {
+  const rows = Array.from({ length: LowCostSensorService.MAX_UPLOAD_ROWS + 1 }, () => '40,-75,2024-06-01T16:00:00Z,10,50');
+  const { status, body } = await upload('secret', csv(rows));
+
+  assert.equal(status, 413);
+  assert.equal(body.error, 'Upload too large');
+});
+
+test('an upload with no valid readings lists the rejected rows', async () => {
+  const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const { status, body } = await upload('secret', csv([`40,-75,${future},10,50`, '40,-75,,10,50']));
+
+  assert.equal(status, 400);
+  assert.deepEqual(body.rejections, [
+    { row: 1, reason: 'future-timestamp' },
+    { row: 2, reason: 'incomplete' }
+  ]);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TempoGranuleReader = require('../services/TempoGranuleReader');
+
+test('parseGranuleFilename reads the product, scan and granule numbers', () => {
+  const reader = new TempoGranuleReader();
+  const cases = [
+    {
+      fileName: 'TEMPO_NO2_L2_V03_20240801T153012Z_S007G05.nc',
+      expected: { pollutant: 'NO2', scanStart: '2024-08-01T15:30:12.000Z', scanNumber: 7, granuleNumber: 5 }
+    },
+    {
+      fileName: 'TEMPO_O3TOT_L2_V03_20240801T120000Z_S003G10.nc',
+      expected: { pollutant: 'O3', scanStart: '2024-08-01T12:00:00.000Z', scanNumber: 3, granuleNumber: 10 }
+    },
+    { fileName: 'TEMPO_NO2_L2_V03_20240801T153012Z_S007G05.nc.part', expected: null },
+    { fileName: 'notes.txt', expected: null }
+  ];
+
+  cases.forEach(({ fileName, expected }) => {
+    const info = reader.parseGranuleFilename(fileName);
+    assert.deepEqual(info && {
+      pollutant: info.pollutant,
+      scanStart: info.scanStart.toISOString(),
+      scanNumber: info.scanNumber,
+      granuleNumber: info.granuleNumber
+    }, expected, fileName);
+  });
+});
+
+test('pruneCache deletes expired and partial downloads but not staged granules', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tempo-granules-'));
+  const cacheDir = path.join(root, 'cache');
+  const dataDir = path.join(root, 'data');
+  fs.mkdirSync(cacheDir);
+  fs.mkdirSync(dataDir);
+
+  const files = [
+    'TEMPO_NO2_L2_V03_20240801T153012Z_S007G05.nc',
+    'TEMPO_NO2_L2_V03_20240803T153012Z_S007G05.nc',
+    'TEMPO_HCHO_L2_V03_20240803T160000Z_S008G01.nc.part',
+    'notes.txt'
+  ];
+  files.forEach(file => fs.writeFileSync(path.join(cacheDir, file), ''));
+  fs.writeFileSync(path.join(dataDir, files[0]), '');
+
+  try {
+    const reader = new TempoGranuleReader({ cacheDir, dataDir });
+    assert.equal(reader.pruneCache(new Date('2024-08-02T00:00:00Z')), 2);
+    assert.deepEqual(fs.readdirSync(cacheDir).sort(), [files[1], 'notes.txt']);
+    assert.deepEqual(fs.readdirSync(dataDir), [files[0]]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('syncGranules downloads nothing without room left in the run', async () => {
+  const reader = new TempoGranuleReader({ cacheDir: os.tmpdir() });
+  reader.earthdataToken = 'token';
+
+  assert.deepEqual(await reader.syncGranules({ pollutant: 'NO2', lat: 40, lng: -75, limit: 0 }), []);
+  assert.deepEqual(await reader.syncGranules({ pollutant: 'CO', lat: 40, lng: -75 }), []);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TempoRegridService = require('../services/TempoRegridService');
+
+const RESOLUTION = 0.1;
+const HOUR = '2024-06-01T16:00:00.000Z';
+
+// A decoded NO2 granule; pixels with corners span [south, north] x [west, east]
+const granule = (id, pixels) => ({
+  id,
+  pollutant: 'NO2',
+  scanStart: new Date('2024-06-01T16:12:00Z'),
+  scanNumber: 3,
+  unit: 'molecules/cm²',
+  columnType: 'tropospheric',
+  column: Float32Array.from(pixels.map(pixel => pixel.value)),
+  latitude: Float32Array.from(pixels.map(pixel => (pixel.south + pixel.north) / 2)),
+  longitude: Float32Array.from(pixels.map(pixel => (pixel.west + pixel.east) / 2)),
+  cornerLatitude: Float32Array.from(pixels.flatMap(pixel => [pixel.south, pixel.south, pixel.north, pixel.north])),
+  cornerLongitude: Float32Array.from(pixels.flatMap(pixel => [pixel.west, pixel.east, pixel.east, pixel.west]))
+});
+
+const BBOX = { minLat: 40, maxLat: 40.2, minLng: -75, maxLng: -74.9 };
+const acceptAll = () => true;
+
+test('a pixel adds to every cell it overlaps, weighted by the shared area', () => {
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+  regrid.addGranule(granule('G1', [
+    // Covers the southern cell only
+    { value: 10, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    // Covers three quarters of the southern cell and a quarter of the northern one
+    { value: 30, south: 40.025, north: 40.125, west: -75, east: -74.9 }
+  ]), acceptAll);
+
+  const grid = regrid.query({ pollutant: 'NO2', hour: HOUR, bbox: BBOX });
+
+  assert.deepEqual([grid.rows, grid.cols], [2, 1]);
+  assert.equal(grid.values[0], Number(((10 * 1 + 30 * 0.75) / 1.75).toPrecision(6)));
+  assert.equal(grid.values[1], 30);
+  assert.deepEqual(grid.coverage, [1, 0.25]);
+  assert.equal(grid.filledCells, 2);
+  assert.deepEqual(grid.origin, { lat: 40, lng: -75 });
+});
+
+test('binGranule leaves out rejected and missing pixels', () => {
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+  const pixels = [
+    { value: 10, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    { value: 99, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    { value: NaN, south: 40.1, north: 40.2, west: -75, east: -74.9 }
+  ];
+  regrid.addGranule(granule('G1', pixels), index => index !== 1);
+
+  const grid = regrid.query({ pollutant: 'NO2', hour: HOUR, bbox: BBOX });
+  assert.deepEqual(grid.values, [10, null]);
+});
+
+test('a granule is binned into its hourly grid once', () => {
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+  const pixels = [{ value: 10, south: 40.0, north: 40.1, west: -75, east: -74.9 }];
+  regrid.addGranule(granule('G1', pixels), acceptAll);
+  regrid.addGranule(granule('G1', pixels), acceptAll);
+
+  const grid = regrid.query({ pollutant: 'NO2', hour: HOUR, bbox: BBOX });
+  assert.deepEqual(grid.coverage, [1, 0]);
+  assert.deepEqual(grid.granules, ['G1']);
+  assert.ok(regrid.hasGranule('G1', 'NO2', '2024-06-01T16:59:00Z', RESOLUTION));
+});
+
+test('query returns null for an empty hour and refuses oversized boxes', () => {
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+  regrid.addGranule(granule('G1', [{ value: 10, south: 40.0, north: 40.1, west: -75, east: -74.9 }]), acceptAll);
+
+  assert.equal(regrid.query({ pollutant: 'NO2', hour: '2024-06-01T17:00:00.000Z', bbox: BBOX }), null);
+  assert.throws(
+    () => regrid.query({ pollutant: 'NO2', hour: HOUR, bbox: { minLat: -60, maxLat: 60, minLng: -180, maxLng: 180 } }),
+    error => error.statusCode === 400
+  );
+});
+
+test('countPixels counts each pixel in the cell holding its centre by outcome', () => {
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+  const pixels = [
+    { value: 10, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    { value: 20, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    { value: 30, south: 40.0, north: 40.1, west: -75, east: -74.9 },
+    { value: NaN, south: 40.0, north: 40.1, west: -75, east: -74.9 }
+  ];
+  const reasons = [null, 'cloudFraction', 'qualityFlag'];
+
+  const counts = regrid.countPixels(granule('G1', pixels), index => reasons[index]);
+
+  assert.deepEqual(counts.get(regrid.getCellIndex(40.05, -74.95)), {
+    examined: 3,
+    passed: 1,
+    rejected: { qualityFlag: 1, cloudFraction: 1, solarZenithAngle: 0 }
+  });
+  assert.equal(counts.size, 1);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TempoDataService = require('../services/TempoDataService');
+
+const service = new TempoDataService({ cache: {}, weatherService: {} });
+service.qualityFilters = { maxQualityFlag: 0, maxCloudFraction: 0.2, maxSolarZenithAngle: 70 };
+
+// A one-pixel granule carrying the screening fields the product has
+const granule = (pixel, available = { qualityFlag: true, cloudFraction: true, solarZenithAngle: true }) => ({
+  column: Float32Array.of(1e15),
+  qualityFlag: Float32Array.of(pixel.qualityFlag ?? 0),
+  cloudFraction: Float32Array.of(pixel.cloudFraction ?? 0),
+  solarZenithAngle: Float32Array.of(pixel.solarZenithAngle ?? 30),
+  availableFields: available
+});
+
+test('createPixelFilter rejects a pixel on the first threshold it exceeds', () => {
+  const cases = [
+    { pixel: {}, rejection: null },
+    { pixel: { qualityFlag: 1 }, rejection: 'qualityFlag' },
+    { pixel: { cloudFraction: 0.15 }, rejection: null },
+    { pixel: { cloudFraction: 0.25 }, rejection: 'cloudFraction' },
+    { pixel: { solarZenithAngle: 70 }, rejection: null },
+    { pixel: { solarZenithAngle: 75 }, rejection: 'solarZenithAngle' },
+    { pixel: { qualityFlag: 2, cloudFraction: 0.9, solarZenithAngle: 85 }, rejection: 'qualityFlag' },
+    { pixel: { cloudFraction: NaN }, rejection: 'cloudFraction' }
+  ];
+
+  cases.forEach(({ pixel, rejection }) => {
+    assert.equal(service.createPixelFilter(granule(pixel)).getRejection(0), rejection, JSON.stringify(pixel));
+  });
+});
+
+test('createPixelFilter applies only the filters the product carries', () => {
+  const cases = [
+    { available: { qualityFlag: true, cloudFraction: false, solarZenithAngle: false }, rejection: 'qualityFlag' },
+    { available: { qualityFlag: false, cloudFraction: true, solarZenithAngle: false }, rejection: 'cloudFraction' },
+    { available: { qualityFlag: false, cloudFraction: false, solarZenithAngle: false }, rejection: null }
+  ];
+  const pixel = { qualityFlag: 2, cloudFraction: 0.9 };
+
+  cases.forEach(({ available, rejection }) => {
+    const { filters, getRejection } = service.createPixelFilter(granule(pixel, available));
+    assert.equal(getRejection(0), rejection, JSON.stringify(available));
+    assert.equal(filters.qualityFlag.applied, available.qualityFlag);
+    assert.equal(filters.cloudFraction.max, 0.2);
+  });
+});
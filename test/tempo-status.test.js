@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TempoDataService = require('../services/TempoDataService');
+
+const service = new TempoDataService({ cache: {}, weatherService: {} });
+
+const observed = { pollutants: { NO2: { observedAt: '2024-06-01T16:10:00Z' } }, metadata: { simulated: false } };
+const simulated = { pollutants: { NO2: {} }, metadata: { simulated: true } };
+
+test('getObservationStatus explains whether TEMPO can see the point', () => {
+  const cases = [
+    { lat: 0, lng: 0, time: '2024-06-01T17:00:00Z', data: observed, state: 'outside_field_of_regard' },
+    { lat: 40, lng: -75, time: '2024-06-01T06:00:00Z', data: observed, state: 'darkness', message: /showing the last valid observation/ },
+    { lat: 40, lng: -75, time: '2024-06-01T06:00:00Z', data: simulated, state: 'darkness', message: /no valid observation/ },
+    { lat: 40, lng: -75, time: '2024-06-01T10:00:00Z', data: observed, state: 'low_sun' },
+    { lat: 40, lng: -75, time: '2024-06-01T17:00:00Z', data: simulated, state: 'no_valid_observation' },
+    { lat: 40, lng: -75, time: '2024-06-01T17:00:00Z', data: observed, state: 'observed' }
+  ];
+
+  cases.forEach(({ lat, lng, time, data, state, message }) => {
+    const status = service.getObservationStatus(lat, lng, data, new Date(time));
+    assert.equal(status.state, state, `${lat},${lng} ${time}`);
+    if (message) assert.match(status.message, message);
+  });
+});
+
+test('getObservationStatus reports the age of the last real observation', () => {
+  const cases = [
+    { data: observed, lastValidObservation: '2024-06-01T16:10:00Z', ageMinutes: 50 },
+    { data: simulated, lastValidObservation: null, ageMinutes: null },
+    { data: null, lastValidObservation: null, ageMinutes: null }
+  ];
+
+  cases.forEach(({ data, lastValidObservation, ageMinutes }, i) => {
+    const status = service.getObservationStatus(40, -75, data, new Date('2024-06-01T17:00:00Z'));
+    assert.equal(status.lastValidObservation, lastValidObservation, `case ${i}`);
+    assert.equal(status.ageMinutes, ageMinutes, `case ${i}`);
+  });
+});
+
+test('getObservationStatus only lists the last day of scans', () => {
+  const calls = [];
+  const scanning = new TempoDataService({ cache: {}, weatherService: {} });
+  scanning.getScans = params => {
+    calls.push(params);
+    return [{ scanNumber: 7 }];
+  };
+
+  const now = new Date('2024-06-01T17:00:00Z');
+  assert.deepEqual(scanning.getObservationStatus(40, -75, observed, now).lastScan, { scanNumber: 7 });
+  assert.equal(scanning.getObservationStatus(0, 0, observed, now).lastScan, null);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0], { lat: 40, lng: -75, start: new Date('2024-05-31T17:00:00Z'), end: now, limit: 1 });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TempoDataService = require('../services/TempoDataService');
+const TempoObservationStore = require('../services/TempoObservationStore');
+const TempoRegridService = require('../services/TempoRegridService');
+
+const RESOLUTION = 0.05;
+
+// A decoded NO2 granule of single pixels with the fields TempoGranuleReader yields
+const granule = (id, scanStart, pixels) => ({
+  id,
+  pollutant: 'NO2',
+  scanStart: new Date(scanStart),
+  scanNumber: 7,
+  unit: 'molecules/cm²',
+  columnType: 'tropospheric',
+  column: Float32Array.from(pixels.map(pixel => pixel.value)),
+  latitude: Float32Array.from(pixels.map(pixel => pixel.lat)),
+  longitude: Float32Array.from(pixels.map(pixel => pixel.lng)),
+  qualityFlag: Float32Array.from(pixels.map(pixel => pixel.qualityFlag ?? 0)),
+  cloudFraction: Float32Array.from(pixels.map(pixel => pixel.cloudFraction ?? 0)),
+  solarZenithAngle: Float32Array.from(pixels.map(() => 30)),
+  availableFields: { qualityFlag: true, cloudFraction: true, solarZenithAngle: true }
+});
+
+// Ingest granules into a store in a temporary directory, as ingestScans does,
+// then run a check against a service reading that store
+function withStore(granules, run) {
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tempo-store-'));
+  const service = new TempoDataService({ cache: {}, weatherService: {} });
+  service.observationStore = new TempoObservationStore({ storeDir });
+  const regrid = new TempoRegridService({ resolution: RESOLUTION });
+
+  granules.forEach(item => {
+    const { filters, getRejection } = service.createPixelFilter(item);
+    service.observationStore.mergeGranule({
+      pollutant: 'NO2',
+      hour: regrid.getHourKey(item.scanStart),
+      granule: item,
+      resolution: RESOLUTION,
+      cells: regrid.binGranule(item, index => !getRejection(index), RESOLUTION),
+      screening: regrid.countPixels(item, getRejection, RESOLUTION),
+      filters
+    });
+  });
+
+  return Promise.resolve(run(service)).finally(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+}
+
+const params = { lat: 40.01, lng: -75.01, startDate: '2024-08-01', endDate: '2024-08-01' };
+
+test('real-time reads serve the newest stored cell with a screened value', () => withStore([
+  granule('G1', '2024-08-01T15:10:00Z', [{ lat: 40.01, lng: -75.01, value: 4e15 }]),
+  granule('G2', '2024-08-01T16:10:00Z', [
+    { lat: 40.01, lng: -75.01, value: 9e15, cloudFraction: 0.9 },
+    { lat: 40.02, lng: -75.02, value: 8e15, qualityFlag: 2 }
+  ])
+], async service => {
+  const { observations, screening } = await service.readStoredObservations(params);
+
+  assert.equal(observations.NO2.value, 4e15);
+  assert.equal(observations.NO2.timestamp, '2024-08-01T15:10:00.000Z');
+  assert.equal(observations.NO2.granuleId, 'G1');
+  assert.equal(observations.NO2.lat, 40.025);
+  assert.equal(screening.NO2.hour, '2024-08-01T15:00:00.000Z');
+  assert.equal(screening.NO2.pixelsExamined, 1);
+  assert.equal(screening.NO2.pixelsPassed, 1);
+  assert.equal(screening.NO2.filters.cloudFraction.applied, true);
+}));
+
+test('an hour screened out entirely keeps its statistics when nothing older passed', () => withStore([
+  granule('G2', '2024-08-01T16:10:00Z', [
+    { lat: 40.01, lng: -75.01, value: 9e15, cloudFraction: 0.9 },
+    { lat: 40.02, lng: -75.02, value: 8e15, qualityFlag: 2 },
+    { lat: 41.5, lng: -75.01, value: 8e15 }
+  ])
+], async service => {
+  const { observations, screening } = await service.readStoredObservations(params);
+
+  assert.equal(observations.NO2, undefined);
+  assert.deepEqual(
+    { examined: screening.NO2.pixelsExamined, passed: screening.NO2.pixelsPassed, rejected: screening.NO2.pixelsRejected },
+    { examined: 2, passed: 0, rejected: { qualityFlag: 1, cloudFraction: 1, solarZenithAngle: 0 } }
+  );
+}));
+
+test('points no stored scan reached have neither values nor statistics', () => withStore([
+  granule('G1', '2024-08-01T15:10:00Z', [{ lat: 40.01, lng: -75.01, value: 4e15 }])
+], async service => {
+  const cases = [
+    { ...params, lat: 35 },
+    { ...params, startDate: '2024-08-02', endDate: '2024-08-02' }
+  ];
+
+  for (const query of cases) {
+    assert.deepEqual(await service.readStoredObservations(query), { observations: {}, screening: {} });
+  }
+}));
+
+test('loadTempoData serves stored values without decoding granules', () => withStore([
+  granule('G1', '2024-08-01T15:10:00Z', [{ lat: 40.01, lng: -75.01, value: 4e15 }])
+], async service => {
+  service.granuleReader.loadGranule = () => assert.fail('granules are decoded by the ingest only');
+  service.weatherService = { openWeatherApiKey: null };
+  const data = await service.loadTempoData(params);
+
+  assert.equal(data.metadata.simulated, false);
+  assert.deepEqual(data.metadata.granules, ['G1']);
+  assert.equal(data.pollutants.NO2.column.value, 4e15);
+  assert.equal(data.dataQuality.confidence, 'high');
+}));
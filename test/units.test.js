@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const units = require('../services/units');
+const aqiEngine = require('../services/aqi');
+const epa = require('../services/aqi/indices/epa');
+
+const close = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not ${expected}`);
+
+test('normalizeUnit spells every source variant the canonical way', () => {
+  const cases = [
+    ['ug/m3', 'µg/m³'],
+    ['UG/M3', 'µg/m³'],
+    ['μg/m³', 'µg/m³'],
+    ['ppbv', 'ppb'],
+    ['PPM', 'ppm'],
+    ['molec/cm^2', 'molecules/cm²'],
+    ['furlongs', null]
+  ];
+
+  cases.forEach(([input, expected]) => assert.equal(units.normalizeUnit(input), expected, input));
+});
+
+// EPA's conversion factors at 25 °C and 1 atm: 1 ppb NO2 = 1.88 µg/m³,
+// O3 = 1.96, SO2 = 2.62, and 1 ppm CO = 1.145 mg/m³
+test('convert relates mixing ratios and mass concentrations at 25 °C and 1 atm', () => {
+  const cases = [
+    { value: 1, from: 'ppb', to: 'µg/m³', pollutant: 'NO2', expected: 1.88 },
+    { value: 1, from: 'ppb', to: 'µg/m³', pollutant: 'O3', expected: 1.96 },
+    { value: 1, from: 'ppb', to: 'µg/m³', pollutant: 'SO2', expected: 2.62 },
+    { value: 1, from: 'ppm', to: 'mg/m³', pollutant: 'CO', expected: 1.145 },
+    { value: 188, from: 'µg/m³', to: 'ppb', pollutant: 'NO2', expected: 100 }
+  ];
+
+  cases.forEach(({ value, from, to, pollutant, expected }) => {
+    close(units.convert(value, from, to, { pollutant }), expected, expected * 0.005, `${pollutant} ${from}→${to}`);
+  });
+});
+
+test('convert scales within a kind and refuses unrelated units', () => {
+  const cases = [
+    { value: 1.5, from: 'ppm', to: 'ppb', expected: 1500 },
+    { value: 2, from: 'mg/m³', to: 'µg/m³', expected: 2000 },
+    { value: 1, from: 'DU', to: 'molecules/cm²', expected: 2.6867e16 },
+    { value: 1, from: 'ppb', to: 'molecules/cm²', expected: null },
+    { value: 1, from: 'ppb', to: 'µg/m³', expected: null },
+    { value: NaN, from: 'ppb', to: 'ppm', expected: null }
+  ];
+
+  cases.forEach(({ value, from, to, expected }) => {
+    assert.equal(units.convert(value, from, to), expected, `${value} ${from}→${to}`);
+  });
+});
+
+test('colder, denser air holds more mass per ppb', () => {
+  const cold = units.convert(1, 'ppb', 'µg/m³', { pollutant: 'NO2', temperature: 0, pressure: 1013.25 });
+  const standard = units.convert(1, 'ppb', 'µg/m³', { pollutant: 'NO2' });
+
+  close(cold / standard, 298.15 / 273.15, 1e-9, 'temperature ratio');
+});
+
+test('normalizeMeasurement keeps the reported value and records the conditions', () => {
+  const measurement = units.normalizeMeasurement('NO2', 94, 'ug/m3');
+
+  assert.equal(measurement.unit, 'ppb');
+  close(measurement.concentration, 50, 0.1, 'NO2 ppb');
+  assert.equal(measurement.originalConcentration, 94);
+  assert.equal(measurement.originalUnit, 'ug/m3');
+  assert.deepEqual(measurement.unitConversion, { temperature: 25, pressure: 1013.25, source: 'standard' });
+
+  const unsupported = units.normalizeMeasurement('PM2.5', 12, 'ppb');
+  assert.equal(unsupported.unitConversion, 'unsupported');
+  assert.equal(unsupported.concentration, 12);
+});
+
+test('the AQI refuses readings in a unit other than the standard\'s', () => {
+  const cases = [
+    { pollutant: 'NO2', concentration: 100, unit: 'ppb', aqi: 100 },
+    { pollutant: 'NO2', concentration: 100, unit: 'µg/m³', aqi: null },
+    { pollutant: 'PM2.5', concentration: 12, unit: 'ug/m3', aqi: 50 },
+    { pollutant: 'CO', concentration: 9.4, unit: 'ppb', aqi: null }
+  ];
+
+  cases.forEach(({ pollutant, concentration, unit, aqi }) => {
+    assert.equal(
+      aqiEngine.concentrationToAQI(concentration, pollutant, { standard: 'EPA-2012', unit }),
+      aqi,
+      `${pollutant} ${unit}`
+    );
+  });
+
+  const index = epa.calculate({ NO2: { concentration: 100, unit: 'µg/m³', aqi: null } }, { standard: 'EPA-2012' });
+  assert.deepEqual(index, { value: null, subIndices: {} });
+});